@@ -0,0 +1,21 @@
+require('dotenv').config();
+
+const { prisma } = require('../src/config/database');
+const CardService = require('../src/services/cardService');
+
+// One-off: cards saved before cards.duplicateKey existed need it for duplicate detection
+const backfill = async () => {
+  try {
+    const updatedCount = await CardService.backfillDuplicateKeys();
+    console.log(`✅ Stored the duplicate key of ${updatedCount} cards`);
+  } catch (error) {
+    console.error('❌ Backfill failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+    // The database module keeps a keep-alive timer running
+    process.exit();
+  }
+};
+
+backfill();
@@ -12,6 +12,7 @@ const swaggerSpecs = require('./src/config/swagger');
 // Import routes and middleware
 const routes = require('./src/routes');
 const { errorHandler, notFound } = require('./src/middleware/errorHandler');
+const { startTrashPurge, stopTrashPurge } = require('./src/jobs/trashPurgeJob');
 
 // Create Express app
 const app = express();
@@ -93,6 +94,12 @@ app.get('/', (req, res) => {
         auth: '/api/auth',
         decks: '/api/decks',
         cards: '/api/cards',
+        studySessions: '/api/study-sessions',
+        stats: '/api/stats',
+        tags: '/api/tags',
+        noteTypes: '/api/note-types',
+        media: '/api/media',
+        trash: '/api/trash',
         health: '/api/health',
       },
     },
@@ -116,11 +123,15 @@ const startServer = async () => {
       console.log(`🚀 Server running on port ${PORT} in ${NODE_ENV} mode`);
       console.log(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
       console.log(`🔗 API Base URL: http://localhost:${PORT}/api`);
+
+      // Delete items that have been in the trash longer than TRASH_RETENTION_DAYS
+      startTrashPurge();
     });
 
     // Graceful shutdown
     process.on('SIGTERM', () => {
       console.log('🛑 SIGTERM received, shutting down gracefully...');
+      stopTrashPurge();
       server.close(() => {
         console.log('✅ Process terminated gracefully');
         process.exit(0);
@@ -129,6 +140,7 @@ const startServer = async () => {
 
     process.on('SIGINT', () => {
       console.log('🛑 SIGINT received, shutting down gracefully...');
+      stopTrashPurge();
       server.close(() => {
         console.log('✅ Process terminated gracefully');
         process.exit(0);
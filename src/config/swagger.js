@@ -46,6 +46,20 @@ const options = {
               type: 'string',
               description: 'User full name',
             },
+            scheduler: {
+              type: 'string',
+              enum: ['sm2', 'fsrs'],
+              description: 'Default spaced repetition scheduler',
+            },
+            desiredRetention: {
+              type: 'number',
+              description: 'FSRS target retention',
+            },
+            timezone: {
+              type: 'string',
+              example: 'Asia/Ho_Chi_Minh',
+              description: 'Time zone that daily study limits reset in',
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -78,6 +92,50 @@ const options = {
               type: 'integer',
               description: 'Number of cards in deck',
             },
+            parentId: {
+              type: 'string',
+              nullable: true,
+              description: 'Parent deck ID (null for a top-level deck)',
+            },
+            path: {
+              type: 'array',
+              description: 'Parent decks from the top level down (single deck responses)',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  name: { type: 'string' },
+                },
+              },
+            },
+            scheduler: {
+              type: 'string',
+              enum: ['sm2', 'fsrs'],
+              nullable: true,
+              description: 'Deck scheduler (null = user setting)',
+            },
+            desiredRetention: {
+              type: 'number',
+              nullable: true,
+              description: 'FSRS target retention (null = user setting)',
+            },
+            direction: {
+              type: 'string',
+              enum: ['forward', 'reverse', 'both'],
+              default: 'forward',
+              description: 'Study direction; reverse shows backText as the prompt',
+            },
+            leechThreshold: {
+              type: 'integer',
+              default: 8,
+              description: 'Lapses after which a card becomes a leech',
+            },
+            leechAction: {
+              type: 'string',
+              enum: ['suspend', 'tag'],
+              default: 'suspend',
+              description: 'What happens to a card when it becomes a leech',
+            },
             userId: {
               type: 'string',
               description: 'Owner user ID',
@@ -92,6 +150,41 @@ const options = {
               format: 'date-time',
               description: 'Deck last update timestamp',
             },
+            deletedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the deck was moved to the trash, null when not deleted',
+            },
+          },
+        },
+        DeckTreeNode: {
+          allOf: [
+            { $ref: '#/components/schemas/Deck' },
+            {
+              type: 'object',
+              properties: {
+                stats: { $ref: '#/components/schemas/DeckCardStats' },
+                totalStats: {
+                  allOf: [{ $ref: '#/components/schemas/DeckCardStats' }],
+                  description: 'Cards of the deck and all of its subdecks',
+                },
+                children: {
+                  type: 'array',
+                  items: {
+                    $ref: '#/components/schemas/DeckTreeNode',
+                  },
+                },
+              },
+            },
+          ],
+        },
+        DeckCardStats: {
+          type: 'object',
+          properties: {
+            totalCards: { type: 'integer' },
+            memorizedCards: { type: 'integer' },
+            unmemorizedCards: { type: 'integer' },
           },
         },
         Card: {
@@ -102,9 +195,15 @@ const options = {
               type: 'string',
               description: 'Card unique identifier',
             },
+            type: {
+              type: 'string',
+              enum: ['basic', 'cloze'],
+              default: 'basic',
+              description: 'Card type',
+            },
             frontText: {
               type: 'string',
-              description: 'Front side text (vocabulary word)',
+              description: 'Front side text (vocabulary word, or sentence with {{c1::...}} markers for cloze cards)',
             },
             backText: {
               type: 'string',
@@ -115,10 +214,151 @@ const options = {
               description: 'Whether card is memorized',
               default: false,
             },
+            easeFactor: {
+              type: 'number',
+              description: 'SM-2 ease factor',
+              default: 2.5,
+            },
+            interval: {
+              type: 'integer',
+              description: 'Current review interval in days',
+            },
+            repetitions: {
+              type: 'integer',
+              description: 'Number of consecutive successful reviews',
+            },
+            dueDate: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the card is next due for review',
+            },
+            lastReviewedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Last review timestamp',
+            },
+            stability: {
+              type: 'number',
+              nullable: true,
+              description: 'FSRS memory stability in days',
+            },
+            difficulty: {
+              type: 'number',
+              nullable: true,
+              description: 'FSRS difficulty (1-10)',
+            },
+            learningStep: {
+              type: 'integer',
+              nullable: true,
+              description: 'Current learning step of a new card (null once graduated)',
+            },
+            tags: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  name: { type: 'string', example: 'food' },
+                },
+              },
+            },
+            partOfSpeech: {
+              type: 'string',
+              nullable: true,
+              example: 'noun',
+            },
+            ipa: {
+              type: 'string',
+              nullable: true,
+              example: '/həˈləʊ/',
+              description: 'IPA pronunciation',
+            },
+            synonyms: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['hi', 'greetings'],
+            },
+            antonyms: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['goodbye'],
+            },
+            mnemonic: {
+              type: 'string',
+              nullable: true,
+              description: 'Free-form memory aid',
+            },
+            examples: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/CardExample',
+              },
+            },
+            media: {
+              type: 'array',
+              description: 'Attached audio and images, served by GET /api/media/{id}',
+              items: {
+                $ref: '#/components/schemas/Media',
+              },
+            },
+            lapses: {
+              type: 'integer',
+              description: 'Times the card went from memorized back to not memorized',
+            },
+            leech: {
+              type: 'boolean',
+              description: 'Card reached the deck leech threshold',
+            },
+            suspended: {
+              type: 'boolean',
+              description: 'Suspended cards are left out of study',
+            },
             deckId: {
               type: 'string',
               description: 'Parent deck ID',
             },
+            noteId: {
+              type: 'string',
+              nullable: true,
+              description: 'Note the card was generated from (note type cards only)',
+            },
+            templateId: {
+              type: 'string',
+              nullable: true,
+              description: 'Template used to render the card (note type cards only)',
+            },
+            note: {
+              allOf: [{ $ref: '#/components/schemas/Note' }],
+              nullable: true,
+            },
+            clozes: {
+              type: 'array',
+              description: 'Rendered clozes (cloze cards only)',
+              items: {
+                type: 'object',
+                properties: {
+                  number: { type: 'integer' },
+                  variant: {
+                    type: 'string',
+                    nullable: true,
+                    description: 'Variant key used to review this cloze (null for the lowest number)',
+                  },
+                  prompt: {
+                    type: 'string',
+                    example: 'I [...] coffee every morning',
+                  },
+                  answer: {
+                    type: 'string',
+                    example: 'drink',
+                  },
+                  revealed: {
+                    type: 'string',
+                    example: 'I drink coffee every morning',
+                  },
+                },
+              },
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -129,6 +369,771 @@ const options = {
               format: 'date-time',
               description: 'Card last update timestamp',
             },
+            deletedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the card was moved to the trash, null when not deleted',
+            },
+          },
+        },
+        CardVariant: {
+          type: 'object',
+          description: 'Extra reviewable item of a card with its own schedule (e.g. the reverse direction)',
+          properties: {
+            id: { type: 'string' },
+            cardId: { type: 'string' },
+            key: {
+              type: 'string',
+              example: 'reverse',
+              description: '"reverse", or "c2", "c3"... for cloze numbers',
+            },
+            memorized: { type: 'boolean' },
+            easeFactor: { type: 'number' },
+            interval: { type: 'integer' },
+            repetitions: { type: 'integer' },
+            dueDate: {
+              type: 'string',
+              format: 'date-time',
+            },
+            lastReviewedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            stability: {
+              type: 'number',
+              nullable: true,
+            },
+            difficulty: {
+              type: 'number',
+              nullable: true,
+            },
+          },
+        },
+        CardExample: {
+          type: 'object',
+          required: ['sentence'],
+          properties: {
+            id: {
+              type: 'string',
+              readOnly: true,
+            },
+            sentence: {
+              type: 'string',
+              example: 'Hello, how are you?',
+            },
+            translation: {
+              type: 'string',
+              nullable: true,
+              example: 'Xin chào, bạn khoẻ không?',
+            },
+          },
+        },
+        DuplicateCard: {
+          type: 'object',
+          description: 'An existing card with the same front text, ignoring case, spacing and diacritics',
+          properties: {
+            id: {
+              type: 'string',
+            },
+            deckId: {
+              type: 'string',
+            },
+            deckName: {
+              type: 'string',
+              example: 'IELTS Vocabulary',
+            },
+            frontText: {
+              type: 'string',
+              example: 'bank',
+            },
+            backText: {
+              type: 'string',
+              example: 'ngân hàng',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        ImportReport: {
+          type: 'object',
+          description: 'Outcome of an import. Rows are numbered like in a spreadsheet (the header is row 1); errors and duplicates list at most 1000 rows, the counts cover all of them.',
+          properties: {
+            deckId: {
+              type: 'string',
+            },
+            dryRun: {
+              type: 'boolean',
+            },
+            encoding: {
+              type: 'string',
+              example: 'utf-8',
+            },
+            bom: {
+              type: 'boolean',
+              description: 'Whether the file starts with a byte order mark',
+            },
+            delimiter: {
+              type: 'string',
+              example: ',',
+            },
+            hasHeader: {
+              type: 'boolean',
+            },
+            columns: {
+              type: 'array',
+              nullable: true,
+              items: {
+                type: 'string',
+              },
+              description: 'Header row, null without a header',
+            },
+            mapping: {
+              type: 'object',
+              description: 'Column of each card field, by header name or 0-based index',
+              example: { frontText: 'word', backText: 'meaning', tags: 'tags' },
+            },
+            totalRows: {
+              type: 'integer',
+            },
+            validCount: {
+              type: 'integer',
+              description: 'Dry run only',
+            },
+            duplicateCount: {
+              type: 'integer',
+              description: 'Dry run only: valid rows repeating an earlier row or an existing card',
+            },
+            createdCount: {
+              type: 'integer',
+            },
+            skippedCount: {
+              type: 'integer',
+            },
+            mergedCount: {
+              type: 'integer',
+            },
+            failedCount: {
+              type: 'integer',
+            },
+            preview: {
+              type: 'array',
+              description: 'Dry run only: the first 20 rows as cards',
+              items: {
+                type: 'object',
+                properties: {
+                  row: { type: 'integer' },
+                  card: { type: 'object' },
+                  errors: { type: 'array', items: { type: 'string' } },
+                },
+              },
+            },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  row: { type: 'integer' },
+                  errors: { type: 'array', items: { type: 'string' } },
+                },
+              },
+            },
+            duplicates: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  row: { type: 'integer' },
+                  action: { type: 'string', enum: ['created', 'skipped', 'merged'] },
+                  cardId: { type: 'string' },
+                  duplicateOfRow: { type: 'integer' },
+                  duplicates: {
+                    type: 'array',
+                    items: {
+                      $ref: '#/components/schemas/DuplicateCard',
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        PackageImportReport: {
+          type: 'object',
+          description: 'Outcome of a package import (Anki package or JSON deck file, where each card counts as a note). skipped lists at most 1000 notes, the counts cover all of them.',
+          properties: {
+            includeScheduling: {
+              type: 'boolean',
+            },
+            noteCount: {
+              type: 'integer',
+            },
+            createdCount: {
+              type: 'integer',
+            },
+            skippedCount: {
+              type: 'integer',
+              description: 'Notes skipped as duplicates',
+            },
+            mergedCount: {
+              type: 'integer',
+            },
+            failedCount: {
+              type: 'integer',
+              description: 'Notes that could not become a valid card',
+            },
+            decks: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  name: { type: 'string', example: 'English::IELTS' },
+                  created: { type: 'boolean', description: 'False when cards went into an existing deck of the same name' },
+                  createdCount: { type: 'integer' },
+                  skippedCount: { type: 'integer' },
+                  mergedCount: { type: 'integer' },
+                  failedCount: { type: 'integer' },
+                },
+              },
+            },
+            media: {
+              type: 'object',
+              properties: {
+                importedCount: { type: 'integer' },
+                skippedCount: { type: 'integer', description: 'Missing, unsupported or too large files' },
+              },
+            },
+            skipped: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  noteId: { type: 'integer', description: 'Anki packages' },
+                  index: { type: 'integer', description: 'JSON deck files: position of the card in its deck' },
+                  deck: { type: 'string' },
+                  frontText: { type: 'string', nullable: true },
+                  reason: { type: 'string', example: 'Duplicate of an existing card' },
+                },
+              },
+            },
+          },
+        },
+        Media: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+            },
+            kind: {
+              type: 'string',
+              enum: ['audio', 'image'],
+            },
+            mimeType: {
+              type: 'string',
+              example: 'audio/mpeg',
+            },
+            size: {
+              type: 'integer',
+              description: 'File size in bytes',
+            },
+            originalName: {
+              type: 'string',
+              nullable: true,
+              example: 'hello.mp3',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        NoteType: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+            },
+            name: {
+              type: 'string',
+              example: 'Japanese',
+            },
+            fields: {
+              type: 'array',
+              items: {
+                type: 'string',
+              },
+              example: ['Kanji', 'Kana', 'Meaning'],
+            },
+            templates: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/CardTemplate',
+              },
+            },
+            _count: {
+              type: 'object',
+              properties: {
+                notes: { type: 'integer' },
+              },
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        CardTemplate: {
+          type: 'object',
+          required: ['name', 'front', 'back'],
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Set to update an existing template, leave out to add one',
+            },
+            name: {
+              type: 'string',
+              example: 'Recognition',
+            },
+            front: {
+              type: 'string',
+              example: '{{Kanji}}',
+              description: 'Uses {{Field}}, {{#Field}}...{{/Field}} and {{^Field}}...{{/Field}}',
+            },
+            back: {
+              type: 'string',
+              example: '{{FrontSide}} - {{Kana}}: {{Meaning}}',
+              description: 'Same syntax as front, plus {{FrontSide}}',
+            },
+            position: {
+              type: 'integer',
+              readOnly: true,
+            },
+          },
+        },
+        Note: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+            },
+            noteTypeId: {
+              type: 'string',
+            },
+            fields: {
+              type: 'object',
+              additionalProperties: { type: 'string' },
+              example: { Kanji: '水', Kana: 'みず', Meaning: 'water' },
+            },
+          },
+        },
+        Tag: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+            },
+            name: {
+              type: 'string',
+              example: 'ielts band 7',
+              description: 'Lowercase tag name, unique per user',
+            },
+            cardCount: {
+              type: 'integer',
+              description: 'Number of cards with this tag',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        BulkTagsRequest: {
+          type: 'object',
+          required: ['cardIds', 'tags'],
+          properties: {
+            cardIds: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['card1', 'card2'],
+            },
+            tags: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['food', 'travel'],
+            },
+          },
+        },
+        BulkTagsResult: {
+          type: 'object',
+          properties: {
+            updatedCount: {
+              type: 'integer',
+              description: 'Cards found among the given IDs',
+            },
+            tags: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Normalized tag names that were applied',
+            },
+          },
+        },
+        DeckOptions: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+            },
+            deckId: {
+              type: 'string',
+            },
+            newCardsPerDay: {
+              type: 'integer',
+              default: 20,
+              description: 'New cards introduced per day',
+            },
+            maxReviewsPerDay: {
+              type: 'integer',
+              default: 200,
+              description: 'Maximum reviews of graduated cards per day',
+            },
+            learningSteps: {
+              type: 'array',
+              items: { type: 'integer' },
+              default: [1, 10],
+              description: 'Learning steps in minutes',
+            },
+            graduatingInterval: {
+              type: 'integer',
+              default: 1,
+              description: 'First interval in days after the last learning step',
+            },
+            cardOrder: {
+              type: 'string',
+              enum: ['sequential', 'random'],
+              default: 'sequential',
+              description: 'Order new cards are introduced in',
+            },
+          },
+        },
+        Forecast: {
+          type: 'object',
+          properties: {
+            deckId: {
+              type: 'string',
+              description: 'Only present for a single deck forecast',
+            },
+            days: {
+              type: 'integer',
+              example: 30,
+            },
+            timezone: {
+              type: 'string',
+              example: 'Asia/Ho_Chi_Minh',
+            },
+            overdueCards: {
+              type: 'integer',
+              description: 'Items already overdue, included in today\'s count',
+            },
+            totalDue: {
+              type: 'integer',
+            },
+            peak: {
+              $ref: '#/components/schemas/ForecastDay',
+            },
+            forecast: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/ForecastDay',
+              },
+            },
+          },
+        },
+        ForecastDay: {
+          type: 'object',
+          properties: {
+            date: {
+              type: 'string',
+              format: 'date',
+              example: '2026-10-20',
+            },
+            dueCards: {
+              type: 'integer',
+              example: 42,
+            },
+          },
+        },
+        StudyItem: {
+          allOf: [
+            { $ref: '#/components/schemas/Card' },
+            {
+              type: 'object',
+              description: 'Scheduling fields are those of the studied variant',
+              properties: {
+                variant: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'Variant key to send back when reviewing (null = front → back)',
+                },
+                prompt: {
+                  type: 'string',
+                  description: 'Text to show the learner',
+                },
+                answer: {
+                  type: 'string',
+                  description: 'Expected answer (the hidden words for cloze items)',
+                },
+                revealed: {
+                  type: 'string',
+                  description: 'Full sentence with the cloze filled in (cloze items only)',
+                },
+              },
+            },
+          ],
+        },
+        CardVersion: {
+          type: 'object',
+          description: 'The text of a card after an edit',
+          properties: {
+            id: {
+              type: 'string',
+            },
+            cardId: {
+              type: 'string',
+            },
+            userId: {
+              type: 'string',
+              description: 'User who made the edit (the deck owner for the baseline)',
+            },
+            frontText: {
+              type: 'string',
+              example: 'bank',
+            },
+            backText: {
+              type: 'string',
+              example: 'ngân hàng; bờ sông',
+            },
+            baseline: {
+              type: 'boolean',
+              description: 'The text the card had before its first edit, rather than an edit',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the edit was made; for the baseline, the last logged edit before it or the card creation time',
+            },
+            user: {
+              type: 'object',
+              properties: {
+                id: {
+                  type: 'string',
+                },
+                name: {
+                  type: 'string',
+                  nullable: true,
+                },
+              },
+            },
+          },
+        },
+        ReviewLog: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Review log unique identifier',
+            },
+            cardId: {
+              type: 'string',
+              description: 'Reviewed card ID',
+            },
+            userId: {
+              type: 'string',
+              description: 'Reviewer user ID',
+            },
+            type: {
+              type: 'string',
+              enum: ['review', 'toggle', 'bulk', 'edit'],
+              description: 'What produced the entry: a graded review or a manual memorized change',
+            },
+            grade: {
+              type: 'integer',
+              nullable: true,
+              description: 'Quality grade (0-5), null for manual changes',
+            },
+            timeTaken: {
+              type: 'integer',
+              nullable: true,
+              description: 'Time spent answering in milliseconds',
+            },
+            previousInterval: {
+              type: 'integer',
+              description: 'Interval in days before the review',
+            },
+            newInterval: {
+              type: 'integer',
+              description: 'Interval in days after the review',
+            },
+            memorized: {
+              type: 'boolean',
+              description: 'Memorized status after the review',
+            },
+            variant: {
+              type: 'string',
+              nullable: true,
+              description: 'Reviewed variant (null = front → back)',
+            },
+            state: {
+              type: 'string',
+              enum: ['new', 'learning', 'review'],
+              nullable: true,
+              description: 'State of the item before the review (null for manual changes)',
+            },
+            reviewedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Review timestamp',
+            },
+          },
+        },
+        StudySession: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Study session unique identifier',
+            },
+            userId: {
+              type: 'string',
+              description: 'Owner user ID',
+            },
+            deckIds: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Decks the queue was built from',
+            },
+            queue: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Card IDs in study order',
+            },
+            position: {
+              type: 'integer',
+              description: 'Index of the next card in the queue',
+            },
+            status: {
+              type: 'string',
+              enum: ['active', 'finished'],
+            },
+            progress: {
+              type: 'object',
+              properties: {
+                answered: { type: 'integer' },
+                remaining: { type: 'integer' },
+                total: { type: 'integer' },
+              },
+            },
+            currentCard: {
+              allOf: [{ $ref: '#/components/schemas/Card' }],
+              nullable: true,
+              description: 'Card to show next (null when the queue is done)',
+            },
+            startedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            finishedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+          },
+        },
+        StudySessionSummary: {
+          type: 'object',
+          properties: {
+            totalCards: { type: 'integer' },
+            answeredCards: { type: 'integer' },
+            totalAnswers: { type: 'integer' },
+            correctAnswers: { type: 'integer' },
+            incorrectAnswers: { type: 'integer' },
+            accuracy: {
+              type: 'integer',
+              description: 'Percentage of answers graded 3 or higher',
+            },
+            durationSeconds: {
+              type: 'integer',
+              description: 'Time between start and finish',
+            },
+            answerTimeSeconds: {
+              type: 'integer',
+              description: 'Sum of reported answer times',
+            },
+            promotedCards: {
+              type: 'integer',
+              description: 'Answers that lengthened the review interval',
+            },
+            demotedCards: {
+              type: 'integer',
+              description: 'Answers that shortened the review interval',
+            },
+          },
+        },
+        AnswerGrading: {
+          type: 'object',
+          properties: {
+            cardId: { type: 'string' },
+            reverse: { type: 'boolean' },
+            answer: {
+              type: 'string',
+              description: 'Typed answer with whitespace collapsed',
+            },
+            expected: {
+              type: 'string',
+              description: 'Full expected text of the card side',
+            },
+            matchedAnswer: {
+              type: 'string',
+              description: 'Closest accepted alternative',
+            },
+            alternatives: {
+              type: 'array',
+              items: { type: 'string' },
+            },
+            correct: { type: 'boolean' },
+            exact: {
+              type: 'boolean',
+              description: 'Typed exactly, including case and diacritics',
+            },
+            distance: {
+              type: 'integer',
+              description: 'Edit distance after normalization',
+            },
+            tolerance: { type: 'integer' },
+            quality: {
+              type: 'integer',
+              description: 'Suggested review grade (5 exact, 4 accents/case only, 3 typo, 1 wrong)',
+            },
+            diff: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  type: {
+                    type: 'string',
+                    enum: ['equal', 'missing', 'extra'],
+                  },
+                  text: { type: 'string' },
+                },
+              },
+            },
           },
         },
         Error: {
@@ -258,6 +258,19 @@ class AuthController {
    *                 type: string
    *                 format: email
    *                 example: newemail@example.com
+   *               scheduler:
+   *                 type: string
+   *                 enum: [sm2, fsrs]
+   *                 example: fsrs
+   *               desiredRetention:
+   *                 type: number
+   *                 minimum: 0.7
+   *                 maximum: 0.99
+   *                 example: 0.9
+   *               timezone:
+   *                 type: string
+   *                 example: Asia/Ho_Chi_Minh
+   *                 description: IANA time zone used to reset daily study limits
    *     responses:
    *       200:
    *         description: Profile updated successfully
@@ -1,4 +1,5 @@
 const CardService = require('../services/cardService');
+const MediaService = require('../services/mediaService');
 const { sendSuccess, sendError, sendPaginated } = require('../utils/response');
 
 /**
@@ -28,21 +29,77 @@ class CardController {
    *             type: object
    *             required:
    *               - frontText
-   *               - backText
    *             properties:
+   *               noteTypeId:
+   *                 type: string
+   *                 description: Create a note of this type instead of a single card. frontText, backText and type are then ignored and one card is made per template that renders a front
+   *               fields:
+   *                 type: object
+   *                 additionalProperties:
+   *                   type: string
+   *                 example: { "Kanji": "水", "Kana": "みず", "Meaning": "water" }
+   *                 description: Field values of the note (with noteTypeId)
+   *               type:
+   *                 type: string
+   *                 enum: [basic, cloze]
+   *                 default: basic
+   *                 description: Cloze cards mark hidden words in frontText with {{c1::word}} or {{c1::word::hint}}
    *               frontText:
    *                 type: string
    *                 example: Hello
    *               backText:
    *                 type: string
    *                 example: Xin chào
+   *                 description: Required for basic cards, optional extra info for cloze cards
+   *               tags:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                 example: ["food", "ielts band 7"]
+   *                 description: Tag names (case-insensitive), created when missing
+   *               partOfSpeech:
+   *                 type: string
+   *                 example: noun
+   *               ipa:
+   *                 type: string
+   *                 example: /həˈləʊ/
+   *               synonyms:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                 example: ["hi"]
+   *               antonyms:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                 example: ["goodbye"]
+   *               mnemonic:
+   *                 type: string
+   *                 description: Free-form memory aid
+   *               examples:
+   *                 type: array
+   *                 description: Example sentences with their translation
+   *                 items:
+   *                   $ref: '#/components/schemas/CardExample'
    *               memorized:
    *                 type: boolean
    *                 default: false
    *                 example: false
+   *               duplicates:
+   *                 type: string
+   *                 enum: [allow, skip, merge]
+   *                 default: allow
+   *                 description: What to do when a card with the same front text (ignoring case, spacing and diacritics) exists. allow creates the card anyway, skip returns the existing card, merge adds new meanings, fields, examples and tags to the existing card. Note type cards are checked by the front of each card they make, and merge skips them like skip
+   *               duplicateScope:
+   *                 type: string
+   *                 enum: [deck, all]
+   *                 default: deck
+   *                 description: Look for duplicates in this deck or in all of the user's decks
    *     responses:
+   *       200:
+   *         description: A duplicate exists and was skipped or merged into; data is the existing card with duplicateAction (skipped or merged) and duplicates. A skipped note gives { note: null, cards: [existing card], duplicates, duplicateAction }
    *       201:
-   *         description: Card created successfully
+   *         description: Card created successfully. The card's duplicates lists likely duplicates as warnings (id, deckId, deckName, frontText, backText, createdAt)
    *         content:
    *           application/json:
    *             schema:
@@ -55,82 +112,1160 @@ class CardController {
    *                   type: string
    *                   example: Card created successfully
    *                 data:
-   *                   $ref: '#/components/schemas/Card'
+   *                   oneOf:
+   *                     - $ref: '#/components/schemas/Card'
+   *                     - type: object
+   *                       description: Returned when noteTypeId is given
+   *                       properties:
+   *                         note:
+   *                           $ref: '#/components/schemas/Note'
+   *                         cards:
+   *                           type: array
+   *                           items:
+   *                             $ref: '#/components/schemas/Card'
+   *                         duplicates:
+   *                           type: array
+   *                           description: Likely duplicates of any of the note's cards, as warnings
+   *                           items:
+   *                             type: object
+   *       400:
+   *         description: Validation error or the note does not generate any card
+   *       404:
+   *         description: Deck or note type not found
+   */
+  static async createCard(req, res) {
+    try {
+      const card = await CardService.createCard(req.user.id, req.params.deckId, req.body);
+      
+      if (card.duplicateAction === 'skipped') {
+        return sendSuccess(res, card, 'Card skipped as a duplicate');
+      }
+      
+      if (card.duplicateAction === 'merged') {
+        return sendSuccess(res, card, 'Card merged into an existing card');
+      }
+      
+      sendSuccess(res, card, 'Card created successfully', 201);
+    } catch (error) {
+      console.error('Create card error:', error);
+      
+      if (error.message === 'Deck not found' || error.message === 'Note type not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      if (error.message === 'Note does not generate any card') {
+        return sendError(res, error.message, 400);
+      }
+      
+      sendError(res, 'Failed to create card', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/decks/{deckId}/cards/bulk:
+   *   post:
+   *     summary: Create many cards in a deck at once
+   *     description: Each card is validated with the same rules as a single card. Valid cards are created together, invalid ones are reported by index. Note type cards must be created one at a time. Likely duplicates of existing cards or of an earlier card in the request are reported and handled by the duplicates policy.
+   *     tags: [Cards]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: deckId
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Deck ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - cards
+   *             properties:
+   *               cards:
+   *                 type: array
+   *                 minItems: 1
+   *                 maxItems: 5000
+   *                 description: Cards with the same fields as when creating a single card
+   *                 items:
+   *                   type: object
+   *                 example: [{ "frontText": "Hello", "backText": "Xin chào", "tags": ["greetings"] }, { "frontText": "Goodbye" }]
+   *               duplicates:
+   *                 type: string
+   *                 enum: [allow, skip, merge]
+   *                 default: allow
+   *                 description: allow creates duplicates anyway, skip leaves them out, merge adds their content to the first duplicate
+   *               duplicateScope:
+   *                 type: string
+   *                 enum: [deck, all]
+   *                 default: deck
+   *                 description: Look for existing duplicates in this deck or in all of the user's decks
+   *     responses:
+   *       201:
+   *         description: At least one card was created
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Cards created successfully
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     deckId:
+   *                       type: string
+   *                     createdCount:
+   *                       type: integer
+   *                       example: 1
+   *                     skippedCount:
+   *                       type: integer
+   *                       example: 0
+   *                     mergedCount:
+   *                       type: integer
+   *                       example: 0
+   *                     failedCount:
+   *                       type: integer
+   *                       example: 1
+   *                     results:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                         properties:
+   *                           index:
+   *                             type: integer
+   *                             description: Position of the card in the request
+   *                           success:
+   *                             type: boolean
+   *                           action:
+   *                             type: string
+   *                             enum: [created, skipped, merged]
+   *                           cardId:
+   *                             type: string
+   *                             description: ID of the created card, or of the card it was skipped for or merged into
+   *                           duplicates:
+   *                             type: array
+   *                             description: Existing cards with the same front text
+   *                             items:
+   *                               $ref: '#/components/schemas/DuplicateCard'
+   *                           duplicateOfIndex:
+   *                             type: integer
+   *                             description: Earlier card of the request with the same front text
+   *                           errors:
+   *                             type: array
+   *                             items:
+   *                               type: string
+   *                             description: Why the card was not created
+   *                       example: [{ "index": 0, "success": true, "action": "created", "cardId": "clx1" }, { "index": 1, "success": false, "errors": ["Back text is required"] }]
+   *       200:
+   *         description: No card was created (same body with createdCount 0)
+   *       400:
+   *         description: Cards is not an array of 1 to 5000 items
+   *       404:
+   *         description: Deck not found
+   */
+  static async bulkCreateCards(req, res) {
+    try {
+      const result = await CardService.bulkCreateCards(
+        req.user.id,
+        req.params.deckId,
+        req.body.cards,
+        {
+          itemErrors: req.cardErrors,
+          duplicates: req.body.duplicates,
+          duplicateScope: req.body.duplicateScope,
+        }
+      );
+      
+      if (result.createdCount === 0) {
+        return sendSuccess(res, result, 'No cards were created');
+      }
+      
+      sendSuccess(res, result, 'Cards created successfully', 201);
+    } catch (error) {
+      console.error('Bulk create cards error:', error);
+      
+      if (error.message === 'Deck not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      sendError(res, 'Failed to create cards', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/decks/{deckId}/cards/duplicates:
+   *   get:
+   *     summary: Report likely duplicate cards in a deck
+   *     description: Groups cards whose front text is the same ignoring case, spacing and diacritics, largest groups first.
+   *     tags: [Cards]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: deckId
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Deck ID
+   *       - in: query
+   *         name: scope
+   *         schema:
+   *           type: string
+   *           enum: [deck, all]
+   *           default: deck
+   *         description: Only duplicates within the deck, or also the deck's cards duplicated in the user's other decks
+   *     responses:
+   *       200:
+   *         description: Duplicate report retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Duplicate cards retrieved successfully
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     deckId:
+   *                       type: string
+   *                     scope:
+   *                       type: string
+   *                       enum: [deck, all]
+   *                     groupCount:
+   *                       type: integer
+   *                       example: 1
+   *                     cardCount:
+   *                       type: integer
+   *                       example: 3
+   *                     groups:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                         properties:
+   *                           key:
+   *                             type: string
+   *                             example: bank
+   *                           count:
+   *                             type: integer
+   *                             example: 3
+   *                           cards:
+   *                             type: array
+   *                             items:
+   *                               $ref: '#/components/schemas/DuplicateCard'
+   *       404:
+   *         description: Deck not found
+   */
+  static async getDuplicateCards(req, res) {
+    try {
+      const report = await CardService.getDuplicateReport(req.user.id, req.params.deckId, {
+        scope: req.query.scope === 'all' ? 'all' : 'deck',
+      });
+      
+      sendSuccess(res, report, 'Duplicate cards retrieved successfully');
+    } catch (error) {
+      console.error('Get duplicate cards error:', error);
+      
+      if (error.message === 'Deck not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      sendError(res, 'Failed to get duplicate cards', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/decks/{deckId}/cards:
+   *   get:
+   *     summary: Get cards in a deck
+   *     tags: [Cards]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: deckId
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Deck ID
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *         description: Page number
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *           default: 10
+   *         description: Number of items per page
+   *       - in: query
+   *         name: search
+   *         schema:
+   *           type: string
+   *         description: Search term for card text, part of speech, IPA, examples, mnemonic, synonyms and antonyms
+   *       - in: query
+   *         name: memorized
+   *         schema:
+   *           type: string
+   *           enum: [true, false]
+   *         description: Filter by memorized status
+   *       - in: query
+   *         name: leech
+   *         schema:
+   *           type: string
+   *           enum: [true, false]
+   *         description: Filter by leech status (cards that keep being forgotten)
+   *       - in: query
+   *         name: tag
+   *         schema:
+   *           type: string
+   *         description: Only cards with this tag
+   *       - in: query
+   *         name: sortBy
+   *         schema:
+   *           type: string
+   *           enum: [frontText, backText, memorized, createdAt, updatedAt]
+   *           default: createdAt
+   *         description: Sort field
+   *       - in: query
+   *         name: sortOrder
+   *         schema:
+   *           type: string
+   *           enum: [asc, desc]
+   *           default: desc
+   *         description: Sort order
+   *     responses:
+   *       200:
+   *         description: Cards retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Cards retrieved successfully
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/Card'
+   *                 pagination:
+   *                   type: object
+   *                   properties:
+   *                     page:
+   *                       type: integer
+   *                     limit:
+   *                       type: integer
+   *                     total:
+   *                       type: integer
+   *                     pages:
+   *                       type: integer
+   */
+  static async getDeckCards(req, res) {
+    try {
+      const { page, limit, search, memorized, leech, tag, sortBy, sortOrder } = req.query;
+      
+      const result = await CardService.getDeckCards(req.user.id, req.params.deckId, {
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 10,
+        search,
+        memorized,
+        leech,
+        tag,
+        sortBy,
+        sortOrder,
+      });
+      
+      sendPaginated(res, result.cards, result.pagination, 'Cards retrieved successfully');
+    } catch (error) {
+      console.error('Get deck cards error:', error);
+      
+      if (error.message === 'Deck not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      sendError(res, 'Failed to get cards', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/cards/{id}:
+   *   get:
+   *     summary: Get card by ID
+   *     description: Cloze cards include the rendered prompt and answer of every cloze number.
+   *     tags: [Cards]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Card ID
+   *     responses:
+   *       200:
+   *         description: Card retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Card retrieved successfully
+   *                 data:
+   *                   $ref: '#/components/schemas/Card'
+   *       404:
+   *         description: Card not found
+   */
+  static async getCardById(req, res) {
+    try {
+      const card = await CardService.getCardById(req.params.id, req.user.id);
+      
+      sendSuccess(res, card, 'Card retrieved successfully');
+    } catch (error) {
+      console.error('Get card by ID error:', error);
+      
+      if (error.message === 'Card not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      sendError(res, 'Failed to get card', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/cards/{id}:
+   *   put:
+   *     summary: Update card
+   *     tags: [Cards]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Card ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               frontText:
+   *                 type: string
+   *                 example: Updated Hello
+   *                 description: Ignored for cards made from a note
+   *               backText:
+   *                 type: string
+   *                 example: Updated Xin chào
+   *                 description: Optional, the current back text is kept when left out. Ignored for cards made from a note
+   *               fields:
+   *                 type: object
+   *                 additionalProperties:
+   *                   type: string
+   *                 description: New field values for a card made from a note. Every card of the note is re-rendered
+   *               deckId:
+   *                 type: string
+   *                 description: Move the card to this deck, keeping its progress (see POST /api/cards/{id}/move)
+   *               memorized:
+   *                 type: boolean
+   *                 example: true
+   *               tags:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                 example: ["food", "ielts band 7"]
+   *                 description: Replaces the card's tags (an empty array removes them all)
+   *               partOfSpeech:
+   *                 type: string
+   *                 example: noun
+   *               ipa:
+   *                 type: string
+   *                 example: /həˈləʊ/
+   *               synonyms:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                 example: ["hi"]
+   *               antonyms:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                 example: ["goodbye"]
+   *               mnemonic:
+   *                 type: string
+   *                 description: Free-form memory aid
+   *               examples:
+   *                 type: array
+   *                 description: Replaces the card's examples; null clears optional fields
+   *                 items:
+   *                   $ref: '#/components/schemas/CardExample'
+   *     responses:
+   *       200:
+   *         description: Card updated successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Card updated successfully
+   *                 data:
+   *                   $ref: '#/components/schemas/Card'
+   *       404:
+   *         description: Card or target deck not found
+   */
+  static async updateCard(req, res) {
+    try {
+      const card = await CardService.updateCard(req.params.id, req.user.id, req.body);
+      
+      sendSuccess(res, card, 'Card updated successfully');
+    } catch (error) {
+      console.error('Update card error:', error);
+      
+      if (error.message === 'Card not found' || error.message === 'Deck not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      if (error.message.startsWith('Invalid cloze syntax')) {
+        return sendError(res, error.message, 400);
+      }
+      
+      sendError(res, 'Failed to update card', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/cards/{id}/move:
+   *   post:
+   *     summary: Move a card to another deck
+   *     description: Card counts of both decks are updated. The card keeps its review progress unless resetProgress is set.
+   *     tags: [Cards]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Card ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - deckId
+   *             properties:
+   *               deckId:
+   *                 type: string
+   *                 description: Target deck ID
+   *               resetProgress:
+   *                 type: boolean
+   *                 default: false
+   *                 description: Start the cards over as new cards instead of keeping their review progress
+   *     responses:
+   *       200:
+   *         description: Card moved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Card moved successfully
+   *                 data:
+   *                   $ref: '#/components/schemas/Card'
+   *       404:
+   *         description: Card or target deck not found
+   */
+  static async moveCard(req, res) {
+    try {
+      const card = await CardService.moveCard(req.params.id, req.user.id, req.body.deckId, req.body);
+      
+      sendSuccess(res, card, 'Card moved successfully');
+    } catch (error) {
+      console.error('Move card error:', error);
+      
+      if (error.message === 'Card not found' || error.message === 'Deck not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      sendError(res, 'Failed to move card', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/cards/{id}/copy:
+   *   post:
+   *     summary: Copy a card into a deck
+   *     description: The copy gets the card's tags, examples and media. A copy of a card made from a note is a standalone card.
+   *     tags: [Cards]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Card ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - deckId
+   *             properties:
+   *               deckId:
+   *                 type: string
+   *                 description: Target deck ID
+   *               resetProgress:
+   *                 type: boolean
+   *                 default: false
+   *                 description: Start the cards over as new cards instead of keeping their review progress
+   *     responses:
+   *       201:
+   *         description: Card copied successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Card copied successfully
+   *                 data:
+   *                   $ref: '#/components/schemas/Card'
+   *       404:
+   *         description: Card or target deck not found
+   */
+  static async copyCard(req, res) {
+    try {
+      const card = await CardService.copyCard(req.params.id, req.user.id, req.body.deckId, req.body);
+      
+      sendSuccess(res, card, 'Card copied successfully', 201);
+    } catch (error) {
+      console.error('Copy card error:', error);
+      
+      if (error.message === 'Card not found' || error.message === 'Deck not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      sendError(res, 'Failed to copy card', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/cards/bulk-move:
+   *   post:
+   *     summary: Move several cards to a deck
+   *     description: Cards may come from different decks; card counts of every deck involved are updated. Cards that do not belong to the user are skipped.
+   *     tags: [Cards]
+   *     security:
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - cardIds
+   *               - deckId
+   *             properties:
+   *               cardIds:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                 maxItems: 1000
+   *               deckId:
+   *                 type: string
+   *                 description: Target deck ID
+   *               resetProgress:
+   *                 type: boolean
+   *                 default: false
+   *                 description: Start the cards over as new cards instead of keeping their review progress
+   *     responses:
+   *       200:
+   *         description: Cards moved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Cards moved successfully
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     deckId:
+   *                       type: string
+   *                     movedCards:
+   *                       type: integer
+   *       404:
+   *         description: Target deck not found
+   */
+  static async bulkMoveCards(req, res) {
+    try {
+      const result = await CardService.moveCards(req.user.id, req.body.cardIds, req.body.deckId, req.body);
+      
+      sendSuccess(res, result, 'Cards moved successfully');
+    } catch (error) {
+      console.error('Bulk move cards error:', error);
+      
+      if (error.message === 'Card not found' || error.message === 'Deck not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      sendError(res, 'Failed to move cards', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/cards/bulk-copy:
+   *   post:
+   *     summary: Copy several cards into a deck
+   *     description: Cards that do not belong to the user are skipped.
+   *     tags: [Cards]
+   *     security:
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - cardIds
+   *               - deckId
+   *             properties:
+   *               cardIds:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                 maxItems: 1000
+   *               deckId:
+   *                 type: string
+   *                 description: Target deck ID
+   *               resetProgress:
+   *                 type: boolean
+   *                 default: false
+   *                 description: Start the cards over as new cards instead of keeping their review progress
+   *     responses:
+   *       201:
+   *         description: Cards copied successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Cards copied successfully
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     deckId:
+   *                       type: string
+   *                     copiedCards:
+   *                       type: integer
+   *                     cardIds:
+   *                       type: array
+   *                       description: IDs of the copies, in the order of the given card IDs
+   *                       items:
+   *                         type: string
+   *       404:
+   *         description: Target deck not found
+   */
+  static async bulkCopyCards(req, res) {
+    try {
+      const result = await CardService.copyCards(req.user.id, req.body.cardIds, req.body.deckId, req.body);
+      
+      sendSuccess(res, result, 'Cards copied successfully', 201);
+    } catch (error) {
+      console.error('Bulk copy cards error:', error);
+      
+      if (error.message === 'Card not found' || error.message === 'Deck not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      sendError(res, 'Failed to copy cards', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/cards/{id}:
+   *   delete:
+   *     summary: Delete card
+   *     description: Moves the card to the trash, from where it can be restored until it is purged.
+   *     tags: [Cards]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Card ID
+   *     responses:
+   *       200:
+   *         description: Card deleted successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Success'
+   *       404:
+   *         description: Card not found
+   */
+  static async deleteCard(req, res) {
+    try {
+      await CardService.deleteCard(req.params.id, req.user.id);
+      
+      sendSuccess(res, null, 'Card deleted successfully');
+    } catch (error) {
+      console.error('Delete card error:', error);
+      
+      if (error.message === 'Card not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      sendError(res, 'Failed to delete card', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/cards/{id}/restore:
+   *   post:
+   *     summary: Restore a card from the trash
+   *     description: The card goes back into its deck. If the deck is in the trash too, restore the deck first.
+   *     tags: [Cards]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Card ID
+   *     responses:
+   *       200:
+   *         description: Card restored successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Card restored successfully
+   *                 data:
+   *                   $ref: '#/components/schemas/Card'
+   *       400:
+   *         description: The card's deck is in the trash
+   *       404:
+   *         description: Card not found in the trash
+   */
+  static async restoreCard(req, res) {
+    try {
+      const card = await CardService.restoreCard(req.params.id, req.user.id);
+      
+      sendSuccess(res, card, 'Card restored successfully');
+    } catch (error) {
+      console.error('Restore card error:', error);
+      
+      if (error.message === 'Card not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      if (error.message === 'Card deck is in the trash') {
+        return sendError(res, error.message, 400);
+      }
+      
+      sendError(res, 'Failed to restore card', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/cards/{id}/toggle-memorized:
+   *   patch:
+   *     summary: Toggle card memorized status
+   *     tags: [Cards]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Card ID
+   *     responses:
+   *       200:
+   *         description: Card memorized status toggled successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Card memorized status updated successfully
+   *                 data:
+   *                   $ref: '#/components/schemas/Card'
+   *       404:
+   *         description: Card not found
+   */
+  static async toggleMemorized(req, res) {
+    try {
+      const card = await CardService.toggleMemorized(req.params.id, req.user.id);
+      
+      sendSuccess(res, card, 'Card memorized status updated successfully');
+    } catch (error) {
+      console.error('Toggle memorized error:', error);
+      
+      if (error.message === 'Card not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      sendError(res, 'Failed to update card status', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/cards/{id}/unsuspend:
+   *   post:
+   *     summary: Unsuspend a card
+   *     description: Puts a suspended card (e.g. an auto-suspended leech) back into study. The leech flag and lapse count are kept.
+   *     tags: [Cards]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Card ID
+   *     responses:
+   *       200:
+   *         description: Card unsuspended successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Card unsuspended successfully
+   *                 data:
+   *                   $ref: '#/components/schemas/Card'
+   *       404:
+   *         description: Card not found
+   */
+  static async unsuspendCard(req, res) {
+    try {
+      const card = await CardService.unsuspendCard(req.params.id, req.user.id);
+      
+      sendSuccess(res, card, 'Card unsuspended successfully');
+    } catch (error) {
+      console.error('Unsuspend card error:', error);
+      
+      if (error.message === 'Card not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      sendError(res, 'Failed to unsuspend card', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/cards/{id}/media:
+   *   post:
+   *     summary: Attach an audio or image file to a card
+   *     description: Pronunciation audio or a picture for the card. The file is served back by GET /api/media/{mediaId}.
+   *     tags: [Cards]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Card ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - file
+   *             properties:
+   *               file:
+   *                 type: string
+   *                 format: binary
+   *                 description: MP3, M4A, AAC, OGG, WAV, WebM audio or JPEG, PNG, GIF, WebP image (5 MB max by default)
+   *     responses:
+   *       201:
+   *         description: Media uploaded successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Media uploaded successfully
+   *                 data:
+   *                   $ref: '#/components/schemas/Media'
+   *       400:
+   *         description: Missing file, unsupported type, content not matching its type or file too large
+   *       404:
+   *         description: Card not found
    */
-  static async createCard(req, res) {
+  static async uploadCardMedia(req, res) {
     try {
-      const card = await CardService.createCard(req.user.id, req.params.deckId, req.body);
+      const media = await MediaService.addCardMedia(req.params.id, req.user.id, req.file);
       
-      sendSuccess(res, card, 'Card created successfully', 201);
+      sendSuccess(res, media, 'Media uploaded successfully', 201);
     } catch (error) {
-      console.error('Create card error:', error);
+      console.error('Upload card media error:', error);
       
-      if (error.message === 'Deck not found') {
+      if (error.message === 'Card not found') {
         return sendError(res, error.message, 404);
       }
       
-      sendError(res, 'Failed to create card', 500, error.message);
+      if (error.message === 'Unsupported media type' || error.message === 'File content does not match its media type') {
+        return sendError(res, error.message, 400);
+      }
+      
+      sendError(res, 'Failed to upload media', 500, error.message);
     }
   }
 
   /**
    * @swagger
-   * /api/decks/{deckId}/cards:
-   *   get:
-   *     summary: Get cards in a deck
+   * /api/cards/{id}/review:
+   *   post:
+   *     summary: Review a card and reschedule it with the deck's scheduler
    *     tags: [Cards]
    *     security:
    *       - BearerAuth: []
    *     parameters:
    *       - in: path
-   *         name: deckId
+   *         name: id
    *         required: true
    *         schema:
    *           type: string
-   *         description: Deck ID
-   *       - in: query
-   *         name: page
-   *         schema:
-   *           type: integer
-   *           minimum: 1
-   *           default: 1
-   *         description: Page number
-   *       - in: query
-   *         name: limit
-   *         schema:
-   *           type: integer
-   *           minimum: 1
-   *           maximum: 100
-   *           default: 10
-   *         description: Number of items per page
-   *       - in: query
-   *         name: search
-   *         schema:
-   *           type: string
-   *         description: Search term for card front/back text
-   *       - in: query
-   *         name: memorized
-   *         schema:
-   *           type: string
-   *           enum: [true, false]
-   *         description: Filter by memorized status
-   *       - in: query
-   *         name: sortBy
-   *         schema:
-   *           type: string
-   *           enum: [frontText, backText, memorized, createdAt, updatedAt]
-   *           default: createdAt
-   *         description: Sort field
-   *       - in: query
-   *         name: sortOrder
-   *         schema:
-   *           type: string
-   *           enum: [asc, desc]
-   *           default: desc
-   *         description: Sort order
+   *         description: Card ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - quality
+   *             properties:
+   *               quality:
+   *                 type: integer
+   *                 minimum: 0
+   *                 maximum: 5
+   *                 example: 4
+   *                 description: Recall quality (0 = blackout, 5 = perfect)
+   *               timeTaken:
+   *                 type: integer
+   *                 minimum: 0
+   *                 example: 4200
+   *                 description: Time spent answering in milliseconds
+   *               variant:
+   *                 type: string
+   *                 nullable: true
+   *                 example: reverse
+   *                 description: Reviewed variant as returned by the study endpoint (omit for the front → back direction)
    *     responses:
    *       200:
-   *         description: Cards retrieved successfully
+   *         description: Card reviewed successfully
    *         content:
    *           application/json:
    *             schema:
@@ -141,53 +1276,41 @@ class CardController {
    *                   example: true
    *                 message:
    *                   type: string
-   *                   example: Cards retrieved successfully
+   *                   example: Card reviewed successfully
    *                 data:
-   *                   type: array
-   *                   items:
-   *                     $ref: '#/components/schemas/Card'
-   *                 pagination:
-   *                   type: object
-   *                   properties:
-   *                     page:
-   *                       type: integer
-   *                     limit:
-   *                       type: integer
-   *                     total:
-   *                       type: integer
-   *                     pages:
-   *                       type: integer
+   *                   $ref: '#/components/schemas/StudyItem'
+   *       400:
+   *         description: Validation error
+   *       404:
+   *         description: Card not found
    */
-  static async getDeckCards(req, res) {
+  static async reviewCard(req, res) {
     try {
-      const { page, limit, search, memorized, sortBy, sortOrder } = req.query;
+      const { quality, timeTaken, variant } = req.body;
       
-      const result = await CardService.getDeckCards(req.user.id, req.params.deckId, {
-        page: parseInt(page) || 1,
-        limit: parseInt(limit) || 10,
-        search,
-        memorized,
-        sortBy,
-        sortOrder,
+      const card = await CardService.reviewCard(req.params.id, req.user.id, quality, {
+        timeTaken,
+        variant,
       });
       
-      sendPaginated(res, result.cards, result.pagination, 'Cards retrieved successfully');
+      sendSuccess(res, card, 'Card reviewed successfully');
     } catch (error) {
-      console.error('Get deck cards error:', error);
+      console.error('Review card error:', error);
       
-      if (error.message === 'Deck not found') {
+      if (error.message === 'Card not found' || error.message === 'Card variant not found') {
         return sendError(res, error.message, 404);
       }
       
-      sendError(res, 'Failed to get cards', 500, error.message);
+      sendError(res, 'Failed to review card', 500, error.message);
     }
   }
 
   /**
    * @swagger
-   * /api/cards/{id}:
-   *   get:
-   *     summary: Get card by ID
+   * /api/cards/{id}/check-answer:
+   *   post:
+   *     summary: Grade a typed answer for a card
+   *     description: Comparison ignores case, extra whitespace and Vietnamese diacritics, accepts alternatives separated by ";" or "/" and allows a small number of typos.
    *     tags: [Cards]
    *     security:
    *       - BearerAuth: []
@@ -198,9 +1321,30 @@ class CardController {
    *         schema:
    *           type: string
    *         description: Card ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - answer
+   *             properties:
+   *               answer:
+   *                 type: string
+   *                 example: xin chao
+   *               reverse:
+   *                 type: boolean
+   *                 default: false
+   *                 description: Grade against frontText instead of backText
+   *               tolerance:
+   *                 type: integer
+   *                 minimum: 0
+   *                 maximum: 10
+   *                 description: Allowed edit distance (defaults to 0-2 depending on answer length)
    *     responses:
    *       200:
-   *         description: Card retrieved successfully
+   *         description: Answer graded successfully
    *         content:
    *           application/json:
    *             schema:
@@ -211,33 +1355,38 @@ class CardController {
    *                   example: true
    *                 message:
    *                   type: string
-   *                   example: Card retrieved successfully
+   *                   example: Answer graded successfully
    *                 data:
-   *                   $ref: '#/components/schemas/Card'
+   *                   $ref: '#/components/schemas/AnswerGrading'
    *       404:
    *         description: Card not found
    */
-  static async getCardById(req, res) {
+  static async checkTypedAnswer(req, res) {
     try {
-      const card = await CardService.getCardById(req.params.id, req.user.id);
+      const { answer, reverse, tolerance } = req.body;
       
-      sendSuccess(res, card, 'Card retrieved successfully');
+      const result = await CardService.checkTypedAnswer(req.params.id, req.user.id, answer, {
+        reverse,
+        tolerance,
+      });
+      
+      sendSuccess(res, result, 'Answer graded successfully');
     } catch (error) {
-      console.error('Get card by ID error:', error);
+      console.error('Check typed answer error:', error);
       
       if (error.message === 'Card not found') {
         return sendError(res, error.message, 404);
       }
       
-      sendError(res, 'Failed to get card', 500, error.message);
+      sendError(res, 'Failed to grade answer', 500, error.message);
     }
   }
 
   /**
    * @swagger
-   * /api/cards/{id}:
-   *   put:
-   *     summary: Update card
+   * /api/cards/{id}/reviews:
+   *   get:
+   *     summary: Get the review history of a card
    *     tags: [Cards]
    *     security:
    *       - BearerAuth: []
@@ -248,25 +1397,24 @@ class CardController {
    *         schema:
    *           type: string
    *         description: Card ID
-   *     requestBody:
-   *       required: true
-   *       content:
-   *         application/json:
-   *           schema:
-   *             type: object
-   *             properties:
-   *               frontText:
-   *                 type: string
-   *                 example: Updated Hello
-   *               backText:
-   *                 type: string
-   *                 example: Updated Xin chào
-   *               memorized:
-   *                 type: boolean
-   *                 example: true
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *         description: Page number
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *           default: 10
+   *         description: Number of items per page
    *     responses:
    *       200:
-   *         description: Card updated successfully
+   *         description: Review history retrieved successfully
    *         content:
    *           application/json:
    *             schema:
@@ -277,33 +1425,47 @@ class CardController {
    *                   example: true
    *                 message:
    *                   type: string
-   *                   example: Card updated successfully
+   *                   example: Review history retrieved successfully
    *                 data:
-   *                   $ref: '#/components/schemas/Card'
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/ReviewLog'
+   *                 pagination:
+   *                   type: object
+   *                   properties:
+   *                     page:
+   *                       type: integer
+   *                     limit:
+   *                       type: integer
+   *                     total:
+   *                       type: integer
+   *                     pages:
+   *                       type: integer
    *       404:
    *         description: Card not found
    */
-  static async updateCard(req, res) {
+  static async getCardReviews(req, res) {
     try {
-      const card = await CardService.updateCard(req.params.id, req.user.id, req.body);
+      const result = await CardService.getCardReviews(req.params.id, req.user.id, req.pagination);
       
-      sendSuccess(res, card, 'Card updated successfully');
+      sendPaginated(res, result.reviews, result.pagination, 'Review history retrieved successfully');
     } catch (error) {
-      console.error('Update card error:', error);
+      console.error('Get card reviews error:', error);
       
       if (error.message === 'Card not found') {
         return sendError(res, error.message, 404);
       }
       
-      sendError(res, 'Failed to update card', 500, error.message);
+      sendError(res, 'Failed to get review history', 500, error.message);
     }
   }
 
   /**
    * @swagger
-   * /api/cards/{id}:
-   *   delete:
-   *     summary: Delete card
+   * /api/cards/{id}/history:
+   *   get:
+   *     summary: Get the edit history of a card
+   *     description: Every edit of the front or back text is kept as a version (a note edit too, for each card it changes), newest (the current text) first. The oldest version is the baseline: the text the card had before its first edit.
    *     tags: [Cards]
    *     security:
    *       - BearerAuth: []
@@ -314,37 +1476,75 @@ class CardController {
    *         schema:
    *           type: string
    *         description: Card ID
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *         description: Page number
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *           default: 10
+   *         description: Number of items per page
    *     responses:
    *       200:
-   *         description: Card deleted successfully
+   *         description: Edit history retrieved successfully
    *         content:
    *           application/json:
    *             schema:
-   *               $ref: '#/components/schemas/Success'
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Edit history retrieved successfully
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/CardVersion'
+   *                 pagination:
+   *                   type: object
+   *                   properties:
+   *                     page:
+   *                       type: integer
+   *                     limit:
+   *                       type: integer
+   *                     total:
+   *                       type: integer
+   *                     pages:
+   *                       type: integer
    *       404:
    *         description: Card not found
    */
-  static async deleteCard(req, res) {
+  static async getCardHistory(req, res) {
     try {
-      await CardService.deleteCard(req.params.id, req.user.id);
+      const result = await CardService.getCardHistory(req.params.id, req.user.id, req.pagination);
       
-      sendSuccess(res, null, 'Card deleted successfully');
+      sendPaginated(res, result.versions, result.pagination, 'Edit history retrieved successfully');
     } catch (error) {
-      console.error('Delete card error:', error);
+      console.error('Get card history error:', error);
       
       if (error.message === 'Card not found') {
         return sendError(res, error.message, 404);
       }
       
-      sendError(res, 'Failed to delete card', 500, error.message);
+      sendError(res, 'Failed to get edit history', 500, error.message);
     }
   }
 
   /**
    * @swagger
-   * /api/cards/{id}/toggle-memorized:
-   *   patch:
-   *     summary: Toggle card memorized status
+   * /api/cards/{id}/revert/{versionId}:
+   *   post:
+   *     summary: Revert a card's text to an earlier version
+   *     description: The front and back text are set back to the version's. The revert is recorded as a new version, so it can be undone the same way.
    *     tags: [Cards]
    *     security:
    *       - BearerAuth: []
@@ -355,9 +1555,15 @@ class CardController {
    *         schema:
    *           type: string
    *         description: Card ID
+   *       - in: path
+   *         name: versionId
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Version ID from the card's history
    *     responses:
    *       200:
-   *         description: Card memorized status toggled successfully
+   *         description: Card reverted successfully
    *         content:
    *           application/json:
    *             schema:
@@ -368,25 +1574,31 @@ class CardController {
    *                   example: true
    *                 message:
    *                   type: string
-   *                   example: Card memorized status updated successfully
+   *                   example: Card reverted successfully
    *                 data:
    *                   $ref: '#/components/schemas/Card'
+   *       400:
+   *         description: The card is made from a note (edit the note's fields instead)
    *       404:
-   *         description: Card not found
+   *         description: Card or version not found
    */
-  static async toggleMemorized(req, res) {
+  static async revertCard(req, res) {
     try {
-      const card = await CardService.toggleMemorized(req.params.id, req.user.id);
+      const card = await CardService.revertCard(req.params.id, req.user.id, req.params.versionId);
       
-      sendSuccess(res, card, 'Card memorized status updated successfully');
+      sendSuccess(res, card, 'Card reverted successfully');
     } catch (error) {
-      console.error('Toggle memorized error:', error);
+      console.error('Revert card error:', error);
       
-      if (error.message === 'Card not found') {
+      if (error.message === 'Card not found' || error.message === 'Version not found') {
         return sendError(res, error.message, 404);
       }
       
-      sendError(res, 'Failed to update card status', 500, error.message);
+      if (error.message === 'Cards made from a note cannot be reverted') {
+        return sendError(res, error.message, 400);
+      }
+      
+      sendError(res, 'Failed to revert card', 500, error.message);
     }
   }
 
@@ -478,9 +1690,10 @@ class CardController {
 
   /**
    * @swagger
-   * /api/decks/{deckId}/study:
+   * /api/decks/{deckId}/cards/study:
    *   get:
-   *     summary: Get cards for study session
+   *     summary: Get cards that are due for review
+   *     description: Items follow the deck's direction. Reverse items use backText as the prompt and carry their own scheduling state. Cards in their learning steps come first, then reviews and new cards within the deck's daily limits (reset at the user's local midnight). Suspended cards are left out.
    *     tags: [Cards]
    *     security:
    *       - BearerAuth: []
@@ -511,6 +1724,17 @@ class CardController {
    *           type: boolean
    *           default: false
    *         description: Only include unmemorized cards
+   *       - in: query
+   *         name: tag
+   *         schema:
+   *           type: string
+   *         description: Only cards with this tag
+   *       - in: query
+   *         name: includeSubdecks
+   *         schema:
+   *           type: boolean
+   *           default: false
+   *         description: Also study the subdecks; each deck keeps its own daily limits and the decks take turns
    *     responses:
    *       200:
    *         description: Study cards retrieved successfully
@@ -528,16 +1752,18 @@ class CardController {
    *                 data:
    *                   type: array
    *                   items:
-   *                     $ref: '#/components/schemas/Card'
+   *                     $ref: '#/components/schemas/StudyItem'
    */
   static async getStudyCards(req, res) {
     try {
-      const { limit, memorizedOnly, unmemorizedOnly } = req.query;
+      const { limit, memorizedOnly, unmemorizedOnly, tag, includeSubdecks } = req.query;
       
       const cards = await CardService.getStudyCards(req.user.id, req.params.deckId, {
         limit: parseInt(limit) || 20,
         memorizedOnly: memorizedOnly === 'true',
         unmemorizedOnly: unmemorizedOnly === 'true',
+        tag,
+        includeSubdecks: includeSubdecks === 'true',
       });
       
       sendSuccess(res, cards, 'Study cards retrieved successfully');
@@ -566,7 +1792,7 @@ class CardController {
    *         required: true
    *         schema:
    *           type: string
-   *         description: Search query
+   *         description: Search query (matches card text, part of speech, IPA, examples, mnemonic, synonyms and antonyms)
    *       - in: query
    *         name: page
    *         schema:
@@ -593,6 +1819,11 @@ class CardController {
    *           type: string
    *           enum: [true, false]
    *         description: Filter by memorized status
+   *       - in: query
+   *         name: tag
+   *         schema:
+   *           type: string
+   *         description: Only cards with this tag
    *     responses:
    *       200:
    *         description: Search results retrieved successfully
@@ -625,7 +1856,7 @@ class CardController {
    */
   static async searchCards(req, res) {
     try {
-      const { q, page, limit, deckId, memorized } = req.query;
+      const { q, page, limit, deckId, memorized, tag } = req.query;
       
       if (!q || q.trim().length === 0) {
         return sendError(res, 'Search query is required', 400);
@@ -636,6 +1867,7 @@ class CardController {
         limit: parseInt(limit) || 10,
         deckId,
         memorized,
+        tag,
       });
       
       sendPaginated(res, result.cards, result.pagination, 'Search results retrieved successfully');
@@ -685,8 +1917,24 @@ class CardController {
    *                       type: integer
    *                     unmemorizedCards:
    *                       type: integer
+   *                     dueCards:
+   *                       type: integer
    *                     progressPercentage:
    *                       type: integer
+   *                     reverse:
+   *                       type: object
+   *                       description: Reverse-direction stats (only for decks studied in reverse or both ways)
+   *                       properties:
+   *                         totalCards:
+   *                           type: integer
+   *                         memorizedCards:
+   *                           type: integer
+   *                         unmemorizedCards:
+   *                           type: integer
+   *                         dueCards:
+   *                           type: integer
+   *                         progressPercentage:
+   *                           type: integer
    */
   static async getCardStats(req, res) {
     try {
@@ -1,4 +1,8 @@
 const DeckService = require('../services/deckService');
+const StatsService = require('../services/statsService');
+const ImportService = require('../services/importService');
+const ExportService = require('../services/exportService');
+const StatsController = require('./statsController');
 const { sendSuccess, sendError, sendPaginated } = require('../utils/response');
 
 /**
@@ -28,6 +32,38 @@ class DeckController {
    *               description:
    *                 type: string
    *                 example: Basic English vocabulary for beginners
+   *               parentId:
+   *                 type: string
+   *                 nullable: true
+   *                 description: Create the deck as a subdeck of this deck
+   *               scheduler:
+   *                 type: string
+   *                 enum: [sm2, fsrs]
+   *                 nullable: true
+   *                 description: Scheduler for this deck (null = use the user's setting)
+   *               desiredRetention:
+   *                 type: number
+   *                 minimum: 0.7
+   *                 maximum: 0.99
+   *                 nullable: true
+   *                 example: 0.9
+   *                 description: FSRS target retention (null = use the user's setting)
+   *               direction:
+   *                 type: string
+   *                 enum: [forward, reverse, both]
+   *                 default: forward
+   *                 description: Which way cards are studied; "both" schedules each direction independently
+   *               leechThreshold:
+   *                 type: integer
+   *                 minimum: 1
+   *                 maximum: 100
+   *                 default: 8
+   *                 description: Lapses after which a card becomes a leech
+   *               leechAction:
+   *                 type: string
+   *                 enum: [suspend, tag]
+   *                 default: suspend
+   *                 description: Whether leeches are suspended or only flagged
    *     responses:
    *       201:
    *         description: Deck created successfully
@@ -44,6 +80,8 @@ class DeckController {
    *                   example: Deck created successfully
    *                 data:
    *                   $ref: '#/components/schemas/Deck'
+   *       404:
+   *         description: Parent deck not found
    */
   static async createDeck(req, res) {
     try {
@@ -52,6 +90,11 @@ class DeckController {
       sendSuccess(res, deck, 'Deck created successfully', 201);
     } catch (error) {
       console.error('Create deck error:', error);
+      
+      if (error.message === 'Parent deck not found') {
+        return sendError(res, error.message, 404);
+      }
+      
       sendError(res, 'Failed to create deck', 500, error.message);
     }
   }
@@ -61,6 +104,7 @@ class DeckController {
    * /api/decks:
    *   get:
    *     summary: Get user's decks
+   *     description: A flat, paginated list by default. With tree=true, all decks are returned nested under their parent (pagination, search and sorting do not apply).
    *     tags: [Decks]
    *     security:
    *       - BearerAuth: []
@@ -99,6 +143,12 @@ class DeckController {
    *           enum: [asc, desc]
    *           default: desc
    *         description: Sort order
+   *       - in: query
+   *         name: tree
+   *         schema:
+   *           type: boolean
+   *           default: false
+   *         description: Return the deck hierarchy instead of a page of decks
    *     responses:
    *       200:
    *         description: Decks retrieved successfully
@@ -116,7 +166,9 @@ class DeckController {
    *                 data:
    *                   type: array
    *                   items:
-   *                     $ref: '#/components/schemas/Deck'
+   *                     oneOf:
+   *                       - $ref: '#/components/schemas/Deck'
+   *                       - $ref: '#/components/schemas/DeckTreeNode'
    *                 pagination:
    *                   type: object
    *                   properties:
@@ -131,7 +183,13 @@ class DeckController {
    */
   static async getUserDecks(req, res) {
     try {
-      const { page, limit, search, sortBy, sortOrder } = req.query;
+      const { page, limit, search, sortBy, sortOrder, tree } = req.query;
+      
+      if (tree === 'true') {
+        const decks = await DeckService.getDeckTree(req.user.id);
+        
+        return sendSuccess(res, decks, 'Decks retrieved successfully');
+      }
       
       const result = await DeckService.getUserDecks(req.user.id, {
         page: parseInt(page) || 1,
@@ -226,6 +284,34 @@ class DeckController {
    *               description:
    *                 type: string
    *                 example: Updated deck description
+   *               scheduler:
+   *                 type: string
+   *                 enum: [sm2, fsrs]
+   *                 nullable: true
+   *                 description: Scheduler for this deck (null = use the user's setting)
+   *               desiredRetention:
+   *                 type: number
+   *                 minimum: 0.7
+   *                 maximum: 0.99
+   *                 nullable: true
+   *                 example: 0.9
+   *                 description: FSRS target retention (null = use the user's setting)
+   *               direction:
+   *                 type: string
+   *                 enum: [forward, reverse, both]
+   *                 default: forward
+   *                 description: Which way cards are studied; "both" schedules each direction independently
+   *               leechThreshold:
+   *                 type: integer
+   *                 minimum: 1
+   *                 maximum: 100
+   *                 default: 8
+   *                 description: Lapses after which a card becomes a leech
+   *               leechAction:
+   *                 type: string
+   *                 enum: [suspend, tag]
+   *                 default: suspend
+   *                 description: Whether leeches are suspended or only flagged
    *     responses:
    *       200:
    *         description: Deck updated successfully
@@ -266,6 +352,7 @@ class DeckController {
    * /api/decks/{id}:
    *   delete:
    *     summary: Delete deck
+   *     description: Moves the deck, its subdecks and their cards to the trash, from where they can be restored until they are purged.
    *     tags: [Decks]
    *     security:
    *       - BearerAuth: []
@@ -304,9 +391,10 @@ class DeckController {
 
   /**
    * @swagger
-   * /api/decks/{id}/stats:
-   *   get:
-   *     summary: Get deck statistics
+   * /api/decks/{id}/restore:
+   *   post:
+   *     summary: Restore a deck from the trash
+   *     description: Brings back the subdecks and cards deleted with the deck. A deck whose parent is still in the trash comes back at the top level.
    *     tags: [Decks]
    *     security:
    *       - BearerAuth: []
@@ -319,7 +407,7 @@ class DeckController {
    *         description: Deck ID
    *     responses:
    *       200:
-   *         description: Deck statistics retrieved successfully
+   *         description: Deck restored successfully
    *         content:
    *           application/json:
    *             schema:
@@ -330,76 +418,200 @@ class DeckController {
    *                   example: true
    *                 message:
    *                   type: string
-   *                   example: Deck statistics retrieved successfully
+   *                   example: Deck restored successfully
    *                 data:
-   *                   type: object
-   *                   properties:
-   *                     deckId:
-   *                       type: string
-   *                     deckName:
-   *                       type: string
-   *                     totalCards:
-   *                       type: integer
-   *                     memorizedCards:
-   *                       type: integer
-   *                     unmemorizedCards:
-   *                       type: integer
-   *                     progressPercentage:
-   *                       type: integer
-   *                     recentCards:
-   *                       type: integer
+   *                   $ref: '#/components/schemas/Deck'
    *       404:
-   *         description: Deck not found
+   *         description: Deck not found in the trash
    */
-  static async getDeckStats(req, res) {
+  static async restoreDeck(req, res) {
     try {
-      const stats = await DeckService.getDeckStats(req.params.id, req.user.id);
+      const deck = await DeckService.restoreDeck(req.params.id, req.user.id);
       
-      sendSuccess(res, stats, 'Deck statistics retrieved successfully');
+      sendSuccess(res, deck, 'Deck restored successfully');
     } catch (error) {
-      console.error('Get deck stats error:', error);
+      console.error('Restore deck error:', error);
       
       if (error.message === 'Deck not found') {
         return sendError(res, error.message, 404);
       }
       
-      sendError(res, 'Failed to get deck statistics', 500, error.message);
+      sendError(res, 'Failed to restore deck', 500, error.message);
     }
   }
 
   /**
    * @swagger
-   * /api/decks/search:
-   *   get:
-   *     summary: Search decks
+   * /api/decks/{id}/move:
+   *   post:
+   *     summary: Move a deck under another deck
+   *     description: Subdecks move along. A deck cannot be moved into itself or one of its own subdecks.
    *     tags: [Decks]
    *     security:
    *       - BearerAuth: []
    *     parameters:
-   *       - in: query
-   *         name: q
+   *       - in: path
+   *         name: id
    *         required: true
    *         schema:
    *           type: string
-   *         description: Search query
-   *       - in: query
-   *         name: page
+   *         description: Deck ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - parentId
+   *             properties:
+   *               parentId:
+   *                 type: string
+   *                 nullable: true
+   *                 description: New parent deck, or null for the top level
+   *     responses:
+   *       200:
+   *         description: Deck moved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Deck moved successfully
+   *                 data:
+   *                   $ref: '#/components/schemas/Deck'
+   *       400:
+   *         description: Validation error or the move would create a cycle
+   *       404:
+   *         description: Deck or parent deck not found
+   */
+  static async moveDeck(req, res) {
+    try {
+      const deck = await DeckService.moveDeck(req.params.id, req.user.id, req.body.parentId);
+      
+      sendSuccess(res, deck, 'Deck moved successfully');
+    } catch (error) {
+      console.error('Move deck error:', error);
+      
+      if (error.message === 'Deck not found' || error.message === 'Parent deck not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      if (error.message === 'Cannot move a deck into itself or one of its subdecks') {
+        return sendError(res, error.message, 400);
+      }
+      
+      sendError(res, 'Failed to move deck', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/decks/{id}/clone:
+   *   post:
+   *     summary: Copy a deck with all its cards
+   *     description: The copy gets the deck's settings and study options and sits next to it. Notes and media files are copied too. Subdecks are not copied.
+   *     tags: [Decks]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
    *         schema:
-   *           type: integer
-   *           minimum: 1
-   *           default: 1
-   *         description: Page number
-   *       - in: query
-   *         name: limit
+   *           type: string
+   *         description: Deck ID
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 description: Name of the copy (default "<name> (copy)")
+   *               resetProgress:
+   *                 type: boolean
+   *                 default: false
+   *                 description: Start the copied cards as new cards instead of keeping their review progress
+   *     responses:
+   *       201:
+   *         description: Deck cloned successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Deck cloned successfully
+   *                 data:
+   *                   $ref: '#/components/schemas/Deck'
+   *       404:
+   *         description: Deck not found
+   */
+  static async cloneDeck(req, res) {
+    try {
+      const deck = await DeckService.cloneDeck(req.params.id, req.user.id, req.body);
+      
+      sendSuccess(res, deck, 'Deck cloned successfully', 201);
+    } catch (error) {
+      console.error('Clone deck error:', error);
+      
+      if (error.message === 'Deck not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      sendError(res, 'Failed to clone deck', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/decks/{id}/merge:
+   *   post:
+   *     summary: Merge other decks into a deck
+   *     description: The cards of the source decks move into this deck and the source decks are moved to the trash; their subdecks become subdecks of this deck. Cards with the same front text (ignoring case, spacing and diacritics) as a card already in the deck are handled by the duplicates strategy; dropped cards go to the trash.
+   *     tags: [Decks]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
    *         schema:
-   *           type: integer
-   *           minimum: 1
-   *           maximum: 100
-   *           default: 10
-   *         description: Number of items per page
+   *           type: string
+   *         description: Deck ID to merge into
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - sourceDeckIds
+   *             properties:
+   *               sourceDeckIds:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                 example: ["deck2", "deck3"]
+   *               duplicates:
+   *                 type: string
+   *                 enum: [keep, skip, replace]
+   *                 default: keep
+   *                 description: keep both cards, skip (drop) the incoming card, or replace the existing card with the incoming one
    *     responses:
    *       200:
-   *         description: Search results retrieved successfully
+   *         description: Decks merged successfully
    *         content:
    *           application/json:
    *             schema:
@@ -410,42 +622,747 @@ class DeckController {
    *                   example: true
    *                 message:
    *                   type: string
-   *                   example: Search results retrieved successfully
+   *                   example: Decks merged successfully
    *                 data:
-   *                   type: array
-   *                   items:
-   *                     $ref: '#/components/schemas/Deck'
-   *                 pagination:
    *                   type: object
    *                   properties:
-   *                     page:
-   *                       type: integer
-   *                     limit:
-   *                       type: integer
-   *                     total:
+   *                     deckId:
+   *                       type: string
+   *                     mergedDeckIds:
+   *                       type: array
+   *                       items:
+   *                         type: string
+   *                     duplicates:
+   *                       type: string
+   *                     movedCards:
    *                       type: integer
-   *                     pages:
+   *                     removedCards:
    *                       type: integer
+   *                       description: Duplicates that were dropped or replaced
    *       400:
-   *         description: Search query is required
+   *         description: Validation error, or a deck would be merged into itself or one of its parent decks
+   *       404:
+   *         description: Deck not found
    */
-  static async searchDecks(req, res) {
+  static async mergeDecks(req, res) {
     try {
-      const { q, page, limit } = req.query;
+      const result = await DeckService.mergeDecks(req.params.id, req.user.id, req.body);
       
-      if (!q || q.trim().length === 0) {
-        return sendError(res, 'Search query is required', 400);
+      sendSuccess(res, result, 'Decks merged successfully');
+    } catch (error) {
+      console.error('Merge decks error:', error);
+      
+      if (error.message === 'Deck not found') {
+        return sendError(res, error.message, 404);
       }
       
-      const result = await DeckService.searchDecks(req.user.id, q.trim(), {
-        page: parseInt(page) || 1,
-        limit: parseInt(limit) || 10,
-      });
+      if (error.message === 'Cannot merge a deck into itself or one of its parent decks') {
+        return sendError(res, error.message, 400);
+      }
       
-      sendPaginated(res, result.decks, result.pagination, 'Search results retrieved successfully');
-    } catch (error) {
-      console.error('Search decks error:', error);
-      sendError(res, 'Failed to search decks', 500, error.message);
+      sendError(res, 'Failed to merge decks', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/decks/{id}/split:
+   *   post:
+   *     summary: Move some cards of a deck into a new deck
+   *     description: Cards are chosen by ID and/or the same filters as the card list. The new deck gets the deck's settings and study options and sits next to it.
+   *     tags: [Decks]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Deck ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - name
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 example: IELTS - Environment
+   *               cardIds:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               search:
+   *                 type: string
+   *               memorized:
+   *                 type: boolean
+   *               leech:
+   *                 type: boolean
+   *               tag:
+   *                 type: string
+   *     responses:
+   *       201:
+   *         description: Deck split successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Deck split successfully
+   *                 data:
+   *                   $ref: '#/components/schemas/Deck'
+   *       400:
+   *         description: Validation error or no cards match the filter
+   *       404:
+   *         description: Deck not found
+   */
+  static async splitDeck(req, res) {
+    try {
+      const deck = await DeckService.splitDeck(req.params.id, req.user.id, req.body);
+      
+      sendSuccess(res, deck, 'Deck split successfully', 201);
+    } catch (error) {
+      console.error('Split deck error:', error);
+      
+      if (error.message === 'Deck not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      if (error.message === 'No cards match the filter') {
+        return sendError(res, error.message, 400);
+      }
+      
+      sendError(res, 'Failed to split deck', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/decks/{id}/stats:
+   *   get:
+   *     summary: Get deck statistics
+   *     tags: [Decks]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Deck ID
+   *       - in: query
+   *         name: includeSubdecks
+   *         schema:
+   *           type: boolean
+   *           default: false
+   *         description: Count the cards of all subdecks too
+   *     responses:
+   *       200:
+   *         description: Deck statistics retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Deck statistics retrieved successfully
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     deckId:
+   *                       type: string
+   *                     deckName:
+   *                       type: string
+   *                     includeSubdecks:
+   *                       type: boolean
+   *                     deckCount:
+   *                       type: integer
+   *                       description: Number of decks counted (1 without subdecks)
+   *                     totalCards:
+   *                       type: integer
+   *                     memorizedCards:
+   *                       type: integer
+   *                     unmemorizedCards:
+   *                       type: integer
+   *                     progressPercentage:
+   *                       type: integer
+   *                     recentCards:
+   *                       type: integer
+   *       404:
+   *         description: Deck not found
+   */
+  static async getDeckStats(req, res) {
+    try {
+      const stats = await DeckService.getDeckStats(req.params.id, req.user.id, {
+        includeSubdecks: req.query.includeSubdecks === 'true',
+      });
+      
+      sendSuccess(res, stats, 'Deck statistics retrieved successfully');
+    } catch (error) {
+      console.error('Get deck stats error:', error);
+      
+      if (error.message === 'Deck not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      sendError(res, 'Failed to get deck statistics', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/decks/{id}/forecast:
+   *   get:
+   *     summary: Forecast of cards coming due in a deck
+   *     description: Counts review items by the local day (in the user's time zone) they come due, from their last review time and current interval. Overdue items are counted on today.
+   *     tags: [Decks]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Deck ID
+   *       - in: query
+   *         name: days
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 365
+   *           default: 30
+   *         description: Number of days to forecast, starting today
+   *     responses:
+   *       200:
+   *         description: Forecast retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Forecast retrieved successfully
+   *                 data:
+   *                   $ref: '#/components/schemas/Forecast'
+   *       400:
+   *         description: Invalid number of days
+   *       404:
+   *         description: Deck not found
+   */
+  static async getDeckForecast(req, res) {
+    try {
+      const days = StatsController.parseDays(req.query.days);
+      
+      if (days === null) {
+        return sendError(res, 'Days must be a positive integer between 1 and 365', 400);
+      }
+      
+      const forecast = await StatsService.getForecast(req.user.id, { deckId: req.params.id, days });
+      
+      sendSuccess(res, forecast, 'Forecast retrieved successfully');
+    } catch (error) {
+      console.error('Get deck forecast error:', error);
+      
+      if (error.message === 'Deck not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      sendError(res, 'Failed to get forecast', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/decks/{id}/options:
+   *   get:
+   *     summary: Get deck study options
+   *     tags: [Decks]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Deck ID
+   *     responses:
+   *       200:
+   *         description: Deck options retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Deck options retrieved successfully
+   *                 data:
+   *                   $ref: '#/components/schemas/DeckOptions'
+   *       404:
+   *         description: Deck not found
+   */
+  static async getDeckOptions(req, res) {
+    try {
+      const options = await DeckService.getDeckOptions(req.params.id, req.user.id);
+      
+      sendSuccess(res, options, 'Deck options retrieved successfully');
+    } catch (error) {
+      console.error('Get deck options error:', error);
+      
+      if (error.message === 'Deck not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      sendError(res, 'Failed to get deck options', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/decks/{id}/options:
+   *   put:
+   *     summary: Update deck study options
+   *     description: Daily limits reset at midnight in the user's time zone.
+   *     tags: [Decks]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Deck ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               newCardsPerDay:
+   *                 type: integer
+   *                 minimum: 0
+   *                 example: 20
+   *               maxReviewsPerDay:
+   *                 type: integer
+   *                 minimum: 0
+   *                 example: 200
+   *               learningSteps:
+   *                 type: array
+   *                 items:
+   *                   type: integer
+   *                 example: [1, 10]
+   *                 description: Steps in minutes a new card goes through before graduating
+   *               graduatingInterval:
+   *                 type: integer
+   *                 minimum: 1
+   *                 example: 1
+   *                 description: Days until the first review after the last learning step
+   *               cardOrder:
+   *                 type: string
+   *                 enum: [sequential, random]
+   *                 description: Order new cards are introduced in
+   *     responses:
+   *       200:
+   *         description: Deck options updated successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Deck options updated successfully
+   *                 data:
+   *                   $ref: '#/components/schemas/DeckOptions'
+   *       400:
+   *         description: Validation error
+   *       404:
+   *         description: Deck not found
+   */
+  static async updateDeckOptions(req, res) {
+    try {
+      const options = await DeckService.updateDeckOptions(req.params.id, req.user.id, req.body);
+      
+      sendSuccess(res, options, 'Deck options updated successfully');
+    } catch (error) {
+      console.error('Update deck options error:', error);
+      
+      if (error.message === 'Deck not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      sendError(res, 'Failed to update deck options', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/decks/search:
+   *   get:
+   *     summary: Search decks
+   *     tags: [Decks]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: q
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Search query
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *         description: Page number
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *           default: 10
+   *         description: Number of items per page
+   *     responses:
+   *       200:
+   *         description: Search results retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Search results retrieved successfully
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/Deck'
+   *                 pagination:
+   *                   type: object
+   *                   properties:
+   *                     page:
+   *                       type: integer
+   *                     limit:
+   *                       type: integer
+   *                     total:
+   *                       type: integer
+   *                     pages:
+   *                       type: integer
+   *       400:
+   *         description: Search query is required
+   */
+  static async searchDecks(req, res) {
+    try {
+      const { q, page, limit } = req.query;
+      
+      if (!q || q.trim().length === 0) {
+        return sendError(res, 'Search query is required', 400);
+      }
+      
+      const result = await DeckService.searchDecks(req.user.id, q.trim(), {
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 10,
+      });
+      
+      sendPaginated(res, result.decks, result.pagination, 'Search results retrieved successfully');
+    } catch (error) {
+      console.error('Search decks error:', error);
+      sendError(res, 'Failed to search decks', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/decks/import:
+   *   post:
+   *     summary: Import decks and cards from an Anki package or a JSON deck export
+   *     description: |
+   *       Reads the collection of an .apkg file. Each note becomes one card in a deck named like its Anki deck ("Parent::Child" becomes nested decks, reusing the user's decks of the same name). The first field is the front and the second the back, with HTML removed; cloze notes become cloze cards.
+   *       Sounds and images used by a note are attached to its card. Packages from recent Anki versions must be exported with "Support older Anki versions" checked.
+   *       A .json file written by the JSON deck export is imported the same way, its decks found or created by path with their exported settings and every card field kept. With `includeScheduling` the exported progress is restored.
+   *     tags: [Decks]
+   *     security:
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - file
+   *             properties:
+   *               file:
+   *                 type: string
+   *                 format: binary
+   *                 description: .apkg or .json file (50 MB max by default)
+   *               includeScheduling:
+   *                 type: boolean
+   *                 default: false
+   *                 description: Carry over intervals, ease, due dates, lapses and suspension
+   *               duplicates:
+   *                 type: string
+   *                 enum: [allow, skip, merge]
+   *                 default: allow
+   *               duplicateScope:
+   *                 type: string
+   *                 enum: [deck, all]
+   *                 default: deck
+   *     responses:
+   *       201:
+   *         description: Package imported
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Package imported successfully
+   *                 data:
+   *                   $ref: '#/components/schemas/PackageImportReport'
+   *       200:
+   *         description: Nothing was created (every note skipped or invalid)
+   *       400:
+   *         description: Missing, unsupported or invalid file, or invalid options
+   */
+  static async importPackage(req, res) {
+    try {
+      const report = await ImportService.importPackage(req.user.id, req.file, req.importOptions);
+      
+      if (report.createdCount === 0) {
+        return sendSuccess(res, report, 'No cards were imported');
+      }
+      
+      sendSuccess(res, report, 'Package imported successfully', 201);
+    } catch (error) {
+      console.error('Import package error:', error);
+      
+      if (error.message.startsWith('Invalid Anki package') || error.message.startsWith('Unsupported Anki package') ||
+        error.message.startsWith('Invalid deck file') || error.message.startsWith('Unsupported deck file')) {
+        return sendError(res, error.message, 400);
+      }
+      
+      sendError(res, 'Failed to import package', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/decks/{id}/import:
+   *   post:
+   *     summary: Import cards from a CSV or TSV file
+   *     description: |
+   *       One card per row. The encoding is detected from a byte order mark, else the file is read as UTF-8 when valid and as Windows-1252 otherwise; the delimiter (comma, semicolon, tab or pipe) is detected from the first lines.
+   *       Columns are mapped to card fields with `mapping`, else by header names (front/word/term, back/meaning/definition, tags, type, partOfSpeech, ipa, mnemonic, synonyms, antonyms, example, exampleTranslation), else the first two columns are the front and back.
+   *       Lists (tags, synonyms, antonyms) are separated by commas or semicolons within a cell. Invalid rows are skipped and reported. With `dryRun` nothing is written and the first rows are previewed.
+   *     tags: [Decks]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Deck ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - file
+   *             properties:
+   *               file:
+   *                 type: string
+   *                 format: binary
+   *                 description: .csv, .tsv or .txt file (50 MB max by default)
+   *               dryRun:
+   *                 type: boolean
+   *                 default: false
+   *               hasHeader:
+   *                 type: boolean
+   *                 default: true
+   *                 description: Whether the first row holds column names
+   *               delimiter:
+   *                 type: string
+   *                 description: comma, semicolon, tab, pipe or the character itself (detected by default, a tab for .tsv files)
+   *               encoding:
+   *                 type: string
+   *                 example: windows-1258
+   *                 description: Text encoding (detected by default)
+   *               mapping:
+   *                 type: string
+   *                 example: '{"frontText":"Word","backText":"Meaning","example":3}'
+   *                 description: JSON object of card fields to header names or 0-based column indexes
+   *               duplicates:
+   *                 type: string
+   *                 enum: [allow, skip, merge]
+   *                 default: allow
+   *                 description: What to do with rows whose front text matches an existing card or an earlier row
+   *               duplicateScope:
+   *                 type: string
+   *                 enum: [deck, all]
+   *                 default: deck
+   *     responses:
+   *       200:
+   *         description: Import finished (or previewed with dryRun)
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Cards imported successfully
+   *                 data:
+   *                   $ref: '#/components/schemas/ImportReport'
+   *       400:
+   *         description: Missing or unsupported file, invalid options, unknown column or no rows to import
+   *       404:
+   *         description: Deck not found
+   */
+  static async importCards(req, res) {
+    try {
+      const report = await ImportService.importCsv(req.user.id, req.params.id, req.file, req.importOptions);
+      
+      sendSuccess(res, report, report.dryRun ? 'Import preview generated successfully' : 'Cards imported successfully');
+    } catch (error) {
+      console.error('Import cards error:', error);
+      
+      if (error.message === 'Deck not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      if (error.message === 'File has no rows to import' ||
+        error.message.startsWith('Column not found') ||
+        error.message.startsWith('Unknown import field') ||
+        error.message.startsWith('No column is mapped')) {
+        return sendError(res, error.message, 400);
+      }
+      
+      sendError(res, 'Failed to import cards', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/decks/{id}/export:
+   *   get:
+   *     summary: Export a deck to CSV, JSON or an Anki package
+   *     description: |
+   *       Streams every card of the deck as a file download.
+   *       - csv: one card per row with the columns CSV import reads (lists joined with "; ", the first example only), UTF-8 with a byte order mark
+   *       - json: every card field and the deck settings, in a versioned format that imports back through POST /api/decks/import
+   *       - apkg: an Anki package with the cards' sounds and images, which Anki and POST /api/decks/import can read
+   *     tags: [Decks]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: format
+   *         required: true
+   *         schema:
+   *           type: string
+   *           enum: [csv, json, apkg]
+   *       - in: query
+   *         name: includeProgress
+   *         schema:
+   *           type: boolean
+   *           default: false
+   *         description: Export study progress (intervals, ease, due dates, lapses, suspension)
+   *       - in: query
+   *         name: includeSubdecks
+   *         schema:
+   *           type: boolean
+   *           default: false
+   *         description: Export the decks below this one too, by their path of names (a "deck" column in CSV)
+   *     responses:
+   *       200:
+   *         description: The exported file, sent as an attachment
+   *         content:
+   *           text/csv:
+   *             schema:
+   *               type: string
+   *           application/json:
+   *             schema:
+   *               type: object
+   *           application/octet-stream:
+   *             schema:
+   *               type: string
+   *               format: binary
+   *       400:
+   *         description: Invalid format or options
+   *       404:
+   *         description: Deck not found
+   */
+  static async exportDeck(req, res) {
+    try {
+      const { fileName, contentType, stream } = await ExportService.exportDeck(req.user.id, req.params.id, req.exportOptions);
+      
+      res.attachment(fileName);
+      res.set('Content-Type', contentType);
+      
+      stream.on('error', (error) => {
+        console.error('Write deck export error:', error);
+        res.destroy(error);
+      });
+      stream.pipe(res);
+    } catch (error) {
+      console.error('Export deck error:', error);
+      
+      if (error.message === 'Deck not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      sendError(res, 'Failed to export deck', 500, error.message);
     }
   }
 }
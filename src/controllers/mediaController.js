@@ -0,0 +1,107 @@
+const MediaService = require('../services/mediaService');
+const { sendSuccess, sendError } = require('../utils/response');
+
+/**
+ * Media Controller
+ */
+class MediaController {
+  /**
+   * @swagger
+   * /api/media/{id}:
+   *   get:
+   *     summary: Get the content of a media file
+   *     description: Streams an audio or image file attached to one of the user's cards.
+   *     tags: [Media]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Media ID
+   *     responses:
+   *       200:
+   *         description: File content, with the Content-Type it was uploaded with
+   *         content:
+   *           audio/*:
+   *             schema:
+   *               type: string
+   *               format: binary
+   *           image/*:
+   *             schema:
+   *               type: string
+   *               format: binary
+   *       404:
+   *         description: Media not found
+   */
+  static async getMedia(req, res) {
+    try {
+      const { media, stream } = await MediaService.getMediaFile(req.params.id, req.user.id);
+      
+      res.set({
+        'Content-Type': media.mimeType,
+        'Content-Length': media.size,
+        'Cache-Control': 'private, max-age=86400',
+      });
+      
+      stream.on('error', (error) => {
+        console.error('Read media file error:', error);
+        res.destroy(error);
+      });
+      stream.pipe(res);
+    } catch (error) {
+      console.error('Get media error:', error);
+      
+      if (error.message === 'Media not found' || error.message === 'Media file not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      sendError(res, 'Failed to get media', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/media/{id}:
+   *   delete:
+   *     summary: Delete a media file
+   *     tags: [Media]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Media ID
+   *     responses:
+   *       200:
+   *         description: Media deleted successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Success'
+   *       404:
+   *         description: Media not found
+   */
+  static async deleteMedia(req, res) {
+    try {
+      await MediaService.deleteMedia(req.params.id, req.user.id);
+      
+      sendSuccess(res, null, 'Media deleted successfully');
+    } catch (error) {
+      console.error('Delete media error:', error);
+      
+      if (error.message === 'Media not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      sendError(res, 'Failed to delete media', 500, error.message);
+    }
+  }
+}
+
+module.exports = MediaController;
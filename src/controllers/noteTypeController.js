@@ -0,0 +1,286 @@
+const NoteTypeService = require('../services/noteTypeService');
+const { sendSuccess, sendError } = require('../utils/response');
+
+/**
+ * Note Type Controller
+ */
+class NoteTypeController {
+  /**
+   * @swagger
+   * /api/note-types:
+   *   post:
+   *     summary: Create a note type
+   *     description: A note type has named fields and templates. Creating a card with a note type makes one card per template, rendered from the field values.
+   *     tags: [Note Types]
+   *     security:
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - name
+   *               - fields
+   *               - templates
+   *             properties:
+   *               name:
+   *                 type: string
+   *                 example: Japanese
+   *               fields:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                 example: ["Kanji", "Kana", "Meaning"]
+   *               templates:
+   *                 type: array
+   *                 items:
+   *                   $ref: '#/components/schemas/CardTemplate'
+   *     responses:
+   *       201:
+   *         description: Note type created successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Note type created successfully
+   *                 data:
+   *                   $ref: '#/components/schemas/NoteType'
+   *       400:
+   *         description: Validation error, invalid template or duplicate name
+   */
+  static async createNoteType(req, res) {
+    try {
+      const noteType = await NoteTypeService.createNoteType(req.user.id, req.body);
+      
+      sendSuccess(res, noteType, 'Note type created successfully', 201);
+    } catch (error) {
+      console.error('Create note type error:', error);
+      
+      if (error.message === 'Note type name already exists' || error.message.startsWith('Invalid template')) {
+        return sendError(res, error.message, 400);
+      }
+      
+      sendError(res, 'Failed to create note type', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/note-types:
+   *   get:
+   *     summary: Get the user's note types
+   *     tags: [Note Types]
+   *     security:
+   *       - BearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Note types retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Note types retrieved successfully
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/NoteType'
+   */
+  static async getUserNoteTypes(req, res) {
+    try {
+      const noteTypes = await NoteTypeService.getUserNoteTypes(req.user.id);
+      
+      sendSuccess(res, noteTypes, 'Note types retrieved successfully');
+    } catch (error) {
+      console.error('Get note types error:', error);
+      sendError(res, 'Failed to get note types', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/note-types/{id}:
+   *   get:
+   *     summary: Get note type by ID
+   *     tags: [Note Types]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Note type ID
+   *     responses:
+   *       200:
+   *         description: Note type retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Note type retrieved successfully
+   *                 data:
+   *                   $ref: '#/components/schemas/NoteType'
+   *       404:
+   *         description: Note type not found
+   */
+  static async getNoteTypeById(req, res) {
+    try {
+      const noteType = await NoteTypeService.getNoteTypeById(req.params.id, req.user.id);
+      
+      sendSuccess(res, noteType, 'Note type retrieved successfully');
+    } catch (error) {
+      console.error('Get note type error:', error);
+      
+      if (error.message === 'Note type not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      sendError(res, 'Failed to get note type', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/note-types/{id}:
+   *   put:
+   *     summary: Update a note type
+   *     description: Templates with an id are updated, templates without one are added. The cards of every note of this type are re-rendered, and cards are created for new templates.
+   *     tags: [Note Types]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Note type ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               name:
+   *                 type: string
+   *               fields:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *               templates:
+   *                 type: array
+   *                 items:
+   *                   $ref: '#/components/schemas/CardTemplate'
+   *     responses:
+   *       200:
+   *         description: Note type updated successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Note type updated successfully
+   *                 data:
+   *                   $ref: '#/components/schemas/NoteType'
+   *       400:
+   *         description: Validation error, invalid template or duplicate name
+   *       404:
+   *         description: Note type or template not found
+   */
+  static async updateNoteType(req, res) {
+    try {
+      const noteType = await NoteTypeService.updateNoteType(req.params.id, req.user.id, req.body);
+      
+      sendSuccess(res, noteType, 'Note type updated successfully');
+    } catch (error) {
+      console.error('Update note type error:', error);
+      
+      if (error.message === 'Note type not found' || error.message === 'Template not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      if (error.message === 'Note type name already exists' || error.message.startsWith('Invalid template')) {
+        return sendError(res, error.message, 400);
+      }
+      
+      sendError(res, 'Failed to update note type', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/note-types/{id}:
+   *   delete:
+   *     summary: Delete a note type
+   *     description: Only note types without notes can be deleted.
+   *     tags: [Note Types]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Note type ID
+   *     responses:
+   *       200:
+   *         description: Note type deleted successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Success'
+   *       400:
+   *         description: Note type is in use
+   *       404:
+   *         description: Note type not found
+   */
+  static async deleteNoteType(req, res) {
+    try {
+      await NoteTypeService.deleteNoteType(req.params.id, req.user.id);
+      
+      sendSuccess(res, null, 'Note type deleted successfully');
+    } catch (error) {
+      console.error('Delete note type error:', error);
+      
+      if (error.message === 'Note type not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      if (error.message === 'Note type is in use') {
+        return sendError(res, error.message, 400);
+      }
+      
+      sendError(res, 'Failed to delete note type', 500, error.message);
+    }
+  }
+}
+
+module.exports = NoteTypeController;
@@ -0,0 +1,214 @@
+const QuizService = require('../services/quizService');
+const { sendSuccess, sendError } = require('../utils/response');
+
+/**
+ * Quiz Controller
+ */
+class QuizController {
+  /**
+   * @swagger
+   * /api/decks/{deckId}/quiz:
+   *   get:
+   *     summary: Generate a quiz from a deck
+   *     description: Each question shows a card's frontText with its backText and distractors taken from other cards of similar length. Small decks borrow distractors from the user's other decks.
+   *     tags: [Quizzes]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: deckId
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Deck ID
+   *       - in: query
+   *         name: type
+   *         schema:
+   *           type: string
+   *           enum: [multiple-choice]
+   *           default: multiple-choice
+   *         description: Quiz type
+   *       - in: query
+   *         name: count
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *           default: 20
+   *         description: Number of questions
+   *     responses:
+   *       200:
+   *         description: Quiz generated successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Quiz generated successfully
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     deckId:
+   *                       type: string
+   *                     type:
+   *                       type: string
+   *                     count:
+   *                       type: integer
+   *                     questions:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                         properties:
+   *                           cardId:
+   *                             type: string
+   *                           prompt:
+   *                             type: string
+   *                             example: Hello
+   *                           options:
+   *                             type: array
+   *                             items:
+   *                               type: string
+   *                             example: ["Xin chào", "Tạm biệt", "Cảm ơn", "Xin lỗi"]
+   *       400:
+   *         description: Invalid quiz parameters or empty deck
+   *       404:
+   *         description: Deck not found
+   */
+  static async generateQuiz(req, res) {
+    try {
+      const { type, count } = req.query;
+      const countNum = count === undefined ? 20 : parseInt(count, 10);
+      
+      if (isNaN(countNum) || countNum < 1 || countNum > 100) {
+        return sendError(res, 'Count must be a positive integer between 1 and 100', 400);
+      }
+      
+      const quiz = await QuizService.generateQuiz(req.user.id, req.params.deckId, {
+        type,
+        count: countNum,
+      });
+      
+      sendSuccess(res, quiz, 'Quiz generated successfully');
+    } catch (error) {
+      console.error('Generate quiz error:', error);
+      
+      if (error.message === 'Deck not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      if (error.message === 'Unsupported quiz type' || error.message === 'Deck has no cards') {
+        return sendError(res, error.message, 400);
+      }
+      
+      sendError(res, 'Failed to generate quiz', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/decks/{deckId}/quiz:
+   *   post:
+   *     summary: Score a submitted quiz
+   *     tags: [Quizzes]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: deckId
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Deck ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - answers
+   *             properties:
+   *               answers:
+   *                 type: array
+   *                 items:
+   *                   type: object
+   *                   required:
+   *                     - cardId
+   *                     - answer
+   *                   properties:
+   *                     cardId:
+   *                       type: string
+   *                     answer:
+   *                       type: string
+   *                       example: Xin chào
+   *     responses:
+   *       200:
+   *         description: Quiz scored successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Quiz scored successfully
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     deckId:
+   *                       type: string
+   *                     total:
+   *                       type: integer
+   *                     correct:
+   *                       type: integer
+   *                     incorrect:
+   *                       type: integer
+   *                     score:
+   *                       type: integer
+   *                       description: Percentage of correct answers
+   *                     results:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                         properties:
+   *                           cardId:
+   *                             type: string
+   *                           prompt:
+   *                             type: string
+   *                           answer:
+   *                             type: string
+   *                           correctAnswer:
+   *                             type: string
+   *                           correct:
+   *                             type: boolean
+   *       400:
+   *         description: Validation error
+   *       404:
+   *         description: Deck not found
+   */
+  static async scoreQuiz(req, res) {
+    try {
+      const result = await QuizService.scoreQuiz(req.user.id, req.params.deckId, req.body.answers);
+      
+      sendSuccess(res, result, 'Quiz scored successfully');
+    } catch (error) {
+      console.error('Score quiz error:', error);
+      
+      if (error.message === 'Deck not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      sendError(res, 'Failed to score quiz', 500, error.message);
+    }
+  }
+}
+
+module.exports = QuizController;
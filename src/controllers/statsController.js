@@ -0,0 +1,70 @@
+const StatsService = require('../services/statsService');
+const { sendSuccess, sendError } = require('../utils/response');
+
+/**
+ * Stats Controller
+ */
+class StatsController {
+  /**
+   * @swagger
+   * /api/stats/forecast:
+   *   get:
+   *     summary: Forecast of cards coming due across all decks
+   *     description: Counts review items by the local day (in the user's time zone) they come due, from their last review time and current interval. Overdue items are counted on today. New and suspended cards are left out.
+   *     tags: [Stats]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: days
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 365
+   *           default: 30
+   *         description: Number of days to forecast, starting today
+   *     responses:
+   *       200:
+   *         description: Forecast retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Forecast retrieved successfully
+   *                 data:
+   *                   $ref: '#/components/schemas/Forecast'
+   *       400:
+   *         description: Invalid number of days
+   */
+  static async getForecast(req, res) {
+    try {
+      const days = StatsController.parseDays(req.query.days);
+      
+      if (days === null) {
+        return sendError(res, 'Days must be a positive integer between 1 and 365', 400);
+      }
+      
+      const forecast = await StatsService.getForecast(req.user.id, { days });
+      
+      sendSuccess(res, forecast, 'Forecast retrieved successfully');
+    } catch (error) {
+      console.error('Get forecast error:', error);
+      sendError(res, 'Failed to get forecast', 500, error.message);
+    }
+  }
+
+  // null when the value is not a valid number of days
+  static parseDays(value) {
+    const days = value === undefined ? 30 : parseInt(value, 10);
+    
+    return isNaN(days) || days < 1 || days > 365 ? null : days;
+  }
+}
+
+module.exports = StatsController;
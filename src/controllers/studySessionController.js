@@ -0,0 +1,375 @@
+const StudySessionService = require('../services/studySessionService');
+const { sendSuccess, sendError, sendPaginated } = require('../utils/response');
+
+/**
+ * Study Session Controller
+ */
+class StudySessionController {
+  /**
+   * @swagger
+   * /api/study-sessions:
+   *   post:
+   *     summary: Start a study session from one or more decks
+   *     tags: [Study Sessions]
+   *     security:
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - deckIds
+   *             properties:
+   *               deckIds:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                 example: ["deck1", "deck2"]
+   *               limit:
+   *                 type: integer
+   *                 minimum: 1
+   *                 maximum: 100
+   *                 default: 20
+   *                 description: Maximum number of cards in the queue
+   *               includeSubdecks:
+   *                 type: boolean
+   *                 default: false
+   *                 description: Also study the subdecks of the given decks
+   *     responses:
+   *       201:
+   *         description: Study session started successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Study session started successfully
+   *                 data:
+   *                   $ref: '#/components/schemas/StudySession'
+   *       400:
+   *         description: Validation error or no cards due
+   *       404:
+   *         description: Deck not found
+   */
+  static async startSession(req, res) {
+    try {
+      const session = await StudySessionService.startSession(req.user.id, req.body);
+      
+      sendSuccess(res, session, 'Study session started successfully', 201);
+    } catch (error) {
+      console.error('Start study session error:', error);
+      
+      if (error.message === 'Deck not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      if (error.message === 'No cards are due for study') {
+        return sendError(res, error.message, 400);
+      }
+      
+      sendError(res, 'Failed to start study session', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/study-sessions:
+   *   get:
+   *     summary: Get user's study sessions
+   *     tags: [Study Sessions]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *         description: Page number
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           maximum: 100
+   *           default: 10
+   *         description: Number of items per page
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [active, finished]
+   *         description: Filter by session status
+   *     responses:
+   *       200:
+   *         description: Study sessions retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Study sessions retrieved successfully
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/StudySession'
+   *                 pagination:
+   *                   type: object
+   *                   properties:
+   *                     page:
+   *                       type: integer
+   *                     limit:
+   *                       type: integer
+   *                     total:
+   *                       type: integer
+   *                     pages:
+   *                       type: integer
+   */
+  static async getUserSessions(req, res) {
+    try {
+      const { status } = req.query;
+      
+      if (status && !['active', 'finished'].includes(status)) {
+        return sendError(res, 'Status must be either active or finished', 400);
+      }
+      
+      const result = await StudySessionService.getUserSessions(req.user.id, {
+        ...req.pagination,
+        status,
+      });
+      
+      sendPaginated(res, result.sessions, result.pagination, 'Study sessions retrieved successfully');
+    } catch (error) {
+      console.error('Get study sessions error:', error);
+      sendError(res, 'Failed to get study sessions', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/study-sessions/{id}:
+   *   get:
+   *     summary: Get a study session with its progress and current card
+   *     tags: [Study Sessions]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Study session ID
+   *     responses:
+   *       200:
+   *         description: Study session retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Study session retrieved successfully
+   *                 data:
+   *                   $ref: '#/components/schemas/StudySession'
+   *       404:
+   *         description: Study session not found
+   */
+  static async getSessionById(req, res) {
+    try {
+      const session = await StudySessionService.getSessionById(req.params.id, req.user.id);
+      
+      sendSuccess(res, session, 'Study session retrieved successfully');
+    } catch (error) {
+      console.error('Get study session error:', error);
+      
+      if (error.message === 'Study session not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      sendError(res, 'Failed to get study session', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/study-sessions/{id}/answers:
+   *   post:
+   *     summary: Record an answer in a study session
+   *     tags: [Study Sessions]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Study session ID
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             description: Send either a self-graded quality or a typed answer
+   *             properties:
+   *               cardId:
+   *                 type: string
+   *                 description: Answered card (defaults to the session's current card)
+   *               variant:
+   *                 type: string
+   *                 nullable: true
+   *                 example: reverse
+   *                 description: Variant of the answered card, used together with cardId
+   *               quality:
+   *                 type: integer
+   *                 minimum: 0
+   *                 maximum: 5
+   *                 example: 4
+   *               answer:
+   *                 type: string
+   *                 example: xin chao
+   *                 description: Typed answer, graded by the server
+   *               reverse:
+   *                 type: boolean
+   *                 default: false
+   *                 description: Grade the typed answer against frontText instead of backText (defaults to true for reverse items)
+   *               timeTaken:
+   *                 type: integer
+   *                 minimum: 0
+   *                 example: 4200
+   *                 description: Time spent answering in milliseconds
+   *     responses:
+   *       200:
+   *         description: Answer recorded successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Answer recorded successfully
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     card:
+   *                       $ref: '#/components/schemas/StudyItem'
+   *                     grading:
+   *                       allOf:
+   *                         - $ref: '#/components/schemas/AnswerGrading'
+   *                       nullable: true
+   *                     session:
+   *                       $ref: '#/components/schemas/StudySession'
+   *       400:
+   *         description: Session finished or card not in session
+   *       404:
+   *         description: Study session not found
+   */
+  static async answerCard(req, res) {
+    try {
+      const { cardId } = req.body;
+      
+      if (cardId !== undefined && typeof cardId !== 'string') {
+        return sendError(res, 'Card ID must be a string', 400);
+      }
+      
+      const result = await StudySessionService.answerCard(req.params.id, req.user.id, req.body);
+      
+      sendSuccess(res, result, 'Answer recorded successfully');
+    } catch (error) {
+      console.error('Answer study card error:', error);
+      
+      if (error.message === 'Study session not found' ||
+        error.message === 'Card not found' ||
+        error.message === 'Card variant not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      if (error.message === 'Study session already finished' ||
+        error.message === 'Card is not part of this study session') {
+        return sendError(res, error.message, 400);
+      }
+      
+      sendError(res, 'Failed to record answer', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/study-sessions/{id}/finish:
+   *   post:
+   *     summary: Finish a study session and get its summary
+   *     tags: [Study Sessions]
+   *     security:
+   *       - BearerAuth: []
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *         description: Study session ID
+   *     responses:
+   *       200:
+   *         description: Study session finished successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Study session finished successfully
+   *                 data:
+   *                   allOf:
+   *                     - $ref: '#/components/schemas/StudySession'
+   *                     - type: object
+   *                       properties:
+   *                         summary:
+   *                           $ref: '#/components/schemas/StudySessionSummary'
+   *       404:
+   *         description: Study session not found
+   */
+  static async finishSession(req, res) {
+    try {
+      const session = await StudySessionService.finishSession(req.params.id, req.user.id);
+      
+      sendSuccess(res, session, 'Study session finished successfully');
+    } catch (error) {
+      console.error('Finish study session error:', error);
+      
+      if (error.message === 'Study session not found') {
+        return sendError(res, error.message, 404);
+      }
+      
+      sendError(res, 'Failed to finish study session', 500, error.message);
+    }
+  }
+}
+
+module.exports = StudySessionController;
@@ -0,0 +1,140 @@
+const TagService = require('../services/tagService');
+const { sendSuccess, sendError } = require('../utils/response');
+
+/**
+ * Tag Controller
+ */
+class TagController {
+  /**
+   * @swagger
+   * /api/tags:
+   *   get:
+   *     summary: Get the user's tags
+   *     tags: [Tags]
+   *     security:
+   *       - BearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Tags retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Tags retrieved successfully
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/Tag'
+   */
+  static async getUserTags(req, res) {
+    try {
+      const tags = await TagService.getUserTags(req.user.id);
+      
+      sendSuccess(res, tags, 'Tags retrieved successfully');
+    } catch (error) {
+      console.error('Get tags error:', error);
+      sendError(res, 'Failed to get tags', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/tags/bulk-add:
+   *   post:
+   *     summary: Add tags to many cards
+   *     description: Cards can come from any of the user's decks. Missing tags are created.
+   *     tags: [Tags]
+   *     security:
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/BulkTagsRequest'
+   *     responses:
+   *       200:
+   *         description: Tags added successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Tags added successfully
+   *                 data:
+   *                   $ref: '#/components/schemas/BulkTagsResult'
+   *       400:
+   *         description: Validation error
+   */
+  static async bulkAddTags(req, res) {
+    try {
+      const { cardIds, tags } = req.body;
+      
+      const result = await TagService.bulkAddTags(req.user.id, cardIds, tags);
+      
+      sendSuccess(res, result, 'Tags added successfully');
+    } catch (error) {
+      console.error('Bulk add tags error:', error);
+      sendError(res, 'Failed to add tags', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/tags/bulk-remove:
+   *   post:
+   *     summary: Remove tags from many cards
+   *     tags: [Tags]
+   *     security:
+   *       - BearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/BulkTagsRequest'
+   *     responses:
+   *       200:
+   *         description: Tags removed successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Tags removed successfully
+   *                 data:
+   *                   $ref: '#/components/schemas/BulkTagsResult'
+   *       400:
+   *         description: Validation error
+   */
+  static async bulkRemoveTags(req, res) {
+    try {
+      const { cardIds, tags } = req.body;
+      
+      const result = await TagService.bulkRemoveTags(req.user.id, cardIds, tags);
+      
+      sendSuccess(res, result, 'Tags removed successfully');
+    } catch (error) {
+      console.error('Bulk remove tags error:', error);
+      sendError(res, 'Failed to remove tags', 500, error.message);
+    }
+  }
+}
+
+module.exports = TagController;
@@ -0,0 +1,135 @@
+const TrashService = require('../services/trashService');
+const { sendSuccess, sendError } = require('../utils/response');
+
+/**
+ * Trash Controller
+ */
+class TrashController {
+  /**
+   * @swagger
+   * /api/trash:
+   *   get:
+   *     summary: Get the user's trash
+   *     description: Deleted decks (with the subdecks and cards deleted with them) and cards deleted on their own, newest first. Restore them with POST /api/decks/{id}/restore or POST /api/cards/{id}/restore. Items are deleted for good after retentionDays.
+   *     tags: [Trash]
+   *     security:
+   *       - BearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Trash retrieved successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Trash retrieved successfully
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     retentionDays:
+   *                       type: integer
+   *                       example: 30
+   *                     decks:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                         properties:
+   *                           id:
+   *                             type: string
+   *                           name:
+   *                             type: string
+   *                           deletedAt:
+   *                             type: string
+   *                             format: date-time
+   *                           purgeAt:
+   *                             type: string
+   *                             format: date-time
+   *                           subdeckCount:
+   *                             type: integer
+   *                           cardCount:
+   *                             type: integer
+   *                     cards:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                         properties:
+   *                           id:
+   *                             type: string
+   *                           frontText:
+   *                             type: string
+   *                           backText:
+   *                             type: string
+   *                           deckId:
+   *                             type: string
+   *                           deckName:
+   *                             type: string
+   *                           deckInTrash:
+   *                             type: boolean
+   *                             description: The card's deck was deleted later; restore the deck first
+   *                           deletedAt:
+   *                             type: string
+   *                             format: date-time
+   *                           purgeAt:
+   *                             type: string
+   *                             format: date-time
+   */
+  static async getTrash(req, res) {
+    try {
+      const trash = await TrashService.getTrash(req.user.id);
+      
+      sendSuccess(res, trash, 'Trash retrieved successfully');
+    } catch (error) {
+      console.error('Get trash error:', error);
+      sendError(res, 'Failed to get trash', 500, error.message);
+    }
+  }
+
+  /**
+   * @swagger
+   * /api/trash:
+   *   delete:
+   *     summary: Empty the trash
+   *     description: Deletes every deck and card in the user's trash for good, with their media files.
+   *     tags: [Trash]
+   *     security:
+   *       - BearerAuth: []
+   *     responses:
+   *       200:
+   *         description: Trash emptied successfully
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 success:
+   *                   type: boolean
+   *                   example: true
+   *                 message:
+   *                   type: string
+   *                   example: Trash emptied successfully
+   *                 data:
+   *                   type: object
+   *                   properties:
+   *                     purgedDecks:
+   *                       type: integer
+   *                     purgedCards:
+   *                       type: integer
+   */
+  static async emptyTrash(req, res) {
+    try {
+      const result = await TrashService.emptyTrash(req.user.id);
+      
+      sendSuccess(res, result, 'Trash emptied successfully');
+    } catch (error) {
+      console.error('Empty trash error:', error);
+      sendError(res, 'Failed to empty trash', 500, error.message);
+    }
+  }
+}
+
+module.exports = TrashController;
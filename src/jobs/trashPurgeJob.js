@@ -0,0 +1,40 @@
+const TrashService = require('../services/trashService');
+
+// Trash older than the retention period is checked for every hour
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+let purgeInterval;
+
+const purgeTrash = async () => {
+  try {
+    const { purgedDecks, purgedCards } = await TrashService.purgeExpired();
+
+    if (purgedDecks > 0 || purgedCards > 0) {
+      console.log(`🗑️ Trash purged: ${purgedDecks} decks, ${purgedCards} cards`);
+    }
+  } catch (error) {
+    console.error('❌ Trash purge failed:', error.message);
+  }
+};
+
+
+const startTrashPurge = () => {
+  if (purgeInterval) clearInterval(purgeInterval);
+
+  purgeTrash();
+  purgeInterval = setInterval(purgeTrash, PURGE_INTERVAL);
+};
+
+
+const stopTrashPurge = () => {
+  if (purgeInterval) {
+    clearInterval(purgeInterval);
+    purgeInterval = null;
+  }
+};
+
+module.exports = {
+  purgeTrash,
+  startTrashPurge,
+  stopTrashPurge,
+};
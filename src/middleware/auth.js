@@ -27,6 +27,9 @@ const authenticateToken = async (req, res, next) => {
           id: true,
           email: true,
           name: true,
+          scheduler: true,
+          desiredRetention: true,
+          timezone: true,
           createdAt: true,
           updatedAt: true,
         },
@@ -90,6 +93,9 @@ const optionalAuth = async (req, res, next) => {
         id: true,
         email: true,
         name: true,
+        scheduler: true,
+        desiredRetention: true,
+        timezone: true,
         createdAt: true,
         updatedAt: true,
       },
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { MEDIA_TYPES, MAX_FILE_SIZE } = require('../services/mediaService');
+const { CSV_EXTENSIONS, PACKAGE_EXTENSIONS, MAX_IMPORT_FILE_SIZE } = require('../services/importService');
+
+const unsupportedType = (message) => {
+  const error = new Error(message);
+  error.code = 'UNSUPPORTED_FILE_TYPE';
+  return error;
+};
+
+/**
+ * Media upload middleware
+ *
+ * Reads a single multipart file from the "file" field into memory, so the
+ * service can hand it to whichever storage driver is configured. Upload
+ * problems are answered like validation errors.
+ */
+const mediaUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!MEDIA_TYPES[file.mimetype]) {
+      return cb(unsupportedType(
+        `Unsupported file type: ${file.mimetype}, expected one of ${Object.keys(MEDIA_TYPES).join(', ')}`
+      ));
+    }
+
+    cb(null, true);
+  },
+}).single('file');
+
+// Import files can be large, so they are written to a temporary file and read back as a stream
+const createImportUpload = (extensions) => multer({
+  storage: multer.diskStorage({}),
+  limits: {
+    fileSize: MAX_IMPORT_FILE_SIZE,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+
+    if (!extensions.includes(extension)) {
+      return cb(unsupportedType(
+        `Unsupported file type: ${extension || file.originalname}, expected one of ${extensions.join(', ')}`
+      ));
+    }
+
+    cb(null, true);
+  },
+}).single('file');
+
+const getUploadError = (error, maxFileSize) => {
+  if (error.code === 'UNSUPPORTED_FILE_TYPE') {
+    return error.message;
+  }
+
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return `File must be at most ${Math.floor(maxFileSize / 1024 / 1024)} MB`;
+  }
+
+  if (error instanceof multer.MulterError) {
+    return `Invalid upload: ${error.message}`;
+  }
+
+  return null;
+};
+
+
+const handleUpload = (upload, maxFileSize) => (req, res, next) => {
+  upload(req, res, (error) => {
+    const errors = [];
+
+    if (error) {
+      const message = getUploadError(error, maxFileSize);
+
+      if (!message) {
+        return next(error);
+      }
+
+      errors.push(message);
+    } else if (!req.file) {
+      errors.push('A file is required in the "file" field');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors,
+      });
+    }
+
+    next();
+  });
+};
+
+
+const uploadMedia = handleUpload(mediaUpload, MAX_FILE_SIZE);
+
+
+// The temporary file is removed once the response is done, whatever the outcome
+const handleImportUpload = (extensions) => {
+  const upload = handleUpload(createImportUpload(extensions), MAX_IMPORT_FILE_SIZE);
+
+  return (req, res, next) => {
+    res.on('close', () => {
+      if (req.file?.path) {
+        fs.unlink(req.file.path, () => {});
+      }
+    });
+
+    upload(req, res, next);
+  };
+};
+
+
+// CSV/TSV files of cards for one deck
+const uploadImport = handleImportUpload(CSV_EXTENSIONS);
+
+
+// Files that bring their own decks (Anki .apkg, JSON deck exports)
+const uploadPackage = handleImportUpload(PACKAGE_EXTENSIONS);
+
+module.exports = {
+  uploadMedia,
+  uploadImport,
+  uploadPackage,
+};
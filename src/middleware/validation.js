@@ -1,3 +1,13 @@
+const { CARD_ORDERS } = require('../services/schedulers');
+const { isValidTimeZone } = require('../utils/date');
+const { DELIMITERS, DELIMITER_NAMES } = require('../utils/csv');
+const { FRONT_SIDE } = require('../utils/template');
+const {
+  getStudySettingsErrors,
+  getDeckErrors,
+  getTagErrors,
+  getCardErrors,
+} = require('../utils/validation');
 
 const isValidEmail = (email) => {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -11,6 +21,17 @@ const isValidPassword = (password) => {
 };
 
 
+// Any encoding label TextDecoder knows, e.g. "utf-8", "windows-1252", "windows-1258"
+const isValidEncoding = (encoding) => {
+  try {
+    new TextDecoder(encoding);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+
 const validateUserRegistration = (req, res, next) => {
   const { email, password, name } = req.body;
 
@@ -70,23 +91,207 @@ const validateUserLogin = (req, res, next) => {
 };
 
 
+const validateProfile = (req, res, next) => {
+  const { email, name, scheduler, desiredRetention } = req.body;
+
+  const errors = [];
+
+  if (email !== undefined && !isValidEmail(email)) {
+    errors.push('Invalid email format');
+  }
+
+  if (name !== undefined && name !== null && typeof name !== 'string') {
+    errors.push('Name must be a string');
+  }
+
+  // Users always have a scheduler, only decks can fall back to "inherit"
+  if (scheduler === null || desiredRetention === null) {
+    errors.push('Scheduler settings cannot be null');
+  } else {
+    errors.push(...getStudySettingsErrors(req.body));
+  }
+
+  if (req.body.timezone !== undefined && !isValidTimeZone(req.body.timezone)) {
+    errors.push('Timezone must be a valid IANA time zone (e.g. Asia/Ho_Chi_Minh)');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+
 const validateDeck = (req, res, next) => {
-  const { name, description } = req.body;
+  const errors = getDeckErrors(req.body);
+
+  if (req.body.parentId !== undefined && req.body.parentId !== null && typeof req.body.parentId !== 'string') {
+    errors.push('Parent deck ID must be a string or null');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+
+const validateMoveDeck = (req, res, next) => {
+  const { parentId } = req.body;
+
+  const errors = [];
+
+  if (parentId === undefined) {
+    errors.push('Parent deck ID is required (null moves the deck to the top level)');
+  } else if (parentId !== null && (typeof parentId !== 'string' || parentId.length === 0)) {
+    errors.push('Parent deck ID must be a non-empty string or null');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+
+const validateCloneDeck = (req, res, next) => {
+  const { name, resetProgress } = req.body;
+
+  const errors = [];
+
+  if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0 || name.length > 100)) {
+    errors.push('Deck name must be a non-empty string of at most 100 characters');
+  }
+
+  if (resetProgress !== undefined && typeof resetProgress !== 'boolean') {
+    errors.push('resetProgress must be a boolean');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+
+const validateMergeDecks = (req, res, next) => {
+  const { sourceDeckIds, duplicates } = req.body;
+
+  const errors = [];
+
+  if (!Array.isArray(sourceDeckIds) || sourceDeckIds.length === 0 || sourceDeckIds.length > 50) {
+    errors.push('Source deck IDs must be an array of 1 to 50 deck IDs');
+  } else if (sourceDeckIds.some(deckId => typeof deckId !== 'string')) {
+    errors.push('Source deck IDs must be strings');
+  }
+
+  if (duplicates !== undefined && !['keep', 'skip', 'replace'].includes(duplicates)) {
+    errors.push('Duplicates must be one of: keep, skip, replace');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+
+// The new deck's name plus at least one way of choosing its cards
+const validateSplitDeck = (req, res, next) => {
+  const { name, cardIds, search, memorized, leech, tag } = req.body;
+
+  const errors = [];
+
+  if (typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+    errors.push('Deck name is required and must be at most 100 characters');
+  }
+
+  if (cardIds !== undefined &&
+    (!Array.isArray(cardIds) || cardIds.length === 0 || cardIds.some(cardId => typeof cardId !== 'string'))) {
+    errors.push('Card IDs must be a non-empty array of strings');
+  }
+
+  ['search', 'tag'].forEach(key => {
+    if (req.body[key] !== undefined && (typeof req.body[key] !== 'string' || req.body[key].trim().length === 0)) {
+      errors.push(`${key} must be a non-empty string`);
+    }
+  });
+
+  ['memorized', 'leech'].forEach(key => {
+    if (req.body[key] !== undefined && typeof req.body[key] !== 'boolean') {
+      errors.push(`${key} must be a boolean`);
+    }
+  });
+
+  if ([cardIds, search, memorized, leech, tag].every(value => value === undefined)) {
+    errors.push('Choose the cards to split off with cardIds, search, memorized, leech or tag');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+
+const validateDeckOptions = (req, res, next) => {
+  const { newCardsPerDay, maxReviewsPerDay, learningSteps, graduatingInterval, cardOrder } = req.body;
 
   const errors = [];
 
-  if (!name) {
-    errors.push('Deck name is required');
-  } else if (typeof name !== 'string' || name.trim().length === 0) {
-    errors.push('Deck name must be a non-empty string');
-  } else if (name.length > 100) {
-    errors.push('Deck name must be less than 100 characters');
+  if (newCardsPerDay !== undefined &&
+    (!Number.isInteger(newCardsPerDay) || newCardsPerDay < 0 || newCardsPerDay > 9999)) {
+    errors.push('New cards per day must be an integer between 0 and 9999');
+  }
+
+  if (maxReviewsPerDay !== undefined &&
+    (!Number.isInteger(maxReviewsPerDay) || maxReviewsPerDay < 0 || maxReviewsPerDay > 9999)) {
+    errors.push('Max reviews per day must be an integer between 0 and 9999');
+  }
+
+  // Steps are in minutes, up to one day each
+  if (learningSteps !== undefined && (!Array.isArray(learningSteps) || learningSteps.length > 10 ||
+    learningSteps.some(step => !Number.isInteger(step) || step < 1 || step > 1440))) {
+    errors.push('Learning steps must be an array of at most 10 integers between 1 and 1440 (minutes)');
   }
 
-  if (description && typeof description !== 'string') {
-    errors.push('Description must be a string');
-  } else if (description && description.length > 500) {
-    errors.push('Description must be less than 500 characters');
+  if (graduatingInterval !== undefined &&
+    (!Number.isInteger(graduatingInterval) || graduatingInterval < 1 || graduatingInterval > 365)) {
+    errors.push('Graduating interval must be an integer between 1 and 365 (days)');
+  }
+
+  if (cardOrder !== undefined && !CARD_ORDERS.includes(cardOrder)) {
+    errors.push(`Card order must be one of: ${CARD_ORDERS.join(', ')}`);
   }
 
   if (errors.length > 0) {
@@ -101,33 +306,470 @@ const validateDeck = (req, res, next) => {
 };
 
 
+// Duplicate handling when creating cards, see CardService.createCard
+const getDuplicateOptionErrors = ({ duplicates, duplicateScope }) => {
+  const errors = [];
+
+  if (duplicates !== undefined && !['allow', 'skip', 'merge'].includes(duplicates)) {
+    errors.push('Duplicates must be one of: allow, skip, merge');
+  }
+
+  if (duplicateScope !== undefined && !['deck', 'all'].includes(duplicateScope)) {
+    errors.push('Duplicate scope must be one of: deck, all');
+  }
+
+  return errors;
+};
+
+
 const validateCard = (req, res, next) => {
-  const { frontText, backText, deckId, memorized } = req.body;
+  const errors = getCardErrors(req.body, req.method === 'POST');
+
+  if (req.method === 'POST') {
+    errors.push(...getDuplicateOptionErrors(req.body));
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+
+/**
+ * Bulk card creation only fails as a whole when `cards` itself is unusable.
+ * Each item is checked with the validateCard rules and its errors are passed
+ * on in req.cardErrors, so valid items can still be created and the response
+ * can report on every item.
+ */
+const validateBulkCards = (req, res, next) => {
+  const { cards } = req.body;
+
+  const errors = getDuplicateOptionErrors(req.body);
+
+  if (!Array.isArray(cards) || cards.length === 0 || cards.length > 5000) {
+    errors.push('Cards must be an array of 1 to 5000 cards');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  req.cardErrors = cards.map(card => (
+    card && typeof card === 'object' && !Array.isArray(card)
+      ? getCardErrors(card, true)
+      : ['Card must be an object']
+  ));
+
+  next();
+};
+
+
+const validateReview = (req, res, next) => {
+  const { quality, timeTaken, variant } = req.body;
+
+  const errors = [];
+
+  if (!Number.isInteger(quality) || quality < 0 || quality > 5) {
+    errors.push('Quality must be an integer between 0 and 5');
+  }
+
+  if (timeTaken !== undefined && (!Number.isInteger(timeTaken) || timeTaken < 0)) {
+    errors.push('Time taken must be a non-negative integer (milliseconds)');
+  }
+
+  if (variant !== undefined && variant !== null && typeof variant !== 'string') {
+    errors.push('Variant must be a string');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+
+const getTypedAnswerErrors = ({ answer, reverse, tolerance }) => {
+  const errors = [];
+
+  if (typeof answer !== 'string') {
+    errors.push('Answer must be a string');
+  } else if (answer.length > 500) {
+    errors.push('Answer must be less than 500 characters');
+  }
+
+  if (reverse !== undefined && typeof reverse !== 'boolean') {
+    errors.push('Reverse must be a boolean');
+  }
+
+  if (tolerance !== undefined && (!Number.isInteger(tolerance) || tolerance < 0 || tolerance > 10)) {
+    errors.push('Tolerance must be an integer between 0 and 10');
+  }
+
+  return errors;
+};
+
+
+const validateTypedAnswer = (req, res, next) => {
+  const errors = getTypedAnswerErrors(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+
+// A session answer is either a self-graded quality or a typed answer graded by the server
+const validateSessionAnswer = (req, res, next) => {
+  if (req.body.answer === undefined) {
+    return validateReview(req, res, next);
+  }
+
+  const { quality, timeTaken, variant } = req.body;
+  const errors = getTypedAnswerErrors(req.body);
+
+  if (quality !== undefined) {
+    errors.push('Send either a quality grade or a typed answer, not both');
+  }
+
+  if (timeTaken !== undefined && (!Number.isInteger(timeTaken) || timeTaken < 0)) {
+    errors.push('Time taken must be a non-negative integer (milliseconds)');
+  }
+
+  if (variant !== undefined && variant !== null && typeof variant !== 'string') {
+    errors.push('Variant must be a string');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+
+const validateStudySession = (req, res, next) => {
+  const { deckIds, limit, includeSubdecks } = req.body;
+
+  const errors = [];
+
+  if (!Array.isArray(deckIds) || deckIds.length === 0) {
+    errors.push('Deck IDs array is required and cannot be empty');
+  } else if (deckIds.some(deckId => typeof deckId !== 'string')) {
+    errors.push('Deck IDs must be strings');
+  }
+
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > 100)) {
+    errors.push('Limit must be a positive integer between 1 and 100');
+  }
+
+  if (includeSubdecks !== undefined && typeof includeSubdecks !== 'boolean') {
+    errors.push('includeSubdecks must be a boolean');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+
+const validateQuizSubmission = (req, res, next) => {
+  const { answers } = req.body;
+
+  const errors = [];
+
+  if (!Array.isArray(answers) || answers.length === 0) {
+    errors.push('Answers array is required and cannot be empty');
+  } else if (answers.length > 100) {
+    errors.push('A quiz cannot have more than 100 answers');
+  } else if (answers.some(item => !item || typeof item.cardId !== 'string' || typeof item.answer !== 'string')) {
+    errors.push('Each answer must have a cardId and an answer string');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+
+// Shape of a note type; template syntax and field names are checked by the service.
+// Updates may leave out any part, creation needs all of them.
+const validateNoteType = (req, res, next) => {
+  const { name, fields, templates } = req.body;
+  const creating = req.method === 'POST';
+
+  const errors = [];
+
+  if (name === undefined) {
+    if (creating) {
+      errors.push('Note type name is required');
+    }
+  } else if (typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+    errors.push('Note type name must be a non-empty string of at most 100 characters');
+  }
+
+  if (fields === undefined) {
+    if (creating) {
+      errors.push('Fields are required');
+    }
+  } else if (!Array.isArray(fields) || fields.length === 0 || fields.length > 20 ||
+    fields.some(field => typeof field !== 'string' || field.trim().length === 0 || field.length > 50)) {
+    errors.push('Fields must be an array of 1 to 20 names of at most 50 characters');
+  } else if (new Set(fields.map(field => field.trim())).size !== fields.length) {
+    errors.push('Field names must be unique');
+  } else if (fields.some(field => /[{}#^/]/.test(field) || field.trim() === FRONT_SIDE)) {
+    errors.push(`Field names cannot contain {, }, #, ^ or / and cannot be "${FRONT_SIDE}"`);
+  }
+
+  if (templates === undefined) {
+    if (creating) {
+      errors.push('Templates are required');
+    }
+  } else if (!Array.isArray(templates) || (creating && templates.length === 0) || templates.length > 10) {
+    errors.push('Templates must be an array of at most 10 templates');
+  } else {
+    templates.forEach((template, index) => {
+      if (!template || typeof template !== 'object') {
+        errors.push(`Template ${index + 1} must be an object`);
+        return;
+      }
+
+      // Existing templates (with an ID) only need the parts being changed
+      [['name', 100], ['front', 2000], ['back', 2000]].forEach(([key, maxLength]) => {
+        const value = template[key];
+
+        if (value === undefined && template.id !== undefined) {
+          return;
+        }
+        if (typeof value !== 'string' || value.trim().length === 0 || value.length > maxLength) {
+          errors.push(`Template ${index + 1} needs a non-empty ${key} of at most ${maxLength} characters`);
+        }
+      });
+    });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+
+const getBulkCardIdErrors = (cardIds) => {
+  if (!Array.isArray(cardIds) || cardIds.length === 0) {
+    return ['Card IDs array is required and cannot be empty'];
+  }
+
+  if (cardIds.length > 1000) {
+    return ['At most 1000 cards can be updated at once'];
+  }
+
+  if (cardIds.some(cardId => typeof cardId !== 'string')) {
+    return ['Card IDs must be strings'];
+  }
+
+  return [];
+};
+
+
+// Moving or copying cards: the target deck, and for bulk requests the cards
+const validateCardTransfer = (req, res, next) => {
+  const { deckId, resetProgress, cardIds } = req.body;
+
+  const errors = [];
+
+  if (typeof deckId !== 'string' || deckId.length === 0) {
+    errors.push('Target deck ID is required');
+  }
+
+  if (resetProgress !== undefined && typeof resetProgress !== 'boolean') {
+    errors.push('resetProgress must be a boolean');
+  }
+
+  if (!req.params.id) {
+    errors.push(...getBulkCardIdErrors(cardIds));
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+
+const validateBulkTags = (req, res, next) => {
+  const { cardIds, tags } = req.body;
 
   const errors = [];
 
-  if (!frontText) {
-    errors.push('Front text is required');
-  } else if (typeof frontText !== 'string' || frontText.trim().length === 0) {
-    errors.push('Front text must be a non-empty string');
-  } else if (frontText.length > 500) {
-    errors.push('Front text must be less than 500 characters');
+  errors.push(...getBulkCardIdErrors(cardIds));
+
+  if (!Array.isArray(tags) || tags.length === 0) {
+    errors.push('Tags array is required and cannot be empty');
+  } else {
+    errors.push(...getTagErrors(tags));
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+
+/**
+ * Import options come as multipart form fields, so they are all strings.
+ * The parsed options are passed on in req.importOptions.
+ */
+const validateImport = (req, res, next) => {
+  const { dryRun, hasHeader, delimiter, encoding, mapping } = req.body;
+
+  const errors = getDuplicateOptionErrors(req.body);
+
+  [['Dry run', dryRun], ['Has header', hasHeader]].forEach(([label, value]) => {
+    if (value !== undefined && !['true', 'false'].includes(value)) {
+      errors.push(`${label} must be true or false`);
+    }
+  });
+
+  if (delimiter !== undefined && !DELIMITERS.includes(delimiter) && !DELIMITER_NAMES[delimiter]) {
+    errors.push(`Delimiter must be one of: ${Object.keys(DELIMITER_NAMES).join(', ')} (or the character itself)`);
+  }
+
+  if (encoding !== undefined && !isValidEncoding(encoding)) {
+    errors.push('Encoding must be a known text encoding, e.g. utf-8 or windows-1252');
+  }
+
+  let parsedMapping;
+  if (mapping !== undefined) {
+    try {
+      parsedMapping = JSON.parse(mapping);
+    } catch (error) {
+      parsedMapping = null;
+    }
+
+    if (!parsedMapping || typeof parsedMapping !== 'object' || Array.isArray(parsedMapping) ||
+      Object.values(parsedMapping).some(column =>
+        !(typeof column === 'string' && column.trim().length > 0) && !(Number.isInteger(column) && column >= 0))) {
+      errors.push('Mapping must be a JSON object of field names to column names or 0-based column indexes');
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  req.importOptions = {
+    dryRun: dryRun === 'true',
+    hasHeader: hasHeader !== 'false',
+    delimiter,
+    encoding,
+    mapping: parsedMapping,
+    duplicates: req.body.duplicates,
+    duplicateScope: req.body.duplicateScope,
+  };
+
+  next();
+};
+
+
+const validatePackageImport = (req, res, next) => {
+  const { includeScheduling } = req.body;
+
+  const errors = getDuplicateOptionErrors(req.body);
+
+  if (includeScheduling !== undefined && !['true', 'false'].includes(includeScheduling)) {
+    errors.push('Include scheduling must be true or false');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
   }
 
-  if (!backText) {
-    errors.push('Back text is required');
-  } else if (typeof backText !== 'string' || backText.trim().length === 0) {
-    errors.push('Back text must be a non-empty string');
-  } else if (backText.length > 500) {
-    errors.push('Back text must be less than 500 characters');
+  req.importOptions = {
+    includeScheduling: includeScheduling === 'true',
+    duplicates: req.body.duplicates,
+    duplicateScope: req.body.duplicateScope,
+  };
+
+  next();
+};
+
+
+const validateExport = (req, res, next) => {
+  const { format, includeProgress, includeSubdecks } = req.query;
+
+  const errors = [];
+
+  if (!['csv', 'json', 'apkg'].includes(format)) {
+    errors.push('Format must be one of: csv, json, apkg');
   }
 
-  if (deckId && typeof deckId !== 'string') {
-    errors.push('Deck ID must be a string');
+  if (includeProgress !== undefined && !['true', 'false'].includes(includeProgress)) {
+    errors.push('Include progress must be true or false');
   }
 
-  if (memorized !== undefined && typeof memorized !== 'boolean') {
-    errors.push('Memorized must be a boolean');
+  if (includeSubdecks !== undefined && !['true', 'false'].includes(includeSubdecks)) {
+    errors.push('Include subdecks must be true or false');
   }
 
   if (errors.length > 0) {
@@ -138,6 +780,12 @@ const validateCard = (req, res, next) => {
     });
   }
 
+  req.exportOptions = {
+    format,
+    includeProgress: includeProgress === 'true',
+    includeSubdecks: includeSubdecks === 'true',
+  };
+
   next();
 };
 
@@ -174,7 +822,25 @@ const validatePagination = (req, res, next) => {
 module.exports = {
   validateUserRegistration,
   validateUserLogin,
+  validateProfile,
   validateDeck,
+  validateDeckOptions,
+  validateMoveDeck,
+  validateCloneDeck,
+  validateMergeDecks,
+  validateSplitDeck,
   validateCard,
+  validateBulkCards,
+  validateReview,
+  validateTypedAnswer,
+  validateSessionAnswer,
+  validateStudySession,
+  validateQuizSubmission,
+  validateNoteType,
+  validateCardTransfer,
+  validateBulkTags,
+  validateImport,
+  validatePackageImport,
+  validateExport,
   validatePagination,
 };
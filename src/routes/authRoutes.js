@@ -1,7 +1,7 @@
 const express = require('express');
 const AuthController = require('../controllers/authController');
 const { authenticateToken } = require('../middleware/auth');
-const { validateUserRegistration, validateUserLogin } = require('../middleware/validation');
+const { validateUserRegistration, validateUserLogin, validateProfile } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -19,7 +19,7 @@ router.post('/login', validateUserLogin, AuthController.login);
 // Protected routes
 router.post('/logout', authenticateToken, AuthController.logout);
 router.get('/me', authenticateToken, AuthController.getProfile);
-router.put('/profile', authenticateToken, AuthController.updateProfile);
+router.put('/profile', authenticateToken, validateProfile, AuthController.updateProfile);
 router.put('/change-password', authenticateToken, AuthController.changePassword);
 
 module.exports = router;
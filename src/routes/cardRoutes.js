@@ -1,7 +1,14 @@
 const express = require('express');
 const CardController = require('../controllers/cardController');
 const { authenticateToken } = require('../middleware/auth');
-const { validateCard, validatePagination } = require('../middleware/validation');
+const { uploadMedia } = require('../middleware/upload');
+const {
+  validateCard,
+  validateReview,
+  validateTypedAnswer,
+  validateCardTransfer,
+  validatePagination,
+} = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -18,10 +25,24 @@ router.use(authenticateToken);
 // Card search (across all decks)
 router.get('/search', validatePagination, CardController.searchCards);
 
+// Bulk operations (cards may come from several decks)
+router.post('/bulk-move', validateCardTransfer, CardController.bulkMoveCards);
+router.post('/bulk-copy', validateCardTransfer, CardController.bulkCopyCards);
+
 // Individual card operations
 router.get('/:id', CardController.getCardById);
 router.put('/:id', validateCard, CardController.updateCard);
 router.delete('/:id', CardController.deleteCard);
+router.post('/:id/restore', CardController.restoreCard);
 router.patch('/:id/toggle-memorized', CardController.toggleMemorized);
+router.post('/:id/unsuspend', CardController.unsuspendCard);
+router.post('/:id/move', validateCardTransfer, CardController.moveCard);
+router.post('/:id/copy', validateCardTransfer, CardController.copyCard);
+router.post('/:id/media', uploadMedia, CardController.uploadCardMedia);
+router.post('/:id/review', validateReview, CardController.reviewCard);
+router.get('/:id/reviews', validatePagination, CardController.getCardReviews);
+router.get('/:id/history', validatePagination, CardController.getCardHistory);
+router.post('/:id/revert/:versionId', CardController.revertCard);
+router.post('/:id/check-answer', validateTypedAnswer, CardController.checkTypedAnswer);
 
 module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const CardController = require('../controllers/cardController');
 const { authenticateToken } = require('../middleware/auth');
-const { validateCard, validatePagination } = require('../middleware/validation');
+const { validateCard, validateBulkCards, validatePagination } = require('../middleware/validation');
 
 const router = express.Router({ mergeParams: true });
 
@@ -23,8 +23,12 @@ router.get('/', validatePagination, CardController.getDeckCards);
 router.get('/study', CardController.getStudyCards);
 
 // Bulk operations
+router.post('/bulk', validateBulkCards, CardController.bulkCreateCards);
 router.patch('/bulk-memorized', CardController.bulkUpdateMemorized);
 
+// Duplicates
+router.get('/duplicates', CardController.getDuplicateCards);
+
 // Statistics
 router.get('/stats', CardController.getCardStats);
 
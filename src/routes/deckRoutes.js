@@ -1,7 +1,19 @@
 const express = require('express');
 const DeckController = require('../controllers/deckController');
 const { authenticateToken } = require('../middleware/auth');
-const { validateDeck, validatePagination } = require('../middleware/validation');
+const { uploadImport, uploadPackage } = require('../middleware/upload');
+const {
+  validateDeck,
+  validateDeckOptions,
+  validateMoveDeck,
+  validateCloneDeck,
+  validateMergeDecks,
+  validateSplitDeck,
+  validateImport,
+  validatePackageImport,
+  validateExport,
+  validatePagination,
+} = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -22,8 +34,29 @@ router.get('/search', validatePagination, DeckController.searchDecks);
 router.get('/:id', DeckController.getDeckById);
 router.put('/:id', validateDeck, DeckController.updateDeck);
 router.delete('/:id', DeckController.deleteDeck);
+router.post('/:id/restore', DeckController.restoreDeck);
+
+// Deck hierarchy
+router.post('/:id/move', validateMoveDeck, DeckController.moveDeck);
+
+// Reorganizing decks
+router.post('/:id/clone', validateCloneDeck, DeckController.cloneDeck);
+router.post('/:id/merge', validateMergeDecks, DeckController.mergeDecks);
+router.post('/:id/split', validateSplitDeck, DeckController.splitDeck);
+
+// Importing cards from files
+router.post('/import', uploadPackage, validatePackageImport, DeckController.importPackage);
+router.post('/:id/import', uploadImport, validateImport, DeckController.importCards);
+
+// Exporting decks to files
+router.get('/:id/export', validateExport, DeckController.exportDeck);
 
 // Deck statistics
 router.get('/:id/stats', DeckController.getDeckStats);
+router.get('/:id/forecast', DeckController.getDeckForecast);
+
+// Study options (daily limits, learning steps, new card order)
+router.get('/:id/options', DeckController.getDeckOptions);
+router.put('/:id/options', validateDeckOptions, DeckController.updateDeckOptions);
 
 module.exports = router;
@@ -3,6 +3,13 @@ const authRoutes = require('./authRoutes');
 const deckRoutes = require('./deckRoutes');
 const cardRoutes = require('./cardRoutes');
 const deckCardRoutes = require('./deckCardRoutes');
+const studySessionRoutes = require('./studySessionRoutes');
+const quizRoutes = require('./quizRoutes');
+const statsRoutes = require('./statsRoutes');
+const tagRoutes = require('./tagRoutes');
+const noteTypeRoutes = require('./noteTypeRoutes');
+const mediaRoutes = require('./mediaRoutes');
+const trashRoutes = require('./trashRoutes');
 
 const router = express.Router();
 
@@ -54,5 +61,12 @@ router.use('/auth', authRoutes);
 router.use('/decks', deckRoutes);
 router.use('/cards', cardRoutes);
 router.use('/decks/:deckId/cards', deckCardRoutes);
+router.use('/decks/:deckId/quiz', quizRoutes);
+router.use('/study-sessions', studySessionRoutes);
+router.use('/stats', statsRoutes);
+router.use('/tags', tagRoutes);
+router.use('/note-types', noteTypeRoutes);
+router.use('/media', mediaRoutes);
+router.use('/trash', trashRoutes);
 
 module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const MediaController = require('../controllers/mediaController');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Media
+ *   description: Audio and image files attached to cards (uploaded with POST /api/cards/{id}/media)
+ */
+
+// All media routes require authentication
+router.use(authenticateToken);
+
+router.get('/:id', MediaController.getMedia);
+router.delete('/:id', MediaController.deleteMedia);
+
+module.exports = router;
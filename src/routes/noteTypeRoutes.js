@@ -0,0 +1,24 @@
+const express = require('express');
+const NoteTypeController = require('../controllers/noteTypeController');
+const { authenticateToken } = require('../middleware/auth');
+const { validateNoteType } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Note Types
+ *   description: Custom fields and card templates
+ */
+
+// All note type routes require authentication
+router.use(authenticateToken);
+
+router.post('/', validateNoteType, NoteTypeController.createNoteType);
+router.get('/', NoteTypeController.getUserNoteTypes);
+router.get('/:id', NoteTypeController.getNoteTypeById);
+router.put('/:id', validateNoteType, NoteTypeController.updateNoteType);
+router.delete('/:id', NoteTypeController.deleteNoteType);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const QuizController = require('../controllers/quizController');
+const { authenticateToken } = require('../middleware/auth');
+const { validateQuizSubmission } = require('../middleware/validation');
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * tags:
+ *   name: Quizzes
+ *   description: Self-test quizzes generated from a deck
+ */
+
+// All routes require authentication
+router.use(authenticateToken);
+
+router.get('/', QuizController.generateQuiz);
+router.post('/', validateQuizSubmission, QuizController.scoreQuiz);
+
+module.exports = router;
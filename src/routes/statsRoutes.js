@@ -0,0 +1,19 @@
+const express = require('express');
+const StatsController = require('../controllers/statsController');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Stats
+ *   description: Study statistics across decks
+ */
+
+// All stats routes require authentication
+router.use(authenticateToken);
+
+router.get('/forecast', StatsController.getForecast);
+
+module.exports = router;
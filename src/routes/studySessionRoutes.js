@@ -0,0 +1,24 @@
+const express = require('express');
+const StudySessionController = require('../controllers/studySessionController');
+const { authenticateToken } = require('../middleware/auth');
+const { validateSessionAnswer, validateStudySession, validatePagination } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Study Sessions
+ *   description: Server-side study sessions that can be resumed on any device
+ */
+
+// All study session routes require authentication
+router.use(authenticateToken);
+
+router.post('/', validateStudySession, StudySessionController.startSession);
+router.get('/', validatePagination, StudySessionController.getUserSessions);
+router.get('/:id', StudySessionController.getSessionById);
+router.post('/:id/answers', validateSessionAnswer, StudySessionController.answerCard);
+router.post('/:id/finish', StudySessionController.finishSession);
+
+module.exports = router;
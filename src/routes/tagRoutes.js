@@ -0,0 +1,24 @@
+const express = require('express');
+const TagController = require('../controllers/tagController');
+const { authenticateToken } = require('../middleware/auth');
+const { validateBulkTags } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Tags
+ *   description: Topic tags shared by cards across decks
+ */
+
+// All tag routes require authentication
+router.use(authenticateToken);
+
+router.get('/', TagController.getUserTags);
+
+// Bulk operations
+router.post('/bulk-add', validateBulkTags, TagController.bulkAddTags);
+router.post('/bulk-remove', validateBulkTags, TagController.bulkRemoveTags);
+
+module.exports = router;
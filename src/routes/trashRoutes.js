@@ -0,0 +1,20 @@
+const express = require('express');
+const TrashController = require('../controllers/trashController');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Trash
+ *   description: Deleted decks and cards, kept for a while so they can be restored
+ */
+
+// All trash routes require authentication
+router.use(authenticateToken);
+
+router.get('/', TrashController.getTrash);
+router.delete('/', TrashController.emptyTrash);
+
+module.exports = router;
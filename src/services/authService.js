@@ -40,6 +40,9 @@ class AuthService {
             id: true,
             email: true,
             name: true,
+            scheduler: true,
+            desiredRetention: true,
+            timezone: true,
             createdAt: true,
             updatedAt: true,
           },
@@ -132,7 +135,7 @@ class AuthService {
 
 
   static async updateProfile(userId, updateData) {
-    const { name, email } = updateData;
+    const { name, email, scheduler, desiredRetention, timezone } = updateData;
 
     const updateFields = {};
 
@@ -140,6 +143,18 @@ class AuthService {
       updateFields.name = name;
     }
 
+    if (scheduler !== undefined) {
+      updateFields.scheduler = scheduler;
+    }
+
+    if (desiredRetention !== undefined) {
+      updateFields.desiredRetention = desiredRetention;
+    }
+
+    if (timezone !== undefined) {
+      updateFields.timezone = timezone;
+    }
+
     if (email !== undefined) {
       const existingUser = await prisma.user.findUnique({
         where: { email: email.toLowerCase() },
@@ -160,6 +175,9 @@ class AuthService {
         id: true,
         email: true,
         name: true,
+        scheduler: true,
+        desiredRetention: true,
+        timezone: true,
         createdAt: true,
         updatedAt: true,
       },
@@ -1,14 +1,108 @@
 const { prisma, withRetry } = require('../config/database');
+const {
+  PASSING_QUALITY,
+  DEFAULT_DECK_OPTIONS,
+  addDays,
+  getItemState,
+  scheduleWithLearningSteps,
+  resolveSchedulerSettings,
+} = require('./schedulers');
+const { collapseWhitespace, normalizeText, splitAlternatives, levenshtein, diffChars } = require('../utils/text');
+const { parseCloze, renderCloze } = require('../utils/cloze');
+const { renderCard } = require('../utils/template');
+const { shuffle, interleave } = require('../utils/array');
+const { startOfDay } = require('../utils/date');
+const { getDescendantIds } = require('../utils/tree');
+const { pick } = require('../utils/object');
+const TagService = require('./tagService');
+const MediaService = require('./mediaService');
+
+const REVERSE_VARIANT = 'reverse';
+const CLOZE_VARIANT_PATTERN = /^c(\d+)$/;
+
+// Per-item scheduling state, stored on Card for the main direction and on CardVariant otherwise
+const SCHEDULING_FIELDS = [
+  'memorized',
+  'interval',
+  'repetitions',
+  'dueDate',
+  'lastReviewedAt',
+  'easeFactor',
+  'stability',
+  'difficulty',
+  'learningStep',
+];
+
+const TAGS_INCLUDE = {
+  select: {
+    id: true,
+    name: true,
+  },
+  orderBy: { name: 'asc' },
+};
+
+const EXAMPLES_INCLUDE = {
+  select: {
+    id: true,
+    sentence: true,
+    translation: true,
+  },
+  orderBy: { position: 'asc' },
+};
+
+const MEDIA_INCLUDE = {
+  select: MediaService.MEDIA_SELECT,
+  orderBy: { createdAt: 'asc' },
+};
+
+// Optional vocabulary fields stored on the card itself
+const RICH_TEXT_FIELDS = ['partOfSpeech', 'ipa', 'mnemonic'];
+const RICH_LIST_FIELDS = ['synonyms', 'antonyms'];
+
+// Card content carried over when a card is copied; scheduling state is handled separately
+const COPY_FIELDS = ['type', 'frontText', 'backText', ...RICH_TEXT_FIELDS, ...RICH_LIST_FIELDS];
+const LAPSE_FIELDS = ['lapses', 'leech', 'suspended'];
+
+// What a duplicate warning shows of the existing card
+const DUPLICATE_SELECT = {
+  id: true,
+  deckId: true,
+  frontText: true,
+  backText: true,
+  createdAt: true,
+  deck: {
+    select: {
+      name: true,
+    },
+  },
+};
+
+const NOTE_INCLUDE = {
+  select: {
+    id: true,
+    noteTypeId: true,
+    fields: true,
+  },
+};
 
 class CardService {
+  /**
+   * Cards with the same front text (see getDuplicateKey) in the deck, or in
+   * any of the user's decks with duplicateScope "all", are returned in
+   * `duplicates`. The `duplicates` policy decides what happens then: allow
+   * creates the card anyway, skip returns the existing card and merge adds
+   * the new card's content to it (see getMergedFields).
+   */
   static async createCard(userId, deckId, cardData) {
-    const { frontText, backText, memorized = false } = cardData;
+    const { type = 'basic', frontText, backText, memorized = false, tags, examples } = cardData;
+    const { duplicates: duplicatePolicy = 'allow', duplicateScope = 'deck' } = cardData;
 
     // Check if deck exists and belongs to user
     const deck = await prisma.deck.findFirst({
       where: {
         id: deckId,
         userId,
+        deletedAt: null,
       },
     });
 
@@ -16,13 +110,50 @@ class CardService {
       throw new Error('Deck not found');
     }
 
+    if (cardData.noteTypeId) {
+      return this.createNoteCards(userId, deck, cardData);
+    }
+
+    const key = this.getDuplicateKey(cardData);
+    const duplicates = (await this.findDuplicates(userId, deckId, [key], duplicateScope)).get(key) || [];
+
+    const cardTags = tags ? await TagService.findOrCreateTags(userId, tags) : [];
+
+    if (duplicates.length > 0 && duplicatePolicy !== 'allow') {
+      if (duplicatePolicy === 'merge') {
+        await this.mergeIntoCard(duplicates[0].id, [cardData], cardTags.map(tag => tag.id));
+      }
+
+      return {
+        ...await this.getCardById(duplicates[0].id, userId),
+        duplicates,
+        duplicateAction: duplicatePolicy === 'merge' ? 'merged' : 'skipped',
+      };
+    }
+
+    const variantKeys = type === 'cloze'
+      ? this.getClozeVariantKeys(frontText)
+      : deck.direction !== 'forward' ? [REVERSE_VARIANT] : [];
+
     // Create card
     const card = await prisma.card.create({
       data: {
+        type,
         frontText: frontText.trim(),
-        backText: backText.trim(),
+        duplicateKey: this.getDuplicateKey({ frontText }),
+        backText: backText?.trim() || '',
         memorized,
         deckId,
+        ...this.getRichFieldData(cardData),
+        ...(examples?.length > 0 && {
+          examples: { create: this.getExampleData(examples) },
+        }),
+        ...(variantKeys.length > 0 && {
+          variants: { create: variantKeys.map(key => ({ key })) },
+        }),
+        ...(cardTags.length > 0 && {
+          tags: { connect: cardTags.map(tag => ({ id: tag.id })) },
+        }),
       },
       include: {
         deck: {
@@ -32,13 +163,303 @@ class CardService {
             userId: true,
           },
         },
+        tags: TAGS_INCLUDE,
+        examples: EXAMPLES_INCLUDE,
+        media: MEDIA_INCLUDE,
       },
     });
 
     // Update deck card count
     await this.updateDeckCardCount(deckId);
 
-    return card;
+    return {
+      ...this.withClozes(card),
+      duplicates,
+    };
+  }
+
+
+  /**
+   * Create many cards in one transaction. Items that failed validation
+   * (`itemErrors`, by index) are reported and skipped; the others are
+   * inserted together and the deck is recounted once. Note type cards are
+   * not supported here since each of them makes a note first.
+   *
+   * Likely duplicates, of existing cards or of an earlier item, are returned
+   * as warnings and handled by the `duplicates` policy: allow (create
+   * anyway), skip, or merge into the first duplicate.
+   */
+  static async bulkCreateCards(userId, deckId, cards, options = {}) {
+    const { itemErrors = [], duplicates = 'allow', duplicateScope = 'deck' } = options;
+
+    const deck = await prisma.deck.findFirst({
+      where: {
+        id: deckId,
+        userId,
+        deletedAt: null,
+      },
+    });
+
+    if (!deck) {
+      throw new Error('Deck not found');
+    }
+
+    const results = cards.map((card, index) => {
+      const errors = itemErrors[index] || [];
+
+      if (errors.length === 0 && card.noteTypeId !== undefined) {
+        errors.push('Note type cards must be created one at a time');
+      }
+
+      return errors.length > 0
+        ? { index, success: false, errors }
+        : { index, success: true, action: 'created' };
+    });
+
+    const validResults = results.filter(result => result.success);
+    const existingCards = await this.findDuplicates(
+      userId,
+      deckId,
+      validResults.map(result => this.getDuplicateKey(cards[result.index])),
+      duplicateScope
+    );
+
+    // Front text -> the item of this request that is created with it
+    const createdByKey = new Map();
+    const pending = [];
+    const mergeTargets = new Map();
+
+    validResults.forEach(result => {
+      const card = cards[result.index];
+      const key = this.getDuplicateKey(card);
+      const existing = existingCards.get(key) || [];
+      const earlier = createdByKey.get(key);
+
+      if (existing.length > 0) {
+        result.duplicates = existing;
+      }
+      if (earlier) {
+        result.duplicateOfIndex = earlier.result.index;
+      }
+
+      if (duplicates === 'allow' || (existing.length === 0 && !earlier)) {
+        const item = { result, data: { ...card } };
+        pending.push(item);
+        createdByKey.set(key, item);
+        return;
+      }
+
+      result.action = duplicates === 'skip' ? 'skipped' : 'merged';
+
+      if (existing.length > 0) {
+        result.cardId = existing[0].id;
+
+        if (duplicates === 'merge') {
+          mergeTargets.set(existing[0].id, [...(mergeTargets.get(existing[0].id) || []), card]);
+        }
+      } else {
+        // The earlier item's ID is only known once it is created
+        result.sameAs = earlier.result;
+
+        if (duplicates === 'merge') {
+          Object.assign(earlier.data, this.getMergedFields(earlier.data, card), {
+            tags: [...(earlier.data.tags || []), ...(card.tags || [])],
+          });
+        }
+      }
+    });
+
+    if (pending.length > 0 || mergeTargets.size > 0) {
+      // Tags are shared by the user's cards, so they can be created ahead of the transaction
+      const tagNames = [
+        ...pending.flatMap(item => item.data.tags || []),
+        ...[...mergeTargets.values()].flat().flatMap(card => card.tags || []),
+      ];
+      const tagIds = new Map(
+        (await TagService.findOrCreateTags(userId, tagNames)).map(tag => [tag.name, tag.id])
+      );
+      const getTagIds = (names) => TagService.normalizeNames(names).map(name => tagIds.get(name));
+
+      const createdCards = await prisma.$transaction(async (tx) => {
+        const items = pending.map(item => item.data);
+
+        // Rows come back in the order they were given
+        const created = await tx.card.createManyAndReturn({
+          data: items.map(card => ({
+            type: card.type || 'basic',
+            frontText: card.frontText.trim(),
+            duplicateKey: this.getDuplicateKey(card),
+            backText: card.backText?.trim() || '',
+            memorized: card.memorized || false,
+            deckId,
+            ...this.getRichFieldData(card),
+          })),
+          select: { id: true },
+        });
+
+        await tx.cardVariant.createMany({
+          data: created.flatMap((createdCard, i) => {
+            const card = items[i];
+            const keys = card.type === 'cloze'
+              ? this.getClozeVariantKeys(card.frontText)
+              : deck.direction !== 'forward' ? [REVERSE_VARIANT] : [];
+
+            return keys.map(key => ({ cardId: createdCard.id, key }));
+          }),
+        });
+
+        await tx.cardExample.createMany({
+          data: created.flatMap((createdCard, i) =>
+            this.getExampleData(items[i].examples || []).map(example => ({ ...example, cardId: createdCard.id }))
+          ),
+        });
+
+        // One update per tag connects all of its new cards
+        const cardsByTag = new Map();
+        created.forEach((createdCard, i) => {
+          getTagIds(items[i].tags || []).forEach(tagId => {
+            cardsByTag.set(tagId, [...(cardsByTag.get(tagId) || []), { id: createdCard.id }]);
+          });
+        });
+
+        for (const [tagId, tagCards] of cardsByTag) {
+          await tx.tag.update({
+            where: { id: tagId },
+            data: {
+              cards: { connect: tagCards },
+            },
+          });
+        }
+
+        for (const [cardId, incomingCards] of mergeTargets) {
+          await this.mergeIntoCard(cardId, incomingCards, getTagIds(incomingCards.flatMap(card => card.tags || [])), tx);
+        }
+
+        await this.updateDeckCardCount(deckId, tx);
+
+        return created;
+      }, { timeout: 60000 });
+
+      pending.forEach((item, i) => {
+        item.result.cardId = createdCards[i].id;
+      });
+    }
+
+    results
+      .filter(result => result.sameAs)
+      .forEach(result => {
+        result.cardId = result.sameAs.cardId;
+        delete result.sameAs;
+      });
+
+    const countAction = (action) => results.filter(result => result.action === action).length;
+
+    return {
+      deckId,
+      createdCount: countAction('created'),
+      skippedCount: countAction('skipped'),
+      mergedCount: countAction('merged'),
+      failedCount: results.filter(result => !result.success).length,
+      results,
+    };
+  }
+
+
+  /**
+   * One card per template of the note type, skipping templates whose front
+   * renders empty. Duplicates are looked up by the rendered fronts; a note
+   * can't be merged into a card, so the merge policy skips it like skip.
+   */
+  static async createNoteCards(userId, deck, cardData) {
+    const { noteTypeId, fields = {}, memorized = false, tags } = cardData;
+    const { duplicates: duplicatePolicy = 'allow', duplicateScope = 'deck' } = cardData;
+
+    const noteType = await prisma.noteType.findFirst({
+      where: {
+        id: noteTypeId,
+        userId,
+      },
+      include: {
+        templates: {
+          orderBy: { position: 'asc' },
+        },
+      },
+    });
+
+    if (!noteType) {
+      throw new Error('Note type not found');
+    }
+
+    const values = this.getNoteValues(noteType, fields);
+    const renderedCards = this.renderNoteCards(noteType, values);
+
+    if (renderedCards.length === 0) {
+      throw new Error('Note does not generate any card');
+    }
+
+    const keys = renderedCards.map(renderedCard => renderedCard.duplicateKey);
+    const duplicates = [...new Map(
+      [...(await this.findDuplicates(userId, deck.id, keys, duplicateScope)).values()]
+        .flat()
+        .map(duplicate => [duplicate.id, duplicate])
+    ).values()];
+
+    if (duplicates.length > 0 && duplicatePolicy !== 'allow') {
+      return {
+        note: null,
+        cards: [await this.getCardById(duplicates[0].id, userId)],
+        duplicates,
+        duplicateAction: 'skipped',
+      };
+    }
+
+    const cardTags = tags ? await TagService.findOrCreateTags(userId, tags) : [];
+
+    const { cards, ...note } = await prisma.note.create({
+      data: {
+        noteTypeId,
+        fields: values,
+        cards: {
+          create: renderedCards.map(renderedCard => ({
+            ...renderedCard,
+            memorized,
+            deckId: deck.id,
+            ...this.getRichFieldData(cardData),
+            ...(deck.direction !== 'forward' && {
+              variants: { create: [{ key: REVERSE_VARIANT }] },
+            }),
+            ...(cardTags.length > 0 && {
+              tags: { connect: cardTags.map(tag => ({ id: tag.id })) },
+            }),
+          })),
+        },
+      },
+      include: {
+        cards: {
+          orderBy: { createdAt: 'asc' },
+          include: {
+            deck: {
+              select: {
+                id: true,
+                name: true,
+                userId: true,
+              },
+            },
+            tags: TAGS_INCLUDE,
+            examples: EXAMPLES_INCLUDE,
+            media: MEDIA_INCLUDE,
+          },
+        },
+      },
+    });
+
+    await this.updateDeckCardCount(deck.id);
+
+    return {
+      note,
+      cards,
+      duplicates,
+    };
   }
 
 
@@ -48,6 +469,8 @@ class CardService {
       limit = 10, 
       search, 
       memorized, 
+      leech,
+      tag,
       sortBy = 'createdAt', 
       sortOrder = 'desc' 
     } = options;
@@ -58,6 +481,7 @@ class CardService {
       where: {
         id: deckId,
         userId,
+        deletedAt: null,
       },
     });
 
@@ -66,16 +490,12 @@ class CardService {
     }
 
     // Build where clause
-    const where = {
-      deckId,
-      ...(search && {
-        OR: [
-          { frontText: { contains: search, mode: 'insensitive' } },
-          { backText: { contains: search, mode: 'insensitive' } },
-        ],
-      }),
+    const where = this.buildCardWhere(deckId, {
+      search,
+      tag,
       ...(memorized !== undefined && { memorized: memorized === 'true' }),
-    };
+      ...(leech !== undefined && { leech: leech === 'true' }),
+    });
 
     // Build orderBy clause
     const orderBy = { [sortBy]: sortOrder };
@@ -94,6 +514,9 @@ class CardService {
               name: true,
             },
           },
+          tags: TAGS_INCLUDE,
+          examples: EXAMPLES_INCLUDE,
+          media: MEDIA_INCLUDE,
         },
       }),
       prisma.card.count({ where }),
@@ -118,6 +541,7 @@ class CardService {
         deck: {
           userId,
         },
+        deletedAt: null,
       },
       include: {
         deck: {
@@ -127,6 +551,11 @@ class CardService {
             userId: true,
           },
         },
+        variants: true,
+        tags: TAGS_INCLUDE,
+        examples: EXAMPLES_INCLUDE,
+        media: MEDIA_INCLUDE,
+        note: NOTE_INCLUDE,
       },
     });
 
@@ -134,12 +563,12 @@ class CardService {
       throw new Error('Card not found');
     }
 
-    return card;
+    return this.withClozes(card);
   }
 
 
   static async updateCard(cardId, userId, updateData) {
-    const { frontText, backText, memorized } = updateData;
+    const { frontText, backText, deckId, memorized, tags, examples, fields } = updateData;
 
     // Check if card exists and belongs to user
     const existingCard = await prisma.card.findFirst({
@@ -148,6 +577,10 @@ class CardService {
         deck: {
           userId,
         },
+        deletedAt: null,
+      },
+      include: {
+        deck: true,
       },
     });
 
@@ -155,26 +588,232 @@ class CardService {
       throw new Error('Card not found');
     }
 
-    // Update card
-    const card = await prisma.card.update({
-      where: { id: cardId },
+    if (existingCard.type === 'cloze' && frontText) {
+      const { errors } = parseCloze(frontText);
+
+      if (errors.length > 0) {
+        throw new Error(`Invalid cloze syntax: ${errors.join(', ')}`);
+      }
+    }
+
+    const memorizedData = memorized !== undefined
+      ? {
+          ...this.getMemorizedData(existingCard, memorized),
+          ...this.getLapseData(existingCard, existingCard.deck, memorized),
+        }
+      : {};
+
+    const text = {
+      frontText: !existingCard.noteId && frontText ? frontText.trim() : existingCard.frontText,
+      backText: !existingCard.noteId && backText ? backText.trim() : existingCard.backText,
+    };
+    const textChanged = text.frontText !== existingCard.frontText || text.backText !== existingCard.backText;
+
+    // Every part of the edit is saved, or none of it
+    const card = await prisma.$transaction(async (tx) => {
+      // Editing a cloze sentence can add or remove cloze numbers
+      if (existingCard.type === 'cloze' && frontText) {
+        await this.syncClozeVariants(cardId, frontText, tx);
+      }
+
+      // Cards made from a note are edited through the note's fields, which updates every card of the note
+      if (existingCard.noteId && fields) {
+        const note = await tx.note.findUnique({
+          where: { id: existingCard.noteId },
+          include: { noteType: true },
+        });
+
+        await tx.note.update({
+          where: { id: note.id },
+          data: { fields: this.getNoteValues(note.noteType, fields, note.fields) },
+        });
+
+        await this.syncNoteCards(note.id, tx);
+      }
+
+      // Moving goes through moveCards, which checks the new deck and updates both card counts
+      if (deckId && deckId !== existingCard.deckId) {
+        await this.moveCards(userId, [cardId], deckId, {}, tx);
+      }
+
+      // The given tags replace the card's current ones
+      const cardTags = tags !== undefined ? await TagService.findOrCreateTags(userId, tags, tx) : null;
+
+      const updated = await tx.card.update({
+        where: { id: cardId },
+        data: {
+          ...(textChanged && { ...text, duplicateKey: this.getDuplicateKey(text) }),
+          ...memorizedData,
+          ...this.getRichFieldData(updateData),
+          // The given examples replace the card's current ones
+          ...(examples !== undefined && {
+            examples: { deleteMany: {}, create: this.getExampleData(examples || []) },
+          }),
+          ...(cardTags && {
+            tags: { set: cardTags.map(tag => ({ id: tag.id })) },
+          }),
+        },
+        include: {
+          deck: {
+            select: {
+              id: true,
+              name: true,
+              userId: true,
+            },
+          },
+          tags: TAGS_INCLUDE,
+          examples: EXAMPLES_INCLUDE,
+          media: MEDIA_INCLUDE,
+        },
+      });
+
+      if (memorized !== undefined && memorized !== existingCard.memorized) {
+        await tx.reviewLog.create({
+          data: this.buildReviewLog(existingCard, userId, 'edit', memorizedData),
+        });
+      }
+
+      if (textChanged) {
+        await this.createVersions(existingCard, userId, text, tx);
+      }
+
+      return updated;
+    });
+
+    return this.withClozes(card);
+  }
+
+
+  /**
+   * Version records for an edit of a card's text. The first edit also
+   * records the text the card had until then as the baseline, so it can be
+   * reverted to. The baseline is dated by the card's last logged edit, or its
+   * creation; updatedAt also moves with every review, so it can't tell.
+   */
+  static async createVersions(card, userId, text, client = prisma) {
+    const versionCount = await client.cardVersion.count({
+      where: { cardId: card.id },
+    });
+
+    if (versionCount === 0) {
+      const lastEdit = await client.reviewLog.findFirst({
+        where: { cardId: card.id, type: 'edit' },
+        orderBy: { reviewedAt: 'desc' },
+        select: { reviewedAt: true },
+      });
+
+      await client.cardVersion.create({
+        data: {
+          cardId: card.id,
+          userId: card.deck.userId,
+          frontText: card.frontText,
+          backText: card.backText,
+          baseline: true,
+          createdAt: lastEdit?.reviewedAt ?? card.createdAt,
+        },
+      });
+    }
+
+    await client.cardVersion.create({
       data: {
-        ...(frontText && { frontText: frontText.trim() }),
-        ...(backText && { backText: backText.trim() }),
-        ...(memorized !== undefined && { memorized }),
+        cardId: card.id,
+        userId,
+        ...text,
       },
-      include: {
+    });
+  }
+
+
+  // Text versions of a card, newest (the current text) first
+  static async getCardHistory(cardId, userId, options = {}) {
+    const { page = 1, limit = 10 } = options;
+    const skip = (page - 1) * limit;
+
+    const card = await prisma.card.findFirst({
+      where: {
+        id: cardId,
         deck: {
-          select: {
-            id: true,
-            name: true,
-            userId: true,
+          userId,
+        },
+        deletedAt: null,
+      },
+    });
+
+    if (!card) {
+      throw new Error('Card not found');
+    }
+
+    const where = { cardId };
+
+    const [versions, total] = await Promise.all([
+      prisma.cardVersion.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { createdAt: 'desc' },
+        include: {
+          user: {
+            select: {
+              id: true,
+              name: true,
+            },
           },
         },
+      }),
+      prisma.cardVersion.count({ where }),
+    ]);
+
+    return {
+      versions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+
+  /**
+   * Set a card's text back to one of its versions. This goes through
+   * updateCard, so the revert is recorded as a new version too.
+   */
+  static async revertCard(cardId, userId, versionId) {
+    const card = await prisma.card.findFirst({
+      where: {
+        id: cardId,
+        deck: {
+          userId,
+        },
+        deletedAt: null,
       },
     });
 
-    return card;
+    if (!card) {
+      throw new Error('Card not found');
+    }
+
+    const version = await prisma.cardVersion.findFirst({
+      where: {
+        id: versionId,
+        cardId,
+      },
+    });
+
+    if (!version) {
+      throw new Error('Version not found');
+    }
+
+    // Their text is rendered from the note's fields
+    if (card.noteId) {
+      throw new Error('Cards made from a note cannot be reverted');
+    }
+
+    return this.updateCard(cardId, userId, {
+      frontText: version.frontText,
+      backText: version.backText,
+    });
   }
 
  
@@ -185,6 +824,7 @@ class CardService {
         deck: {
           userId,
         },
+        deletedAt: null,
       },
       include: {
         deck: true,
@@ -195,22 +835,28 @@ class CardService {
       throw new Error('Card not found');
     }
 
-    // Delete card
-    await prisma.card.delete({
+    // Moved to the trash; media files and the note go when it is purged
+    await prisma.card.update({
       where: { id: cardId },
+      data: { deletedAt: new Date() },
     });
 
-
     await this.updateDeckCardCount(existingCard.deckId);
   }
 
-  static async toggleMemorized(cardId, userId) {
+
+  // Bring a card back from the trash into its deck, which must not be in the trash itself
+  static async restoreCard(cardId, userId) {
     const existingCard = await prisma.card.findFirst({
       where: {
         id: cardId,
         deck: {
           userId,
         },
+        deletedAt: { not: null },
+      },
+      include: {
+        deck: true,
       },
     });
 
@@ -218,50 +864,299 @@ class CardService {
       throw new Error('Card not found');
     }
 
-    // Toggle memorized status
-    const card = await prisma.card.update({
+    if (existingCard.deck.deletedAt) {
+      throw new Error('Card deck is in the trash');
+    }
+
+    await prisma.card.update({
       where: { id: cardId },
-      data: {
-        memorized: !existingCard.memorized,
-      },
-      include: {
-        deck: {
-          select: {
-            id: true,
-            name: true,
-            userId: true,
-          },
-        },
-      },
+      data: { deletedAt: null },
     });
 
-    return card;
-  }
+    await this.updateDeckCardCount(existingCard.deckId);
 
+    return this.getCardById(cardId, userId);
+  }
 
-  static async bulkUpdateMemorized(userId, deckId, cardIds, memorized) {
-    const deck = await prisma.deck.findFirst({
-      where: {
-        id: deckId,
-        userId,
-      },
-    });
+  // The single-card forms of moveCards/copyCards, returning the moved card or the copy
+  static async moveCard(cardId, userId, deckId, options = {}) {
+    const { movedCards } = await this.moveCards(userId, [cardId], deckId, options);
 
-    if (!deck) {
-      throw new Error('Deck not found');
+    if (movedCards === 0) {
+      throw new Error('Card not found');
     }
 
-    // Update cards
-    const result = await prisma.card.updateMany({
-      where: {
-        id: { in: cardIds },
+    return this.getCardById(cardId, userId);
+  }
+
+
+  static async copyCard(cardId, userId, deckId, options = {}) {
+    const { cardIds } = await this.copyCards(userId, [cardId], deckId, options);
+
+    if (cardIds.length === 0) {
+      throw new Error('Card not found');
+    }
+
+    return this.getCardById(cardIds[0], userId);
+  }
+
+
+  /**
+   * Move cards into another deck of the user. Cards keep their review
+   * progress unless resetProgress is set. Cards of other users are silently
+   * skipped.
+   */
+  static async moveCards(userId, cardIds, deckId, options = {}, client = prisma) {
+    const { resetProgress = false } = options;
+
+    const { deck, cards } = await this.findTransferCards(userId, cardIds, deckId, { select: { id: true, deckId: true } }, client);
+    const ids = cards.map(card => card.id);
+    const sourceDeckIds = [...new Set(cards.map(card => card.deckId))].filter(id => id !== deckId);
+
+    if (ids.length > 0) {
+      await this.inTransaction(client, async (tx) => {
+        await tx.card.updateMany({
+          where: { id: { in: ids } },
+          data: {
+            deckId,
+            ...(resetProgress && { ...this.getNewItemState(), lapses: 0, leech: false, suspended: false }),
+          },
+        });
+
+        if (resetProgress) {
+          await tx.cardVariant.updateMany({
+            where: { cardId: { in: ids } },
+            data: this.getNewItemState(),
+          });
+        }
+
+        // The new deck may study cards in reverse where the old one did not
+        if (deck.direction !== 'forward') {
+          await this.ensureReverseVariants(deckId, tx);
+        }
+
+        for (const id of [deckId, ...sourceDeckIds]) {
+          await this.updateDeckCardCount(id, tx);
+        }
+      });
+    }
+
+    return {
+      deckId,
+      movedCards: ids.length,
+    };
+  }
+
+
+  /**
+   * Copy cards into a deck of the user, with their tags, examples and media.
+   * Copies of cards made from a note are standalone cards.
+   */
+  static async copyCards(userId, cardIds, deckId, options = {}) {
+    const { resetProgress = false } = options;
+
+    const { deck, cards } = await this.findTransferCards(userId, cardIds, deckId, {
+      include: {
+        variants: true,
+        tags: { select: { id: true } },
+        examples: true,
+        media: true,
+      },
+    });
+
+    // Files can't be part of the transaction, so they are copied first and removed again on failure
+    const mediaCopies = await MediaService.copyFiles(userId, cards.flatMap(card => card.media));
+
+    try {
+      const copies = await prisma.$transaction(async (tx) => {
+        const createdCards = [];
+
+        for (const card of cards) {
+          createdCards.push(await tx.card.create({
+            data: {
+              ...this.getCardCopyData(card, {
+                resetProgress,
+                media: card.media.map(media => mediaCopies.get(media.id)),
+              }),
+              deckId,
+            },
+            select: { id: true },
+          }));
+        }
+
+        // Copies keep the variants of their card, the new deck may also study them in reverse
+        if (deck.direction !== 'forward') {
+          await this.ensureReverseVariants(deckId, tx);
+        }
+
+        await this.updateDeckCardCount(deckId, tx);
+
+        return createdCards;
+      });
+
+      return {
         deckId,
+        copiedCards: copies.length,
+        cardIds: copies.map(copy => copy.id),
+      };
+    } catch (error) {
+      await MediaService.removeFiles([...mediaCopies.values()].map(media => media.storageKey));
+      throw error;
+    }
+  }
+
+
+  // The target deck and the user's cards among cardIds, in the given order
+  static async findTransferCards(userId, cardIds, deckId, query, client = prisma) {
+    const deck = await client.deck.findFirst({
+      where: {
+        id: deckId,
+        userId,
+        deletedAt: null,
       },
-      data: {
-        memorized,
+    });
+
+    if (!deck) {
+      throw new Error('Deck not found');
+    }
+
+    const cards = await client.card.findMany({
+      ...query,
+      where: {
+        id: { in: cardIds },
+        deck: { userId },
+        deletedAt: null,
+      },
+    });
+
+    return {
+      deck,
+      cards: cards.sort((a, b) => cardIds.indexOf(a.id) - cardIds.indexOf(b.id)),
+    };
+  }
+
+
+  static async toggleMemorized(cardId, userId) {
+    const existingCard = await prisma.card.findFirst({
+      where: {
+        id: cardId,
+        deck: {
+          userId,
+        },
+        deletedAt: null,
+      },
+      include: {
+        deck: true,
+      },
+    });
+
+    if (!existingCard) {
+      throw new Error('Card not found');
+    }
+
+    const data = {
+      ...this.getMemorizedData(existingCard, !existingCard.memorized),
+      ...this.getLapseData(existingCard, existingCard.deck, !existingCard.memorized),
+    };
+
+    // Toggle memorized status
+    const [card] = await prisma.$transaction([
+      prisma.card.update({
+        where: { id: cardId },
+        data,
+        include: {
+          deck: {
+            select: {
+              id: true,
+              name: true,
+              userId: true,
+            },
+          },
+          tags: TAGS_INCLUDE,
+          examples: EXAMPLES_INCLUDE,
+          media: MEDIA_INCLUDE,
+        },
+      }),
+      prisma.reviewLog.create({
+        data: this.buildReviewLog(existingCard, userId, 'toggle', data),
+      }),
+    ]);
+
+    return card;
+  }
+
+
+  static async bulkUpdateMemorized(userId, deckId, cardIds, memorized) {
+    const deck = await prisma.deck.findFirst({
+      where: {
+        id: deckId,
+        userId,
+        deletedAt: null,
+      },
+    });
+
+    if (!deck) {
+      throw new Error('Deck not found');
+    }
+
+    const now = new Date();
+    const where = {
+      id: { in: cardIds },
+      deckId,
+      deletedAt: null,
+    };
+
+    // Keep the review schedule in sync with the new status before updating it
+    const scheduleUpdate = memorized
+      ? prisma.card.updateMany({
+          where: { ...where, repetitions: 0 },
+          data: { repetitions: 1, interval: 1, dueDate: addDays(now, 1), lastReviewedAt: now, learningStep: null },
+        })
+      : prisma.card.updateMany({
+          where: { ...where, memorized: true },
+          data: { repetitions: 0, interval: 0, dueDate: now, lapses: { increment: 1 } },
+        });
+
+    // Cards whose status actually changes get a review log entry
+    const changedCards = await prisma.card.findMany({
+      where: { ...where, memorized: !memorized },
+      select: {
+        id: true,
+        interval: true,
+        repetitions: true,
+        memorized: true,
+        lapses: true,
       },
     });
 
+    // Cards that lapse into leeches with this update
+    const leechIds = changedCards
+      .filter(card => this.getLapseData(card, deck, memorized).leech)
+      .map(card => card.id);
+
+    // Update cards
+    const [, result] = await prisma.$transaction([
+      scheduleUpdate,
+      prisma.card.updateMany({
+        where,
+        data: {
+          memorized,
+        },
+      }),
+      prisma.card.updateMany({
+        where: { id: { in: leechIds } },
+        data: {
+          leech: true,
+          ...(deck.leechAction === 'suspend' && { suspended: true }),
+        },
+      }),
+      prisma.reviewLog.createMany({
+        data: changedCards.map(card =>
+          this.buildReviewLog(card, userId, 'bulk', this.getMemorizedData(card, memorized, now))
+        ),
+      }),
+    ]);
+
     return {
       updatedCount: result.count,
       memorized,
@@ -269,14 +1164,63 @@ class CardService {
   }
 
 
+  static async unsuspendCard(cardId, userId) {
+    const existingCard = await prisma.card.findFirst({
+      where: {
+        id: cardId,
+        deck: {
+          userId,
+        },
+        deletedAt: null,
+      },
+    });
+
+    if (!existingCard) {
+      throw new Error('Card not found');
+    }
+
+    // The leech flag stays so the card can still be found and reworded
+    return prisma.card.update({
+      where: { id: cardId },
+      data: { suspended: false },
+      include: {
+        deck: {
+          select: {
+            id: true,
+            name: true,
+            userId: true,
+          },
+        },
+        tags: TAGS_INCLUDE,
+        examples: EXAMPLES_INCLUDE,
+        media: MEDIA_INCLUDE,
+      },
+    });
+  }
+
+
   static async getStudyCards(userId, deckId, options = {}) {
-    const { limit = 20, memorizedOnly = false, unmemorizedOnly = false } = options;
+    const { limit = 20, memorizedOnly = false, unmemorizedOnly = false, tag, includeSubdecks = false } = options;
 
+    if (includeSubdecks) {
+      return this.getSubdeckStudyCards(userId, deckId, options);
+    }
 
     const deck = await prisma.deck.findFirst({
       where: {
         id: deckId,
         userId,
+        deletedAt: null,
+      },
+      include: {
+        user: {
+          select: {
+            scheduler: true,
+            desiredRetention: true,
+            timezone: true,
+          },
+        },
+        options: true,
       },
     });
 
@@ -284,8 +1228,19 @@ class CardService {
       throw new Error('Deck not found');
     }
 
-    // Build where clause
-    let where = { deckId };
+    const { scheduler } = resolveSchedulerSettings(deck, deck.user);
+    const deckOptions = deck.options || DEFAULT_DECK_OPTIONS;
+    const now = new Date();
+
+    // Daily limits count what was already studied since the user's local midnight
+    const studied = await this.getStudiedToday(deckId, startOfDay(now, deck.user.timezone));
+    const newLeft = Math.max(0, deckOptions.newCardsPerDay - studied.new);
+    const reviewsLeft = Math.max(0, deckOptions.maxReviewsPerDay - studied.review);
+
+    // Build where clause (only items that are due for review)
+    let where = {
+      dueDate: { lte: now },
+    };
 
     if (memorizedOnly) {
       where.memorized = true;
@@ -293,30 +1248,428 @@ class CardService {
       where.memorized = false;
     }
 
-    // Get cards (prioritize unmemorized cards)
-    const cards = await prisma.card.findMany({
-      where,
-      take: limit,
-      orderBy: [
-        { memorized: 'asc' }, 
-        { updatedAt: 'asc' }, 
-      ],
+    const cardWhere = tag ? this.getTagWhere(tag) : {};
+
+    // Learning items are never limited, they are new cards already started today
+    const [learning, reviews, newItems] = await Promise.all([
+      this.findStudyItems(this.buildStudyWhere(deck, { ...where, learningStep: { not: null } }, cardWhere), limit),
+      this.findStudyItems(
+        this.buildStudyWhere(deck, { ...where, learningStep: null, lastReviewedAt: { not: null } }, cardWhere),
+        Math.min(limit, reviewsLeft)
+      ),
+      this.findNewStudyItems(
+        this.buildStudyWhere(deck, { ...where, learningStep: null, lastReviewedAt: null }, cardWhere),
+        Math.min(limit, newLeft),
+        deckOptions.cardOrder
+      ),
+    ]);
+
+    // Cards the learner is most likely to have forgotten come first
+    const sortedReviews = scheduler.getRetrievability
+      ? reviews
+          .map(item => ({ ...item, retrievability: scheduler.getRetrievability(item, now) }))
+          .sort((a, b) => (a.retrievability ?? -1) - (b.retrievability ?? -1))
+      : reviews;
+
+    return [...learning, ...sortedReviews, ...newItems].slice(0, limit);
+  }
+
+
+  // Every deck of the subtree keeps its own limits, direction and order; the decks take turns
+  static async getSubdeckStudyCards(userId, deckId, options) {
+    const { limit = 20 } = options;
+
+    const decks = await prisma.deck.findMany({
+      where: { userId, deletedAt: null },
+      select: {
+        id: true,
+        parentId: true,
+      },
+    });
+
+    if (!decks.some(deck => deck.id === deckId)) {
+      throw new Error('Deck not found');
+    }
+
+    const deckItems = await Promise.all(
+      [deckId, ...getDescendantIds(decks, deckId)].map(id =>
+        this.getStudyCards(userId, id, { ...options, includeSubdecks: false })
+      )
+    );
+
+    return interleave(deckItems, limit);
+  }
+
+
+  // Where clauses for the studied cards and variants of a deck, honouring its direction.
+  // cardWhere filters on the card itself (e.g. by tag) for both kinds.
+  static buildStudyWhere(deck, where, cardWhere = {}) {
+    return {
+      card: {
+        ...where,
+        ...cardWhere,
+        deckId: deck.id,
+        suspended: false,
+        deletedAt: null,
+        // Cloze cards have no reverse side, they are always studied
+        ...(deck.direction === 'reverse' && { type: 'cloze' }),
+      },
+      variant: {
+        ...where,
+        card: { ...cardWhere, deckId: deck.id, suspended: false, deletedAt: null },
+        OR: [
+          { card: { type: 'cloze' } },
+          ...(deck.direction !== 'forward' ? [{ key: REVERSE_VARIANT, card: { type: 'basic' } }] : []),
+        ],
+      },
+    };
+  }
+
+
+  // Study items of both kinds, ordered by due date (or creation date) and merged
+  static async findStudyItems(studyWhere, take, sortBy = 'dueDate') {
+    if (take <= 0) {
+      return [];
+    }
+
+    const cardInclude = {
+      deck: {
+        select: {
+          id: true,
+          name: true,
+        },
+      },
+      tags: TAGS_INCLUDE,
+      examples: EXAMPLES_INCLUDE,
+      media: MEDIA_INCLUDE,
+    };
+
+    const [cards, variants] = await Promise.all([
+      prisma.card.findMany({
+        where: studyWhere.card,
+        take,
+        orderBy: [
+          { [sortBy]: 'asc' },
+          { updatedAt: 'asc' },
+        ],
+        include: cardInclude,
+      }),
+      prisma.cardVariant.findMany({
+        where: studyWhere.variant,
+        take,
+        // Variants are ordered with their card when following creation order
+        orderBy: [
+          sortBy === 'createdAt' ? { card: { createdAt: 'asc' } } : { dueDate: 'asc' },
+          { updatedAt: 'asc' },
+        ],
+        include: {
+          card: {
+            include: cardInclude,
+          },
+        },
+      }),
+    ]);
+
+    return [
+      ...cards.map(card => this.toStudyItem(card)),
+      ...variants.map(variant => this.toStudyItem(variant.card, variant)),
+    ]
+      .sort((a, b) => a[sortBy] - b[sortBy])
+      .slice(0, take);
+  }
+
+
+  static async findNewStudyItems(studyWhere, take, cardOrder) {
+    if (cardOrder !== 'random' || take <= 0) {
+      return this.findStudyItems(studyWhere, take, 'createdAt');
+    }
+
+    // Pick random items by ID first so only the chosen ones are loaded
+    const [cardIds, variantIds] = await Promise.all([
+      prisma.card.findMany({ where: studyWhere.card, select: { id: true } }),
+      prisma.cardVariant.findMany({ where: studyWhere.variant, select: { id: true } }),
+    ]);
+
+    const picked = shuffle([
+      ...cardIds.map(({ id }) => ({ id, variant: false })),
+      ...variantIds.map(({ id }) => ({ id, variant: true })),
+    ]).slice(0, take);
+
+    const items = await this.findStudyItems({
+      card: { id: { in: picked.filter(item => !item.variant).map(item => item.id) } },
+      variant: { id: { in: picked.filter(item => item.variant).map(item => item.id) } },
+    }, take);
+
+    return shuffle(items);
+  }
+
+
+  // Reviews done in a deck since a given time, counted by the state the item was in
+  static async getStudiedToday(deckId, since) {
+    const counts = await prisma.reviewLog.groupBy({
+      by: ['state'],
+      where: {
+        type: 'review',
+        reviewedAt: { gte: since },
+        card: { deckId },
+      },
+      _count: true,
+    });
+
+    const countOf = state => counts.find(count => count.state === state)?._count || 0;
+
+    return {
+      new: countOf('new'),
+      learning: countOf('learning'),
+      review: countOf('review'),
+    };
+  }
+
+
+  static async reviewCard(cardId, userId, quality, options = {}) {
+    const { timeTaken, sessionId, variant = null } = options;
+
+    const existingCard = await prisma.card.findFirst({
+      where: {
+        id: cardId,
+        deck: {
+          userId,
+        },
+        deletedAt: null,
+      },
       include: {
         deck: {
-          select: {
-            id: true,
-            name: true,
+          include: {
+            user: {
+              select: {
+                scheduler: true,
+                desiredRetention: true,
+              },
+            },
+            options: true,
           },
         },
+        ...(variant && {
+          variants: {
+            where: { key: variant },
+          },
+        }),
+      },
+    });
+
+    if (!existingCard) {
+      throw new Error('Card not found');
+    }
+
+    // The reviewed item is either the card itself or one of its variants
+    const existingVariant = variant ? existingCard.variants[0] : null;
+
+    if (variant && !existingVariant) {
+      throw new Error('Card variant not found');
+    }
+
+    const item = existingVariant || existingCard;
+    const { scheduler, options: schedulerOptions } = resolveSchedulerSettings(existingCard.deck, existingCard.deck.user);
+    const schedule = scheduleWithLearningSteps(item, quality, scheduler, {
+      ...schedulerOptions,
+      ...(existingCard.deck.options || DEFAULT_DECK_OPTIONS),
+    });
+
+    // An item only counts as memorized once it has left the learning steps
+    const data = {
+      ...schedule,
+      memorized: quality >= PASSING_QUALITY && getItemState({ ...item, ...schedule }) === 'review',
+    };
+
+    // Lapses are counted on the card, whichever of its items was forgotten
+    const lapseData = this.getLapseData(
+      { ...existingCard, memorized: item.memorized },
+      existingCard.deck,
+      data.memorized
+    );
+
+    const include = {
+      deck: {
+        select: {
+          id: true,
+          name: true,
+          userId: true,
+        },
+      },
+      tags: TAGS_INCLUDE,
+      examples: EXAMPLES_INCLUDE,
+      media: MEDIA_INCLUDE,
+    };
+
+    const [updated] = await prisma.$transaction([
+      existingVariant
+        ? prisma.cardVariant.update({
+            where: { id: existingVariant.id },
+            data,
+            include: {
+              card: { include },
+            },
+          })
+        : prisma.card.update({
+            where: { id: cardId },
+            data: { ...data, ...lapseData },
+            include,
+          }),
+      ...(existingVariant && lapseData.lapses
+        ? [prisma.card.update({ where: { id: cardId }, data: lapseData })]
+        : []),
+      prisma.reviewLog.create({
+        data: this.buildReviewLog({ ...item, id: cardId }, userId, 'review', data, {
+          grade: quality,
+          timeTaken: timeTaken ?? null,
+          variant,
+          sessionId: sessionId ?? null,
+          state: getItemState(item),
+        }),
+      }),
+    ]);
+
+    return existingVariant ? this.toStudyItem(updated.card, updated) : this.toStudyItem(updated);
+  }
+
+
+  static async checkTypedAnswer(cardId, userId, answer, options = {}) {
+    const { reverse = false, variant = null, tolerance } = options;
+
+    const card = await prisma.card.findFirst({
+      where: {
+        id: cardId,
+        deck: {
+          userId,
+        },
+        deletedAt: null,
+      },
+    });
+
+    if (!card) {
+      throw new Error('Card not found');
+    }
+
+    // Cloze cards are answered with the hidden words of the studied cloze
+    const expected = card.type === 'cloze'
+      ? this.toStudyItem(card, variant && { key: variant }).answer
+      : reverse ? card.frontText : card.backText;
+
+    return {
+      cardId,
+      reverse,
+      variant,
+      ...this.gradeAnswer(answer, expected, { tolerance }),
+    };
+  }
+
+
+  /**
+   * Grade a typed answer against the expected text of a card.
+   * Every alternative ("a; b / c") is tried and the closest one wins.
+   * Suggested quality: 5 exact, 4 only case/accents differ, 3 within tolerance, 1 wrong.
+   */
+  static gradeAnswer(answer, expectedText, options = {}) {
+    const typed = collapseWhitespace(String(answer).normalize('NFC'));
+    const normalizedTyped = normalizeText(typed);
+    const expected = expectedText.normalize('NFC');
+    // An answer made only of separators (";" or "/") has no alternatives, so it is graded as written
+    const alternatives = splitAlternatives(expected);
+    if (alternatives.length === 0) {
+      alternatives.push(collapseWhitespace(expected));
+    }
+
+    const best = alternatives
+      .map(alternative => {
+        const normalized = normalizeText(alternative);
+        const allowed = options.tolerance ?? this.getDefaultTolerance(normalized);
+        return {
+          alternative,
+          distance: levenshtein(normalizedTyped, normalized),
+          tolerance: allowed,
+        };
+      })
+      .sort((a, b) => a.distance - b.distance)[0];
+
+    const exact = normalizedTyped.length > 0 && typed === best.alternative;
+    const correct = normalizedTyped.length > 0 && best.distance <= best.tolerance;
+
+    let quality = 1;
+    if (exact) {
+      quality = 5;
+    } else if (correct && best.distance === 0) {
+      quality = 4;
+    } else if (correct) {
+      quality = 3;
+    }
+
+    return {
+      answer: typed,
+      expected: expectedText,
+      matchedAnswer: best.alternative,
+      alternatives,
+      correct,
+      exact,
+      distance: best.distance,
+      tolerance: best.tolerance,
+      quality,
+      diff: diffChars(typed, best.alternative),
+    };
+  }
+
+
+  // Short words must be typed exactly, longer answers allow a typo or two
+  static getDefaultTolerance(normalizedText) {
+    if (normalizedText.length <= 3) return 0;
+    if (normalizedText.length <= 8) return 1;
+    return 2;
+  }
+
+
+  static async getCardReviews(cardId, userId, options = {}) {
+    const { page = 1, limit = 10 } = options;
+    const skip = (page - 1) * limit;
+
+    const card = await prisma.card.findFirst({
+      where: {
+        id: cardId,
+        deck: {
+          userId,
+        },
+        deletedAt: null,
       },
     });
 
-    return cards;
+    if (!card) {
+      throw new Error('Card not found');
+    }
+
+    const where = { cardId };
+
+    const [reviews, total] = await Promise.all([
+      prisma.reviewLog.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { reviewedAt: 'desc' },
+      }),
+      prisma.reviewLog.count({ where }),
+    ]);
+
+    return {
+      reviews,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
   }
 
 
   static async searchCards(userId, query, options = {}) {
-    const { page = 1, limit = 10, deckId, memorized } = options;
+    const { page = 1, limit = 10, deckId, memorized, tag } = options;
     const skip = (page - 1) * limit;
 
     const where = {
@@ -324,11 +1677,10 @@ class CardService {
         userId,
         ...(deckId && { id: deckId }),
       },
-      OR: [
-        { frontText: { contains: query, mode: 'insensitive' } },
-        { backText: { contains: query, mode: 'insensitive' } },
-      ],
+      deletedAt: null,
+      OR: this.getSearchConditions(query),
       ...(memorized !== undefined && { memorized: memorized === 'true' }),
+      ...(tag && this.getTagWhere(tag)),
     };
 
     const [cards, total] = await Promise.all([
@@ -344,6 +1696,9 @@ class CardService {
               name: true,
             },
           },
+          tags: TAGS_INCLUDE,
+          examples: EXAMPLES_INCLUDE,
+          media: MEDIA_INCLUDE,
         },
       }),
       prisma.card.count({ where }),
@@ -361,11 +1716,30 @@ class CardService {
   }
 
  
+  // Text search over both sides and the vocabulary fields. Synonyms and
+  // antonyms are lists, so they only match a whole word.
+  static getSearchConditions(query) {
+    const contains = { contains: query, mode: 'insensitive' };
+
+    return [
+      { frontText: contains },
+      { backText: contains },
+      { partOfSpeech: contains },
+      { ipa: contains },
+      { mnemonic: contains },
+      { examples: { some: { OR: [{ sentence: contains }, { translation: contains }] } } },
+      { synonyms: { hasSome: [query, query.toLowerCase()] } },
+      { antonyms: { hasSome: [query, query.toLowerCase()] } },
+    ];
+  }
+
+
   static async getCardStats(userId, deckId) {
     const deck = await prisma.deck.findFirst({
       where: {
         id: deckId,
         userId,
+        deletedAt: null,
       },
     });
 
@@ -373,11 +1747,16 @@ class CardService {
       throw new Error('Deck not found');
     }
 
-    const stats = await prisma.card.groupBy({
-      by: ['memorized'],
-      where: { deckId },
-      _count: true,
-    });
+    const [stats, dueCards] = await Promise.all([
+      prisma.card.groupBy({
+        by: ['memorized'],
+        where: { deckId, deletedAt: null },
+        _count: true,
+      }),
+      prisma.card.count({
+        where: { deckId, deletedAt: null, dueDate: { lte: new Date() } },
+      }),
+    ]);
 
     const totalCards = stats.reduce((sum, stat) => sum + stat._count, 0);
     const memorizedCards = stats.find(stat => stat.memorized)?._count || 0;
@@ -388,21 +1767,623 @@ class CardService {
       totalCards,
       memorizedCards,
       unmemorizedCards,
+      dueCards,
+      progressPercentage: totalCards > 0 ? Math.round((memorizedCards / totalCards) * 100) : 0,
+      ...(deck.direction !== 'forward' && {
+        reverse: await this.getVariantStats(deckId, REVERSE_VARIANT),
+      }),
+    };
+  }
+
+
+  static async getVariantStats(deckId, key) {
+    const where = {
+      key,
+      card: { deckId, deletedAt: null },
+    };
+
+    const [stats, dueCards] = await Promise.all([
+      prisma.cardVariant.groupBy({
+        by: ['memorized'],
+        where,
+        _count: true,
+      }),
+      prisma.cardVariant.count({
+        where: { ...where, dueDate: { lte: new Date() } },
+      }),
+    ]);
+
+    const totalCards = stats.reduce((sum, stat) => sum + stat._count, 0);
+    const memorizedCards = stats.find(stat => stat.memorized)?._count || 0;
+
+    return {
+      totalCards,
+      memorizedCards,
+      unmemorizedCards: totalCards - memorizedCards,
+      dueCards,
       progressPercentage: totalCards > 0 ? Math.round((memorizedCards / totalCards) * 100) : 0,
     };
   }
 
 
-  static async updateDeckCardCount(deckId) {
-    const cardCount = await prisma.card.count({
-      where: { deckId },
+  // Decks studied in reverse need a reverse variant for every card
+  static async ensureReverseVariants(deckId, client = prisma) {
+    const cards = await client.card.findMany({
+      where: {
+        deckId,
+        type: 'basic',
+        variants: { none: { key: REVERSE_VARIANT } },
+      },
+      select: { id: true },
+    });
+
+    if (cards.length === 0) {
+      return;
+    }
+
+    await client.cardVariant.createMany({
+      data: cards.map(card => ({ cardId: card.id, key: REVERSE_VARIANT })),
+      skipDuplicates: true,
+    });
+  }
+
+
+  // Shape a card (or one of its variants) as a study item with the prompt to show
+  static toStudyItem(card, variant = null) {
+    const reverse = variant?.key === REVERSE_VARIANT;
+    const state = variant
+      ? Object.fromEntries(SCHEDULING_FIELDS.map(field => [field, variant[field]]))
+      : {};
+
+    const item = {
+      ...card,
+      ...state,
+      variant: variant ? variant.key : null,
+      prompt: reverse ? card.backText : card.frontText,
+      answer: reverse ? card.frontText : card.backText,
+    };
+
+    if (card.type !== 'cloze') {
+      return item;
+    }
+
+    // The card itself holds its lowest cloze number, variants hold the others
+    const clozeMatch = variant && CLOZE_VARIANT_PATTERN.exec(variant.key);
+    const number = clozeMatch ? parseInt(clozeMatch[1], 10) : parseCloze(card.frontText).numbers[0];
+    const { prompt, answer, revealed } = renderCloze(card.frontText, number);
+
+    return {
+      ...item,
+      prompt,
+      answer,
+      revealed,
+    };
+  }
+
+
+  // Variant keys for every cloze number except the lowest one, which lives on the card
+  static getClozeVariantKeys(frontText) {
+    return parseCloze(frontText).numbers.slice(1).map(number => `c${number}`);
+  }
+
+
+  static async syncClozeVariants(cardId, frontText, client = prisma) {
+    const keys = this.getClozeVariantKeys(frontText);
+
+    await this.inTransaction(client, async (tx) => {
+      await tx.cardVariant.deleteMany({
+        where: {
+          cardId,
+          key: { notIn: keys },
+        },
+      });
+
+      await tx.cardVariant.createMany({
+        data: keys.map(key => ({ cardId, key })),
+        skipDuplicates: true,
+      });
+    });
+  }
+
+
+  // Cloze cards come with the rendered prompt and answer of each cloze
+  static withClozes(card) {
+    if (card.type !== 'cloze') {
+      return card;
+    }
+
+    const clozes = parseCloze(card.frontText).numbers.map((number, index) => ({
+      variant: index === 0 ? null : `c${number}`,
+      ...renderCloze(card.frontText, number),
+    }));
+
+    return {
+      ...card,
+      clozes,
+    };
+  }
+
+
+  // Only the fields present in the request; null or an empty value clears a field
+  static getRichFieldData(cardData) {
+    const data = {};
+
+    RICH_TEXT_FIELDS
+      .filter(field => cardData[field] !== undefined)
+      .forEach(field => {
+        data[field] = cardData[field]?.trim() || null;
+      });
+
+    RICH_LIST_FIELDS
+      .filter(field => cardData[field] !== undefined)
+      .forEach(field => {
+        data[field] = [...new Set((cardData[field] || []).map(collapseWhitespace).filter(Boolean))];
+      });
+
+    return data;
+  }
+
+
+  static getExampleData(examples) {
+    return examples.map((example, position) => ({
+      sentence: example.sentence.trim(),
+      translation: example.translation?.trim() || null,
+      position,
+    }));
+  }
+
+
+  static getTagWhere(tag) {
+    return {
+      tags: { some: { name: TagService.normalizeName(tag) } },
+    };
+  }
+
+
+  // Field values of a note, limited to the note type's fields. Missing values keep
+  // their current value (or are empty for a new note).
+  static getNoteValues(noteType, fields, currentValues = {}) {
+    return Object.fromEntries(noteType.fields.map(name => [
+      name,
+      typeof fields[name] === 'string' ? fields[name].trim() : currentValues[name] ?? '',
+    ]));
+  }
+
+
+  static renderNoteCards(noteType, values) {
+    return noteType.templates
+      .map(template => ({
+        templateId: template.id,
+        ...renderCard(template, values),
+      }))
+      .filter(card => card.frontText)
+      .map(card => ({ ...card, duplicateKey: this.getDuplicateKey(card) }));
+  }
+
+
+  /**
+   * Re-render the cards of a note after its fields or templates changed, and
+   * create cards for templates that now render. Cards whose front became empty
+   * keep their last text rather than being deleted with their review history.
+   */
+  static async syncNoteCards(noteId, client = prisma) {
+    const note = await client.note.findUnique({
+      where: { id: noteId },
+      include: {
+        noteType: {
+          include: {
+            templates: {
+              orderBy: { position: 'asc' },
+            },
+          },
+        },
+        cards: {
+          orderBy: { createdAt: 'asc' },
+          include: { deck: true },
+        },
+      },
+    });
+
+    const [firstCard] = note.cards;
+
+    if (!firstCard) {
+      return;
+    }
+
+    const renderedCards = this.renderNoteCards(note.noteType, note.fields);
+    const newCards = renderedCards.filter(renderedCard =>
+      !note.cards.some(card => card.templateId === renderedCard.templateId)
+    );
+
+    await this.inTransaction(client, async (tx) => {
+      for (const card of note.cards) {
+        const renderedCard = renderedCards.find(rendered => rendered.templateId === card.templateId);
+
+        if (!renderedCard) {
+          continue;
+        }
+
+        const text = { frontText: renderedCard.frontText, backText: renderedCard.backText };
+
+        await tx.card.update({
+          where: { id: card.id },
+          data: {
+            ...text,
+            duplicateKey: renderedCard.duplicateKey,
+          },
+        });
+
+        // Only the owner edits notes and note types, so the edit is theirs
+        if (text.frontText !== card.frontText || text.backText !== card.backText) {
+          await this.createVersions(card, card.deck.userId, text, tx);
+        }
+      }
+
+      // New cards join the deck of the note's first card
+      for (const renderedCard of newCards) {
+        await tx.card.create({
+          data: {
+            ...renderedCard,
+            noteId,
+            deckId: firstCard.deckId,
+            ...(firstCard.deck.direction !== 'forward' && {
+              variants: { create: [{ key: REVERSE_VARIANT }] },
+            }),
+          },
+        });
+      }
+
+      if (newCards.length > 0) {
+        await this.updateDeckCardCount(firstCard.deckId, tx);
+      }
+    });
+  }
+
+
+  static buildReviewLog(card, userId, type, data, extra = {}) {
+    return {
+      cardId: card.id,
+      userId,
+      type,
+      previousInterval: card.interval,
+      newInterval: data.interval ?? card.interval,
+      memorized: data.memorized ?? card.memorized,
+      ...extra,
+    };
+  }
+
+
+  // Manual memorized changes also move the card in the review schedule
+  static getMemorizedData(card, memorized, now = new Date()) {
+    if (memorized === card.memorized) {
+      return { memorized };
+    }
+
+    if (!memorized) {
+      return { memorized, repetitions: 0, interval: 0, dueDate: now };
+    }
+
+    return {
+      memorized,
+      learningStep: null,
+      ...(card.repetitions === 0 && {
+        repetitions: 1,
+        interval: 1,
+        dueDate: addDays(now, 1),
+        lastReviewedAt: now,
+      }),
+    };
+  }
+
+
+  // Forgetting a memorized card is a lapse; enough lapses make it a leech
+  static getLapseData(card, deck, memorized) {
+    if (!card.memorized || memorized) {
+      return {};
+    }
+
+    const lapses = card.lapses + 1;
+
+    if (!this.isLeechLapse(lapses, deck.leechThreshold)) {
+      return { lapses };
+    }
+
+    return {
+      lapses,
+      leech: true,
+      ...(deck.leechAction === 'suspend' && { suspended: true }),
+    };
+  }
+
+
+  // A leech triggers at the threshold and again every half threshold after it,
+  // so an unsuspended card that keeps failing gets suspended again
+  static isLeechLapse(lapses, threshold) {
+    if (lapses < threshold) {
+      return false;
+    }
+
+    return (lapses - threshold) % Math.max(1, Math.ceil(threshold / 2)) === 0;
+  }
+
+
+  // Filters of the card list, also used to pick the cards of a deck split
+  static buildCardWhere(deckId, filters = {}) {
+    const { search, memorized, leech, tag } = filters;
+
+    return {
+      deckId,
+      deletedAt: null,
+      ...(search && {
+        OR: this.getSearchConditions(search),
+      }),
+      ...(memorized !== undefined && { memorized }),
+      ...(leech !== undefined && { leech }),
+      ...(tag && this.getTagWhere(tag)),
+    };
+  }
+
+
+  // Cards with the same front text (ignoring case, spacing and diacritics) are
+  // duplicates; the key is stored with each card so duplicates are looked up by index
+  static getDuplicateKey(card) {
+    return normalizeText(card.frontText);
+  }
+
+
+  /**
+   * The user's cards matching each duplicate key, by key: cards of the deck,
+   * or with scope "all" of any of the user's decks (the deck's own first).
+   * Cards in the trash, or in a deck in the trash, are left out.
+   */
+  static async findDuplicates(userId, deckId, keys, scope = 'deck') {
+    const wanted = [...new Set(keys)];
+    const duplicates = new Map();
+
+    if (wanted.length === 0) {
+      return duplicates;
+    }
+
+    const cards = await prisma.card.findMany({
+      where: {
+        ...(scope === 'all' ? { deck: { userId, deletedAt: null } } : { deckId, deck: { deletedAt: null } }),
+        deletedAt: null,
+        duplicateKey: { in: wanted },
+      },
+      orderBy: { createdAt: 'asc' },
+      select: {
+        ...DUPLICATE_SELECT,
+        duplicateKey: true,
+      },
+    });
+
+    cards
+      .sort((a, b) => (b.deckId === deckId) - (a.deckId === deckId))
+      .forEach(({ duplicateKey: key, ...card }) => {
+        duplicates.set(key, [...(duplicates.get(key) || []), this.toDuplicate(card)]);
+      });
+
+    return duplicates;
+  }
+
+
+  /**
+   * Store the duplicate key of the cards saved before cards had one, a batch
+   * at a time. Run once through scripts/backfill-duplicate-keys.js after the
+   * column is added; returns the number of cards updated.
+   */
+  static async backfillDuplicateKeys(batchSize = 1000) {
+    let updatedCount = 0;
+
+    for (;;) {
+      const cards = await prisma.card.findMany({
+        where: { duplicateKey: null },
+        select: { id: true, frontText: true },
+        take: batchSize,
+      });
+
+      if (cards.length === 0) {
+        return updatedCount;
+      }
+
+      const idsByKey = new Map();
+      cards.forEach(card => {
+        const key = this.getDuplicateKey(card);
+        idsByKey.set(key, [...(idsByKey.get(key) || []), card.id]);
+      });
+
+      await prisma.$transaction([...idsByKey].map(([duplicateKey, ids]) => prisma.card.updateMany({
+        where: { id: { in: ids } },
+        data: { duplicateKey },
+      })));
+
+      updatedCount += cards.length;
+    }
+  }
+
+
+  static toDuplicate({ deck, ...card }) {
+    return {
+      ...card,
+      deckName: deck.name,
+    };
+  }
+
+
+  /**
+   * Groups of likely duplicate cards in a deck. With scope "all", a card of
+   * the deck is grouped with its duplicates in any of the user's decks.
+   */
+  static async getDuplicateReport(userId, deckId, options = {}) {
+    const { scope = 'deck' } = options;
+
+    const deck = await prisma.deck.findFirst({
+      where: {
+        id: deckId,
+        userId,
+        deletedAt: null,
+      },
+    });
+
+    if (!deck) {
+      throw new Error('Deck not found');
+    }
+
+    const deckCards = await prisma.card.findMany({
+      where: { deckId, deletedAt: null },
+      select: { frontText: true },
+    });
+    const groups = await this.findDuplicates(userId, deckId, deckCards.map(card => this.getDuplicateKey(card)), scope);
+
+    const duplicateGroups = [...groups]
+      .filter(([, cards]) => cards.length > 1)
+      .map(([key, cards]) => ({ key, count: cards.length, cards }))
+      .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+
+    return {
+      deckId,
+      scope,
+      groupCount: duplicateGroups.length,
+      cardCount: duplicateGroups.reduce((sum, group) => sum + group.count, 0),
+      groups: duplicateGroups,
+    };
+  }
+
+
+  /**
+   * Content of `card` with `incoming` merged in: meanings of the back that
+   * are new are added as alternatives ("to run; to manage"), empty fields
+   * are filled, and synonyms, antonyms and examples are combined. Works on
+   * stored cards and on request data alike.
+   */
+  static getMergedFields(card, incoming) {
+    const meanings = splitAlternatives(card.backText || '').map(normalizeText);
+    const newMeanings = splitAlternatives(incoming.backText || '')
+      .filter((meaning, i, all) => !meanings.includes(normalizeText(meaning)) &&
+        all.findIndex(other => normalizeText(other) === normalizeText(meaning)) === i);
+
+    const examples = card.examples || [];
+    const sentences = examples.map(example => normalizeText(example.sentence));
+
+    return {
+      backText: [card.backText?.trim(), ...newMeanings].filter(Boolean).join('; '),
+      ...Object.fromEntries(RICH_TEXT_FIELDS.map(field => [field, card[field] || incoming[field]?.trim() || null])),
+      ...Object.fromEntries(RICH_LIST_FIELDS.map(field => [
+        field,
+        [...new Set([...(card[field] || []), ...(incoming[field] || [])].map(collapseWhitespace).filter(Boolean))],
+      ])),
+      examples: [
+        ...examples,
+        ...(incoming.examples || []).filter(example => !sentences.includes(normalizeText(example.sentence))),
+      ],
+    };
+  }
+
+
+  // Merge request data into an existing card and tag it with the new data's tags
+  static async mergeIntoCard(cardId, incomingCards, tagIds = [], client = prisma) {
+    const card = await client.card.findUnique({
+      where: { id: cardId },
+      include: { examples: EXAMPLES_INCLUDE },
+    });
+
+    const merged = incomingCards.reduce((fields, incoming) => this.getMergedFields(fields, incoming), card);
+    const newExamples = this.getExampleData(merged.examples.slice(card.examples.length));
+
+    await client.card.update({
+      where: { id: cardId },
+      data: {
+        ...pick(merged, ['backText', ...RICH_TEXT_FIELDS, ...RICH_LIST_FIELDS]),
+        ...(newExamples.length > 0 && {
+          examples: {
+            create: newExamples.map(example => ({ ...example, position: card.examples.length + example.position })),
+          },
+        }),
+        ...(tagIds.length > 0 && {
+          tags: { connect: tagIds.map(id => ({ id })) },
+        }),
+      },
+    });
+  }
+
+
+  // Scheduling state of an item that was never studied, as the schema defaults it
+  static getNewItemState(now = new Date()) {
+    return {
+      memorized: false,
+      interval: 0,
+      repetitions: 0,
+      dueDate: now,
+      lastReviewedAt: null,
+      easeFactor: 2.5,
+      stability: null,
+      difficulty: null,
+      learningStep: null,
+    };
+  }
+
+
+  /**
+   * Create data for a copy of a card (loaded with its variants, tags and
+   * examples), without its deck. The note and media of the copy are given
+   * by the caller since they have to be copied first.
+   */
+  static getCardCopyData(card, options = {}) {
+    const { resetProgress = false, noteId = null, media = [] } = options;
+
+    const getState = (item) => (resetProgress ? this.getNewItemState() : pick(item, SCHEDULING_FIELDS));
+
+    return {
+      ...pick(card, COPY_FIELDS),
+      duplicateKey: this.getDuplicateKey(card),
+      ...getState(card),
+      ...(!resetProgress && pick(card, LAPSE_FIELDS)),
+      // Without a note the copy is a standalone card
+      noteId,
+      templateId: noteId ? card.templateId : null,
+      variants: {
+        create: card.variants.map(variant => ({
+          key: variant.key,
+          ...getState(variant),
+        })),
+      },
+      tags: {
+        connect: card.tags.map(tag => ({ id: tag.id })),
+      },
+      examples: {
+        create: card.examples.map(example => pick(example, ['sentence', 'translation', 'position'])),
+      },
+      media: {
+        create: media,
+      },
+    };
+  }
+
+
+  // Runs in the caller's transaction when given one, otherwise in a new one
+  static inTransaction(client, operation) {
+    return client === prisma ? prisma.$transaction(operation) : operation(client);
+  }
+
+
+  // Pass a transaction client to count inside the transaction that moved the cards
+  static async updateDeckCardCount(deckId, client = prisma) {
+    const cardCount = await client.card.count({
+      where: { deckId, deletedAt: null },
     });
 
-    await prisma.deck.update({
+    await client.deck.update({
       where: { id: deckId },
       data: { cardCount },
     });
   }
 }
 
+CardService.REVERSE_VARIANT = REVERSE_VARIANT;
+CardService.SCHEDULING_FIELDS = SCHEDULING_FIELDS;
+CardService.LAPSE_FIELDS = LAPSE_FIELDS;
+CardService.TAGS_INCLUDE = TAGS_INCLUDE;
+CardService.EXAMPLES_INCLUDE = EXAMPLES_INCLUDE;
+CardService.MEDIA_INCLUDE = MEDIA_INCLUDE;
+
 module.exports = CardService;
@@ -1,12 +1,38 @@
 const { prisma, withRetry } = require('../config/database');
+const CardService = require('./cardService');
+const MediaService = require('./mediaService');
+const { getDescendantIds, getAncestors, buildTree } = require('../utils/tree');
+const { pick } = require('../utils/object');
+
+// Settings a deck made from another one (clone, split) starts with
+const DECK_SETTING_FIELDS = ['description', 'scheduler', 'desiredRetention', 'direction', 'leechThreshold', 'leechAction'];
+const DECK_OPTION_FIELDS = ['newCardsPerDay', 'maxReviewsPerDay', 'learningSteps', 'graduatingInterval', 'cardOrder'];
+
+// Copying hundreds of cards one by one takes longer than the default 5s
+const TRANSACTION_OPTIONS = { timeout: 60000 };
+
 class DeckService {
   static async createDeck(userId, deckData) {
-    const { name, description } = deckData;
+    const { name, description, parentId, scheduler, desiredRetention, direction, leechThreshold, leechAction } = deckData;
+
+    if (parentId) {
+      const decks = await this.getDeckLinks(userId);
+
+      if (!decks.some(deck => deck.id === parentId)) {
+        throw new Error('Parent deck not found');
+      }
+    }
 
     const deck = await prisma.deck.create({
       data: {
         name: name.trim(),
         description: description?.trim() || null,
+        parentId: parentId || null,
+        scheduler: scheduler || null,
+        desiredRetention: desiredRetention ?? null,
+        ...(direction && { direction }),
+        ...(leechThreshold !== undefined && { leechThreshold }),
+        ...(leechAction && { leechAction }),
         userId,
       },
       include: {
@@ -32,6 +58,7 @@ class DeckService {
     // Build where clause
     const where = {
       userId,
+      deletedAt: null,
       ...(search && {
         OR: [
           { name: { contains: search, mode: 'insensitive' } },
@@ -51,6 +78,7 @@ class DeckService {
       orderBy,
       include: {
         cards: {
+          where: { deletedAt: null },
           select: {
             id: true,
             memorized: true,
@@ -58,7 +86,7 @@ class DeckService {
         },
         _count: {
           select: {
-            cards: true,
+            cards: { where: { deletedAt: null } },
           },
         },
       },
@@ -91,14 +119,58 @@ class DeckService {
   }
 
 
+  /**
+   * All of the user's decks nested under their parent deck, sorted by name.
+   * `stats` covers a deck's own cards, `totalStats` adds its subdecks'.
+   */
+  static async getDeckTree(userId) {
+    const decks = await prisma.deck.findMany({
+      where: { userId, deletedAt: null },
+      orderBy: { name: 'asc' },
+      include: {
+        cards: {
+          where: { deletedAt: null },
+          select: {
+            memorized: true,
+          },
+        },
+      },
+    });
+
+    const tree = buildTree(decks.map(({ cards, ...deck }) => ({
+      ...deck,
+      stats: {
+        totalCards: cards.length,
+        memorizedCards: cards.filter(card => card.memorized).length,
+        unmemorizedCards: cards.filter(card => !card.memorized).length,
+      },
+    })));
+
+    const withTotals = (node) => {
+      const children = node.children.map(withTotals);
+      const totalStats = children.reduce((total, child) => ({
+        totalCards: total.totalCards + child.totalStats.totalCards,
+        memorizedCards: total.memorizedCards + child.totalStats.memorizedCards,
+        unmemorizedCards: total.unmemorizedCards + child.totalStats.unmemorizedCards,
+      }), node.stats);
+
+      return { ...node, children, totalStats };
+    };
+
+    return tree.map(withTotals);
+  }
+
+
   static async getDeckById(deckId, userId) {
     const deck = await prisma.deck.findFirst({
       where: {
         id: deckId,
         userId,
+        deletedAt: null,
       },
       include: {
         cards: {
+          where: { deletedAt: null },
           orderBy: { createdAt: 'desc' },
         },
         user: {
@@ -108,9 +180,18 @@ class DeckService {
             email: true,
           },
         },
+        children: {
+          where: { deletedAt: null },
+          select: {
+            id: true,
+            name: true,
+            cardCount: true,
+          },
+          orderBy: { name: 'asc' },
+        },
         _count: {
           select: {
-            cards: true,
+            cards: { where: { deletedAt: null } },
           },
         },
       },
@@ -127,8 +208,14 @@ class DeckService {
       unmemorizedCards: deck.cards.filter(card => !card.memorized).length,
     };
 
+    // Parent decks from the root down, e.g. English > IELTS
+    const path = deck.parentId
+      ? getAncestors(await this.getDeckLinks(userId), deckId).map(({ id, name }) => ({ id, name }))
+      : [];
+
     return {
       ...deck,
+      path,
       stats,
       _count: undefined,
     };
@@ -136,13 +223,14 @@ class DeckService {
 
 
   static async updateDeck(deckId, userId, updateData) {
-    const { name, description } = updateData;
+    const { name, description, scheduler, desiredRetention, direction, leechThreshold, leechAction } = updateData;
 
     // Check if deck exists and belongs to user
     const existingDeck = await prisma.deck.findFirst({
       where: {
         id: deckId,
         userId,
+        deletedAt: null,
       },
     });
 
@@ -150,15 +238,27 @@ class DeckService {
       throw new Error('Deck not found');
     }
 
+    // Reverse reviews need their own scheduling state for every existing card
+    if (direction && direction !== 'forward') {
+      await CardService.ensureReverseVariants(deckId);
+    }
+
     // Update deck
     const deck = await prisma.deck.update({
       where: { id: deckId },
       data: {
         ...(name && { name: name.trim() }),
         ...(description !== undefined && { description: description?.trim() || null }),
+        ...(scheduler !== undefined && { scheduler: scheduler || null }),
+        ...(desiredRetention !== undefined && { desiredRetention }),
+        ...(direction && { direction }),
+        ...(leechThreshold !== undefined && { leechThreshold }),
+        ...(leechAction && { leechAction }),
       },
       include: {
-        cards: true,
+        cards: {
+          where: { deletedAt: null },
+        },
         user: {
           select: {
             id: true,
@@ -168,7 +268,7 @@ class DeckService {
         },
         _count: {
           select: {
-            cards: true,
+            cards: { where: { deletedAt: null } },
           },
         },
       },
@@ -196,6 +296,7 @@ class DeckService {
       where: {
         id: deckId,
         userId,
+        deletedAt: null,
       },
     });
 
@@ -203,24 +304,136 @@ class DeckService {
       throw new Error('Deck not found');
     }
 
-   
-    await prisma.deck.delete({
+    const deckIds = [deckId, ...getDescendantIds(await this.getDeckLinks(userId), deckId)];
+    const deletedAt = new Date();
+
+    // Cards already in the trash keep their own deletedAt, so they stay there on restore
+    await prisma.$transaction([
+      prisma.card.updateMany({
+        where: { deckId: { in: deckIds }, deletedAt: null },
+        data: { deletedAt },
+      }),
+      prisma.deck.updateMany({
+        where: { id: { in: deckIds } },
+        data: { deletedAt },
+      }),
+    ]);
+  }
+
+
+  /**
+   * Bring a deck back from the trash with the subdecks and cards that were
+   * deleted with it. A deck whose parent is still in the trash (or gone)
+   * comes back at the top level.
+   */
+  static async restoreDeck(deckId, userId) {
+    const deck = await prisma.deck.findFirst({
+      where: {
+        id: deckId,
+        userId,
+        deletedAt: { not: null },
+      },
+    });
+
+    if (!deck) {
+      throw new Error('Deck not found');
+    }
+
+    const deletedTogether = await prisma.deck.findMany({
+      where: { userId, deletedAt: deck.deletedAt },
+      select: {
+        id: true,
+        parentId: true,
+      },
+    });
+    const deckIds = [deckId, ...getDescendantIds(deletedTogether, deckId)];
+
+    const parent = deck.parentId && await prisma.deck.findFirst({
+      where: { id: deck.parentId, deletedAt: null },
+    });
+
+    await prisma.$transaction(async (tx) => {
+      await tx.card.updateMany({
+        where: { deckId: { in: deckIds }, deletedAt: deck.deletedAt },
+        data: { deletedAt: null },
+      });
+
+      await tx.deck.updateMany({
+        where: { id: { in: deckIds } },
+        data: { deletedAt: null },
+      });
+
+      if (deck.parentId && !parent) {
+        await tx.deck.update({
+          where: { id: deckId },
+          data: { parentId: null },
+        });
+      }
+
+      for (const id of deckIds) {
+        await CardService.updateDeckCardCount(id, tx);
+      }
+    }, TRANSACTION_OPTIONS);
+
+    return this.getDeckById(deckId, userId);
+  }
+
+
+  /**
+   * Move a deck under another deck, or to the top level with a null parent.
+   * Its subdecks move with it.
+   */
+  static async moveDeck(deckId, userId, parentId) {
+    const decks = await this.getDeckLinks(userId);
+
+    if (!decks.some(deck => deck.id === deckId)) {
+      throw new Error('Deck not found');
+    }
+
+    if (parentId) {
+      if (!decks.some(deck => deck.id === parentId)) {
+        throw new Error('Parent deck not found');
+      }
+
+      if (parentId === deckId || getDescendantIds(decks, deckId).includes(parentId)) {
+        throw new Error('Cannot move a deck into itself or one of its subdecks');
+      }
+    }
+
+    await prisma.deck.update({
       where: { id: deckId },
+      data: { parentId: parentId || null },
     });
+
+    return this.getDeckById(deckId, userId);
   }
 
-  static async getDeckStats(deckId, userId) {
+
+  /**
+   * Copy a deck and all its cards next to the original. Notes and media
+   * files are copied as well, so the copy can be edited or deleted on its
+   * own. Subdecks are not copied.
+   */
+  static async cloneDeck(deckId, userId, cloneData = {}) {
+    const { name, resetProgress = false } = cloneData;
+
     const deck = await prisma.deck.findFirst({
       where: {
         id: deckId,
         userId,
+        deletedAt: null,
       },
       include: {
+        options: true,
         cards: {
-          select: {
-            id: true,
-            memorized: true,
-            createdAt: true,
+          where: { deletedAt: null },
+          orderBy: { createdAt: 'asc' },
+          include: {
+            variants: true,
+            tags: { select: { id: true } },
+            examples: true,
+            media: true,
+            note: true,
           },
         },
       },
@@ -230,19 +443,277 @@ class DeckService {
       throw new Error('Deck not found');
     }
 
-    const totalCards = deck.cards.length;
-    const memorizedCards = deck.cards.filter(card => card.memorized).length;
+    // Files can't be part of the transaction, so they are copied first and removed again on failure
+    const mediaCopies = await MediaService.copyFiles(userId, deck.cards.flatMap(card => card.media));
+
+    let clone;
+    try {
+      clone = await prisma.$transaction(async (tx) => {
+        const createdDeck = await tx.deck.create({
+          data: this.getDeckCopyData(deck, name?.trim() || `${deck.name} (copy)`, userId),
+        });
+
+        const noteIds = new Map();
+
+        for (const card of deck.cards) {
+          if (card.note && !noteIds.has(card.noteId)) {
+            const note = await tx.note.create({
+              data: {
+                noteTypeId: card.note.noteTypeId,
+                fields: card.note.fields,
+              },
+            });
+            noteIds.set(card.noteId, note.id);
+          }
+
+          await tx.card.create({
+            data: {
+              ...CardService.getCardCopyData(card, {
+                resetProgress,
+                noteId: noteIds.get(card.noteId) || null,
+                media: card.media.map(media => mediaCopies.get(media.id)),
+              }),
+              deckId: createdDeck.id,
+            },
+          });
+        }
+
+        await CardService.updateDeckCardCount(createdDeck.id, tx);
+
+        return createdDeck;
+      }, TRANSACTION_OPTIONS);
+    } catch (error) {
+      await MediaService.removeFiles([...mediaCopies.values()].map(media => media.storageKey));
+      throw error;
+    }
+
+    return this.getDeckById(clone.id, userId);
+  }
+
+
+  /**
+   * Fold other decks into this one: their cards move here and the decks go
+   * to the trash (their subdecks move here too). Cards with the same front
+   * text as a card already here are kept ("keep"), dropped ("skip") or take
+   * the place of the existing card ("replace"); dropped cards go to the trash
+   * as well.
+   */
+  static async mergeDecks(deckId, userId, mergeData) {
+    const { sourceDeckIds, duplicates = 'keep' } = mergeData;
+    const sourceIds = [...new Set(sourceDeckIds)];
+
+    const decks = await this.getDeckLinks(userId);
+    const deck = await prisma.deck.findFirst({
+      where: {
+        id: deckId,
+        userId,
+        deletedAt: null,
+      },
+    });
+
+    if (!deck || sourceIds.some(id => !decks.some(link => link.id === id))) {
+      throw new Error('Deck not found');
+    }
+
+    // Deleting an ancestor would delete this deck with it
+    const ancestorIds = getAncestors(decks, deckId).map(ancestor => ancestor.id);
+
+    if (sourceIds.some(id => id === deckId || ancestorIds.includes(id))) {
+      throw new Error('Cannot merge a deck into itself or one of its parent decks');
+    }
+
+    const cardSelect = { id: true, frontText: true, noteId: true };
+    const [targetCards, sourceCards] = await Promise.all([
+      prisma.card.findMany({
+        where: { deckId, deletedAt: null },
+        select: cardSelect,
+      }),
+      prisma.card.findMany({
+        where: { deckId: { in: sourceIds }, deletedAt: null },
+        orderBy: { createdAt: 'asc' },
+        select: cardSelect,
+      }),
+    ]);
+
+    // Front text -> the card holding it in the merged deck so far
+    const cardsByKey = new Map(targetCards.map(card => [CardService.getDuplicateKey(card), card]));
+    const movedCards = [];
+    const removedCards = [];
+
+    sourceCards.forEach(card => {
+      const key = CardService.getDuplicateKey(card);
+      const duplicate = cardsByKey.get(key);
+
+      if (duplicate && duplicates === 'skip') {
+        removedCards.push(card);
+        return;
+      }
+
+      if (duplicate && duplicates === 'replace') {
+        removedCards.push(duplicate);
+      }
+
+      cardsByKey.set(key, card);
+      movedCards.push(card);
+    });
+
+    const removedIds = removedCards.map(card => card.id);
+    const movedIds = movedCards.map(card => card.id).filter(id => !removedIds.includes(id));
+    const deletedAt = new Date();
+
+    await prisma.$transaction(async (tx) => {
+      await tx.card.updateMany({
+        where: { id: { in: removedIds } },
+        data: { deletedAt },
+      });
+
+      await tx.card.updateMany({
+        where: { id: { in: movedIds } },
+        data: { deckId },
+      });
+
+      await tx.deck.updateMany({
+        where: { parentId: { in: sourceIds } },
+        data: { parentId: deckId },
+      });
+
+      // Only their cards that were already in the trash are left in them
+      await tx.deck.updateMany({
+        where: { id: { in: sourceIds } },
+        data: { deletedAt },
+      });
+
+      if (deck.direction !== 'forward') {
+        await CardService.ensureReverseVariants(deckId, tx);
+      }
+
+      for (const id of [deckId, ...sourceIds]) {
+        await CardService.updateDeckCardCount(id, tx);
+      }
+    }, TRANSACTION_OPTIONS);
+
+    return {
+      deckId,
+      mergedDeckIds: sourceIds,
+      duplicates,
+      movedCards: movedIds.length,
+      removedCards: removedIds.length,
+    };
+  }
+
+
+  /**
+   * Move the cards matching a filter (or listed by ID) into a new deck with
+   * the same settings, next to this one.
+   */
+  static async splitDeck(deckId, userId, splitData) {
+    const { name, cardIds, search, memorized, leech, tag } = splitData;
+
+    const deck = await prisma.deck.findFirst({
+      where: {
+        id: deckId,
+        userId,
+        deletedAt: null,
+      },
+      include: {
+        options: true,
+      },
+    });
+
+    if (!deck) {
+      throw new Error('Deck not found');
+    }
+
+    const where = {
+      ...CardService.buildCardWhere(deckId, { search, memorized, leech, tag }),
+      ...(cardIds && { id: { in: cardIds } }),
+    };
+
+    const cardCount = await prisma.card.count({ where });
+
+    if (cardCount === 0) {
+      throw new Error('No cards match the filter');
+    }
+
+    const newDeck = await prisma.$transaction(async (tx) => {
+      const createdDeck = await tx.deck.create({
+        data: this.getDeckCopyData(deck, name.trim(), userId),
+      });
+
+      await tx.card.updateMany({
+        where,
+        data: { deckId: createdDeck.id },
+      });
+
+      await CardService.updateDeckCardCount(deckId, tx);
+      await CardService.updateDeckCardCount(createdDeck.id, tx);
+
+      return createdDeck;
+    }, TRANSACTION_OPTIONS);
+
+    return this.getDeckById(newDeck.id, userId);
+  }
+
+
+  // Create data for a deck with the settings and study options of `deck`, under the same parent
+  static getDeckCopyData(deck, name, userId) {
+    return {
+      ...pick(deck, DECK_SETTING_FIELDS),
+      name,
+      userId,
+      parentId: deck.parentId,
+      ...(deck.options && {
+        options: {
+          create: pick(deck.options, DECK_OPTION_FIELDS),
+        },
+      }),
+    };
+  }
+
+
+  static async getDeckStats(deckId, userId, options = {}) {
+    const { includeSubdecks = false } = options;
+
+    const deck = await prisma.deck.findFirst({
+      where: {
+        id: deckId,
+        userId,
+        deletedAt: null,
+      },
+    });
+
+    if (!deck) {
+      throw new Error('Deck not found');
+    }
+
+    const deckIds = includeSubdecks
+      ? [deckId, ...getDescendantIds(await this.getDeckLinks(userId), deckId)]
+      : [deckId];
+
+    const cards = await prisma.card.findMany({
+      where: { deckId: { in: deckIds }, deletedAt: null },
+      select: {
+        id: true,
+        memorized: true,
+        createdAt: true,
+      },
+    });
+
+    const totalCards = cards.length;
+    const memorizedCards = cards.filter(card => card.memorized).length;
     const unmemorizedCards = totalCards - memorizedCards;
     const progressPercentage = totalCards > 0 ? Math.round((memorizedCards / totalCards) * 100) : 0;
 
     // Cards created in the last 7 days
     const sevenDaysAgo = new Date();
     sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-    const recentCards = deck.cards.filter(card => card.createdAt >= sevenDaysAgo).length;
+    const recentCards = cards.filter(card => card.createdAt >= sevenDaysAgo).length;
 
     return {
       deckId: deck.id,
       deckName: deck.name,
+      includeSubdecks,
+      deckCount: deckIds.length,
       totalCards,
       memorizedCards,
       unmemorizedCards,
@@ -254,12 +725,66 @@ class DeckService {
   }
 
 
+  static async getDeckOptions(deckId, userId) {
+    const deck = await prisma.deck.findFirst({
+      where: {
+        id: deckId,
+        userId,
+        deletedAt: null,
+      },
+    });
+
+    if (!deck) {
+      throw new Error('Deck not found');
+    }
+
+    // Decks get their options row the first time they are looked at
+    return prisma.deckOptions.upsert({
+      where: { deckId },
+      create: { deckId },
+      update: {},
+    });
+  }
+
+
+  static async updateDeckOptions(deckId, userId, updateData) {
+    const { newCardsPerDay, maxReviewsPerDay, learningSteps, graduatingInterval, cardOrder } = updateData;
+
+    const deck = await prisma.deck.findFirst({
+      where: {
+        id: deckId,
+        userId,
+        deletedAt: null,
+      },
+    });
+
+    if (!deck) {
+      throw new Error('Deck not found');
+    }
+
+    const data = {
+      ...(newCardsPerDay !== undefined && { newCardsPerDay }),
+      ...(maxReviewsPerDay !== undefined && { maxReviewsPerDay }),
+      ...(learningSteps !== undefined && { learningSteps }),
+      ...(graduatingInterval !== undefined && { graduatingInterval }),
+      ...(cardOrder && { cardOrder }),
+    };
+
+    return prisma.deckOptions.upsert({
+      where: { deckId },
+      create: { deckId, ...data },
+      update: data,
+    });
+  }
+
+
   static async searchDecks(userId, query, options = {}) {
     const { page = 1, limit = 10 } = options;
     const skip = (page - 1) * limit;
 
     const where = {
       userId,
+      deletedAt: null,
       OR: [
         { name: { contains: query, mode: 'insensitive' } },
         { description: { contains: query, mode: 'insensitive' } },
@@ -275,7 +800,7 @@ class DeckService {
         include: {
           _count: {
             select: {
-              cards: true,
+              cards: { where: { deletedAt: null } },
             },
           },
         },
@@ -297,6 +822,21 @@ class DeckService {
       },
     };
   }
+
+
+  // The user's decks as { id, name, parentId }, enough to walk the hierarchy (decks in the trash are left out)
+  static async getDeckLinks(userId) {
+    return prisma.deck.findMany({
+      where: { userId, deletedAt: null },
+      select: {
+        id: true,
+        name: true,
+        parentId: true,
+      },
+    });
+  }
 }
 
+DeckService.DECK_SETTING_FIELDS = DECK_SETTING_FIELDS;
+
 module.exports = DeckService;
@@ -0,0 +1,561 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { prisma } = require('../config/database');
+const CardService = require('./cardService');
+const DeckService = require('./deckService');
+const ImportService = require('./importService');
+const MediaService = require('./mediaService');
+const { getStorage } = require('./storage');
+const { DAY_MS } = require('./schedulers/utils');
+const { getDescendantIds } = require('../utils/tree');
+const { pick } = require('../utils/object');
+const { parseCloze } = require('../utils/cloze');
+const { formatCsvRow } = require('../utils/csv');
+const { writeSqlite } = require('../utils/sqlite');
+const { toHtml } = require('../utils/text');
+const { writeZip } = require('../utils/zip');
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  apkg: 'application/octet-stream',
+};
+
+// Cards are read from the database this many at a time
+const PAGE_SIZE = 500;
+
+// CSV columns are named like the import fields, so an exported file imports without a mapping
+const CSV_PROGRESS_COLUMNS = [
+  'memorized',
+  'interval',
+  'repetitions',
+  'dueDate',
+  'lastReviewedAt',
+  'easeFactor',
+  'lapses',
+  'suspended',
+];
+
+const CARD_FIELDS = ['type', 'frontText', 'backText', 'partOfSpeech', 'ipa', 'mnemonic', 'synonyms', 'antonyms'];
+
+// Anki collection layout (schema 11, what "Support older Anki versions" exports)
+const ANKI_SCHEMA = {
+  col: 'CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null)',
+  notes: 'CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null)',
+  cards: 'CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null)',
+  revlog: 'CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null)',
+  graves: 'CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null)',
+};
+
+const ANKI_SCHEMA_VERSION = 11;
+const ANKI_DEFAULT_DECK = 1;
+const ANKI_DEFAULT_CONF = 1;
+const ANKI_CLOZE_MODEL = 1;
+
+// Day 0 of the exported collection, in seconds
+const ANKI_COLLECTION_START = Date.UTC(2000, 0, 1) / 1000;
+
+const ANKI_CARD_TYPES = {
+  new: 0,
+  learning: 1,
+  review: 2,
+};
+
+const ANKI_QUEUES = {
+  suspended: -1,
+  new: 0,
+  learning: 1,
+  review: 2,
+};
+
+const ANKI_CSS = '.card {\n font-family: arial;\n font-size: 20px;\n text-align: center;\n color: black;\n background-color: white;\n}\n';
+
+class ExportService {
+  /**
+   * Export a deck (and, with `includeSubdecks`, the decks below it) as:
+   * - csv: one card per row, with the columns CSV import recognizes
+   * - json: every card field, in a versioned format that imports back
+   *   through the package import
+   * - apkg: an Anki package with the cards' media files
+   * With `includeProgress` the cards' study progress is exported too.
+   * Returns the file name, content type and a stream of the file; cards are
+   * read from the database page by page as the stream is consumed.
+   */
+  static async exportDeck(userId, deckId, options = {}) {
+    const { format = 'json', includeProgress = false, includeSubdecks = false } = options;
+
+    const links = await DeckService.getDeckLinks(userId);
+    const root = links.find(deck => deck.id === deckId);
+
+    if (!root) {
+      throw new Error('Deck not found');
+    }
+
+    const deckIds = [deckId, ...(includeSubdecks ? getDescendantIds(links, deckId) : [])];
+    const decksById = new Map((await prisma.deck.findMany({ where: { id: { in: deckIds } } }))
+      .map(deck => [deck.id, deck]));
+
+    // Closest first, so a parent always comes before its subdecks
+    const decks = deckIds.map(id => ({ ...decksById.get(id), path: this.getDeckPath(links, deckId, id) }));
+
+    const writers = {
+      csv: () => this.writeCsv(decks, includeProgress, includeSubdecks),
+      json: () => this.writeJson(decks, includeProgress),
+      apkg: () => this.writeApkg(decks, includeProgress),
+    };
+
+    return {
+      fileName: `${root.name.replace(/[\\/:*?"<>|\x00-\x1f]+/g, '_').trim() || 'deck'}.${format}`,
+      contentType: CONTENT_TYPES[format],
+      stream: Readable.from(writers[format]()),
+    };
+  }
+
+
+  // Names of the decks from the exported deck down to this one
+  static getDeckPath(links, rootId, id) {
+    const byId = new Map(links.map(deck => [deck.id, deck]));
+    const names = [];
+    let deck = byId.get(id);
+
+    while (deck) {
+      names.unshift(deck.name);
+      deck = deck.id === rootId ? null : byId.get(deck.parentId);
+    }
+
+    return names;
+  }
+
+
+  // The live cards of a deck, oldest first, a page at a time
+  static async* readCards(deckId, include) {
+    let cursor = null;
+
+    do {
+      const cards = await prisma.card.findMany({
+        where: { deckId, deletedAt: null },
+        include,
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+        take: PAGE_SIZE,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+      });
+
+      yield cards;
+      cursor = cards.length === PAGE_SIZE ? cards[cards.length - 1].id : null;
+    } while (cursor);
+  }
+
+
+  // Scheduling state of the card and each of its variants
+  static getProgress(card) {
+    return {
+      ...pick(card, CardService.SCHEDULING_FIELDS),
+      ...pick(card, CardService.LAPSE_FIELDS),
+      variants: card.variants.map(variant => ({
+        key: variant.key,
+        ...pick(variant, CardService.SCHEDULING_FIELDS),
+      })),
+    };
+  }
+
+
+  /**
+   * CSV with a byte order mark, so spreadsheet programs read it as UTF-8.
+   * Lists are joined with "; " and only the first example is kept, which is
+   * what CSV import reads back.
+   */
+  static async* writeCsv(decks, includeProgress, includeSubdecks) {
+    const header = [
+      ...ImportService.IMPORT_FIELDS,
+      ...(includeSubdecks ? ['deck'] : []),
+      ...(includeProgress ? CSV_PROGRESS_COLUMNS : []),
+    ];
+
+    yield '\ufeff' + formatCsvRow(header);
+
+    for (const deck of decks) {
+      for await (const cards of this.readCards(deck.id, { tags: CardService.TAGS_INCLUDE, examples: CardService.EXAMPLES_INCLUDE })) {
+        yield cards.map(card => {
+          const [example] = card.examples;
+          const values = {
+            ...card,
+            tags: card.tags.map(tag => tag.name).join('; '),
+            synonyms: card.synonyms.join('; '),
+            antonyms: card.antonyms.join('; '),
+            example: example?.sentence,
+            exampleTranslation: example?.translation,
+            deck: deck.path.join('::'),
+            dueDate: card.dueDate?.toISOString(),
+            lastReviewedAt: card.lastReviewedAt?.toISOString(),
+          };
+
+          return formatCsvRow(header.map(column => values[column]));
+        }).join('');
+      }
+    }
+  }
+
+
+  /**
+   * JSON written piece by piece:
+   * { format, version, exportedAt, includeProgress, decks: [{ path, ...settings, cards }] }
+   * where path names the decks from the exported one down. Media files are
+   * not part of it.
+   */
+  static async* writeJson(decks, includeProgress) {
+    yield JSON.stringify({
+      format: ImportService.DECK_FILE_FORMAT,
+      version: ImportService.DECK_FILE_VERSION,
+      exportedAt: new Date(),
+      includeProgress,
+    }).slice(0, -1) + ',"decks":[';
+
+    for (const [i, deck] of decks.entries()) {
+      // The deck without its closing "]}", so the cards can follow
+      yield (i > 0 ? ',' : '') + JSON.stringify({
+        path: deck.path,
+        ...pick(deck, DeckService.DECK_SETTING_FIELDS),
+        cards: [],
+      }).slice(0, -2);
+
+      let first = true;
+      const include = {
+        tags: CardService.TAGS_INCLUDE,
+        examples: CardService.EXAMPLES_INCLUDE,
+        ...(includeProgress && { variants: { orderBy: { key: 'asc' } } }),
+      };
+
+      for await (const cards of this.readCards(deck.id, include)) {
+        if (cards.length === 0) {
+          continue;
+        }
+
+        yield (first ? '' : ',') + cards.map(card => JSON.stringify({
+          ...pick(card, CARD_FIELDS),
+          tags: card.tags.map(tag => tag.name),
+          examples: card.examples.map(example => pick(example, ['sentence', 'translation'])),
+          ...(includeProgress && { progress: this.getProgress(card) }),
+        })).join(',');
+        first = false;
+      }
+
+      yield ']}';
+    }
+
+    yield ']}';
+  }
+
+
+  /**
+   * An Anki package: the collection is written to a temporary file first,
+   * then zipped with the media files. Decks become "Parent::Child" Anki
+   * decks, notes use a basic model (with a reversed card for decks also
+   * studied back to front) or a cloze model.
+   */
+  static async* writeApkg(decks, includeProgress) {
+    const collectionPath = path.join(os.tmpdir(), `export-${crypto.randomUUID()}.anki2`);
+
+    try {
+      const mediaFiles = await this.writeAnkiCollection(collectionPath, decks, includeProgress);
+      yield* writeZip(this.getApkgEntries(collectionPath, mediaFiles));
+    } finally {
+      await fs.promises.rm(collectionPath, { force: true });
+    }
+  }
+
+
+  // Writes the collection, returning the media files its notes refer to
+  static async writeAnkiCollection(filePath, decks, includeProgress) {
+    const now = Date.now();
+    const seconds = Math.floor(now / 1000);
+    const models = this.getAnkiModels(now);
+    const ankiDecks = decks.map((deck, i) => ({ ...deck, ankiId: now + i }));
+    const mediaFiles = [];
+    const cardRows = [];
+    let noteId = now;
+    let cardId = now;
+
+    const include = {
+      tags: CardService.TAGS_INCLUDE,
+      examples: CardService.EXAMPLES_INCLUDE,
+      variants: true,
+      media: {
+        select: { id: true, kind: true, mimeType: true, storageKey: true },
+        orderBy: { createdAt: 'asc' },
+      },
+    };
+
+    // Card rows are collected while the notes are written, the cards table comes after
+    const noteRows = async function* () {
+      for (const deck of ankiDecks) {
+        const basicModel = deck.direction === 'forward' ? models.basic : models.reversed;
+
+        for await (const cards of this.readCards(deck.id, include)) {
+          for (const card of cards) {
+            noteId++;
+            const model = card.type === 'cloze' ? models.cloze : basicModel;
+            const fields = this.getAnkiFields(card, mediaFiles);
+
+            this.getAnkiCardItems(card, deck.direction).forEach(({ ord, item }) => {
+              cardId++;
+              cardRows.push([
+                cardId, noteId, deck.ankiId, ord, seconds, -1,
+                ...this.getAnkiCardState(includeProgress ? item : null, card, noteId - now),
+                0, 0, 0,
+                this.getAnkiCardData(includeProgress ? item : null),
+              ]);
+            });
+
+            yield [
+              noteId,
+              crypto.createHash('sha1').update(card.id).digest('base64').slice(0, 10),
+              model.id,
+              seconds,
+              -1,
+              card.tags.length > 0 ? ` ${card.tags.map(tag => tag.name.replace(/\s+/g, '_')).join(' ')} ` : '',
+              fields.join('\x1f'),
+              card.frontText,
+              parseInt(crypto.createHash('sha1').update(card.frontText).digest('hex').slice(0, 8), 16),
+              0,
+              '',
+            ];
+          }
+        }
+      }
+    }.bind(this);
+
+    const col = [
+      1,
+      ANKI_COLLECTION_START,
+      now,
+      now,
+      ANKI_SCHEMA_VERSION,
+      0,
+      0,
+      0,
+      JSON.stringify({ nextPos: 1, estTimes: true, activeDecks: [ANKI_DEFAULT_DECK], sortType: 'noteFld', timeLim: 0, sortBackwards: false, addToCur: true, curDeck: ankiDecks[0].ankiId, newSpread: 0, dueCounts: true, curModel: models.basic.id, collapseTime: 1200 }),
+      JSON.stringify(Object.fromEntries(Object.values(models).map(model => [model.id, model]))),
+      JSON.stringify(this.getAnkiDecks(ankiDecks, seconds)),
+      JSON.stringify({ [ANKI_DEFAULT_CONF]: this.getAnkiDeckConf(seconds) }),
+      '{}',
+    ];
+
+    await writeSqlite(filePath, [
+      { name: 'col', sql: ANKI_SCHEMA.col, rows: [col] },
+      { name: 'notes', sql: ANKI_SCHEMA.notes, rows: noteRows() },
+      { name: 'cards', sql: ANKI_SCHEMA.cards, rows: cardRows },
+      { name: 'revlog', sql: ANKI_SCHEMA.revlog, rows: [] },
+      { name: 'graves', sql: ANKI_SCHEMA.graves, rows: [] },
+    ]);
+
+    return mediaFiles;
+  }
+
+
+  /**
+   * Note fields: front (with its sounds), back (with its images) and the
+   * vocabulary details. Media files are named by ID, so names never clash.
+   */
+  static getAnkiFields(card, mediaFiles) {
+    const sounds = [];
+    const images = [];
+
+    card.media.forEach(media => {
+      const name = `${media.id}${MediaService.MEDIA_TYPES[media.mimeType]?.extension || ''}`;
+
+      mediaFiles.push({ name, storageKey: media.storageKey });
+      if (media.kind === 'image') {
+        images.push(`<img src="${toHtml(name)}">`);
+      } else {
+        sounds.push(`[sound:${name}]`);
+      }
+    });
+
+    const details = [
+      [card.partOfSpeech, card.ipa].filter(Boolean).map(toHtml).join(' '),
+      ...card.examples.map(example => [example.sentence, example.translation].filter(Boolean).map(toHtml).join(' - ')),
+      card.synonyms.length > 0 && `Synonyms: ${toHtml(card.synonyms.join(', '))}`,
+      card.antonyms.length > 0 && `Antonyms: ${toHtml(card.antonyms.join(', '))}`,
+      card.mnemonic && toHtml(card.mnemonic),
+    ].filter(Boolean);
+
+    return [
+      toHtml(card.frontText) + sounds.join(''),
+      toHtml(card.backText) + images.join(''),
+      details.join('<br>'),
+    ];
+  }
+
+
+  // The Anki cards of a note: the template (or cloze number) each one is, and the card or variant it studies
+  static getAnkiCardItems(card, direction) {
+    const variants = new Map(card.variants.map(variant => [variant.key, variant]));
+
+    if (card.type === 'cloze') {
+      const [firstNumber, ...numbers] = parseCloze(card.frontText).numbers;
+
+      return [
+        { ord: (firstNumber || 1) - 1, item: card },
+        ...numbers.map(number => ({ ord: number - 1, item: variants.get(`c${number}`) || null })),
+      ];
+    }
+
+    const reverse = { ord: 1, item: variants.get(CardService.REVERSE_VARIANT) || null };
+
+    if (direction === 'reverse') {
+      return [reverse];
+    }
+
+    return direction === 'both' ? [{ ord: 0, item: card }, reverse] : [{ ord: 0, item: card }];
+  }
+
+
+  // type, queue, due, ivl, factor, reps, lapses, left of an Anki card; new cards are due in note order
+  static getAnkiCardState(item, card, position) {
+    if (!item || !item.lastReviewedAt) {
+      return [ANKI_CARD_TYPES.new, card.suspended ? ANKI_QUEUES.suspended : ANKI_QUEUES.new, position, 0, 0, 0, 0, 0];
+    }
+
+    const learning = item.learningStep !== null;
+    const lapses = item === card ? card.lapses : 0;
+    const factor = Math.round(item.easeFactor * 1000);
+    const queue = card.suspended ? ANKI_QUEUES.suspended : learning ? ANKI_QUEUES.learning : ANKI_QUEUES.review;
+
+    // Learning cards are due at a time, review cards on a day of the collection
+    return learning
+      ? [ANKI_CARD_TYPES.learning, queue, Math.floor(item.dueDate.getTime() / 1000), 0, factor, item.repetitions, lapses, 1]
+      : [
+        ANKI_CARD_TYPES.review,
+        queue,
+        Math.floor((item.dueDate.getTime() / 1000 - ANKI_COLLECTION_START) / (DAY_MS / 1000)),
+        Math.max(item.interval, 1),
+        factor,
+        item.repetitions,
+        lapses,
+        0,
+      ];
+  }
+
+
+  // FSRS memory state, when the card has one
+  static getAnkiCardData(item) {
+    if (!item || item.stability === null || item.difficulty === null) {
+      return '';
+    }
+
+    return JSON.stringify({ s: item.stability, d: item.difficulty });
+  }
+
+
+  static getAnkiModels(now) {
+    const field = (name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] });
+    const template = (name, ord, qfmt, afmt) => ({ name, ord, qfmt, afmt, did: null, bqfmt: '', bafmt: '' });
+    const model = (id, name, type, flds, tmpls) => ({
+      id,
+      name,
+      type,
+      mod: Math.floor(now / 1000),
+      usn: -1,
+      sortf: 0,
+      did: ANKI_DEFAULT_DECK,
+      flds,
+      tmpls,
+      tags: [],
+      vers: [],
+      css: ANKI_CSS,
+      latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+      latexPost: '\\end{document}',
+      req: tmpls.map((tmpl, ord) => [ord, 'any', [ord]]),
+    });
+
+    const front = template('Card 1', 0, '{{Front}}', '{{FrontSide}}\n\n<hr id=answer>\n\n{{Back}}<br>{{Details}}');
+    const back = template('Card 2', 1, '{{Back}}', '{{FrontSide}}\n\n<hr id=answer>\n\n{{Front}}<br>{{Details}}');
+    const basicFields = ['Front', 'Back', 'Details'].map(field);
+
+    return {
+      basic: model(now, 'Vocabulary', 0, basicFields, [front]),
+      reversed: model(now + 1, 'Vocabulary (and reversed card)', 0, basicFields, [front, back]),
+      cloze: model(now + 2, 'Vocabulary Cloze', ANKI_CLOZE_MODEL, ['Text', 'Back Extra', 'Details'].map(field), [
+        template('Cloze', 0, '{{cloze:Text}}', '{{cloze:Text}}<br>\n{{Back Extra}}<br>{{Details}}'),
+      ]),
+    };
+  }
+
+
+  static getAnkiDecks(ankiDecks, seconds) {
+    const deck = (id, name, description = '') => ({
+      id,
+      name,
+      desc: description,
+      mod: seconds,
+      usn: -1,
+      dyn: 0,
+      conf: ANKI_DEFAULT_CONF,
+      collapsed: false,
+      extendNew: 10,
+      extendRev: 50,
+      newToday: [0, 0],
+      revToday: [0, 0],
+      lrnToday: [0, 0],
+      timeToday: [0, 0],
+    });
+
+    return {
+      [ANKI_DEFAULT_DECK]: deck(ANKI_DEFAULT_DECK, 'Default'),
+      ...Object.fromEntries(ankiDecks.map(item => [
+        item.ankiId,
+        deck(item.ankiId, item.path.join('::'), item.description ? toHtml(item.description) : ''),
+      ])),
+    };
+  }
+
+
+  static getAnkiDeckConf(seconds) {
+    return {
+      id: ANKI_DEFAULT_CONF,
+      name: 'Default',
+      mod: seconds,
+      usn: -1,
+      maxTaken: 60,
+      autoplay: true,
+      timer: 0,
+      replayq: true,
+      dyn: false,
+      new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, bury: true, separate: true },
+      rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, bury: true, minSpace: 1 },
+      lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 },
+    };
+  }
+
+
+  // The collection, the media files that still exist and the "media" map of their entry names
+  static async* getApkgEntries(collectionPath, mediaFiles) {
+    yield { name: 'collection.anki2', content: fs.createReadStream(collectionPath) };
+
+    const mediaMap = {};
+
+    for (const { name, storageKey } of mediaFiles) {
+      let stream;
+
+      try {
+        stream = await getStorage().openReadStream(storageKey);
+      } catch (error) {
+        if (error.message === 'Media file not found') {
+          continue;
+        }
+        throw error;
+      }
+
+      const entryName = String(Object.keys(mediaMap).length);
+      mediaMap[entryName] = name;
+      yield { name: entryName, content: stream };
+    }
+
+    yield { name: 'media', content: Buffer.from(JSON.stringify(mediaMap)) };
+  }
+}
+
+module.exports = ExportService;
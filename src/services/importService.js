@@ -0,0 +1,1017 @@
+const fs = require('fs');
+const path = require('path');
+const { prisma, withRetry } = require('../config/database');
+const CardService = require('./cardService');
+const DeckService = require('./deckService');
+const MediaService = require('./mediaService');
+const { addDays } = require('./schedulers');
+const { pick } = require('../utils/object');
+const { parseCloze } = require('../utils/cloze');
+const { DELIMITER_NAMES, detectDelimiter, parseCsv } = require('../utils/csv');
+const { openSqlite } = require('../utils/sqlite');
+const { normalizeText, stripHtml } = require('../utils/text');
+const { getCardErrors, getDeckErrors } = require('../utils/validation');
+const { readZipEntries, readZipEntry, extractZipEntry } = require('../utils/zip');
+
+// Accepted uploads for a deck; the delimiter of .csv and .txt files is detected
+const CSV_EXTENSIONS = ['.csv', '.tsv', '.txt'];
+
+// Accepted uploads that bring their own decks: Anki packages and JSON deck exports
+const PACKAGE_EXTENSIONS = ['.apkg', '.json'];
+
+const MAX_IMPORT_FILE_SIZE = parseInt(process.env.IMPORT_MAX_FILE_SIZE, 10) || 50 * 1024 * 1024;
+
+// Card fields a column can be mapped to
+const IMPORT_FIELDS = [
+  'frontText',
+  'backText',
+  'type',
+  'tags',
+  'partOfSpeech',
+  'ipa',
+  'mnemonic',
+  'synonyms',
+  'antonyms',
+  'example',
+  'exampleTranslation',
+];
+
+// Lists are written in one cell: "food, travel" or "big; large"
+const LIST_FIELDS = ['tags', 'synonyms', 'antonyms'];
+
+// Header names (compared without case, spacing and accents) mapped to a field without an explicit mapping
+const HEADER_ALIASES = {
+  front: 'frontText',
+  fronttext: 'frontText',
+  word: 'frontText',
+  term: 'frontText',
+  question: 'frontText',
+  tuvung: 'frontText',
+  back: 'backText',
+  backtext: 'backText',
+  meaning: 'backText',
+  definition: 'backText',
+  answer: 'backText',
+  nghia: 'backText',
+  type: 'type',
+  tags: 'tags',
+  tag: 'tags',
+  partofspeech: 'partOfSpeech',
+  pos: 'partOfSpeech',
+  ipa: 'ipa',
+  pronunciation: 'ipa',
+  mnemonic: 'mnemonic',
+  synonyms: 'synonyms',
+  antonyms: 'antonyms',
+  example: 'example',
+  sentence: 'example',
+  vidu: 'example',
+  exampletranslation: 'exampleTranslation',
+};
+
+// The encoding and delimiter are detected from this much of the file
+const SAMPLE_SIZE = 64 * 1024;
+
+// Cards are validated and created this many rows at a time
+const BATCH_SIZE = 1000;
+
+const PREVIEW_ROWS = 20;
+
+// Rows listed with errors or duplicates in a report; the counts always cover every row
+const MAX_REPORTED_ROWS = 1000;
+
+// JSON deck files written by the deck export, versioned so the format can change
+const DECK_FILE_FORMAT = 'vocab-deck';
+const DECK_FILE_VERSION = 1;
+
+// Accepted type of each progress field in a deck file; the nullable ones may be null
+const PROGRESS_FIELD_TYPES = {
+  memorized: 'boolean',
+  interval: 'integer',
+  repetitions: 'integer',
+  dueDate: 'date',
+  lastReviewedAt: 'date?',
+  easeFactor: 'number',
+  stability: 'number?',
+  difficulty: 'number?',
+  learningStep: 'integer?',
+  lapses: 'integer',
+  leech: 'boolean',
+  suspended: 'boolean',
+};
+
+// Collections inside an .apkg file, newest first. collection.anki21b is compressed
+// with zstd and only comes alone when "Support older Anki versions" is unchecked.
+const ANKI_COLLECTIONS = ['collection.anki21', 'collection.anki2'];
+
+const ANKI_CLOZE_MODEL = 1;
+const ANKI_SUSPENDED_QUEUE = -1;
+const ANKI_CARD_TYPES = {
+  new: 0,
+  learning: 1,
+  review: 2,
+  relearning: 3,
+};
+
+const ANKI_SOUND_PATTERN = /\[sound:([^\]]+)\]/g;
+const ANKI_IMAGE_PATTERN = /<img[^>]*?\ssrc\s*=\s*["']?([^"'>]+)/gi;
+
+class ImportService {
+  /**
+   * Import cards into a deck from a CSV or TSV file, one card per row. The
+   * file is read as a stream, so it is never held in memory as a whole.
+   *
+   * Columns are mapped to card fields by `mapping` ({ field: header name or
+   * 0-based column index }), else by recognized header names, else the first
+   * two columns are the front and back. Rows are numbered like in a
+   * spreadsheet, the header being row 1. Invalid rows are reported and
+   * skipped. With `dryRun` nothing is written and the report previews the
+   * first cards and the rows that would be duplicates.
+   */
+  static async importCsv(userId, deckId, file, options = {}) {
+    const { dryRun = false, hasHeader = true, mapping, duplicates = 'allow', duplicateScope = 'deck' } = options;
+
+    const deck = await prisma.deck.findFirst({
+      where: {
+        id: deckId,
+        userId,
+        deletedAt: null,
+      },
+    });
+
+    if (!deck) {
+      throw new Error('Deck not found');
+    }
+
+    const sample = await this.readSample(file.path);
+    const { encoding, bom } = options.encoding
+      ? { encoding: new TextDecoder(options.encoding).encoding, bom: false }
+      : this.detectEncoding(sample);
+    const delimiter = this.getDelimiter(options.delimiter, file, new TextDecoder(encoding).decode(sample));
+
+    const report = {
+      deckId,
+      dryRun,
+      encoding,
+      bom,
+      delimiter,
+      hasHeader,
+      columns: null,
+      mapping: null,
+      totalRows: 0,
+      ...(dryRun
+        ? { validCount: 0, duplicateCount: 0 }
+        : { createdCount: 0, skippedCount: 0, mergedCount: 0 }),
+      failedCount: 0,
+      ...(dryRun && { preview: [] }),
+      errors: [],
+      duplicates: [],
+    };
+
+    let columnIndexes = null;
+    let batch = [];
+    let rowNumber = 0;
+
+    // Dry run: duplicate key -> first row with it, checked against the deck at the end
+    const rowsByKey = new Map();
+    const duplicateRows = [];
+
+    const flush = async () => {
+      const rows = batch;
+      batch = [];
+
+      if (dryRun) {
+        rows.forEach(item => this.checkRow(item, report, rowsByKey, duplicateRows));
+        return;
+      }
+
+      const result = await CardService.bulkCreateCards(userId, deckId, rows.map(item => item.card), {
+        itemErrors: rows.map(item => item.errors),
+        duplicates,
+        duplicateScope,
+      });
+
+      this.addBatchResult(report, rows, result);
+    };
+
+    for await (const row of parseCsv(this.readText(file.path, encoding), { delimiter })) {
+      rowNumber++;
+
+      if (row.every(value => value.trim() === '')) {
+        continue;
+      }
+
+      if (!columnIndexes) {
+        const header = hasHeader ? row : null;
+
+        columnIndexes = this.getColumnIndexes(mapping, header, row.length);
+        report.columns = header;
+        report.mapping = Object.fromEntries(
+          Object.entries(columnIndexes).map(([field, index]) => [field, header ? header[index] : index])
+        );
+
+        if (header) {
+          continue;
+        }
+      }
+
+      const card = this.toCard(row, columnIndexes);
+
+      report.totalRows++;
+      batch.push({ row: rowNumber, card, errors: getCardErrors(card, true) });
+
+      if (batch.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+
+    if (!columnIndexes || (report.totalRows === 0 && !dryRun)) {
+      throw new Error('File has no rows to import');
+    }
+
+    await flush();
+
+    if (dryRun) {
+      await this.addExistingDuplicates(report, userId, deckId, duplicateScope, rowsByKey, duplicateRows);
+    }
+
+    return report;
+  }
+
+
+  // Dry run: count a row and note it when it repeats an earlier row of the file
+  static checkRow(item, report, rowsByKey, duplicateRows) {
+    if (report.preview.length < PREVIEW_ROWS) {
+      report.preview.push(item);
+    }
+
+    if (item.errors.length > 0) {
+      report.failedCount++;
+      this.addReportedRow(report.errors, { row: item.row, errors: item.errors });
+      return;
+    }
+
+    report.validCount++;
+
+    const key = CardService.getDuplicateKey(item.card);
+    const firstRow = rowsByKey.get(key);
+
+    if (firstRow) {
+      duplicateRows.push({ row: item.row, key, duplicateOfRow: firstRow });
+    } else {
+      rowsByKey.set(key, item.row);
+      duplicateRows.push({ row: item.row, key });
+    }
+  }
+
+
+  // Dry run: the rows that repeat an earlier row or a card the user already has
+  static async addExistingDuplicates(report, userId, deckId, duplicateScope, rowsByKey, duplicateRows) {
+    const existingCards = await CardService.findDuplicates(userId, deckId, [...rowsByKey.keys()], duplicateScope);
+
+    duplicateRows.forEach(({ row, key, duplicateOfRow }) => {
+      const existing = existingCards.get(key);
+
+      if (!existing && !duplicateOfRow) {
+        return;
+      }
+
+      report.duplicateCount++;
+      this.addReportedRow(report.duplicates, {
+        row,
+        ...(existing && { duplicates: existing }),
+        ...(duplicateOfRow && { duplicateOfRow }),
+      });
+    });
+  }
+
+
+  static addBatchResult(report, rows, result) {
+    report.createdCount += result.createdCount;
+    report.skippedCount += result.skippedCount;
+    report.mergedCount += result.mergedCount;
+    report.failedCount += result.failedCount;
+
+    result.results.forEach(({ index, success, errors, action, cardId, duplicates, duplicateOfIndex }) => {
+      const { row } = rows[index];
+
+      if (!success) {
+        this.addReportedRow(report.errors, { row, errors });
+      } else if (duplicates || duplicateOfIndex !== undefined) {
+        this.addReportedRow(report.duplicates, {
+          row,
+          action,
+          cardId,
+          ...(duplicates && { duplicates }),
+          ...(duplicateOfIndex !== undefined && { duplicateOfRow: rows[duplicateOfIndex].row }),
+        });
+      }
+    });
+  }
+
+
+  static addReportedRow(list, item) {
+    if (list.length < MAX_REPORTED_ROWS) {
+      list.push(item);
+    }
+  }
+
+
+  /**
+   * Column index of each mapped field. An explicit mapping names the header
+   * or gives the 0-based index of each field's column.
+   */
+  static getColumnIndexes(mapping, header, columnCount) {
+    if (!mapping) {
+      if (!header) {
+        return columnCount > 1 ? { frontText: 0, backText: 1 } : { frontText: 0 };
+      }
+
+      const indexes = {};
+      header.forEach((name, index) => {
+        const field = HEADER_ALIASES[normalizeText(name).replace(/[\s_-]/g, '')];
+
+        if (field && indexes[field] === undefined) {
+          indexes[field] = index;
+        }
+      });
+
+      if (indexes.frontText === undefined) {
+        throw new Error('No column is mapped to frontText, use a "front" header or a mapping');
+      }
+
+      return indexes;
+    }
+
+    const unknownField = Object.keys(mapping).find(field => !IMPORT_FIELDS.includes(field));
+
+    if (unknownField) {
+      throw new Error(`Unknown import field: ${unknownField}, expected one of ${IMPORT_FIELDS.join(', ')}`);
+    }
+
+    if (mapping.frontText === undefined) {
+      throw new Error('No column is mapped to frontText, use a "front" header or a mapping');
+    }
+
+    return Object.fromEntries(Object.entries(mapping).map(([field, column]) => {
+      if (typeof column === 'number') {
+        return [field, column];
+      }
+
+      const index = header ? header.findIndex(name => name.trim() === column.trim()) : -1;
+
+      if (index === -1) {
+        throw new Error(`Column not found: ${column}`);
+      }
+
+      return [field, index];
+    }));
+  }
+
+
+  // Card data of a row; empty cells leave their field out
+  static toCard(row, columnIndexes) {
+    const values = {};
+
+    Object.entries(columnIndexes).forEach(([field, index]) => {
+      const value = (row[index] ?? '').trim();
+
+      if (value !== '') {
+        values[field] = LIST_FIELDS.includes(field)
+          ? value.split(/[,;]/).map(item => item.trim()).filter(Boolean)
+          : value;
+      }
+    });
+
+    const { example, exampleTranslation, ...card } = values;
+
+    if (card.type) {
+      card.type = card.type.toLowerCase();
+    }
+
+    if (example) {
+      card.examples = [{ sentence: example, ...(exampleTranslation && { translation: exampleTranslation }) }];
+    }
+
+    return card;
+  }
+
+
+  // A delimiter given by name or character, a tab for .tsv files, else detected
+  static getDelimiter(delimiter, file, sample) {
+    if (delimiter) {
+      return DELIMITER_NAMES[delimiter] || delimiter;
+    }
+
+    if (path.extname(file.originalname).toLowerCase() === '.tsv') {
+      return '\t';
+    }
+
+    return detectDelimiter(sample);
+  }
+
+
+  /**
+   * A byte order mark tells the encoding. Without one, text that is valid
+   * UTF-8 is read as UTF-8, anything else as Windows-1252 (what spreadsheet
+   * programs commonly save CSV files in).
+   */
+  static detectEncoding(sample) {
+    if (sample[0] === 0xef && sample[1] === 0xbb && sample[2] === 0xbf) {
+      return { encoding: 'utf-8', bom: true };
+    }
+    if (sample[0] === 0xff && sample[1] === 0xfe) {
+      return { encoding: 'utf-16le', bom: true };
+    }
+    if (sample[0] === 0xfe && sample[1] === 0xff) {
+      return { encoding: 'utf-16be', bom: true };
+    }
+
+    try {
+      // Streaming, so a character cut off at the end of the sample is not an error
+      new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+      return { encoding: 'utf-8', bom: false };
+    } catch (error) {
+      return { encoding: 'windows-1252', bom: false };
+    }
+  }
+
+
+  static async readSample(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(SAMPLE_SIZE), 0, SAMPLE_SIZE, 0);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+
+
+  // The file's text chunk by chunk; a byte order mark is dropped
+  static async* readText(filePath, encoding) {
+    const decoder = new TextDecoder(encoding);
+
+    for await (const chunk of fs.createReadStream(filePath)) {
+      yield decoder.decode(chunk, { stream: true });
+    }
+
+    yield decoder.decode();
+  }
+
+  // Import a package file, which brings its own decks
+  static async importPackage(userId, file, options = {}) {
+    if (path.extname(file.originalname).toLowerCase() === '.json') {
+      return this.importJson(userId, file, options);
+    }
+
+    return this.importApkg(userId, file, options);
+  }
+
+  /**
+   * Import an Anki package (.apkg): a zip holding the SQLite collection and
+   * the media files. Each note becomes one card in a deck named like its
+   * Anki deck ("Parent::Child" becomes nested decks, reusing the user's decks
+   * of the same name): the first field is the front, the second the back,
+   * with HTML removed. Cloze notes become cloze cards. Sounds and images the
+   * note refers to are attached to the card. With `includeScheduling`, review
+   * state (intervals, ease, due dates, suspension) is carried over.
+   */
+  static async importApkg(userId, file, options = {}) {
+    const { includeScheduling = false, duplicates = 'allow', duplicateScope = 'deck' } = options;
+
+    const collection = await this.readApkg(file.path, includeScheduling);
+
+    const report = {
+      includeScheduling,
+      noteCount: collection.notes.length,
+      createdCount: 0,
+      skippedCount: 0,
+      mergedCount: 0,
+      failedCount: 0,
+      decks: [],
+      media: {
+        importedCount: 0,
+        skippedCount: 0,
+      },
+      skipped: [],
+    };
+
+    // Notes by the path of their deck
+    const notesByDeck = new Map();
+    collection.notes.forEach(note => {
+      const ankiCard = note.cards[0];
+      const deckName = collection.deckNames.get(ankiCard.odid || ankiCard.did) || 'Default';
+
+      notesByDeck.set(deckName, [...(notesByDeck.get(deckName) || []), note]);
+    });
+
+    const deckIds = new Map();
+
+    for (const [deckName, notes] of notesByDeck) {
+      const deck = await this.findOrCreateDeckPath(userId, deckName.split('::'), deckIds);
+      const deckReport = {
+        id: deck.id,
+        name: deckName,
+        created: deck.created,
+        createdCount: 0,
+        skippedCount: 0,
+        mergedCount: 0,
+        failedCount: 0,
+      };
+
+      for (let start = 0; start < notes.length; start += BATCH_SIZE) {
+        const batch = notes.slice(start, start + BATCH_SIZE).map(note => this.toAnkiCard(note, collection));
+        const result = await CardService.bulkCreateCards(userId, deck.id, batch.map(item => item.card), {
+          itemErrors: batch.map(item => getCardErrors(item.card, true)),
+          duplicates,
+          duplicateScope,
+        });
+
+        ['createdCount', 'skippedCount', 'mergedCount', 'failedCount'].forEach(count => {
+          deckReport[count] += result[count];
+          report[count] += result[count];
+        });
+
+        const created = [];
+
+        result.results.forEach(({ index, success, errors, action, cardId }) => {
+          const { note, card } = batch[index];
+
+          if (action === 'created') {
+            created.push({ ...batch[index], cardId });
+          } else if (!success || action === 'skipped') {
+            this.addReportedRow(report.skipped, {
+              noteId: note.id,
+              deck: deckName,
+              frontText: card.frontText || null,
+              reason: success ? 'Duplicate of an existing card' : errors.join(', '),
+            });
+          }
+        });
+
+        if (includeScheduling) {
+          await prisma.$transaction(created.flatMap(item => this.getSchedulingQueries(item, collection)));
+        }
+
+        for (const item of created) {
+          await this.addAnkiMedia(userId, item, collection, file.path, report.media);
+        }
+      }
+
+      report.decks.push(deckReport);
+    }
+
+    return report;
+  }
+
+
+  /**
+   * Import a deck file written by the JSON deck export. Its decks are found
+   * or created by their path of names like Anki decks, new decks taking the
+   * exported settings. With `includeScheduling` the exported progress of the
+   * cards and their variants is restored.
+   */
+  static async importJson(userId, file, options = {}) {
+    const { includeScheduling = false, duplicates = 'allow', duplicateScope = 'deck' } = options;
+
+    const decks = await this.readDeckFile(file.path);
+
+    const report = {
+      includeScheduling,
+      noteCount: decks.reduce((count, deck) => count + deck.cards.length, 0),
+      createdCount: 0,
+      skippedCount: 0,
+      mergedCount: 0,
+      failedCount: 0,
+      decks: [],
+      media: {
+        importedCount: 0,
+        skippedCount: 0,
+      },
+      skipped: [],
+    };
+
+    const deckIds = new Map();
+
+    for (const { path: names, settings, cards } of decks) {
+      const deckName = names.join('::');
+      const deck = await this.findOrCreateDeckPath(userId, names, deckIds, settings);
+      const deckReport = {
+        id: deck.id,
+        name: deckName,
+        created: deck.created,
+        createdCount: 0,
+        skippedCount: 0,
+        mergedCount: 0,
+        failedCount: 0,
+      };
+
+      for (let start = 0; start < cards.length; start += BATCH_SIZE) {
+        const batch = cards.slice(start, start + BATCH_SIZE).map(({ progress, ...card }) => ({ card, progress }));
+        const result = await CardService.bulkCreateCards(userId, deck.id, batch.map(item => item.card), {
+          itemErrors: batch.map(item => getCardErrors(item.card, true)),
+          duplicates,
+          duplicateScope,
+        });
+
+        ['createdCount', 'skippedCount', 'mergedCount', 'failedCount'].forEach(count => {
+          deckReport[count] += result[count];
+          report[count] += result[count];
+        });
+
+        const progressQueries = [];
+
+        result.results.forEach(({ index, success, errors, action, cardId }) => {
+          const { card, progress } = batch[index];
+
+          if (action === 'created' && includeScheduling && progress) {
+            progressQueries.push(...this.getProgressQueries(cardId, progress));
+          } else if (!success || action === 'skipped') {
+            this.addReportedRow(report.skipped, {
+              index: start + index,
+              deck: deckName,
+              frontText: typeof card.frontText === 'string' ? card.frontText : null,
+              reason: success ? 'Duplicate of an existing card' : errors.join(', '),
+            });
+          }
+        });
+
+        if (progressQueries.length > 0) {
+          await prisma.$transaction(progressQueries);
+        }
+      }
+
+      report.decks.push(deckReport);
+    }
+
+    return report;
+  }
+
+
+  // The decks of a deck file as { path, settings, cards }, checked down to each deck's path and settings; cards are checked as they are created
+  static async readDeckFile(filePath) {
+    let deckFile;
+
+    try {
+      deckFile = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid deck file: ${error.message}`);
+    }
+
+    if (!deckFile || deckFile.format !== DECK_FILE_FORMAT || !Array.isArray(deckFile.decks)) {
+      throw new Error('Invalid deck file: not a deck export');
+    }
+
+    if (deckFile.version !== DECK_FILE_VERSION) {
+      throw new Error(`Unsupported deck file version: ${deckFile.version}`);
+    }
+
+    return deckFile.decks.map((deck, i) => {
+      if (!deck || !Array.isArray(deck.path) || deck.path.length === 0 || !Array.isArray(deck.cards) ||
+        deck.cards.some(card => !card || typeof card !== 'object')) {
+        throw new Error(`Invalid deck file: deck ${i} needs a path of names and a list of cards`);
+      }
+
+      // Unset settings are null in the file
+      const settings = Object.fromEntries(Object.entries(pick(deck, DeckService.DECK_SETTING_FIELDS))
+        .filter(([, value]) => value !== null));
+      const errors = deck.path.flatMap(name => getDeckErrors({ ...settings, name }));
+
+      if (errors.length > 0) {
+        throw new Error(`Invalid deck file: deck ${i}: ${[...new Set(errors)].join(', ')}`);
+      }
+
+      return { path: deck.path.map(name => name.trim()), settings, cards: deck.cards };
+    });
+  }
+
+
+  // Updates restoring the exported progress of a new card and its variants
+  static getProgressQueries(cardId, progress) {
+    const variants = Array.isArray(progress.variants) ? progress.variants : [];
+
+    return [
+      prisma.card.update({
+        where: { id: cardId },
+        data: this.getProgressData(progress, [...CardService.SCHEDULING_FIELDS, ...CardService.LAPSE_FIELDS]),
+      }),
+      ...variants
+        .filter(variant => variant && typeof variant.key === 'string')
+        .map(variant => prisma.cardVariant.updateMany({
+          where: { cardId, key: variant.key },
+          data: this.getProgressData(variant, CardService.SCHEDULING_FIELDS),
+        })),
+    ];
+  }
+
+
+  // The given progress fields that have a valid value; others keep the new card's state
+  static getProgressData(progress, fields) {
+    const data = {};
+
+    fields.forEach(field => {
+      const value = progress[field];
+      const type = PROGRESS_FIELD_TYPES[field];
+
+      if (value === null && type.endsWith('?')) {
+        data[field] = null;
+      } else if (type.startsWith('date')) {
+        const date = typeof value === 'string' ? new Date(value) : null;
+        if (date && !isNaN(date.getTime())) data[field] = date;
+      } else if (type.startsWith('integer') ? Number.isInteger(value) && value >= 0 : typeof value === type.replace('?', '')) {
+        data[field] = value;
+      }
+    });
+
+    return data;
+  }
+
+
+  /**
+   * Everything needed from the package: deck names, notes with their cards
+   * (ordered by template), media entries by file name and, for scheduling,
+   * the last review time of each card.
+   */
+  static async readApkg(filePath, includeScheduling) {
+    const collectionPath = `${filePath}.collection`;
+    let db;
+
+    try {
+      const entries = await readZipEntries(filePath);
+      const entriesByName = new Map(entries.map(entry => [entry.name, entry]));
+      const collectionEntry = ANKI_COLLECTIONS.map(name => entriesByName.get(name)).find(Boolean);
+
+      if (!collectionEntry) {
+        throw new Error(entriesByName.has('collection.anki21b')
+          ? 'Unsupported Anki package: export it again with "Support older Anki versions" checked'
+          : 'Invalid Anki package: no collection found');
+      }
+
+      await extractZipEntry(filePath, collectionEntry, collectionPath, { maxSize: MAX_IMPORT_FILE_SIZE });
+      db = await openSqlite(collectionPath);
+
+      let col;
+      for await (const row of db.readRows('col')) {
+        col = row;
+      }
+
+      // Newer collections keep note types and decks in their own tables, with no JSON in col
+      if (!col || !col.decks || !col.models) {
+        throw new Error('Unsupported Anki package: export it again with "Support older Anki versions" checked');
+      }
+
+      const models = JSON.parse(col.models);
+      const deckNames = new Map(Object.values(JSON.parse(col.decks)).map(deck => [deck.id, deck.name]));
+
+      const notes = new Map();
+      for await (const note of db.readRows('notes')) {
+        notes.set(note.id, { ...note, model: models[note.mid] || null, cards: [] });
+      }
+
+      for await (const card of db.readRows('cards')) {
+        notes.get(card.nid)?.cards.push(card);
+      }
+
+      const lastReviews = new Map();
+      if (includeScheduling && db.hasTable('revlog')) {
+        for await (const review of db.readRows('revlog')) {
+          lastReviews.set(review.cid, Math.max(review.id, lastReviews.get(review.cid) || 0));
+        }
+      }
+
+      // "media" maps the numbered zip entries to file names; newer packages use another format
+      let mediaEntries = new Map();
+      if (entriesByName.has('media')) {
+        try {
+          const media = JSON.parse((await readZipEntry(filePath, entriesByName.get('media'), { maxSize: MAX_IMPORT_FILE_SIZE })).toString('utf8'));
+          mediaEntries = new Map(Object.entries(media).map(([entryName, name]) => [name, entriesByName.get(entryName)]));
+        } catch (error) {
+          mediaEntries = new Map();
+        }
+      }
+
+      return {
+        collectionStart: new Date(col.crt * 1000),
+        deckNames,
+        notes: [...notes.values()]
+          .filter(note => note.cards.length > 0)
+          .map(note => ({ ...note, cards: note.cards.sort((a, b) => a.ord - b.ord) })),
+        lastReviews,
+        mediaEntries,
+      };
+    } catch (error) {
+      if (error.message.startsWith('Invalid Anki package') || error.message.startsWith('Unsupported Anki package')) {
+        throw error;
+      }
+
+      throw new Error(`Invalid Anki package: ${error.message}`);
+    } finally {
+      await db?.close();
+      await fs.promises.rm(collectionPath, { force: true });
+    }
+  }
+
+
+  // The deck at this path of names, creating the missing ones (the last one with `settings`); deckIds caches them by path
+  static async findOrCreateDeckPath(userId, names, deckIds, settings = {}) {
+    let parentId = null;
+    let deck;
+
+    for (let depth = 1; depth <= names.length; depth++) {
+      const key = names.slice(0, depth).join('::');
+
+      if (!deckIds.has(key)) {
+        const name = names[depth - 1].trim() || 'Default';
+        const existing = await prisma.deck.findFirst({
+          where: {
+            userId,
+            name,
+            parentId,
+            deletedAt: null,
+          },
+        });
+
+        deckIds.set(key, existing
+          ? { id: existing.id, created: false }
+          : {
+            id: (await DeckService.createDeck(userId, {
+              ...(depth === names.length && settings),
+              name,
+              parentId,
+            })).id,
+            created: true,
+          });
+      }
+
+      deck = deckIds.get(key);
+      parentId = deck.id;
+    }
+
+    return deck;
+  }
+
+
+  // Card data of a note, plus the media files its fields refer to
+  static toAnkiCard(note, collection) {
+    const fields = note.flds.split('\x1f');
+    const mediaNames = new Set();
+
+    fields.forEach(field => {
+      for (const [, name] of field.matchAll(ANKI_SOUND_PATTERN)) mediaNames.add(name);
+      for (const [, name] of field.matchAll(ANKI_IMAGE_PATTERN)) mediaNames.add(this.decodeMediaName(name));
+    });
+
+    const toText = (field = '') => stripHtml(field.replace(ANKI_SOUND_PATTERN, ''));
+    const backText = toText(fields[1]);
+
+    // Anki tags are separated by spaces; tags this app can't hold are left out
+    const tags = note.tags.trim().split(/\s+/).filter(tag => tag && tag.length <= 50).slice(0, 20);
+
+    return {
+      note,
+      card: {
+        type: note.model?.type === ANKI_CLOZE_MODEL ? 'cloze' : 'basic',
+        frontText: toText(fields[0]),
+        ...(backText && { backText }),
+        ...(tags.length > 0 && { tags }),
+      },
+      mediaNames: [...mediaNames].filter(name => collection.mediaEntries.has(name) || !/^[a-z]+:/i.test(name)),
+    };
+  }
+
+
+  static decodeMediaName(name) {
+    try {
+      return decodeURIComponent(name);
+    } catch (error) {
+      return name;
+    }
+  }
+
+
+  /**
+   * Updates giving the new card the review state of its note's Anki cards.
+   * The first template's card maps to the card itself, a basic note's second
+   * one to the reverse variant and each cloze to the card or variant holding
+   * its number.
+   */
+  static getSchedulingQueries({ note, card, cardId }, collection) {
+    const clozeNumbers = card.type === 'cloze' ? parseCloze(card.frontText).numbers : [];
+
+    return note.cards.flatMap(ankiCard => {
+      const schedule = this.getAnkiSchedule(ankiCard, collection);
+
+      if (!schedule) {
+        return [];
+      }
+
+      const key = card.type === 'cloze'
+        ? (ankiCard.ord + 1 === clozeNumbers[0] ? null : `c${ankiCard.ord + 1}`)
+        : [null, CardService.REVERSE_VARIANT][ankiCard.ord];
+
+      if (key === null) {
+        return [prisma.card.update({
+          where: { id: cardId },
+          data: {
+            ...schedule,
+            lapses: ankiCard.lapses,
+            suspended: ankiCard.queue === ANKI_SUSPENDED_QUEUE,
+          },
+        })];
+      }
+
+      return key ? [prisma.cardVariant.updateMany({ where: { cardId, key }, data: schedule })] : [];
+    });
+  }
+
+
+  // Scheduling fields of an Anki card, or null for a new card
+  static getAnkiSchedule(ankiCard, collection) {
+    const { type, ivl, factor, reps, data } = ankiCard;
+
+    if (type === ANKI_CARD_TYPES.new) {
+      return null;
+    }
+
+    // Cards in a filtered deck keep their real due in odue; learning cards are due at a time, others on a day
+    const due = ankiCard.odid ? ankiCard.odue : ankiCard.due;
+    const dueDate = due > 1000000000 ? new Date(due * 1000) : addDays(collection.collectionStart, due);
+    const interval = Math.max(ivl, 0);
+    const lastReview = collection.lastReviews.get(ankiCard.id);
+
+    let memoryState = {};
+    try {
+      memoryState = JSON.parse(data || '{}');
+    } catch (error) {
+      memoryState = {};
+    }
+
+    return {
+      memorized: type === ANKI_CARD_TYPES.review,
+      interval,
+      repetitions: reps,
+      dueDate,
+      // Without a review log entry, a review card was last seen one interval before it is due
+      lastReviewedAt: lastReview
+        ? new Date(lastReview)
+        : type === ANKI_CARD_TYPES.review ? addDays(dueDate, -interval) : null,
+      easeFactor: factor > 0 ? factor / 1000 : 2.5,
+      learningStep: type === ANKI_CARD_TYPES.review ? null : 0,
+      // FSRS memory state, when the collection used FSRS
+      ...(typeof memoryState.s === 'number' && { stability: memoryState.s }),
+      ...(typeof memoryState.d === 'number' && { difficulty: memoryState.d }),
+    };
+  }
+
+
+  // Attach the media files a new card refers to; missing, unsupported, too large or broken files are counted as skipped
+  static async addAnkiMedia(userId, { cardId, mediaNames }, collection, filePath, mediaReport) {
+    for (const name of mediaNames) {
+      const entry = collection.mediaEntries.get(name);
+      const mimeType = MediaService.getMimeType(name);
+
+      if (!entry || !mimeType || entry.size > MediaService.MAX_FILE_SIZE) {
+        mediaReport.skippedCount++;
+        continue;
+      }
+
+      let buffer;
+      try {
+        buffer = await readZipEntry(filePath, entry, { maxSize: MediaService.MAX_FILE_SIZE });
+      } catch (error) {
+        if (!error.message.startsWith('Invalid zip file')) {
+          throw error;
+        }
+        mediaReport.skippedCount++;
+        continue;
+      }
+
+      try {
+        await MediaService.addCardMedia(cardId, userId, {
+          buffer,
+          mimetype: mimeType,
+          size: buffer.length,
+          originalname: name,
+        });
+      } catch (error) {
+        if (error.message !== 'File content does not match its media type') {
+          throw error;
+        }
+        mediaReport.skippedCount++;
+        continue;
+      }
+      mediaReport.importedCount++;
+    }
+  }
+}
+
+ImportService.CSV_EXTENSIONS = CSV_EXTENSIONS;
+ImportService.PACKAGE_EXTENSIONS = PACKAGE_EXTENSIONS;
+ImportService.MAX_IMPORT_FILE_SIZE = MAX_IMPORT_FILE_SIZE;
+ImportService.IMPORT_FIELDS = IMPORT_FIELDS;
+ImportService.DECK_FILE_FORMAT = DECK_FILE_FORMAT;
+ImportService.DECK_FILE_VERSION = DECK_FILE_VERSION;
+
+module.exports = ImportService;
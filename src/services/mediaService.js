@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const path = require('path');
+const { prisma, withRetry } = require('../config/database');
+const { getStorage } = require('./storage');
+const { detectMediaType } = require('../utils/fileType');
+
+// Accepted uploads and the extension their files are stored with
+const MEDIA_TYPES = {
+  'audio/mpeg': { kind: 'audio', extension: '.mp3' },
+  'audio/mp4': { kind: 'audio', extension: '.m4a' },
+  'audio/aac': { kind: 'audio', extension: '.aac' },
+  'audio/ogg': { kind: 'audio', extension: '.ogg' },
+  'audio/wav': { kind: 'audio', extension: '.wav' },
+  'audio/x-wav': { kind: 'audio', extension: '.wav' },
+  'audio/webm': { kind: 'audio', extension: '.weba' },
+  'image/jpeg': { kind: 'image', extension: '.jpg' },
+  'image/png': { kind: 'image', extension: '.png' },
+  'image/gif': { kind: 'image', extension: '.gif' },
+  'image/webp': { kind: 'image', extension: '.webp' },
+};
+
+const MAX_FILE_SIZE = parseInt(process.env.MEDIA_MAX_FILE_SIZE, 10) || 5 * 1024 * 1024;
+
+// What clients see of a media file; the storage key stays internal
+const MEDIA_SELECT = {
+  id: true,
+  kind: true,
+  mimeType: true,
+  size: true,
+  originalName: true,
+  createdAt: true,
+};
+
+class MediaService {
+  static async addCardMedia(cardId, userId, file) {
+    const card = await prisma.card.findFirst({
+      where: {
+        id: cardId,
+        deck: {
+          userId,
+        },
+        deletedAt: null,
+      },
+    });
+
+    if (!card) {
+      throw new Error('Card not found');
+    }
+
+    const mediaType = MEDIA_TYPES[file.mimetype];
+
+    if (!mediaType) {
+      throw new Error('Unsupported media type');
+    }
+
+    // The declared type is the client's word, so the content has to agree with it
+    const contentType = MEDIA_TYPES[detectMediaType(file.buffer)];
+
+    if (!contentType || contentType.extension !== mediaType.extension) {
+      throw new Error('File content does not match its media type');
+    }
+
+    const storage = getStorage();
+    const storageKey = this.createStorageKey(userId, file.mimetype);
+
+    await storage.save(storageKey, file.buffer, file.mimetype);
+
+    try {
+      return await prisma.media.create({
+        data: {
+          cardId,
+          userId,
+          kind: mediaType.kind,
+          mimeType: file.mimetype,
+          size: file.size,
+          originalName: file.originalname || null,
+          storageKey,
+        },
+        select: MEDIA_SELECT,
+      });
+    } catch (error) {
+      // Don't leave a file behind that no row points to
+      await this.removeFiles([storageKey]);
+      throw error;
+    }
+  }
+
+
+  /**
+   * Media row plus a stream of its content. Only the owner of the card can
+   * read it.
+   */
+  static async getMediaFile(mediaId, userId) {
+    const media = await prisma.media.findFirst({
+      where: {
+        id: mediaId,
+        userId,
+        card: { deletedAt: null },
+      },
+    });
+
+    if (!media) {
+      throw new Error('Media not found');
+    }
+
+    return {
+      media,
+      stream: await getStorage().openReadStream(media.storageKey),
+    };
+  }
+
+
+  static async deleteMedia(mediaId, userId) {
+    const media = await prisma.media.findFirst({
+      where: {
+        id: mediaId,
+        userId,
+      },
+    });
+
+    if (!media) {
+      throw new Error('Media not found');
+    }
+
+    await prisma.media.delete({
+      where: { id: mediaId },
+    });
+
+    await this.removeFiles([media.storageKey]);
+  }
+
+
+  /**
+   * Copy the files of media rows under new keys, for cards that are being
+   * copied. Returns the create data of each copy by original media ID.
+   */
+  static async copyFiles(userId, mediaList) {
+    const storage = getStorage();
+    const copies = new Map();
+
+    try {
+      for (const media of mediaList) {
+        const storageKey = this.createStorageKey(userId, media.mimeType);
+
+        await storage.copy(media.storageKey, storageKey);
+        copies.set(media.id, {
+          userId,
+          kind: media.kind,
+          mimeType: media.mimeType,
+          size: media.size,
+          originalName: media.originalName,
+          storageKey,
+        });
+      }
+    } catch (error) {
+      await this.removeFiles([...copies.values()].map(copy => copy.storageKey));
+      throw error;
+    }
+
+    return copies;
+  }
+
+
+  /**
+   * Storage keys of the media of the cards matching `cardWhere`. Read before
+   * deleting cards, since the rows go away with them (cascade) but the files
+   * don't.
+   */
+  static async findMediaKeys(cardWhere) {
+    const media = await prisma.media.findMany({
+      where: { card: cardWhere },
+      select: { storageKey: true },
+    });
+
+    return media.map(item => item.storageKey);
+  }
+
+
+  // Accepted MIME type of a file by its extension (for files that come without one), or null
+  static getMimeType(fileName) {
+    const extension = path.extname(fileName).toLowerCase();
+    const match = Object.entries(MEDIA_TYPES).find(([, type]) => type.extension === extension);
+
+    if (extension === '.jpeg') {
+      return 'image/jpeg';
+    }
+
+    return match ? match[0] : null;
+  }
+
+
+  // Random, so keys can't be guessed or collide; grouped by user
+  static createStorageKey(userId, mimeType) {
+    return `${userId}/${crypto.randomUUID()}${MEDIA_TYPES[mimeType]?.extension || ''}`;
+  }
+
+
+  // Best effort: a file that can't be removed is logged, not reported to the client
+  static async removeFiles(storageKeys) {
+    const storage = getStorage();
+    const results = await Promise.allSettled(storageKeys.map(key => storage.remove(key)));
+
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.error('Remove media file error:', result.reason));
+  }
+}
+
+MediaService.MEDIA_TYPES = MEDIA_TYPES;
+MediaService.MAX_FILE_SIZE = MAX_FILE_SIZE;
+MediaService.MEDIA_SELECT = MEDIA_SELECT;
+
+module.exports = MediaService;
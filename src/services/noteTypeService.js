@@ -0,0 +1,197 @@
+const { prisma, withRetry } = require('../config/database');
+const CardService = require('./cardService');
+const { FRONT_SIDE, parseTemplate } = require('../utils/template');
+
+const NOTE_TYPE_INCLUDE = {
+  templates: {
+    orderBy: { position: 'asc' },
+  },
+  _count: {
+    select: {
+      notes: true,
+    },
+  },
+};
+
+class NoteTypeService {
+  static async createNoteType(userId, noteTypeData) {
+    const { name, fields, templates } = noteTypeData;
+
+    await this.assertNameAvailable(userId, name);
+    this.assertTemplates(fields, templates);
+
+    return prisma.noteType.create({
+      data: {
+        name: name.trim(),
+        fields: fields.map(field => field.trim()),
+        userId,
+        templates: {
+          create: templates.map((template, position) => ({
+            name: template.name.trim(),
+            front: template.front,
+            back: template.back,
+            position,
+          })),
+        },
+      },
+      include: NOTE_TYPE_INCLUDE,
+    });
+  }
+
+
+  static async getUserNoteTypes(userId) {
+    return prisma.noteType.findMany({
+      where: { userId },
+      orderBy: { name: 'asc' },
+      include: NOTE_TYPE_INCLUDE,
+    });
+  }
+
+
+  static async getNoteTypeById(noteTypeId, userId) {
+    const noteType = await prisma.noteType.findFirst({
+      where: {
+        id: noteTypeId,
+        userId,
+      },
+      include: NOTE_TYPE_INCLUDE,
+    });
+
+    if (!noteType) {
+      throw new Error('Note type not found');
+    }
+
+    return noteType;
+  }
+
+
+  /**
+   * Templates with an ID are updated, templates without one are added.
+   * Existing notes are re-rendered, so their cards follow the new templates.
+   */
+  static async updateNoteType(noteTypeId, userId, updateData) {
+    const { name, fields, templates = [] } = updateData;
+
+    const existingNoteType = await this.getNoteTypeById(noteTypeId, userId);
+
+    if (name && name.trim() !== existingNoteType.name) {
+      await this.assertNameAvailable(userId, name);
+    }
+
+    const unknownTemplate = templates.find(template =>
+      template.id && !existingNoteType.templates.some(existing => existing.id === template.id)
+    );
+
+    if (unknownTemplate) {
+      throw new Error('Template not found');
+    }
+
+    const finalFields = fields ? fields.map(field => field.trim()) : existingNoteType.fields;
+    const finalTemplates = [
+      ...existingNoteType.templates.map(existing => ({
+        ...existing,
+        ...templates.find(template => template.id === existing.id),
+      })),
+      ...templates.filter(template => !template.id),
+    ];
+
+    this.assertTemplates(finalFields, finalTemplates);
+
+    await prisma.$transaction([
+      prisma.noteType.update({
+        where: { id: noteTypeId },
+        data: {
+          ...(name && { name: name.trim() }),
+          ...(fields && { fields: finalFields }),
+        },
+      }),
+      ...templates.filter(template => template.id).map(template =>
+        prisma.cardTemplate.update({
+          where: { id: template.id },
+          data: {
+            ...(template.name && { name: template.name.trim() }),
+            ...(template.front !== undefined && { front: template.front }),
+            ...(template.back !== undefined && { back: template.back }),
+          },
+        })
+      ),
+      ...templates.filter(template => !template.id).map((template, index) =>
+        prisma.cardTemplate.create({
+          data: {
+            noteTypeId,
+            name: template.name.trim(),
+            front: template.front,
+            back: template.back,
+            position: existingNoteType.templates.length + index,
+          },
+        })
+      ),
+    ]);
+
+    if (fields || templates.length > 0) {
+      const notes = await prisma.note.findMany({
+        where: { noteTypeId },
+        select: { id: true },
+      });
+
+      for (const note of notes) {
+        await CardService.syncNoteCards(note.id);
+      }
+    }
+
+    return this.getNoteTypeById(noteTypeId, userId);
+  }
+
+
+  static async deleteNoteType(noteTypeId, userId) {
+    const noteType = await this.getNoteTypeById(noteTypeId, userId);
+
+    // Deleting the note type would delete every card made from it
+    if (noteType._count.notes > 0) {
+      throw new Error('Note type is in use');
+    }
+
+    await prisma.noteType.delete({
+      where: { id: noteTypeId },
+    });
+  }
+
+
+  static async assertNameAvailable(userId, name) {
+    const existing = await prisma.noteType.findUnique({
+      where: {
+        userId_name: {
+          userId,
+          name: name.trim(),
+        },
+      },
+    });
+
+    if (existing) {
+      throw new Error('Note type name already exists');
+    }
+  }
+
+
+  // Templates must parse and may only use the note type's fields (the back can also use FrontSide)
+  static assertTemplates(fields, templates) {
+    const errors = [];
+
+    templates.forEach(template => {
+      [['front', fields], ['back', [...fields, FRONT_SIDE]]].forEach(([side, allowed]) => {
+        const parsed = parseTemplate(template[side]);
+
+        errors.push(...parsed.errors.map(error => `${template.name} ${side}: ${error}`));
+        parsed.fields
+          .filter(field => !allowed.includes(field))
+          .forEach(field => errors.push(`${template.name} ${side}: unknown field "${field}"`));
+      });
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid template: ${errors.join('; ')}`);
+    }
+  }
+}
+
+module.exports = NoteTypeService;
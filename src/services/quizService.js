@@ -0,0 +1,166 @@
+const { prisma, withRetry } = require('../config/database');
+const { normalizeText } = require('../utils/text');
+const { shuffle } = require('../utils/array');
+
+const QUIZ_TYPES = ['multiple-choice'];
+const OPTIONS_PER_QUESTION = 4;
+// How many other decks' answers to load when a deck is too small
+const FALLBACK_POOL_SIZE = 200;
+
+class QuizService {
+  static async generateQuiz(userId, deckId, options = {}) {
+    const { type = 'multiple-choice', count = 20 } = options;
+
+    if (!QUIZ_TYPES.includes(type)) {
+      throw new Error('Unsupported quiz type');
+    }
+
+    const deck = await prisma.deck.findFirst({
+      where: {
+        id: deckId,
+        userId,
+        deletedAt: null,
+      },
+    });
+
+    if (!deck) {
+      throw new Error('Deck not found');
+    }
+
+    // Cloze cards have no separate answer side to offer as an option
+    const cards = await prisma.card.findMany({
+      where: {
+        deckId,
+        type: 'basic',
+        deletedAt: null,
+      },
+      select: {
+        id: true,
+        frontText: true,
+        backText: true,
+      },
+    });
+
+    if (cards.length === 0) {
+      throw new Error('Deck has no cards');
+    }
+
+    let pool = this.buildAnswerPool(cards);
+
+    // Small decks borrow distractors from the user's other decks
+    if (pool.length < OPTIONS_PER_QUESTION) {
+      const otherCards = await prisma.card.findMany({
+        where: {
+          deckId: { not: deckId },
+          deck: { userId },
+          type: 'basic',
+          deletedAt: null,
+        },
+        take: FALLBACK_POOL_SIZE,
+        orderBy: { updatedAt: 'desc' },
+        select: { backText: true },
+      });
+
+      pool = this.buildAnswerPool([...cards, ...otherCards]);
+    }
+
+    const questions = shuffle(cards)
+      .slice(0, count)
+      .map(card => ({
+        cardId: card.id,
+        prompt: card.frontText,
+        options: shuffle([card.backText, ...this.pickDistractors(card.backText, pool)]),
+      }));
+
+    return {
+      deckId,
+      type,
+      count: questions.length,
+      questions,
+    };
+  }
+
+
+  static async scoreQuiz(userId, deckId, answers) {
+    const deck = await prisma.deck.findFirst({
+      where: {
+        id: deckId,
+        userId,
+        deletedAt: null,
+      },
+    });
+
+    if (!deck) {
+      throw new Error('Deck not found');
+    }
+
+    const cards = await prisma.card.findMany({
+      where: {
+        id: { in: answers.map(item => item.cardId) },
+        deckId,
+        deletedAt: null,
+      },
+      select: {
+        id: true,
+        frontText: true,
+        backText: true,
+      },
+    });
+    const cardsById = new Map(cards.map(card => [card.id, card]));
+
+    const results = answers.map(({ cardId, answer }) => {
+      const card = cardsById.get(cardId);
+
+      return {
+        cardId,
+        prompt: card ? card.frontText : null,
+        answer,
+        correctAnswer: card ? card.backText : null,
+        correct: Boolean(card) && normalizeText(answer) === normalizeText(card.backText),
+      };
+    });
+
+    const correct = results.filter(result => result.correct).length;
+
+    return {
+      deckId,
+      total: results.length,
+      correct,
+      incorrect: results.length - correct,
+      score: Math.round((correct / results.length) * 100),
+      results,
+    };
+  }
+
+
+  // Distinct answers (by normalized text) that can be used as options
+  static buildAnswerPool(cards) {
+    const pool = new Map();
+
+    cards.forEach(card => {
+      const key = normalizeText(card.backText);
+      if (!pool.has(key)) {
+        pool.set(key, card.backText);
+      }
+    });
+
+    return [...pool.entries()].map(([key, text]) => ({ key, text }));
+  }
+
+
+  // Prefer wrong answers with a length close to the right one so the answer doesn't stand out
+  static pickDistractors(answer, pool) {
+    const answerKey = normalizeText(answer);
+    const needed = OPTIONS_PER_QUESTION - 1;
+
+    const candidates = shuffle(pool.filter(item => item.key !== answerKey))
+      .sort((a, b) => Math.abs(a.text.length - answer.length) - Math.abs(b.text.length - answer.length));
+
+    // Pick randomly among the closest few so the same distractors don't always repeat
+    return shuffle(candidates.slice(0, needed * 2))
+      .slice(0, needed)
+      .map(item => item.text);
+  }
+}
+
+module.exports = QuizService;
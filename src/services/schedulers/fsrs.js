@@ -0,0 +1,154 @@
+/**
+ * FSRS v4.5 (Free Spaced Repetition Scheduler)
+ * https://github.com/open-spaced-repetition/fsrs4anki/wiki/The-Algorithm
+ *
+ * Memory state of a card:
+ * - stability: days until retrievability drops to 90%
+ * - difficulty: 1 (easy) .. 10 (hard)
+ * - retrievability: probability of recalling the card right now
+ */
+const { PASSING_QUALITY, addDays, daysBetween } = require('./utils');
+
+const DEFAULT_WEIGHTS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755,
+];
+const DEFAULT_RETENTION = 0.9;
+const MAX_INTERVAL = 36500;
+
+const DECAY = -0.5;
+const FACTOR = 19 / 81;
+
+const Rating = {
+  AGAIN: 1,
+  HARD: 2,
+  GOOD: 3,
+  EASY: 4,
+};
+
+// Map the API's 0-5 quality grade onto FSRS's four buttons
+const toRating = (quality) => {
+  if (quality < PASSING_QUALITY) return Rating.AGAIN;
+  if (quality === PASSING_QUALITY) return Rating.HARD;
+  if (quality === 4) return Rating.GOOD;
+  return Rating.EASY;
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const retrievability = (elapsedDays, stability) => {
+  return Math.pow(1 + FACTOR * elapsedDays / stability, DECAY);
+};
+
+const nextInterval = (stability, desiredRetention) => {
+  const interval = stability / FACTOR * (Math.pow(desiredRetention, 1 / DECAY) - 1);
+  return clamp(Math.round(interval), 1, MAX_INTERVAL);
+};
+
+const initStability = (w, rating) => Math.max(w[rating - 1], 0.1);
+
+const initDifficulty = (w, rating) => clamp(w[4] - (rating - 3) * w[5], 1, 10);
+
+const nextDifficulty = (w, difficulty, rating) => {
+  const next = difficulty - w[6] * (rating - 3);
+  // Mean reversion towards the difficulty of an "easy" first answer
+  return clamp(w[7] * initDifficulty(w, Rating.EASY) + (1 - w[7]) * next, 1, 10);
+};
+
+const nextRecallStability = (w, difficulty, stability, r, rating) => {
+  const hardPenalty = rating === Rating.HARD ? w[15] : 1;
+  const easyBonus = rating === Rating.EASY ? w[16] : 1;
+
+  return stability * (1 + Math.exp(w[8]) *
+    (11 - difficulty) *
+    Math.pow(stability, -w[9]) *
+    (Math.exp((1 - r) * w[10]) - 1) *
+    hardPenalty *
+    easyBonus);
+};
+
+const nextForgetStability = (w, difficulty, stability, r) => {
+  const next = w[11] *
+    Math.pow(difficulty, -w[12]) *
+    (Math.pow(stability + 1, w[13]) - 1) *
+    Math.exp((1 - r) * w[14]);
+
+  return Math.min(next, stability);
+};
+
+/**
+ * Current memory state of a card. Cards reviewed before switching to FSRS
+ * have no stability yet, so their current interval is used as an estimate.
+ */
+const getMemoryState = (card, w = DEFAULT_WEIGHTS) => {
+  if (card.stability) {
+    return { stability: card.stability, difficulty: card.difficulty || initDifficulty(w, Rating.GOOD) };
+  }
+
+  if (card.lastReviewedAt && card.interval > 0) {
+    return { stability: card.interval, difficulty: initDifficulty(w, Rating.GOOD) };
+  }
+
+  return null;
+};
+
+const getRetrievability = (card, now = new Date(), w = DEFAULT_WEIGHTS) => {
+  const state = getMemoryState(card, w);
+
+  if (!state || !card.lastReviewedAt) {
+    return null;
+  }
+
+  return retrievability(daysBetween(card.lastReviewedAt, now), state.stability);
+};
+
+/**
+ * Calculate the next schedule of a card from a 0-5 quality grade.
+ * Returns the new scheduling fields, does not touch the database.
+ */
+const schedule = (card, quality, options = {}, now = new Date()) => {
+  const w = options.weights || DEFAULT_WEIGHTS;
+  const desiredRetention = options.desiredRetention || DEFAULT_RETENTION;
+  const rating = toRating(quality);
+  const state = getMemoryState(card, w);
+
+  let stability;
+  let difficulty;
+
+  if (!state) {
+    stability = initStability(w, rating);
+    difficulty = initDifficulty(w, rating);
+  } else {
+    const elapsedDays = card.lastReviewedAt ? daysBetween(card.lastReviewedAt, now) : 0;
+    const r = retrievability(elapsedDays, state.stability);
+
+    difficulty = nextDifficulty(w, state.difficulty, rating);
+    stability = rating === Rating.AGAIN
+      ? nextForgetStability(w, state.difficulty, state.stability, r)
+      : nextRecallStability(w, state.difficulty, state.stability, r, rating);
+  }
+
+  const interval = nextInterval(stability, desiredRetention);
+  const repetitions = rating === Rating.AGAIN ? 0 : (card.repetitions || 0) + 1;
+
+  return {
+    stability,
+    difficulty,
+    interval,
+    repetitions,
+    dueDate: addDays(now, interval),
+    lastReviewedAt: now,
+  };
+};
+
+module.exports = {
+  name: 'fsrs',
+  DEFAULT_WEIGHTS,
+  DEFAULT_RETENTION,
+  Rating,
+  toRating,
+  retrievability,
+  nextInterval,
+  getRetrievability,
+  schedule,
+};
@@ -0,0 +1,64 @@
+/**
+ * Scheduler registry
+ *
+ * A scheduler is a plain module exposing:
+ * - name: identifier stored on users/decks
+ * - schedule(card, quality, options, now): returns the card's new scheduling
+ *   fields (interval, repetitions, dueDate, lastReviewedAt, plus any memory
+ *   state of its own) for a 0-5 quality grade
+ * - getRetrievability(card, now) (optional): recall probability, used to
+ *   order due cards
+ *
+ * Schedulers are pure functions of the card state so they can be tested
+ * without a database. New cards go through the deck's learning steps
+ * (see learning.js) before a scheduler takes over.
+ */
+const sm2 = require('./sm2');
+const fsrs = require('./fsrs');
+const learning = require('./learning');
+const { PASSING_QUALITY, addDays } = require('./utils');
+
+const DEFAULT_SCHEDULER = 'sm2';
+
+const schedulers = {
+  [sm2.name]: sm2,
+  [fsrs.name]: fsrs,
+};
+
+const SCHEDULER_NAMES = Object.keys(schedulers);
+
+const getScheduler = (name = DEFAULT_SCHEDULER) => {
+  const scheduler = schedulers[name];
+
+  if (!scheduler) {
+    throw new Error(`Unknown scheduler: ${name}`);
+  }
+
+  return scheduler;
+};
+
+/**
+ * Deck settings override the user's own; null means "inherit".
+ */
+const resolveSchedulerSettings = (deck = {}, user = {}) => {
+  const name = deck.scheduler || user.scheduler || DEFAULT_SCHEDULER;
+  const desiredRetention = deck.desiredRetention ?? user.desiredRetention ?? fsrs.DEFAULT_RETENTION;
+
+  return {
+    scheduler: getScheduler(name),
+    options: { desiredRetention },
+  };
+};
+
+module.exports = {
+  DEFAULT_SCHEDULER,
+  SCHEDULER_NAMES,
+  PASSING_QUALITY,
+  addDays,
+  DEFAULT_DECK_OPTIONS: learning.DEFAULT_DECK_OPTIONS,
+  CARD_ORDERS: learning.CARD_ORDERS,
+  getItemState: learning.getItemState,
+  scheduleWithLearningSteps: learning.schedule,
+  getScheduler,
+  resolveSchedulerSettings,
+};
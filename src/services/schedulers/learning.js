@@ -0,0 +1,81 @@
+/**
+ * Learning steps for new cards
+ *
+ * A new item is shown again after each step (in minutes) before it graduates
+ * to the scheduler with the deck's graduating interval. Items that already
+ * graduated are scheduled by the scheduler alone.
+ */
+const { PASSING_QUALITY, addDays } = require('./utils');
+
+const MINUTE_MS = 60 * 1000;
+const EASY_QUALITY = 5;
+
+// Used for decks that never saved their own options
+const DEFAULT_DECK_OPTIONS = {
+  newCardsPerDay: 20,
+  maxReviewsPerDay: 200,
+  learningSteps: [1, 10],
+  graduatingInterval: 1,
+  cardOrder: 'sequential',
+};
+
+const CARD_ORDERS = ['sequential', 'random'];
+
+// new: never reviewed, learning: between learning steps, review: graduated
+const getItemState = (item) => {
+  if (item.learningStep !== null && item.learningStep !== undefined) {
+    return 'learning';
+  }
+
+  return item.lastReviewedAt ? 'review' : 'new';
+};
+
+/**
+ * Calculate the next schedule of an item from a 0-5 quality grade.
+ * Failing goes back to the first step, passing moves to the next one and
+ * "easy" (or passing the last step) graduates the item.
+ */
+const schedule = (item, quality, scheduler, options = {}, now = new Date()) => {
+  const { learningSteps = [], graduatingInterval = 1 } = options;
+  const state = getItemState(item);
+
+  if (state === 'review') {
+    return scheduler.schedule(item, quality, options, now);
+  }
+
+  const nextStep = quality >= PASSING_QUALITY
+    ? (state === 'new' ? 0 : item.learningStep) + 1
+    : 0;
+
+  const graduates = quality >= PASSING_QUALITY &&
+    (quality === EASY_QUALITY || nextStep >= learningSteps.length);
+
+  if (graduates) {
+    return {
+      ...scheduler.schedule(item, quality, options, now),
+      interval: graduatingInterval,
+      dueDate: addDays(now, graduatingInterval),
+      learningStep: null,
+    };
+  }
+
+  // Without steps a failed new card is left to the scheduler
+  if (learningSteps.length === 0) {
+    return scheduler.schedule(item, quality, options, now);
+  }
+
+  return {
+    interval: 0,
+    repetitions: 0,
+    dueDate: new Date(now.getTime() + learningSteps[nextStep] * MINUTE_MS),
+    lastReviewedAt: now,
+    learningStep: nextStep,
+  };
+};
+
+module.exports = {
+  DEFAULT_DECK_OPTIONS,
+  CARD_ORDERS,
+  getItemState,
+  schedule,
+};
@@ -0,0 +1,46 @@
+/**
+ * SM-2 spaced repetition algorithm
+ * https://super-memory.com/english/ol/sm2.htm
+ */
+const { PASSING_QUALITY, addDays } = require('./utils');
+
+const MIN_EASE_FACTOR = 1.3;
+
+/**
+ * Calculate the next schedule of a card from a 0-5 quality grade.
+ * Returns the new scheduling fields, does not touch the database.
+ */
+const schedule = (card, quality, options = {}, now = new Date()) => {
+  let { easeFactor = 2.5, interval = 0, repetitions = 0 } = card;
+
+  if (quality >= PASSING_QUALITY) {
+    if (repetitions === 0) {
+      interval = 1;
+    } else if (repetitions === 1) {
+      interval = 6;
+    } else {
+      interval = Math.round(interval * easeFactor);
+    }
+    repetitions += 1;
+  } else {
+    // Quên -> học lại từ đầu
+    repetitions = 0;
+    interval = 1;
+  }
+
+  easeFactor = easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  easeFactor = Math.max(MIN_EASE_FACTOR, Math.round(easeFactor * 100) / 100);
+
+  return {
+    easeFactor,
+    interval,
+    repetitions,
+    dueDate: addDays(now, interval),
+    lastReviewedAt: now,
+  };
+};
+
+module.exports = {
+  name: 'sm2',
+  schedule,
+};
@@ -0,0 +1,15 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Quality grades (0-5) at or above this count as a successful recall
+const PASSING_QUALITY = 3;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const daysBetween = (from, to) => Math.max(0, (to.getTime() - from.getTime()) / DAY_MS);
+
+module.exports = {
+  DAY_MS,
+  PASSING_QUALITY,
+  addDays,
+  daysBetween,
+};
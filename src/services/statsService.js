@@ -0,0 +1,112 @@
+const { prisma, withRetry } = require('../config/database');
+const CardService = require('./cardService');
+const { addDays } = require('./schedulers');
+const { startOfDay, formatDate } = require('../utils/date');
+
+class StatsService {
+  /**
+   * Number of review items coming due on each of the next `days` days,
+   * for one deck or all of the user's decks. An item is due its interval
+   * after its last review; overdue items are counted on today.
+   */
+  static async getForecast(userId, options = {}) {
+    const { deckId, days = 30 } = options;
+
+    if (deckId) {
+      const deck = await prisma.deck.findFirst({
+        where: {
+          id: deckId,
+          userId,
+          deletedAt: null,
+        },
+      });
+
+      if (!deck) {
+        throw new Error('Deck not found');
+      }
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { timezone: true },
+    });
+
+    const deckWhere = {
+      userId,
+      deletedAt: null,
+      ...(deckId && { id: deckId }),
+    };
+
+    // Only items that are studied and already reviewed once (new cards have no due date yet)
+    const [cards, variants] = await Promise.all([
+      prisma.card.findMany({
+        where: {
+          deck: deckWhere,
+          suspended: false,
+          deletedAt: null,
+          lastReviewedAt: { not: null },
+          NOT: { type: 'basic', deck: { direction: 'reverse' } },
+        },
+        select: {
+          interval: true,
+          lastReviewedAt: true,
+        },
+      }),
+      prisma.cardVariant.findMany({
+        where: {
+          card: { deck: deckWhere, suspended: false, deletedAt: null },
+          lastReviewedAt: { not: null },
+          OR: [
+            { card: { type: 'cloze' } },
+            { key: CardService.REVERSE_VARIANT, card: { type: 'basic', deck: { direction: { not: 'forward' } } } },
+          ],
+        },
+        select: {
+          interval: true,
+          lastReviewedAt: true,
+        },
+      }),
+    ]);
+
+    const now = new Date();
+    const today = startOfDay(now, user.timezone);
+
+    // Local midnights, so days follow the user's calendar across daylight saving changes
+    const dayStarts = Array.from({ length: days + 1 }, (_, i) => startOfDay(addDays(today, i + 0.5), user.timezone));
+
+    const forecast = dayStarts.slice(0, days).map(dayStart => ({
+      date: formatDate(dayStart, user.timezone),
+      dueCards: 0,
+    }));
+    let overdueCards = 0;
+
+    [...cards, ...variants].forEach(item => {
+      const dueDate = addDays(item.lastReviewedAt, item.interval);
+
+      if (dueDate < today) {
+        overdueCards += 1;
+        forecast[0].dueCards += 1;
+        return;
+      }
+
+      const day = dayStarts.findIndex((_, i) => i < days && dueDate < dayStarts[i + 1]);
+      if (day !== -1) {
+        forecast[day].dueCards += 1;
+      }
+    });
+
+    const peak = forecast.reduce((max, day) => (day.dueCards > max.dueCards ? day : max), forecast[0]);
+
+    return {
+      ...(deckId && { deckId }),
+      days,
+      timezone: user.timezone,
+      overdueCards,
+      totalDue: forecast.reduce((sum, day) => sum + day.dueCards, 0),
+      peak,
+      forecast,
+    };
+  }
+}
+
+module.exports = StatsService;
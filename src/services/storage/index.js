@@ -0,0 +1,36 @@
+/**
+ * Storage registry
+ *
+ * A storage driver is a plain module exposing:
+ * - name: identifier used in MEDIA_STORAGE_DRIVER
+ * - save(key, buffer, mimeType): stores the file under `key`
+ * - openReadStream(key): readable stream of the file's content, rejects
+ *   with "Media file not found" when there is no such file
+ * - copy(sourceKey, targetKey): stores a copy of a file under a new key
+ * - remove(key): deletes the file, ignoring keys that no longer exist
+ *
+ * All methods are async, so an S3-compatible driver can be added next to
+ * the local one without touching the services using it.
+ */
+const local = require('./local');
+
+const DEFAULT_DRIVER = local.name;
+
+const drivers = {
+  [local.name]: local,
+};
+
+const getStorage = (name = process.env.MEDIA_STORAGE_DRIVER || DEFAULT_DRIVER) => {
+  const driver = drivers[name];
+
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  return driver;
+};
+
+module.exports = {
+  DEFAULT_DRIVER,
+  getStorage,
+};
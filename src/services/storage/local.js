@@ -0,0 +1,64 @@
+/**
+ * Local disk storage. Files live under MEDIA_STORAGE_PATH (default
+ * "uploads" in the working directory), one sub-directory per user.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const name = 'local';
+
+const getRoot = () => path.resolve(process.env.MEDIA_STORAGE_PATH || 'uploads');
+
+// Keys are generated by the server, but never let one point outside the root
+const resolveKey = (key) => {
+  const root = getRoot();
+  const filePath = path.resolve(root, key);
+
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+
+  return filePath;
+};
+
+
+const save = async (key, buffer) => {
+  const filePath = resolveKey(key);
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+};
+
+
+const openReadStream = async (key) => {
+  try {
+    const file = await fs.promises.open(resolveKey(key));
+    return file.createReadStream();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('Media file not found');
+    }
+    throw error;
+  }
+};
+
+
+const copy = async (sourceKey, targetKey) => {
+  const targetPath = resolveKey(targetKey);
+
+  await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+  await fs.promises.copyFile(resolveKey(sourceKey), targetPath);
+};
+
+
+const remove = async (key) => {
+  await fs.promises.rm(resolveKey(key), { force: true });
+};
+
+module.exports = {
+  name,
+  save,
+  openReadStream,
+  copy,
+  remove,
+};
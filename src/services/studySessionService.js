@@ -0,0 +1,299 @@
+const { prisma, withRetry } = require('../config/database');
+const CardService = require('./cardService');
+const { PASSING_QUALITY } = require('./schedulers');
+const { interleave } = require('../utils/array');
+const { getDescendantIds } = require('../utils/tree');
+
+class StudySessionService {
+  static async startSession(userId, sessionData) {
+    const { deckIds, limit = 20, includeSubdecks = false } = sessionData;
+
+    // Check if all decks exist and belong to user
+    const decks = await prisma.deck.findMany({
+      where: { userId, deletedAt: null },
+      select: {
+        id: true,
+        parentId: true,
+      },
+    });
+
+    if (deckIds.some(deckId => !decks.some(deck => deck.id === deckId))) {
+      throw new Error('Deck not found');
+    }
+
+    const uniqueDeckIds = [...new Set(
+      includeSubdecks
+        ? deckIds.flatMap(deckId => [deckId, ...getDescendantIds(decks, deckId)])
+        : deckIds
+    )];
+
+    // Build the queue from each deck's study cards, within its daily limits
+    const deckCards = await Promise.all(
+      uniqueDeckIds.map(deckId => CardService.getStudyCards(userId, deckId, { limit }))
+    );
+
+    // Take from each deck in turn, keeping every deck's own order
+    const queue = interleave(deckCards, limit).map(item => this.toQueueItem(item.id, item.variant));
+
+    if (queue.length === 0) {
+      throw new Error('No cards are due for study');
+    }
+
+    const session = await prisma.studySession.create({
+      data: {
+        userId,
+        deckIds: uniqueDeckIds,
+        queue,
+      },
+    });
+
+    return this.withProgress(session);
+  }
+
+
+  static async getUserSessions(userId, options = {}) {
+    const { page = 1, limit = 10, status } = options;
+    const skip = (page - 1) * limit;
+
+    const where = {
+      userId,
+      ...(status && { status }),
+    };
+
+    const [sessions, total] = await Promise.all([
+      prisma.studySession.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { updatedAt: 'desc' },
+      }),
+      prisma.studySession.count({ where }),
+    ]);
+
+    return {
+      sessions: sessions.map(session => ({
+        ...session,
+        progress: this.getProgress(session),
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+
+  static async getSessionById(sessionId, userId) {
+    const session = await this.findUserSession(sessionId, userId);
+
+    return this.withProgress(session);
+  }
+
+
+  static async answerCard(sessionId, userId, answerData) {
+    const { answer, timeTaken } = answerData;
+
+    const session = await this.findUserSession(sessionId, userId);
+
+    if (session.status !== 'active') {
+      throw new Error('Study session already finished');
+    }
+
+    // Default to the card the session is currently showing
+    const currentPosition = await this.findCurrentPosition(session);
+    const queueItem = answerData.cardId
+      ? this.toQueueItem(answerData.cardId, answerData.variant)
+      : session.queue[currentPosition];
+
+    if (!queueItem || !session.queue.includes(queueItem)) {
+      throw new Error('Card is not part of this study session');
+    }
+
+    const { cardId, variant } = this.parseQueueItem(queueItem);
+
+    // Typed answers are graded by the server and turned into a quality grade
+    const reverse = answerData.reverse ?? variant === CardService.REVERSE_VARIANT;
+    const grading = answer !== undefined
+      ? await CardService.checkTypedAnswer(cardId, userId, answer, { reverse, variant })
+      : null;
+    const quality = grading ? grading.quality : answerData.quality;
+
+    const card = await CardService.reviewCard(cardId, userId, quality, {
+      timeTaken,
+      sessionId,
+      variant,
+    });
+
+    // Only answering the current card moves the session forward, past any trashed cards before it
+    const position = queueItem === session.queue[currentPosition]
+      ? currentPosition + 1
+      : session.position;
+
+    const updatedSession = await prisma.studySession.update({
+      where: { id: sessionId },
+      data: { position },
+    });
+
+    return {
+      card,
+      grading,
+      session: await this.withProgress(updatedSession),
+    };
+  }
+
+
+  static async finishSession(sessionId, userId) {
+    let session = await this.findUserSession(sessionId, userId);
+
+    // Finishing twice (e.g. from a second device) just returns the summary
+    if (session.status === 'active') {
+      session = await prisma.studySession.update({
+        where: { id: sessionId },
+        data: {
+          status: 'finished',
+          finishedAt: new Date(),
+        },
+      });
+    }
+
+    const summary = await this.getSummary(session);
+
+    return {
+      ...session,
+      summary,
+    };
+  }
+
+
+  static async getSummary(session) {
+    const reviews = await prisma.reviewLog.findMany({
+      where: { sessionId: session.id },
+      select: {
+        grade: true,
+        timeTaken: true,
+        previousInterval: true,
+        newInterval: true,
+      },
+    });
+
+    const totalAnswers = reviews.length;
+    const correctAnswers = reviews.filter(review => review.grade >= PASSING_QUALITY).length;
+    const endedAt = session.finishedAt || new Date();
+
+    return {
+      totalCards: session.queue.length,
+      answeredCards: session.position,
+      totalAnswers,
+      correctAnswers,
+      incorrectAnswers: totalAnswers - correctAnswers,
+      accuracy: totalAnswers > 0 ? Math.round((correctAnswers / totalAnswers) * 100) : 0,
+      durationSeconds: Math.round((endedAt - session.startedAt) / 1000),
+      answerTimeSeconds: Math.round(reviews.reduce((sum, review) => sum + (review.timeTaken || 0), 0) / 1000),
+      promotedCards: reviews.filter(review => review.newInterval > review.previousInterval).length,
+      demotedCards: reviews.filter(review => review.newInterval < review.previousInterval).length,
+    };
+  }
+
+
+  static async findUserSession(sessionId, userId) {
+    const session = await prisma.studySession.findFirst({
+      where: {
+        id: sessionId,
+        userId,
+      },
+    });
+
+    if (!session) {
+      throw new Error('Study session not found');
+    }
+
+    return session;
+  }
+
+
+  // Queue entries are card IDs, suffixed with the variant key for non-default directions
+  static toQueueItem(cardId, variant) {
+    return variant ? `${cardId}:${variant}` : cardId;
+  }
+
+
+  static parseQueueItem(queueItem) {
+    const [cardId, variant = null] = queueItem.split(':');
+
+    return { cardId, variant };
+  }
+
+
+  /**
+   * Position of the card the session is showing: the first one from the
+   * session's position on that is not in the trash. Cards trashed (or purged)
+   * during the session are skipped rather than leaving it stuck on them.
+   */
+  static async findCurrentPosition(session) {
+    const cardIds = session.queue.slice(session.position).map(queueItem => this.parseQueueItem(queueItem).cardId);
+
+    if (cardIds.length === 0) {
+      return session.position;
+    }
+
+    const cards = await prisma.card.findMany({
+      where: { id: { in: [...new Set(cardIds)] }, deletedAt: null },
+      select: { id: true },
+    });
+    const offset = cardIds.findIndex(cardId => cards.some(card => card.id === cardId));
+
+    return offset === -1 ? session.queue.length : session.position + offset;
+  }
+
+
+  static getProgress(session) {
+    return {
+      answered: session.position,
+      remaining: session.queue.length - session.position,
+      total: session.queue.length,
+    };
+  }
+
+
+  // Attach progress and the card to show next so a client can resume the session
+  static async withProgress(session) {
+    const queueItem = session.status === 'active' ? session.queue[await this.findCurrentPosition(session)] : null;
+    const { cardId, variant } = queueItem ? this.parseQueueItem(queueItem) : {};
+
+    const card = cardId
+      ? await prisma.card.findFirst({
+          where: { id: cardId, deletedAt: null },
+          include: {
+            deck: {
+              select: {
+                id: true,
+                name: true,
+              },
+            },
+            tags: CardService.TAGS_INCLUDE,
+            examples: CardService.EXAMPLES_INCLUDE,
+            media: CardService.MEDIA_INCLUDE,
+            ...(variant && {
+              variants: {
+                where: { key: variant },
+              },
+            }),
+          },
+        })
+      : null;
+
+    const currentCard = card
+      ? CardService.toStudyItem({ ...card, variants: undefined }, variant ? card.variants[0] : null)
+      : null;
+
+    return {
+      ...session,
+      progress: this.getProgress(session),
+      currentCard,
+    };
+  }
+}
+
+module.exports = StudySessionService;
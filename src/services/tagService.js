@@ -0,0 +1,116 @@
+const { prisma, withRetry } = require('../config/database');
+const { collapseWhitespace } = require('../utils/text');
+
+class TagService {
+  static async getUserTags(userId) {
+    const tags = await prisma.tag.findMany({
+      where: { userId },
+      orderBy: { name: 'asc' },
+      include: {
+        _count: {
+          select: {
+            cards: { where: { deletedAt: null } },
+          },
+        },
+      },
+    });
+
+    return tags.map(({ _count, ...tag }) => ({
+      ...tag,
+      cardCount: _count.cards,
+    }));
+  }
+
+
+  static async bulkAddTags(userId, cardIds, tagNames) {
+    const cards = await this.findUserCards(userId, cardIds);
+    const tags = await this.findOrCreateTags(userId, tagNames);
+
+    await prisma.$transaction(
+      tags.map(tag => prisma.tag.update({
+        where: { id: tag.id },
+        data: {
+          cards: { connect: cards },
+        },
+      }))
+    );
+
+    return {
+      updatedCount: cards.length,
+      tags: tags.map(tag => tag.name),
+    };
+  }
+
+
+  static async bulkRemoveTags(userId, cardIds, tagNames) {
+    const cards = await this.findUserCards(userId, cardIds);
+    const tags = await prisma.tag.findMany({
+      where: {
+        userId,
+        name: { in: this.normalizeNames(tagNames) },
+      },
+    });
+
+    await prisma.$transaction(
+      tags.map(tag => prisma.tag.update({
+        where: { id: tag.id },
+        data: {
+          cards: { disconnect: cards },
+        },
+      }))
+    );
+
+    return {
+      updatedCount: cards.length,
+      tags: tags.map(tag => tag.name),
+    };
+  }
+
+
+  // Cards of other users are silently skipped
+  static async findUserCards(userId, cardIds) {
+    return prisma.card.findMany({
+      where: {
+        id: { in: cardIds },
+        deck: { userId },
+        deletedAt: null,
+      },
+      select: { id: true },
+    });
+  }
+
+
+  // Returns the user's tags with these names, creating the missing ones
+  static async findOrCreateTags(userId, tagNames, client = prisma) {
+    const names = this.normalizeNames(tagNames);
+
+    if (names.length === 0) {
+      return [];
+    }
+
+    await client.tag.createMany({
+      data: names.map(name => ({ userId, name })),
+      skipDuplicates: true,
+    });
+
+    return client.tag.findMany({
+      where: {
+        userId,
+        name: { in: names },
+      },
+    });
+  }
+
+
+  // Tags are case-insensitive: "  Food " and "food" are the same tag
+  static normalizeName(name) {
+    return collapseWhitespace(String(name)).toLowerCase();
+  }
+
+
+  static normalizeNames(names) {
+    return [...new Set(names.map(name => this.normalizeName(name)).filter(Boolean))];
+  }
+}
+
+module.exports = TagService;
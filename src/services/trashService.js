@@ -0,0 +1,167 @@
+const { prisma, withRetry } = require('../config/database');
+const MediaService = require('./mediaService');
+const { addDays } = require('./schedulers');
+
+// Items stay in the trash this long before the purge job deletes them for good
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+class TrashService {
+  /**
+   * The user's trash: decks deleted as a whole, with the subdecks and cards
+   * that went with them, and cards deleted on their own. purgeAt is when an
+   * item is deleted for good.
+   */
+  static async getTrash(userId) {
+    const [decks, cards] = await Promise.all([
+      prisma.deck.findMany({
+        where: { userId, deletedAt: { not: null } },
+        orderBy: { deletedAt: 'desc' },
+        select: {
+          id: true,
+          name: true,
+          parentId: true,
+          deletedAt: true,
+        },
+      }),
+      prisma.card.findMany({
+        where: { deck: { userId }, deletedAt: { not: null } },
+        orderBy: { deletedAt: 'desc' },
+        select: {
+          id: true,
+          frontText: true,
+          backText: true,
+          deckId: true,
+          deletedAt: true,
+          deck: {
+            select: {
+              name: true,
+            },
+          },
+        },
+      }),
+    ]);
+
+    const decksById = new Map(decks.map(deck => [deck.id, deck]));
+    const deletedTogether = (a, b) => b?.deletedAt && a.deletedAt.getTime() === b.deletedAt.getTime();
+
+    // The deck whose deletion took this deck (or card) with it
+    const getDeletedRoot = (deck) => {
+      const parent = decksById.get(deck.parentId);
+      return deletedTogether(deck, parent) ? getDeletedRoot(parent) : deck;
+    };
+
+    const deckItems = new Map(decks
+      .filter(deck => getDeletedRoot(deck) === deck)
+      .map(deck => [deck.id, {
+        id: deck.id,
+        name: deck.name,
+        deletedAt: deck.deletedAt,
+        purgeAt: this.getPurgeDate(deck.deletedAt),
+        subdeckCount: 0,
+        cardCount: 0,
+      }]));
+
+    decks
+      .filter(deck => !deckItems.has(deck.id))
+      .forEach(deck => {
+        deckItems.get(getDeletedRoot(deck).id).subdeckCount += 1;
+      });
+
+    const cardItems = [];
+
+    cards.forEach(({ deck: { name: deckName }, ...card }) => {
+      const deck = decksById.get(card.deckId);
+
+      if (deletedTogether(card, deck)) {
+        deckItems.get(getDeletedRoot(deck).id).cardCount += 1;
+        return;
+      }
+
+      cardItems.push({
+        ...card,
+        deckName,
+        deckInTrash: Boolean(deck),
+        purgeAt: this.getPurgeDate(card.deletedAt),
+      });
+    });
+
+    return {
+      retentionDays: RETENTION_DAYS,
+      decks: [...deckItems.values()],
+      cards: cardItems,
+    };
+  }
+
+
+  static async emptyTrash(userId) {
+    return this.purge({ userId });
+  }
+
+
+  // Run by the purge job for every user
+  static async purgeExpired(retentionDays = RETENTION_DAYS) {
+    return this.purge({ deletedBefore: addDays(new Date(), -retentionDays) });
+  }
+
+
+  /**
+   * Delete items in the trash for good, optionally only one user's or only
+   * those deleted before a date. Their media files are removed and notes
+   * left without cards go too.
+   */
+  static async purge(options = {}) {
+    const { userId, deletedBefore } = options;
+
+    const deletedAt = deletedBefore ? { lt: deletedBefore } : { not: null };
+    const cardWhere = {
+      deletedAt,
+      ...(userId && { deck: { userId } }),
+    };
+
+    // Subdecks are deleted with or before their parent, so they are purged with it
+    const decks = await prisma.deck.findMany({
+      where: {
+        deletedAt,
+        ...(userId && { userId }),
+      },
+      select: { id: true },
+    });
+    const deckIds = decks.map(deck => deck.id);
+
+    const mediaKeys = await MediaService.findMediaKeys({
+      OR: [cardWhere, { deckId: { in: deckIds } }],
+    });
+
+    const [purgedCards, purgedDecks] = await prisma.$transaction([
+      prisma.card.deleteMany({
+        where: cardWhere,
+      }),
+      prisma.deck.deleteMany({
+        where: { id: { in: deckIds } },
+      }),
+      // A note goes away with its last card
+      prisma.note.deleteMany({
+        where: {
+          cards: { none: {} },
+          ...(userId && { noteType: { userId } }),
+        },
+      }),
+    ]);
+
+    await MediaService.removeFiles(mediaKeys);
+
+    return {
+      purgedDecks: purgedDecks.count,
+      purgedCards: purgedCards.count,
+    };
+  }
+
+
+  static getPurgeDate(deletedAt) {
+    return addDays(deletedAt, RETENTION_DAYS);
+  }
+}
+
+TrashService.RETENTION_DAYS = RETENTION_DAYS;
+
+module.exports = TrashService;
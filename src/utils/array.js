@@ -0,0 +1,31 @@
+// Fisher-Yates shuffle, returns a new array
+const shuffle = (items) => {
+  const result = [...items];
+
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+
+  return result;
+};
+
+
+// Takes one item from each list in turn, keeping every list's own order
+const interleave = (lists, limit = Infinity) => {
+  const result = [];
+
+  for (let i = 0; result.length < limit && lists.some(items => i < items.length); i++) {
+    lists
+      .filter(items => i < items.length)
+      .slice(0, limit - result.length)
+      .forEach(items => result.push(items[i]));
+  }
+
+  return result;
+};
+
+module.exports = {
+  shuffle,
+  interleave,
+};
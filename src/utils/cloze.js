@@ -0,0 +1,73 @@
+/**
+ * Cloze deletions: "I {{c1::drink}} {{c2::coffee::drink}} every morning"
+ * Each cloze number becomes its own reviewable item; an optional hint
+ * after a second "::" is shown in place of the blank.
+ */
+
+const CLOZE_PATTERN = /\{\{c(\d+)::([\s\S]*?)(?:::([\s\S]*?))?\}\}/g;
+const BLANK = '[...]';
+
+const parseCloze = (text) => {
+  const clozes = [];
+  const errors = [];
+
+  for (const match of text.matchAll(CLOZE_PATTERN)) {
+    const number = parseInt(match[1], 10);
+    const answer = match[2].trim();
+
+    if (number < 1) {
+      errors.push('Cloze numbers must start at 1');
+    }
+    if (!answer) {
+      errors.push(`Cloze c${number} must not be empty`);
+    }
+    if (answer.includes('{{') || answer.includes('}}')) {
+      errors.push('Cloze markers cannot be nested');
+    }
+
+    clozes.push({ number, answer, hint: match[3]?.trim() || null });
+  }
+
+  // Whatever is left after removing valid markers must not look like a marker
+  const rest = text.replace(CLOZE_PATTERN, '');
+  if (rest.includes('{{') || rest.includes('}}')) {
+    errors.push('Malformed cloze marker, expected {{c1::text}} or {{c1::text::hint}}');
+  }
+
+  if (clozes.length === 0 && errors.length === 0) {
+    errors.push('Cloze text must contain at least one {{c1::text}} marker');
+  }
+
+  const numbers = [...new Set(clozes.map(cloze => cloze.number))].sort((a, b) => a - b);
+
+  return { clozes, numbers, errors: [...new Set(errors)] };
+};
+
+
+/**
+ * Render the item for one cloze number: the prompt masks that number and
+ * reveals the others, answer is the hidden text, revealed is the full sentence.
+ */
+const renderCloze = (text, number) => {
+  const answers = [];
+
+  const prompt = text.replace(CLOZE_PATTERN, (_, n, answer, hint) => {
+    if (parseInt(n, 10) !== number) {
+      return answer.trim();
+    }
+    answers.push(answer.trim());
+    return hint?.trim() ? `[${hint.trim()}]` : BLANK;
+  });
+
+  return {
+    number,
+    prompt,
+    answer: answers.join(', '),
+    revealed: text.replace(CLOZE_PATTERN, (_, n, answer) => answer.trim()),
+  };
+};
+
+module.exports = {
+  parseCloze,
+  renderCloze,
+};
@@ -0,0 +1,181 @@
+/**
+ * Delimited text (CSV, TSV) following RFC 4180: a field may be quoted with
+ * "...", inside which "" is a literal quote and delimiters and line breaks
+ * are part of the field. Rows end with \n, \r\n or \r.
+ */
+
+const DELIMITER_NAMES = {
+  comma: ',',
+  semicolon: ';',
+  tab: '\t',
+  pipe: '|',
+};
+
+const DELIMITERS = Object.values(DELIMITER_NAMES);
+
+
+// The first lines of the text, ignoring line breaks inside quotes
+const sampleLines = (text, maxLines) => {
+  const lines = [];
+  let inQuotes = false;
+  let start = 0;
+
+  for (let i = 0; i < text.length && lines.length < maxLines; i++) {
+    const char = text[i];
+
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      lines.push(text.slice(start, i));
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      start = i + 1;
+    }
+  }
+
+  if (lines.length < maxLines && start < text.length) {
+    lines.push(text.slice(start));
+  }
+
+  return lines.filter(line => line.trim() !== '');
+};
+
+
+const countOutsideQuotes = (line, delimiter) => {
+  let count = 0;
+  let inQuotes = false;
+
+  for (const char of line) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && char === delimiter) {
+      count++;
+    }
+  }
+
+  return count;
+};
+
+
+/**
+ * Guess the delimiter from the start of a file: the one found on every line,
+ * preferring one that splits every line into the same number of fields.
+ * Falls back to a comma.
+ */
+const detectDelimiter = (sample, maxLines = 20) => {
+  // The sample may stop mid-line, so an unfinished last line is only counted when it is the only one
+  const lines = sampleLines(sample, maxLines);
+  if (lines.length > 1 && !/[\r\n]$/.test(sample)) lines.pop();
+
+  let best = { delimiter: ',', score: 0 };
+
+  DELIMITERS.forEach(delimiter => {
+    const counts = lines.map(line => countOutsideQuotes(line, delimiter));
+    const fewest = Math.min(...counts);
+
+    if (counts.length === 0 || fewest === 0) {
+      return;
+    }
+
+    const consistent = counts.every(count => count === fewest);
+    const score = fewest + (consistent ? 1000 : 0);
+
+    if (score > best.score) {
+      best = { delimiter, score };
+    }
+  });
+
+  return best.delimiter;
+};
+
+
+/**
+ * Parse delimited text given as an iterable (or async iterable) of string
+ * chunks, yielding each row as an array of fields. Chunks may split rows
+ * and fields anywhere, so large files can be parsed as they are read.
+ */
+async function* parseCsv(chunks, options = {}) {
+  const { delimiter = ',' } = options;
+
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let inQuotes = false;
+  let quoteInQuotes = false;
+  let afterCarriageReturn = false;
+
+  for await (const chunk of chunks) {
+    const rows = [];
+
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      if (afterCarriageReturn) {
+        afterCarriageReturn = false;
+        if (char === '\n') continue;
+      }
+
+      // A quote inside a quoted field is either "" or the closing quote
+      if (quoteInQuotes) {
+        quoteInQuotes = false;
+        if (char === '"') {
+          field += '"';
+          continue;
+        }
+        inQuotes = false;
+      }
+
+      if (inQuotes) {
+        if (char === '"') {
+          quoteInQuotes = true;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '' && !quoted) {
+        quoted = true;
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+        quoted = false;
+      } else if (char === '\n' || char === '\r') {
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+        quoted = false;
+        afterCarriageReturn = char === '\r';
+      } else {
+        field += char;
+      }
+    }
+
+    yield* rows;
+  }
+
+  // The last row may have no line break after it
+  if (row.length > 0 || field !== '' || quoted) {
+    row.push(field);
+    yield row;
+  }
+}
+
+
+// One line of delimited text; fields with quotes, delimiters or line breaks are quoted
+const formatCsvRow = (values, delimiter = ',') => {
+  return values
+    .map(value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return text.includes('"') || text.includes(delimiter) || /[\r\n]/.test(text)
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+    })
+    .join(delimiter) + '\r\n';
+};
+
+module.exports = {
+  DELIMITER_NAMES,
+  DELIMITERS,
+  detectDelimiter,
+  parseCsv,
+  formatCsvRow,
+};
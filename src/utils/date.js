@@ -0,0 +1,65 @@
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+
+// Milliseconds to add to a UTC time to get the wall-clock time in a time zone
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const values = Object.fromEntries(parts.map(part => [part.type, parseInt(part.value, 10)]));
+
+  const wallClock = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+
+/**
+ * Start of the local day containing `date` in a time zone, as a UTC Date.
+ * Used for per-day limits so they reset at the user's midnight.
+ */
+const startOfDay = (date, timeZone = 'UTC') => {
+  const offset = getTimeZoneOffset(date, timeZone);
+  const localMidnight = new Date(date.getTime() + offset);
+  localMidnight.setUTCHours(0, 0, 0, 0);
+
+  // The offset at midnight can differ from now's on daylight saving days
+  const guess = new Date(localMidnight.getTime() - offset);
+
+  return new Date(localMidnight.getTime() - getTimeZoneOffset(guess, timeZone));
+};
+
+
+// Calendar date in a time zone as YYYY-MM-DD
+const formatDate = (date, timeZone = 'UTC') => {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+};
+
+module.exports = {
+  isValidTimeZone,
+  startOfDay,
+  formatDate,
+};
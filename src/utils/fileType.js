@@ -0,0 +1,41 @@
+/**
+ * The type of a media file, told from its first bytes ("magic numbers")
+ * rather than from a name or a Content-Type header the client chose.
+ */
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+
+// MPEG audio frames start with 11 set bits; layer bits 00 are AAC (ADTS), anything else MP3
+const isMpegFrame = (buffer, aac) =>
+  buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0 &&
+  (((buffer[1] >> 1) & 0x03) === 0) === aac;
+
+
+// MIME type of an audio or image file, or null when it is none of the supported ones
+const detectMediaType = (buffer) => {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(buffer, [0x89, ...ascii('PNG\r\n'), 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))) return 'image/gif';
+
+  if (startsWith(buffer, ascii('RIFF'))) {
+    if (startsWith(buffer, ascii('WEBP'), 8)) return 'image/webp';
+    if (startsWith(buffer, ascii('WAVE'), 8)) return 'audio/wav';
+    return null;
+  }
+
+  if (startsWith(buffer, ascii('ID3')) || isMpegFrame(buffer, false)) return 'audio/mpeg';
+  if (isMpegFrame(buffer, true)) return 'audio/aac';
+  if (startsWith(buffer, ascii('ftyp'), 4)) return 'audio/mp4';
+  if (startsWith(buffer, ascii('OggS'))) return 'audio/ogg';
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) return 'audio/webm';
+
+  return null;
+};
+
+module.exports = {
+  detectMediaType,
+};
@@ -0,0 +1,8 @@
+// Copy of `object` with only the given keys
+const pick = (object, keys) => {
+  return Object.fromEntries(keys.filter(key => key in object).map(key => [key, object[key]]));
+};
+
+module.exports = {
+  pick,
+};
@@ -0,0 +1,559 @@
+/**
+ * Reading and writing the rows of SQLite database files, enough to exchange
+ * tables with other apps (e.g. Anki collections) without a native SQLite
+ * binding. Pages are read from the file as they are needed and written as
+ * soon as they are full. Written files hold tables only, no indexes.
+ *
+ * See https://www.sqlite.org/fileformat.html
+ */
+
+const fs = require('fs');
+
+const HEADER_STRING = 'SQLite format 3\0';
+
+const PAGE_SIZE = 4096;
+const HEADER_SIZE = 100;
+
+// Version of the SQLite library written files claim to come from
+const SQLITE_VERSION_NUMBER = 3040001;
+
+const INTERIOR_TABLE_PAGE = 0x05;
+const LEAF_TABLE_PAGE = 0x0d;
+
+const TEXT_ENCODINGS = {
+  1: 'utf-8',
+  2: 'utf-16le',
+  3: 'utf-16be',
+};
+
+// Table constraints in a CREATE TABLE column list, as opposed to column definitions
+const CONSTRAINT_KEYWORDS = ['constraint', 'primary', 'unique', 'check', 'foreign'];
+
+
+// Variable-length integer: up to 9 bytes, big-endian, 7 bits per byte except the 9th
+const readVarint = (buffer, offset) => {
+  let value = 0n;
+
+  for (let i = 0; i < 8; i++) {
+    const byte = buffer[offset + i];
+    value = (value << 7n) | BigInt(byte & 0x7f);
+
+    if (byte < 0x80) {
+      return { value, length: i + 1 };
+    }
+  }
+
+  value = (value << 8n) | BigInt(buffer[offset + 8]);
+  return { value, length: 9 };
+};
+
+
+const writeVarint = (number) => {
+  let value = BigInt.asUintN(64, BigInt(number));
+
+  if (value >= 1n << 56n) {
+    const bytes = [Number(value & 0xffn)];
+    value >>= 8n;
+    for (let i = 0; i < 8; i++) {
+      bytes.unshift(Number(value & 0x7fn) | 0x80);
+      value >>= 7n;
+    }
+    return Buffer.from(bytes);
+  }
+
+  const bytes = [Number(value & 0x7fn)];
+  value >>= 7n;
+  while (value > 0n) {
+    bytes.unshift(Number(value & 0x7fn) | 0x80);
+    value >>= 7n;
+  }
+
+  return Buffer.from(bytes);
+};
+
+
+const toNumber = (value) => {
+  return Number(BigInt.asIntN(64, value));
+};
+
+
+// How much of a table cell's payload is kept on its page, the rest goes to overflow pages
+const getLocalPayloadSize = (payloadSize, usableSize) => {
+  const maxLocal = usableSize - 35;
+
+  if (payloadSize <= maxLocal) {
+    return payloadSize;
+  }
+
+  const minLocal = Math.floor(((usableSize - 12) * 32) / 255) - 23;
+  const surplus = minLocal + ((payloadSize - minLocal) % (usableSize - 4));
+
+  return surplus <= maxLocal ? surplus : minLocal;
+};
+
+
+// Column names of a table, from its CREATE TABLE statement
+const getColumns = (sql) => {
+  const body = sql.slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'));
+  const definitions = [];
+  let depth = 0;
+  let start = 0;
+
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === '(') depth++;
+    if (body[i] === ')') depth--;
+    if (body[i] === ',' && depth === 0) {
+      definitions.push(body.slice(start, i));
+      start = i + 1;
+    }
+  }
+  definitions.push(body.slice(start));
+
+  return definitions
+    .map(definition => definition.trim())
+    .filter(definition => !CONSTRAINT_KEYWORDS.includes(definition.split(/\s+/)[0].toLowerCase()))
+    .map(definition => {
+      const name = definition.match(/^("[^"]+"|`[^`]+`|\[[^\]]+\]|\S+)/)[1].replace(/^["`[]|["`\]]$/g, '');
+      // An INTEGER PRIMARY KEY column is stored as the row ID
+      const rowId = /^\S+\s+integer\s+primary\s+key/i.test(definition);
+
+      return { name, rowId };
+    });
+};
+
+
+/**
+ * Open a database file. Returns
+ *   hasTable(name)
+ *   readRows(table)  async iterable of the table's rows as objects
+ *   close()
+ */
+const openSqlite = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  const readAt = async (position, length) => {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, position);
+
+    if (bytesRead < length) {
+      throw new Error('Invalid SQLite database: unexpected end of file');
+    }
+
+    return buffer;
+  };
+
+  let pageSize;
+  let usableSize;
+  let pageCount;
+  let textEncoding;
+
+  try {
+    const header = await readAt(0, 100);
+
+    if (header.toString('latin1', 0, 16) !== HEADER_STRING) {
+      throw new Error('Invalid SQLite database: not a SQLite file');
+    }
+
+    const storedPageSize = header.readUInt16BE(16);
+    pageSize = storedPageSize === 1 ? 65536 : storedPageSize;
+    usableSize = pageSize - header[20];
+
+    // A power of two from 512 to 65536, with at least 480 usable bytes (as SQLite requires)
+    if (pageSize < 512 || (pageSize & (pageSize - 1)) !== 0) {
+      throw new Error(`Invalid SQLite database: page size ${storedPageSize} is not supported`);
+    }
+
+    if (usableSize < 480) {
+      throw new Error(`Invalid SQLite database: ${header[20]} reserved bytes leave too little of a page`);
+    }
+
+    pageCount = Math.floor((await handle.stat()).size / pageSize);
+    textEncoding = TEXT_ENCODINGS[header.readUInt32BE(56)] || 'utf-8';
+  } catch (error) {
+    await handle.close();
+    throw error;
+  }
+
+  const textDecoder = new TextDecoder(textEncoding);
+
+  /**
+   * Read a page of a tree walk. A page belongs to one place in one tree, so
+   * a page met twice (a loop in a broken or crafted file) is rejected; with
+   * the range check, a walk never reads more pages than the file holds.
+   */
+  const readPage = (pageNumber, visited) => {
+    if (pageNumber < 1 || pageNumber > pageCount) {
+      throw new Error(`Invalid SQLite database: page ${pageNumber} is out of range`);
+    }
+
+    if (visited.has(pageNumber)) {
+      throw new Error(`Invalid SQLite database: page ${pageNumber} is used twice`);
+    }
+
+    visited.add(pageNumber);
+    return readAt((pageNumber - 1) * pageSize, pageSize);
+  };
+
+  // A cell's payload, following overflow pages when it doesn't fit in the page
+  const readPayload = async (page, offset, payloadSize, visited) => {
+    const localSize = getLocalPayloadSize(payloadSize, usableSize);
+
+    if (localSize === payloadSize) {
+      return page.subarray(offset, offset + payloadSize);
+    }
+
+    const parts = [page.subarray(offset, offset + localSize)];
+    let remaining = payloadSize - localSize;
+    let overflowPage = page.readUInt32BE(offset + localSize);
+
+    while (remaining > 0 && overflowPage !== 0) {
+      const overflow = await readPage(overflowPage, visited);
+      const size = Math.min(remaining, usableSize - 4);
+
+      parts.push(overflow.subarray(4, 4 + size));
+      remaining -= size;
+      overflowPage = overflow.readUInt32BE(0);
+    }
+
+    return Buffer.concat(parts);
+  };
+
+  const decodeRecord = (payload) => {
+    const { value: headerSize, length } = readVarint(payload, 0);
+    const serialTypes = [];
+    let offset = length;
+
+    while (offset < Number(headerSize)) {
+      const varint = readVarint(payload, offset);
+      serialTypes.push(Number(varint.value));
+      offset += varint.length;
+    }
+
+    let position = Number(headerSize);
+
+    return serialTypes.map(serialType => {
+      if (serialType === 0) return null;
+      if (serialType === 8) return 0;
+      if (serialType === 9) return 1;
+
+      if (serialType >= 12) {
+        const size = Math.floor((serialType - 12) / 2);
+        const bytes = payload.subarray(position, position + size);
+        position += size;
+        return serialType % 2 === 0 ? Buffer.from(bytes) : textDecoder.decode(bytes);
+      }
+
+      if (serialType === 7) {
+        const value = payload.readDoubleBE(position);
+        position += 8;
+        return value;
+      }
+
+      const size = [0, 1, 2, 3, 4, 6, 8][serialType];
+      const value = size === 8
+        ? toNumber(payload.readBigInt64BE(position))
+        : payload.readIntBE(position, size);
+      position += size;
+      return value;
+    });
+  };
+
+  // Rows of a table b-tree in row ID order, as [rowId, values]
+  async function* readTree(rootPage) {
+    const pending = [rootPage];
+    const visited = new Set();
+
+    while (pending.length > 0) {
+      const pageNumber = pending.pop();
+      const page = await readPage(pageNumber, visited);
+      const start = pageNumber === 1 ? 100 : 0;
+      const pageType = page[start];
+      const cellCount = page.readUInt16BE(start + 3);
+
+      if (pageType === INTERIOR_TABLE_PAGE) {
+        const children = [];
+
+        for (let i = 0; i < cellCount; i++) {
+          children.push(page.readUInt32BE(page.readUInt16BE(start + 12 + i * 2)));
+        }
+        children.push(page.readUInt32BE(start + 8));
+
+        // Last child pushed first, so the leftmost is read next
+        pending.push(...children.reverse());
+      } else if (pageType === LEAF_TABLE_PAGE) {
+        for (let i = 0; i < cellCount; i++) {
+          let offset = page.readUInt16BE(start + 8 + i * 2);
+          const payloadSize = readVarint(page, offset);
+          offset += payloadSize.length;
+          const rowId = readVarint(page, offset);
+          offset += rowId.length;
+
+          const payload = await readPayload(page, offset, Number(payloadSize.value), visited);
+          yield [toNumber(rowId.value), decodeRecord(payload)];
+        }
+      } else {
+        throw new Error(`Invalid SQLite database: unexpected page type ${pageType} in a table`);
+      }
+    }
+  }
+
+  const schema = [];
+
+  try {
+    for await (const [, [type, name, , rootPage, sql]] of readTree(1)) {
+      if (type === 'table') {
+        schema.push({ name, rootPage, sql });
+      }
+    }
+  } catch (error) {
+    await handle.close();
+    throw error;
+  }
+
+  const hasTable = (name) => schema.some(table => table.name === name);
+
+  async function* readRows(tableName) {
+    const table = schema.find(item => item.name === tableName);
+
+    if (!table) {
+      throw new Error(`Invalid SQLite database: no table ${tableName}`);
+    }
+
+    const columns = getColumns(table.sql);
+
+    for await (const [rowId, values] of readTree(table.rootPage)) {
+      // Columns added after a row was written are missing from it
+      yield Object.fromEntries(columns.map((column, i) => [
+        column.name,
+        column.rowId && (values[i] === null || values[i] === undefined) ? rowId : values[i] ?? null,
+      ]));
+    }
+  }
+
+  return {
+    hasTable,
+    readRows,
+    close: () => handle.close(),
+  };
+};
+
+
+
+// Serial type and content of a value in a record
+const encodeValue = (value) => {
+  if (value === null || value === undefined) {
+    return [0, Buffer.alloc(0)];
+  }
+
+  if (typeof value === 'boolean') {
+    return [value ? 9 : 8, Buffer.alloc(0)];
+  }
+
+  if (typeof value === 'number' && !Number.isInteger(value)) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeDoubleBE(value);
+    return [7, buffer];
+  }
+
+  if (typeof value === 'number' || typeof value === 'bigint') {
+    const number = BigInt(value);
+
+    if (number === 0n) return [8, Buffer.alloc(0)];
+    if (number === 1n) return [9, Buffer.alloc(0)];
+
+    const sizes = [[1, 1], [2, 2], [3, 3], [4, 4], [5, 6]];
+    const [serialType, size] = sizes.find(([, bytes]) => BigInt.asIntN(bytes * 8, number) === number) || [6, 8];
+    const buffer = Buffer.alloc(size);
+
+    if (size === 8) {
+      buffer.writeBigInt64BE(number);
+    } else {
+      buffer.writeIntBE(Number(number), 0, size);
+    }
+    return [serialType, buffer];
+  }
+
+  const buffer = Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'utf8');
+  return [buffer.length * 2 + (Buffer.isBuffer(value) ? 12 : 13), buffer];
+};
+
+
+const encodeRecord = (values) => {
+  const encoded = values.map(encodeValue);
+  const types = encoded.map(([serialType]) => writeVarint(serialType));
+  const typesSize = types.reduce((sum, type) => sum + type.length, 0);
+
+  // The header size counts its own varint
+  let headerSize = typesSize + 1;
+  if (writeVarint(headerSize).length > 1) headerSize = typesSize + writeVarint(typesSize + 2).length;
+
+  return Buffer.concat([writeVarint(headerSize), ...types, ...encoded.map(([, content]) => content)]);
+};
+
+
+/**
+ * Write a new database file (UTF-8, no indexes) holding the given tables:
+ * [{ name, sql, rows }] where sql is the CREATE TABLE statement and rows an
+ * iterable (or async iterable) of value arrays in column order. An INTEGER
+ * PRIMARY KEY column is the row ID; rows must come in increasing row ID order.
+ */
+const writeSqlite = async (filePath, tables) => {
+  const handle = await fs.promises.open(filePath, 'w');
+  let pageCount = 1;
+
+  const writePage = async (page) => {
+    pageCount++;
+    await handle.write(page, 0, PAGE_SIZE, (pageCount - 1) * PAGE_SIZE);
+    return pageCount;
+  };
+
+  const buildPage = (pageType, cells, start = 0, rightmostPage = null) => {
+    const page = Buffer.alloc(PAGE_SIZE);
+    const headerSize = rightmostPage === null ? 8 : 12;
+    let contentStart = PAGE_SIZE;
+
+    page[start] = pageType;
+    page.writeUInt16BE(cells.length, start + 3);
+
+    cells.forEach((cell, i) => {
+      contentStart -= cell.length;
+      cell.copy(page, contentStart);
+      page.writeUInt16BE(contentStart, start + headerSize + i * 2);
+    });
+
+    page.writeUInt16BE(contentStart % 65536, start + 5);
+    if (rightmostPage !== null) {
+      page.writeUInt32BE(rightmostPage, start + 8);
+    }
+
+    return page;
+  };
+
+  const fits = (cells, cellSize, headerSize, start = 0) => {
+    const used = cells.reduce((sum, cell) => sum + cell.length + 2, 0);
+    return start + headerSize + used + cellSize + 2 <= PAGE_SIZE;
+  };
+
+  // A leaf cell, writing the part of the payload that doesn't fit to overflow pages
+  const buildLeafCell = async (rowId, payload) => {
+    const localSize = getLocalPayloadSize(payload.length, PAGE_SIZE);
+    const prefix = Buffer.concat([writeVarint(payload.length), writeVarint(rowId)]);
+
+    if (localSize === payload.length) {
+      return Buffer.concat([prefix, payload]);
+    }
+
+    // Overflow pages are chained, so they are written last to first
+    const chunks = [];
+    for (let offset = localSize; offset < payload.length; offset += PAGE_SIZE - 4) {
+      chunks.push(payload.subarray(offset, offset + PAGE_SIZE - 4));
+    }
+
+    let nextPage = 0;
+    for (const chunk of chunks.reverse()) {
+      const page = Buffer.alloc(PAGE_SIZE);
+      page.writeUInt32BE(nextPage, 0);
+      chunk.copy(page, 4);
+      nextPage = await writePage(page);
+    }
+
+    const pointer = Buffer.alloc(4);
+    pointer.writeUInt32BE(nextPage);
+    return Buffer.concat([prefix, payload.subarray(0, localSize), pointer]);
+  };
+
+  // Interior pages above the given [page, last row ID] children, up to a single root
+  const writeInteriorLevels = async (children) => {
+    while (children.length > 1) {
+      const parents = [];
+      let cells = [];
+
+      for (let i = 0; i < children.length; i++) {
+        const [childPage, lastRowId] = children[i];
+        const cell = Buffer.concat([Buffer.alloc(4), writeVarint(lastRowId)]);
+        cell.writeUInt32BE(childPage, 0);
+
+        if (i === children.length - 1 || !fits(cells, cell.length, 12)) {
+          // This child becomes the page's right-most pointer
+          parents.push([await writePage(buildPage(INTERIOR_TABLE_PAGE, cells, 0, childPage)), lastRowId]);
+          cells = [];
+        } else {
+          cells.push(cell);
+        }
+      }
+
+      children = parents;
+    }
+
+    return children[0][0];
+  };
+
+  const writeTable = async (table) => {
+    const columns = getColumns(table.sql);
+    const rowIdColumn = columns.findIndex(column => column.rowId);
+    const leaves = [];
+    let cells = [];
+    let lastRowId = 0;
+
+    for await (const row of table.rows) {
+      const rowId = rowIdColumn === -1 ? lastRowId + 1 : row[rowIdColumn];
+
+      if (rowId <= lastRowId && leaves.length + cells.length > 0) {
+        throw new Error(`Rows of ${table.name} must come in increasing row ID order`);
+      }
+
+      const values = rowIdColumn === -1 ? row : row.map((value, i) => (i === rowIdColumn ? null : value));
+      const cell = await buildLeafCell(rowId, encodeRecord(values));
+
+      if (!fits(cells, cell.length, 8)) {
+        leaves.push([await writePage(buildPage(LEAF_TABLE_PAGE, cells)), lastRowId]);
+        cells = [];
+      }
+
+      cells.push(cell);
+      lastRowId = rowId;
+    }
+
+    leaves.push([await writePage(buildPage(LEAF_TABLE_PAGE, cells)), lastRowId]);
+
+    return writeInteriorLevels(leaves);
+  };
+
+  try {
+    const schemaCells = [];
+
+    for (const [i, table] of tables.entries()) {
+      const rootPage = await writeTable(table);
+      schemaCells.push(await buildLeafCell(i + 1, encodeRecord(['table', table.name, table.name, rootPage, table.sql])));
+    }
+
+    if (!fits(schemaCells, 0, 8, HEADER_SIZE)) {
+      throw new Error('Too many tables for the first page');
+    }
+
+    const firstPage = buildPage(LEAF_TABLE_PAGE, schemaCells, HEADER_SIZE);
+
+    firstPage.write(HEADER_STRING, 0, 'latin1');
+    firstPage.writeUInt16BE(PAGE_SIZE, 16);
+    firstPage[18] = 1;
+    firstPage[19] = 1;
+    firstPage[21] = 64;
+    firstPage[22] = 32;
+    firstPage[23] = 32;
+    firstPage.writeUInt32BE(1, 24);
+    firstPage.writeUInt32BE(pageCount, 28);
+    firstPage.writeUInt32BE(1, 40);
+    firstPage.writeUInt32BE(4, 44);
+    firstPage.writeUInt32BE(1, 56);
+    firstPage.writeUInt32BE(1, 92);
+    firstPage.writeUInt32BE(SQLITE_VERSION_NUMBER, 96);
+
+    await handle.write(firstPage, 0, PAGE_SIZE, 0);
+  } finally {
+    await handle.close();
+  }
+};
+
+module.exports = {
+  openSqlite,
+  writeSqlite,
+};
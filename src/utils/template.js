@@ -0,0 +1,129 @@
+/**
+ * Card templates: a small, logic-less subset of Mustache.
+ *
+ *   {{Word}}                  value of the "Word" field
+ *   {{#Example}}...{{/Example}}  only rendered when Example is not empty
+ *   {{^Reading}}...{{/Reading}}  only rendered when Reading is empty
+ *
+ * Values are inserted as plain text, nothing in a field or template is ever
+ * evaluated. The back template can also use {{FrontSide}}.
+ */
+
+const TAG_PATTERN = /\{\{\s*([#^/]?)\s*([^{}]*?)\s*\}\}/g;
+const FRONT_SIDE = 'FrontSide';
+
+const parseTemplate = (source) => {
+  const root = { type: 'root', children: [] };
+  const stack = [];
+  const errors = [];
+  const fields = new Set();
+  let current = root;
+  let last = 0;
+
+  const pushText = (text) => {
+    if (text.includes('{{') || text.includes('}}')) {
+      errors.push('Malformed tag, expected {{Field}}, {{#Field}}...{{/Field}} or {{^Field}}...{{/Field}}');
+    }
+    if (text) {
+      current.children.push({ type: 'text', value: text });
+    }
+  };
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const [tag, sigil, name] = match;
+
+    pushText(source.slice(last, match.index));
+    last = match.index + tag.length;
+
+    if (!name) {
+      errors.push('Empty tag {{}}');
+      continue;
+    }
+
+    if (sigil === '/') {
+      if (current.type === 'section' && current.name === name) {
+        current = stack.pop();
+      } else {
+        errors.push(`Unexpected {{/${name}}}`);
+      }
+      continue;
+    }
+
+    fields.add(name);
+
+    if (sigil === '#' || sigil === '^') {
+      const section = { type: 'section', name, inverted: sigil === '^', children: [] };
+      current.children.push(section);
+      stack.push(current);
+      current = section;
+    } else {
+      current.children.push({ type: 'field', name });
+    }
+  }
+
+  pushText(source.slice(last));
+
+  if (current.type === 'section') {
+    errors.push(`Unclosed section {{#${current.name}}}`);
+  }
+
+  return {
+    nodes: root.children,
+    fields: [...fields],
+    errors: [...new Set(errors)],
+  };
+};
+
+
+// Only the values' own keys count, so names like "constructor" render empty
+const getValue = (values, name) => {
+  const value = Object.hasOwn(values, name) ? values[name] : null;
+
+  return value === undefined || value === null ? '' : String(value);
+};
+
+
+const renderNodes = (nodes, values) => {
+  return nodes
+    .map(node => {
+      if (node.type === 'text') {
+        return node.value;
+      }
+      if (node.type === 'field') {
+        return getValue(values, node.name);
+      }
+      const empty = getValue(values, node.name).trim() === '';
+      return empty === node.inverted ? renderNodes(node.children, values) : '';
+    })
+    .join('');
+};
+
+
+const renderTemplate = (source, values) => {
+  const { nodes, errors } = parseTemplate(source);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid template: ${errors.join(', ')}`);
+  }
+
+  return renderNodes(nodes, values).trim();
+};
+
+
+/**
+ * Render both sides of a card. The front comes first so the back can
+ * include it with {{FrontSide}}.
+ */
+const renderCard = (template, values) => {
+  const frontText = renderTemplate(template.front, values);
+  const backText = renderTemplate(template.back, { ...values, [FRONT_SIDE]: frontText });
+
+  return { frontText, backText };
+};
+
+module.exports = {
+  FRONT_SIDE,
+  parseTemplate,
+  renderTemplate,
+  renderCard,
+};
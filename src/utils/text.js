@@ -0,0 +1,151 @@
+// Strip Vietnamese (and other Latin) diacritics: "Xin chào" -> "Xin chao"
+const removeDiacritics = (text) => {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D');
+};
+
+
+const collapseWhitespace = (text) => text.replace(/\s+/g, ' ').trim();
+
+
+// Case, whitespace and accent insensitive form used for comparisons
+const normalizeText = (text) => {
+  return collapseWhitespace(removeDiacritics(String(text)).toLowerCase());
+};
+
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+};
+
+// "<b>big</b>&nbsp;&amp;<br>tall" -> "big &\ntall"; line breaks and block ends become new lines
+const stripHtml = (html) => {
+  return String(html)
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>|<\/(div|p|li|tr|h\d)>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+      }
+      return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+    })
+    .split('\n')
+    .map(collapseWhitespace)
+    .filter(Boolean)
+    .join('\n');
+};
+
+
+// "big & tall\nlarge" -> "big &amp; tall<br>large", the reverse of stripHtml for plain text
+const toHtml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\r?\n/g, '<br>');
+};
+
+
+// "to run; to jog / to sprint" -> ["to run", "to jog", "to sprint"]
+const splitAlternatives = (text) => {
+  return String(text)
+    .split(/[;/]/)
+    .map(collapseWhitespace)
+    .filter(Boolean);
+};
+
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+
+/**
+ * Character-level diff of an answer against the expected text.
+ * Returns merged segments: equal, missing (only in expected) or extra (only in answer).
+ */
+const diffChars = (answer, expected) => {
+  const a = Array.from(answer);
+  const b = Array.from(expected);
+
+  // Longest common subsequence table
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const segments = [];
+  const push = (type, char) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+      last.text += char;
+    } else {
+      segments.push({ type, text: char });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('extra', a[i++]);
+    } else {
+      push('missing', b[j++]);
+    }
+  }
+  while (i < a.length) push('extra', a[i++]);
+  while (j < b.length) push('missing', b[j++]);
+
+  return segments;
+};
+
+module.exports = {
+  removeDiacritics,
+  collapseWhitespace,
+  normalizeText,
+  stripHtml,
+  toHtml,
+  splitAlternatives,
+  levenshtein,
+  diffChars,
+};
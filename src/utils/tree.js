@@ -0,0 +1,78 @@
+/**
+ * Helpers for the deck hierarchy. Decks are loaded flat ({ id, parentId })
+ * and the tree is worked out in memory, which stays cheap for the few
+ * hundred decks a user has at most.
+ */
+
+const getChildrenByParent = (items) => {
+  const children = new Map();
+
+  items.forEach(item => {
+    if (!children.has(item.parentId)) {
+      children.set(item.parentId, []);
+    }
+    children.get(item.parentId).push(item);
+  });
+
+  return children;
+};
+
+
+// IDs of every item below rootId, closest first
+const getDescendantIds = (items, rootId) => {
+  const children = getChildrenByParent(items);
+  const seen = new Set([rootId]);
+  const queue = [rootId];
+
+  while (queue.length > 0) {
+    (children.get(queue.shift()) || [])
+      .filter(child => !seen.has(child.id))
+      .forEach(child => {
+        seen.add(child.id);
+        queue.push(child.id);
+      });
+  }
+
+  seen.delete(rootId);
+  return [...seen];
+};
+
+
+// Items from the root down to the parent of `id`
+const getAncestors = (items, id) => {
+  const byId = new Map(items.map(item => [item.id, item]));
+  const ancestors = [];
+  let parent = byId.get(byId.get(id)?.parentId);
+
+  while (parent && !ancestors.includes(parent)) {
+    ancestors.unshift(parent);
+    parent = byId.get(parent.parentId);
+  }
+
+  return ancestors;
+};
+
+
+// Nests items under their parent as `children`; items whose parent is missing become roots
+const buildTree = (items) => {
+  const nodes = new Map(items.map(item => [item.id, { ...item, children: [] }]));
+  const roots = [];
+
+  nodes.forEach(node => {
+    const parent = nodes.get(node.parentId);
+
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+};
+
+module.exports = {
+  getDescendantIds,
+  getAncestors,
+  buildTree,
+};
@@ -0,0 +1,217 @@
+/**
+ * Field checks shared by the request validators and the importers, which run
+ * them on cards and decks read from import files. Each returns a list of
+ * error messages, empty when the value is valid.
+ */
+
+const { SCHEDULER_NAMES } = require('../services/schedulers');
+const { parseCloze } = require('./cloze');
+
+// Scheduler settings shared by user profile and decks
+const getStudySettingsErrors = ({ scheduler, desiredRetention }) => {
+  const errors = [];
+
+  if (scheduler !== undefined && scheduler !== null && !SCHEDULER_NAMES.includes(scheduler)) {
+    errors.push(`Scheduler must be one of: ${SCHEDULER_NAMES.join(', ')}`);
+  }
+
+  if (desiredRetention !== undefined && desiredRetention !== null &&
+    (typeof desiredRetention !== 'number' || desiredRetention < 0.7 || desiredRetention > 0.99)) {
+    errors.push('Desired retention must be a number between 0.7 and 0.99');
+  }
+
+  return errors;
+};
+
+
+// Name and settings of a deck, also checked for decks read from import files
+const getDeckErrors = (deck) => {
+  const { name, description } = deck;
+
+  const errors = [];
+
+  if (!name) {
+    errors.push('Deck name is required');
+  } else if (typeof name !== 'string' || name.trim().length === 0) {
+    errors.push('Deck name must be a non-empty string');
+  } else if (name.length > 100) {
+    errors.push('Deck name must be less than 100 characters');
+  }
+
+  if (description && typeof description !== 'string') {
+    errors.push('Description must be a string');
+  } else if (description && description.length > 500) {
+    errors.push('Description must be less than 500 characters');
+  }
+
+  errors.push(...getStudySettingsErrors(deck));
+
+  if (deck.direction !== undefined && !['forward', 'reverse', 'both'].includes(deck.direction)) {
+    errors.push('Direction must be one of: forward, reverse, both');
+  }
+
+  const { leechThreshold, leechAction } = deck;
+
+  if (leechThreshold !== undefined &&
+    (!Number.isInteger(leechThreshold) || leechThreshold < 1 || leechThreshold > 100)) {
+    errors.push('Leech threshold must be an integer between 1 and 100');
+  }
+
+  if (leechAction !== undefined && !['suspend', 'tag'].includes(leechAction)) {
+    errors.push('Leech action must be one of: suspend, tag');
+  }
+
+  return errors;
+};
+
+
+const getTagErrors = (tags) => {
+  if (!Array.isArray(tags) || tags.length > 20) {
+    return ['Tags must be an array of at most 20 tag names'];
+  }
+
+  if (tags.some(tag => typeof tag !== 'string' || tag.trim().length === 0 || tag.length > 50)) {
+    return ['Each tag must be a non-empty string of at most 50 characters'];
+  }
+
+  return [];
+};
+
+
+// Optional vocabulary fields of a card; null clears a field
+const getVocabularyFieldErrors = ({ partOfSpeech, ipa, mnemonic, synonyms, antonyms, examples }) => {
+  const errors = [];
+
+  const textFields = [
+    ['Part of speech', partOfSpeech, 50],
+    ['IPA', ipa, 100],
+    ['Mnemonic', mnemonic, 1000],
+  ];
+
+  textFields.forEach(([label, value, maxLength]) => {
+    if (value === undefined || value === null) {
+      return;
+    }
+    if (typeof value !== 'string') {
+      errors.push(`${label} must be a string`);
+    } else if (value.length > maxLength) {
+      errors.push(`${label} must be less than ${maxLength} characters`);
+    }
+  });
+
+  [['Synonyms', synonyms], ['Antonyms', antonyms]].forEach(([label, value]) => {
+    if (value === undefined || value === null) {
+      return;
+    }
+    if (!Array.isArray(value) || value.length > 20 ||
+      value.some(word => typeof word !== 'string' || word.length > 100)) {
+      errors.push(`${label} must be an array of at most 20 strings of at most 100 characters`);
+    }
+  });
+
+  if (examples !== undefined && examples !== null) {
+    if (!Array.isArray(examples) || examples.length > 10) {
+      errors.push('Examples must be an array of at most 10 examples');
+    } else if (examples.some(example => !example || typeof example.sentence !== 'string' ||
+      example.sentence.trim().length === 0 || example.sentence.length > 500)) {
+      errors.push('Each example needs a sentence of at most 500 characters');
+    } else if (examples.some(example => example.translation !== undefined && example.translation !== null &&
+      (typeof example.translation !== 'string' || example.translation.length > 500))) {
+      errors.push('Example translations must be strings of at most 500 characters');
+    }
+  }
+
+  return errors;
+};
+
+
+/**
+ * Front/back text of a basic or cloze card. An update keeps the card's stored
+ * type, which is not known here: the back may be left out (the current one is
+ * kept) and CardService.updateCard checks the cloze syntax of a cloze card.
+ */
+const getCardTextErrors = ({ type = 'basic', frontText, backText }, creating = true) => {
+  const errors = [];
+
+  if (!['basic', 'cloze'].includes(type)) {
+    errors.push('Type must be one of: basic, cloze');
+  }
+
+  if (!frontText) {
+    errors.push('Front text is required');
+  } else if (typeof frontText !== 'string' || frontText.trim().length === 0) {
+    errors.push('Front text must be a non-empty string');
+  } else if (frontText.length > 500) {
+    errors.push('Front text must be less than 500 characters');
+  } else if (creating && type === 'cloze') {
+    errors.push(...parseCloze(frontText).errors);
+  }
+
+  // Cloze cards carry their answer in the front text, the back is optional extra info
+  if (!backText) {
+    if (creating && type !== 'cloze') {
+      errors.push('Back text is required');
+    }
+  } else if (typeof backText !== 'string' || backText.trim().length === 0) {
+    errors.push('Back text must be a non-empty string');
+  } else if (backText.length > 500) {
+    errors.push('Back text must be less than 500 characters');
+  }
+
+  return errors;
+};
+
+
+// Field values of a note type card; the note type is only needed when creating
+const getNoteFieldErrors = (noteTypeId, fields, creating) => {
+  const errors = [];
+
+  if (creating && (typeof noteTypeId !== 'string' || noteTypeId.length === 0)) {
+    errors.push('Note type ID is required when creating a card from fields');
+  }
+
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    errors.push('Fields must be an object of field values');
+  } else if (Object.values(fields).some(value => typeof value !== 'string' || value.length > 2000)) {
+    errors.push('Field values must be strings of at most 2000 characters');
+  }
+
+  return errors;
+};
+
+
+const getCardErrors = (card, creating) => {
+  const { deckId, memorized, noteTypeId, fields } = card;
+
+  const errors = [];
+
+  // Note type cards are rendered from field values instead of front/back text
+  if (noteTypeId !== undefined || fields !== undefined) {
+    errors.push(...getNoteFieldErrors(noteTypeId, fields, creating));
+  } else {
+    errors.push(...getCardTextErrors(card, creating));
+  }
+
+  if (deckId && typeof deckId !== 'string') {
+    errors.push('Deck ID must be a string');
+  }
+
+  if (memorized !== undefined && typeof memorized !== 'boolean') {
+    errors.push('Memorized must be a boolean');
+  }
+
+  if (card.tags !== undefined) {
+    errors.push(...getTagErrors(card.tags));
+  }
+
+  errors.push(...getVocabularyFieldErrors(card));
+
+  return errors;
+};
+
+module.exports = {
+  getStudySettingsErrors,
+  getDeckErrors,
+  getTagErrors,
+  getCardErrors,
+};
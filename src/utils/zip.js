@@ -0,0 +1,291 @@
+/**
+ * Reading and writing zip archives (stored or deflated entries), as written
+ * by most zip tools. Entries are read straight from the file and written as
+ * a stream, so an archive is never held in memory as a whole.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { Readable, Transform, pipeline: pipelineCallback } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const DATA_DESCRIPTOR = 0x08074b50;
+
+// General purpose flags: sizes and CRC follow the data, names are UTF-8
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+
+const VERSION_NEEDED = 20;
+
+// The end record is 22 bytes, followed by a comment of at most 64 KB
+const MAX_END_RECORD_SEARCH = 22 + 0xffff;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+
+const readAt = async (handle, position, length) => {
+  const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+
+/**
+ * The entries of the archive: { name, method, compressedSize, size, offset }
+ * where offset is the position of the entry's local header.
+ */
+const readZipEntries = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const { size: fileSize } = await handle.stat();
+    const searchSize = Math.min(fileSize, MAX_END_RECORD_SEARCH);
+    const tail = await readAt(handle, fileSize - searchSize, searchSize);
+
+    let endRecord = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+        endRecord = i;
+        break;
+      }
+    }
+
+    if (endRecord === -1) {
+      throw new Error('Invalid zip file: end of central directory not found');
+    }
+
+    const entryCount = tail.readUInt16LE(endRecord + 10);
+    const directorySize = tail.readUInt32LE(endRecord + 12);
+    const directoryOffset = tail.readUInt32LE(endRecord + 16);
+
+    if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+      throw new Error('Invalid zip file: ZIP64 archives are not supported');
+    }
+
+    // Checked before reading, so a crafted size can't make it allocate gigabytes
+    if (directoryOffset + directorySize > fileSize) {
+      throw new Error('Invalid zip file: central directory is outside the file');
+    }
+
+    const directory = await readAt(handle, directoryOffset, directorySize);
+    const entries = [];
+    let position = 0;
+
+    for (let i = 0; i < entryCount; i++) {
+      if (position + 46 > directory.length || directory.readUInt32LE(position) !== CENTRAL_DIRECTORY_ENTRY) {
+        throw new Error('Invalid zip file: broken central directory');
+      }
+
+      const nameLength = directory.readUInt16LE(position + 28);
+      const extraLength = directory.readUInt16LE(position + 30);
+      const commentLength = directory.readUInt16LE(position + 32);
+      const entry = {
+        name: directory.toString('utf8', position + 46, position + 46 + nameLength),
+        method: directory.readUInt16LE(position + 10),
+        compressedSize: directory.readUInt32LE(position + 20),
+        size: directory.readUInt32LE(position + 24),
+        offset: directory.readUInt32LE(position + 42),
+      };
+
+      if (entry.offset + 30 + entry.compressedSize > fileSize) {
+        throw new Error(`Invalid zip file: entry ${entry.name} is outside the file`);
+      }
+
+      entries.push(entry);
+
+      position += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  } finally {
+    await handle.close();
+  }
+};
+
+
+// Passes the content through, failing once it grows past the declared size (a zip bomb or broken archive)
+const limitSize = (entry) => {
+  let size = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+
+      if (size > entry.size) {
+        return callback(new Error(`Invalid zip file: ${entry.name} is larger than its declared size`));
+      }
+
+      callback(null, chunk);
+    },
+  });
+};
+
+
+/**
+ * A stream of the entry's uncompressed content, which is never allowed to
+ * grow past the entry's declared size. Entries declared larger than
+ * `maxSize` bytes are rejected before anything is read.
+ */
+const openZipEntry = async (filePath, entry, options = {}) => {
+  const { maxSize = Infinity } = options;
+
+  if (entry.method !== STORED && entry.method !== DEFLATED) {
+    throw new Error(`Invalid zip file: unsupported compression method ${entry.method} for ${entry.name}`);
+  }
+
+  if (entry.size > maxSize) {
+    throw new Error(`Zip entry too large: ${entry.name} is over ${Math.floor(maxSize / 1024 / 1024)} MB`);
+  }
+
+  const handle = await fs.promises.open(filePath, 'r');
+  let fileSize;
+  let header;
+
+  try {
+    ({ size: fileSize } = await handle.stat());
+    header = entry.offset + 30 <= fileSize ? await readAt(handle, entry.offset, 30) : Buffer.alloc(0);
+  } finally {
+    await handle.close();
+  }
+
+  if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_FILE_HEADER) {
+    throw new Error(`Invalid zip file: broken entry ${entry.name}`);
+  }
+
+  // The local header's name and extra field can differ in length from the central directory's
+  const start = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+
+  if (start + entry.compressedSize > fileSize) {
+    throw new Error(`Invalid zip file: entry ${entry.name} is outside the file`);
+  }
+
+  if (entry.compressedSize === 0) {
+    return Readable.from([]);
+  }
+
+  const stream = fs.createReadStream(filePath, { start, end: start + entry.compressedSize - 1 });
+  const streams = entry.method === STORED
+    ? [stream, limitSize(entry)]
+    : [stream, zlib.createInflateRaw(), limitSize(entry)];
+
+  // Errors of any step end up on the returned stream
+  return pipelineCallback(...streams, () => {});
+};
+
+
+const readZipEntry = async (filePath, entry, options) => {
+  const chunks = [];
+
+  for await (const chunk of await openZipEntry(filePath, entry, options)) {
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+};
+
+
+const extractZipEntry = async (filePath, entry, destination, options) => {
+  await pipeline(await openZipEntry(filePath, entry, options), fs.createWriteStream(destination));
+};
+
+
+/**
+ * Write an archive of deflated entries, yielding it chunk by chunk. Takes an
+ * iterable (or async iterable) of { name, content }, where content is a
+ * Buffer or an iterable of Buffers (e.g. a readable stream). Sizes and CRCs
+ * follow each entry's data, so entries are never buffered.
+ */
+async function* writeZip(entries) {
+  const directory = [];
+  let offset = 0;
+
+  for await (const { name, content } of entries) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const header = Buffer.alloc(30);
+
+    header.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+    header.writeUInt16LE(VERSION_NEEDED, 4);
+    header.writeUInt16LE(FLAG_DATA_DESCRIPTOR | FLAG_UTF8, 6);
+    header.writeUInt16LE(DEFLATED, 8);
+    header.writeUInt16LE(nameBuffer.length, 26);
+
+    yield Buffer.concat([header, nameBuffer]);
+
+    const deflate = zlib.createDeflateRaw();
+    let crc = 0;
+    let size = 0;
+    let compressedSize = 0;
+
+    const input = (async function* () {
+      for await (const chunk of Buffer.isBuffer(content) ? [content] : content) {
+        crc = zlib.crc32(chunk, crc);
+        size += chunk.length;
+        yield chunk;
+      }
+    })();
+    const output = Readable.from(input).pipe(deflate);
+
+    for await (const chunk of output) {
+      compressedSize += chunk.length;
+      yield chunk;
+    }
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(DATA_DESCRIPTOR, 0);
+    descriptor.writeUInt32LE(crc, 4);
+    descriptor.writeUInt32LE(compressedSize, 8);
+    descriptor.writeUInt32LE(size, 12);
+
+    yield descriptor;
+
+    if (offset > 0xffffffff || size > 0xffffffff || compressedSize > 0xffffffff) {
+      throw new Error('Zip archive too large, ZIP64 is not supported');
+    }
+
+    directory.push({ nameBuffer, crc, size, compressedSize, offset });
+    offset += header.length + nameBuffer.length + compressedSize + descriptor.length;
+  }
+
+  const directoryEntries = directory.map(entry => {
+    const record = Buffer.alloc(46);
+
+    record.writeUInt32LE(CENTRAL_DIRECTORY_ENTRY, 0);
+    record.writeUInt16LE(VERSION_NEEDED, 4);
+    record.writeUInt16LE(VERSION_NEEDED, 6);
+    record.writeUInt16LE(FLAG_DATA_DESCRIPTOR | FLAG_UTF8, 8);
+    record.writeUInt16LE(DEFLATED, 10);
+    record.writeUInt32LE(entry.crc, 16);
+    record.writeUInt32LE(entry.compressedSize, 20);
+    record.writeUInt32LE(entry.size, 24);
+    record.writeUInt16LE(entry.nameBuffer.length, 28);
+    record.writeUInt32LE(entry.offset, 42);
+
+    return Buffer.concat([record, entry.nameBuffer]);
+  });
+  const directoryBuffer = Buffer.concat(directoryEntries);
+
+  if (directory.length >= 0xffff) {
+    throw new Error('Zip archive has too many entries, ZIP64 is not supported');
+  }
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(directory.length, 8);
+  end.writeUInt16LE(directory.length, 10);
+  end.writeUInt32LE(directoryBuffer.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  yield directoryBuffer;
+  yield end;
+}
+
+module.exports = {
+  readZipEntries,
+  openZipEntry,
+  readZipEntry,
+  extractZipEntry,
+  writeZip,
+};
@@ -0,0 +1,16 @@
+// Loading src/config/database connects and starts a keep-alive timer, so service
+// tests swap it for a fake client before requiring the service
+const stubDatabase = (prisma = {}) => {
+  require.cache[require.resolve('../../src/config/database')] = {
+    exports: {
+      prisma,
+      withRetry: (operation) => operation(),
+      ensureConnection: async () => true,
+    },
+  };
+  return prisma;
+};
+
+module.exports = {
+  stubDatabase,
+};
@@ -0,0 +1,15 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+
+// A temporary directory for the test file, removed once its tests are done
+const useTmpDir = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vocab-test-'));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return (name) => path.join(dir, name);
+};
+
+module.exports = {
+  useTmpDir,
+};
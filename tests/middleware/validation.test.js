@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateCard } = require('../../src/middleware/validation');
+
+// The validation errors of a request, or null when it is passed on
+const runValidateCard = (method, body) => {
+  let errors = null;
+  const res = {
+    status: () => res,
+    json: (response) => {
+      errors = response.errors;
+    },
+  };
+
+  validateCard({ method, body }, res, () => {});
+  return errors;
+};
+
+test('a new card needs a back unless it is a cloze card', () => {
+  assert.deepEqual(runValidateCard('POST', { frontText: 'hello', deckId: 'deck' }), ['Back text is required']);
+  assert.equal(runValidateCard('POST', { type: 'cloze', frontText: '{{c1::Hà Nội}} is the capital', deckId: 'deck' }), null);
+  assert.equal(runValidateCard('POST', { type: 'cloze', frontText: 'no clozes here', deckId: 'deck' }).length, 1);
+});
+
+test('an update may leave out the back and the type of the card', () => {
+  assert.equal(runValidateCard('PUT', { frontText: '{{c1::Hà Nội}} is the {{c2::capital}}' }), null);
+  assert.equal(runValidateCard('PUT', { frontText: 'hello', memorized: true }), null);
+  assert.deepEqual(runValidateCard('PUT', { frontText: 'hello', backText: 5 }), ['Back text must be a non-empty string']);
+  assert.deepEqual(runValidateCard('PUT', { frontText: 'hello', type: 'image' }), ['Type must be one of: basic, cloze']);
+});
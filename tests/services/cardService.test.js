@@ -0,0 +1,292 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDatabase } = require('../helpers/database');
+
+const prisma = stubDatabase({ card: {} });
+const CardService = require('../../src/services/cardService');
+const TagService = require('../../src/services/tagService');
+const MediaService = require('../../src/services/mediaService');
+
+test('gradeAnswer picks the closest alternative', () => {
+  const result = CardService.gradeAnswer('  Xin  chao ', 'chào; xin chào / hello');
+
+  assert.equal(result.answer, 'Xin chao');
+  assert.deepEqual(result.alternatives, ['chào', 'xin chào', 'hello']);
+  assert.equal(result.matchedAnswer, 'xin chào');
+  assert.equal(result.distance, 0);
+  assert.equal(result.correct, true);
+  assert.equal(result.exact, false);
+  assert.equal(result.quality, 4);
+});
+
+test('gradeAnswer suggests a quality from the distance', () => {
+  assert.equal(CardService.gradeAnswer('elephant', 'elephant').quality, 5);
+  assert.equal(CardService.gradeAnswer('elephnt', 'elephant').quality, 3);
+  assert.equal(CardService.gradeAnswer('cat', 'cap').quality, 1);
+  assert.equal(CardService.gradeAnswer('cat', 'cap', { tolerance: 1 }).quality, 3);
+  assert.equal(CardService.gradeAnswer('', 'cap').correct, false);
+});
+
+test('gradeAnswer grades answers made only of separators as written', () => {
+  const slash = CardService.gradeAnswer('/', '/');
+  assert.deepEqual(slash.alternatives, ['/']);
+  assert.equal(slash.exact, true);
+  assert.equal(slash.quality, 5);
+
+  const wrong = CardService.gradeAnswer('a', ' ; ');
+  assert.deepEqual(wrong.alternatives, [';']);
+  assert.equal(wrong.correct, false);
+  assert.equal(wrong.quality, 1);
+
+  const empty = CardService.gradeAnswer('', ' ');
+  assert.equal(empty.correct, false);
+  assert.equal(empty.exact, false);
+  assert.equal(empty.quality, 1);
+});
+
+test('findDuplicates only reads the given keys outside the trash', async (t) => {
+  const queries = [];
+  prisma.card.findMany = async ({ where }) => {
+    queries.push(where);
+    return [
+      { id: 'c1', deckId: 'other', frontText: 'xin chào', duplicateKey: 'xin chao', deck: { name: 'Other' } },
+      { id: 'c2', deckId: 'deck', frontText: 'Xin chào', duplicateKey: 'xin chao', deck: { name: 'Deck' } },
+    ];
+  };
+  t.after(() => delete prisma.card.findMany);
+
+  const duplicates = await CardService.findDuplicates('user', 'deck', ['xin chao', 'xin chao'], 'all');
+
+  assert.deepEqual(queries, [{
+    deck: { userId: 'user', deletedAt: null },
+    deletedAt: null,
+    duplicateKey: { in: ['xin chao'] },
+  }]);
+  assert.deepEqual(duplicates.get('xin chao').map(card => [card.id, card.deckName]), [['c2', 'Deck'], ['c1', 'Other']]);
+  assert.equal(await CardService.findDuplicates('user', 'deck', []).then(result => result.size), 0);
+  assert.equal(queries.length, 1);
+});
+
+test('backfillDuplicateKeys stores the key of older cards a batch at a time', async (t) => {
+  const batches = [
+    [{ id: 'old-1', frontText: ' Xin  Chào ' }, { id: 'old-2', frontText: 'xin chao' }],
+    [{ id: 'old-3', frontText: 'Bank' }],
+    [],
+  ];
+  const updates = [];
+  prisma.card.findMany = async ({ where, take }) => {
+    assert.deepEqual(where, { duplicateKey: null });
+    assert.equal(take, 2);
+    return batches.shift();
+  };
+  prisma.card.updateMany = (query) => query;
+  prisma.$transaction = async (operations) => updates.push(...operations);
+  t.after(() => {
+    delete prisma.card.findMany;
+    delete prisma.card.updateMany;
+    delete prisma.$transaction;
+  });
+
+  assert.equal(await CardService.backfillDuplicateKeys(2), 3);
+  assert.deepEqual(updates, [
+    { where: { id: { in: ['old-1', 'old-2'] } }, data: { duplicateKey: 'xin chao' } },
+    { where: { id: { in: ['old-3'] } }, data: { duplicateKey: 'bank' } },
+  ]);
+});
+
+test('note type cards are checked for duplicates by their rendered fronts', async (t) => {
+  const noteType = {
+    id: 'vocab',
+    fields: ['Word', 'Meaning'],
+    templates: [
+      { id: 'forward', front: '{{Word}}', back: '{{Meaning}}' },
+      { id: 'reverse', front: '{{Meaning}}', back: '{{Word}}' },
+    ],
+  };
+  let lookedUp;
+  prisma.noteType = { findFirst: async () => noteType };
+  prisma.card.findMany = async ({ where }) => {
+    lookedUp = where.duplicateKey.in;
+    return [{ id: 'existing', deckId: 'deck', frontText: 'Ngân hàng', duplicateKey: 'ngan hang', deck: { name: 'Deck' } }];
+  };
+  t.after(() => {
+    delete prisma.noteType;
+    delete prisma.card.findMany;
+  });
+  t.mock.method(CardService, 'getCardById', async (cardId) => ({ id: cardId }));
+
+  const deck = { id: 'deck', direction: 'forward' };
+  const result = await CardService.createNoteCards('user', deck, {
+    noteTypeId: 'vocab',
+    fields: { Word: 'Bank', Meaning: 'Ngân hàng' },
+    duplicates: 'skip',
+  });
+
+  assert.deepEqual(lookedUp, ['bank', 'ngan hang']);
+  assert.equal(result.note, null);
+  assert.deepEqual(result.cards, [{ id: 'existing' }]);
+  assert.equal(result.duplicateAction, 'skipped');
+  assert.deepEqual(result.duplicates.map(duplicate => duplicate.id), ['existing']);
+});
+
+test('updateCard saves every part of the edit in one transaction', async (t) => {
+  const existingCard = {
+    id: 'card',
+    type: 'cloze',
+    frontText: '{{c1::Hà Nội}} is the capital',
+    backText: '',
+    memorized: false,
+    deckId: 'deck',
+    deck: { id: 'deck', userId: 'user' },
+  };
+  const tx = {
+    card: { update: async ({ where }) => ({ id: where.id, type: 'basic' }) },
+    reviewLog: { create: async () => ({}) },
+  };
+  prisma.card.findFirst = async () => existingCard;
+  prisma.$transaction = async (operation) => operation(tx);
+  t.after(() => {
+    delete prisma.card.findFirst;
+    delete prisma.$transaction;
+  });
+
+  const syncClozeVariants = t.mock.method(CardService, 'syncClozeVariants', async () => {});
+  const moveCards = t.mock.method(CardService, 'moveCards', async () => ({ movedCards: 1 }));
+  const createVersions = t.mock.method(CardService, 'createVersions', async () => {});
+  const findOrCreateTags = t.mock.method(TagService, 'findOrCreateTags', async () => []);
+
+  await CardService.updateCard('card', 'user', {
+    frontText: '{{c1::Hà Nội}} is the {{c2::capital}}',
+    deckId: 'other',
+    memorized: true,
+    tags: ['geography'],
+  });
+
+  for (const mock of [syncClozeVariants, moveCards, createVersions, findOrCreateTags]) {
+    assert.equal(mock.mock.callCount(), 1);
+    assert.equal(mock.mock.calls[0].arguments.at(-1), tx);
+  }
+});
+
+test('updateCard rejects a broken cloze before saving anything', async (t) => {
+  prisma.card.findFirst = async () => ({ id: 'card', type: 'cloze', deck: {} });
+  const transaction = t.mock.fn();
+  prisma.$transaction = transaction;
+  t.after(() => {
+    delete prisma.card.findFirst;
+    delete prisma.$transaction;
+  });
+
+  await assert.rejects(CardService.updateCard('card', 'user', { frontText: '{{c1::open' }), /Invalid cloze syntax/);
+  assert.equal(transaction.mock.callCount(), 0);
+});
+
+test('createVersions records the text before the first edit as the baseline', async () => {
+  const created = [];
+  let versionCount = 0;
+  let lastEdit = null;
+  const client = {
+    cardVersion: {
+      count: async () => versionCount,
+      create: async ({ data }) => created.push(data),
+    },
+    reviewLog: {
+      findFirst: async ({ where }) => (where.type === 'edit' ? lastEdit : null),
+    },
+  };
+  const card = {
+    id: 'card',
+    frontText: 'bank',
+    backText: 'ngân hàng',
+    createdAt: new Date('2025-01-01'),
+    updatedAt: new Date('2025-06-01'),
+    deck: { userId: 'owner' },
+  };
+
+  await CardService.createVersions(card, 'editor', { frontText: 'bank', backText: 'bờ sông' }, client);
+  versionCount = 2;
+  await CardService.createVersions(card, 'editor', { frontText: 'bank', backText: 'ngân hàng; bờ sông' }, client);
+
+  assert.deepEqual(created, [
+    { cardId: 'card', userId: 'owner', frontText: 'bank', backText: 'ngân hàng', baseline: true, createdAt: card.createdAt },
+    { cardId: 'card', userId: 'editor', frontText: 'bank', backText: 'bờ sông' },
+    { cardId: 'card', userId: 'editor', frontText: 'bank', backText: 'ngân hàng; bờ sông' },
+  ]);
+
+  // Reviews move updatedAt, a logged edit dates the baseline instead
+  created.length = 0;
+  versionCount = 0;
+  lastEdit = { reviewedAt: new Date('2025-03-01') };
+  await CardService.createVersions(card, 'editor', { frontText: 'bank', backText: 'bờ sông' }, client);
+
+  assert.deepEqual(created[0].createdAt, lastEdit.reviewedAt);
+});
+
+test('editing a note records a version for each card whose text changes', async (t) => {
+  const deck = { id: 'deck', userId: 'owner', direction: 'forward' };
+  const note = {
+    id: 'note',
+    fields: { Word: 'Bank', Meaning: 'bờ sông' },
+    noteType: {
+      fields: ['Word', 'Meaning'],
+      templates: [
+        { id: 'forward', front: '{{Word}}', back: '{{Meaning}}' },
+        { id: 'reverse', front: '{{Word}}!', back: '{{Word}}' },
+      ],
+    },
+    cards: [
+      { id: 'forward-card', templateId: 'forward', frontText: 'Bank', backText: 'ngân hàng', deckId: 'deck', deck },
+      { id: 'reverse-card', templateId: 'reverse', frontText: 'Bank!', backText: 'Bank', deckId: 'deck', deck },
+    ],
+  };
+  const tx = {
+    note: { findUnique: async () => note },
+    card: { update: async () => ({}) },
+  };
+  const createVersions = t.mock.method(CardService, 'createVersions', async () => {});
+
+  await CardService.syncNoteCards('note', tx);
+
+  assert.deepEqual(createVersions.mock.calls.map(call => call.arguments), [
+    [note.cards[0], 'owner', { frontText: 'Bank', backText: 'bờ sông' }, tx],
+  ]);
+});
+
+test('copyCards adds reverse variants when the deck studies cards in reverse', async (t) => {
+  const tx = { card: { create: async () => ({ id: 'copy' }) } };
+  prisma.$transaction = async (operation) => operation(tx);
+  t.after(() => delete prisma.$transaction);
+
+  const card = { id: 'card', type: 'basic', frontText: 'bank', backText: 'ngân hàng', variants: [], tags: [], examples: [], media: [] };
+  let direction;
+  t.mock.method(CardService, 'findTransferCards', async () => ({ deck: { id: 'deck', direction }, cards: [card] }));
+  t.mock.method(MediaService, 'copyFiles', async () => new Map());
+  t.mock.method(CardService, 'updateDeckCardCount', async () => {});
+  const ensureReverseVariants = t.mock.method(CardService, 'ensureReverseVariants', async () => {});
+
+  for (direction of ['forward', 'reverse', 'both']) {
+    const result = await CardService.copyCards('user', ['card'], 'deck');
+    assert.deepEqual(result.cardIds, ['copy']);
+  }
+
+  assert.deepEqual(ensureReverseVariants.mock.calls.map(call => call.arguments), [['deck', tx], ['deck', tx]]);
+});
+
+test('search looks into the vocabulary fields, IPA and part of speech included', () => {
+  const cards = [
+    { id: 'hello', frontText: 'hello', backText: 'xin chào', partOfSpeech: 'interjection', ipa: '/həˈləʊ/' },
+    { id: 'bank', frontText: 'bank', backText: 'ngân hàng', partOfSpeech: 'noun', ipa: '/bæŋk/' },
+  ];
+  // The text conditions, applied the way Postgres would to a card
+  const search = (query) => cards
+    .filter(card => CardService.getSearchConditions(query).some(condition =>
+      Object.entries(condition).every(([field, filter]) =>
+        typeof filter.contains === 'string' && typeof card[field] === 'string' &&
+        card[field].toLowerCase().includes(filter.contains.toLowerCase()))))
+    .map(card => card.id);
+
+  assert.deepEqual(search('bæŋ'), ['bank']);
+  assert.deepEqual(search('ˈləʊ'), ['hello']);
+  assert.deepEqual(search('NOUN'), ['bank']);
+  assert.deepEqual(search('chào'), ['hello']);
+});
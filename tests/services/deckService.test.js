@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDatabase } = require('../helpers/database');
+
+const prisma = stubDatabase();
+const DeckService = require('../../src/services/deckService');
+
+const deletedAt = new Date('2026-01-01');
+
+// A fake client recording the card counts written to decks; transactions run on it directly
+const useFakeClient = (t, { decks, cards, liveCards }) => {
+  const cardCounts = new Map();
+
+  Object.assign(prisma, {
+    deck: {
+      findFirst: async ({ where }) => decks.find(deck => deck.id === where.id),
+      findMany: async () => decks,
+      updateMany: async () => ({ count: 0 }),
+      update: async ({ where, data }) => {
+        if (data.cardCount !== undefined) cardCounts.set(where.id, data.cardCount);
+      },
+    },
+    card: {
+      findMany: async ({ where }) => (where.deckId === decks[0].id ? [] : cards),
+      updateMany: async () => ({ count: 0 }),
+      count: async ({ where }) => liveCards[where.deckId] || 0,
+    },
+    $transaction: async (operation) => operation(prisma),
+  });
+  t.after(() => ['deck', 'card', '$transaction'].forEach(key => delete prisma[key]));
+
+  return cardCounts;
+};
+
+test('restoreDeck recounts the cards of every restored deck', async (t) => {
+  const cardCounts = useFakeClient(t, {
+    decks: [
+      { id: 'parent', parentId: null, deletedAt },
+      { id: 'child', parentId: 'parent', deletedAt },
+    ],
+    liveCards: { parent: 3, child: 2 },
+  });
+  t.mock.method(DeckService, 'getDeckById', async (deckId) => ({ id: deckId }));
+
+  await DeckService.restoreDeck('parent', 'user');
+
+  assert.deepEqual(Object.fromEntries(cardCounts), { parent: 3, child: 2 });
+});
+
+test('mergeDecks recounts the target and the merged decks', async (t) => {
+  const cardCounts = useFakeClient(t, {
+    decks: [
+      { id: 'target', parentId: null, direction: 'forward' },
+      { id: 'source', parentId: null },
+    ],
+    cards: [{ id: 'card', frontText: 'xin chào', noteId: null }],
+    liveCards: { target: 1 },
+  });
+
+  const result = await DeckService.mergeDecks('target', 'user', { sourceDeckIds: ['source'] });
+
+  assert.equal(result.movedCards, 1);
+  assert.deepEqual(Object.fromEntries(cardCounts), { target: 1, source: 0 });
+});
+
+test('mergeDecks refuses to merge a parent deck into its subdeck', async (t) => {
+  useFakeClient(t, {
+    decks: [
+      { id: 'child', parentId: 'parent' },
+      { id: 'parent', parentId: null },
+    ],
+    cards: [],
+    liveCards: {},
+  });
+
+  await assert.rejects(
+    DeckService.mergeDecks('child', 'user', { sourceDeckIds: ['parent'] }),
+    { message: 'Cannot merge a deck into itself or one of its parent decks' },
+  );
+});
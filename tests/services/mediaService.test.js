@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDatabase } = require('../helpers/database');
+
+const prisma = stubDatabase({ card: {}, media: {} });
+const MediaService = require('../../src/services/mediaService');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]);
+
+test('rejects uploads whose content is not of the declared type', async (t) => {
+  prisma.card.findFirst = async () => ({ id: 'card' });
+  t.after(() => delete prisma.card.findFirst);
+
+  const upload = (mimetype, buffer) => MediaService.addCardMedia('card', 'user', { mimetype, buffer, size: buffer.length });
+
+  await assert.rejects(upload('image/png', Buffer.from('<html><script>alert(1)</script>')), /File content does not match its media type/);
+  await assert.rejects(upload('image/jpeg', PNG), /File content does not match its media type/);
+  await assert.rejects(upload('text/html', PNG), /Unsupported media type/);
+});
+
+test('media of cards in the trash is not served', async (t) => {
+  let where;
+  prisma.media.findFirst = async (query) => {
+    where = query.where;
+    return null;
+  };
+  t.after(() => delete prisma.media.findFirst);
+
+  await assert.rejects(MediaService.getMediaFile('media', 'user'), /Media not found/);
+  assert.deepEqual(where, { id: 'media', userId: 'user', card: { deletedAt: null } });
+});
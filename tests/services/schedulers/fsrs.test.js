@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fsrs = require('../../../src/services/schedulers/fsrs');
+const { addDays } = require('../../../src/services/schedulers/utils');
+
+const now = new Date('2026-01-10T08:00:00Z');
+const w = fsrs.DEFAULT_WEIGHTS;
+
+test('quality grades map onto the four FSRS ratings', () => {
+  assert.deepEqual([0, 1, 2, 3, 4, 5].map(fsrs.toRating), [1, 1, 1, 2, 3, 4]);
+});
+
+test('retrievability is 1 right after a review and 90% after one stability', () => {
+  assert.equal(fsrs.retrievability(0, 5), 1);
+  assert.ok(Math.abs(fsrs.retrievability(5, 5) - 0.9) < 1e-9);
+});
+
+test('at 90% desired retention the interval equals the stability', () => {
+  assert.equal(fsrs.nextInterval(10, 0.9), 10);
+  assert.ok(fsrs.nextInterval(10, 0.95) < 10);
+  assert.ok(fsrs.nextInterval(10, 0.8) > 10);
+  assert.equal(fsrs.nextInterval(1e9, 0.9), 36500);
+  assert.equal(fsrs.nextInterval(0.01, 0.9), 1);
+});
+
+test('a new card starts from the initial stability and difficulty of its rating', () => {
+  const result = fsrs.schedule({ repetitions: 0 }, 4, {}, now);
+
+  assert.equal(result.stability, w[2]);
+  assert.equal(result.difficulty, w[4]);
+  assert.equal(result.interval, 4);
+  assert.equal(result.repetitions, 1);
+  assert.deepEqual(result.dueDate, addDays(now, 4));
+  assert.deepEqual(result.lastReviewedAt, now);
+
+  const easy = fsrs.schedule({ repetitions: 0 }, 5, {}, now);
+  assert.ok(easy.stability > result.stability);
+  assert.ok(easy.difficulty < result.difficulty);
+});
+
+test('recalling a due card increases its stability, forgetting it lowers it', () => {
+  const card = {
+    stability: 10,
+    difficulty: 5,
+    repetitions: 3,
+    lastReviewedAt: addDays(now, -10),
+  };
+
+  const good = fsrs.schedule(card, 4, {}, now);
+  assert.ok(good.stability > 10);
+  assert.equal(good.repetitions, 4);
+
+  const hard = fsrs.schedule(card, 3, {}, now);
+  assert.ok(hard.stability < good.stability);
+  assert.ok(hard.difficulty > good.difficulty);
+
+  const again = fsrs.schedule(card, 1, {}, now);
+  assert.ok(again.stability < 10);
+  assert.equal(again.repetitions, 0);
+  assert.ok(again.difficulty > card.difficulty);
+});
+
+test('difficulty stays between 1 and 10', () => {
+  let card = { stability: 5, difficulty: 9.9, repetitions: 1, lastReviewedAt: addDays(now, -5) };
+  for (let i = 0; i < 20; i++) {
+    card = { ...card, ...fsrs.schedule(card, 1, {}, now) };
+  }
+  assert.equal(card.difficulty, 10);
+
+  card = { stability: 5, difficulty: 1.1, repetitions: 1, lastReviewedAt: addDays(now, -5) };
+  for (let i = 0; i < 20; i++) {
+    card = { ...card, ...fsrs.schedule(card, 5, {}, now) };
+  }
+  assert.ok(card.difficulty >= 1);
+});
+
+test('a card reviewed with another scheduler uses its interval as stability', () => {
+  const card = { interval: 20, repetitions: 4, easeFactor: 2.5, lastReviewedAt: addDays(now, -20) };
+
+  assert.ok(Math.abs(fsrs.getRetrievability(card, now) - 0.9) < 1e-9);
+  assert.ok(fsrs.schedule(card, 4, {}, now).stability > 20);
+});
+
+test('a card never reviewed has no retrievability', () => {
+  assert.equal(fsrs.getRetrievability({ interval: 0, lastReviewedAt: null }, now), null);
+});
@@ -0,0 +1,13 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getScheduler, resolveSchedulerSettings } = require('../../../src/services/schedulers');
+
+test('deck scheduler settings override the user\'s, null inherits', () => {
+  const user = { scheduler: 'fsrs', desiredRetention: 0.85 };
+
+  assert.equal(resolveSchedulerSettings({}, user).scheduler.name, 'fsrs');
+  assert.equal(resolveSchedulerSettings({ scheduler: 'sm2' }, user).scheduler.name, 'sm2');
+  assert.equal(resolveSchedulerSettings({ desiredRetention: null }, user).options.desiredRetention, 0.85);
+  assert.equal(resolveSchedulerSettings().scheduler.name, 'sm2');
+  assert.throws(() => getScheduler('leitner'), /Unknown scheduler: leitner/);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const learning = require('../../../src/services/schedulers/learning');
+const sm2 = require('../../../src/services/schedulers/sm2');
+const { addDays } = require('../../../src/services/schedulers/utils');
+
+const now = new Date('2026-01-10T08:00:00Z');
+const options = { learningSteps: [1, 10], graduatingInterval: 1 };
+const newItem = { easeFactor: 2.5, interval: 0, repetitions: 0, lastReviewedAt: null, learningStep: null };
+const minutesLater = (minutes) => new Date(now.getTime() + minutes * 60 * 1000);
+
+test('items are new, learning or in review', () => {
+  assert.equal(learning.getItemState(newItem), 'new');
+  assert.equal(learning.getItemState({ ...newItem, learningStep: 0, lastReviewedAt: now }), 'learning');
+  assert.equal(learning.getItemState({ ...newItem, lastReviewedAt: now }), 'review');
+});
+
+test('a new item goes through each step before graduating', () => {
+  const first = learning.schedule(newItem, 4, sm2, options, now);
+  assert.equal(first.learningStep, 1);
+  assert.equal(first.interval, 0);
+  assert.deepEqual(first.dueDate, minutesLater(10));
+
+  const graduated = learning.schedule({ ...newItem, ...first }, 4, sm2, options, now);
+  assert.equal(graduated.learningStep, null);
+  assert.equal(graduated.interval, 1);
+  assert.deepEqual(graduated.dueDate, addDays(now, 1));
+});
+
+test('failing a step goes back to the first one', () => {
+  const result = learning.schedule({ ...newItem, learningStep: 1, lastReviewedAt: now }, 1, sm2, options, now);
+
+  assert.equal(result.learningStep, 0);
+  assert.deepEqual(result.dueDate, minutesLater(1));
+});
+
+test('"easy" graduates right away with the graduating interval', () => {
+  const result = learning.schedule(newItem, 5, sm2, { ...options, graduatingInterval: 3 }, now);
+
+  assert.equal(result.learningStep, null);
+  assert.equal(result.interval, 3);
+  assert.deepEqual(result.dueDate, addDays(now, 3));
+});
+
+test('items in review are left to the scheduler', () => {
+  const item = { easeFactor: 2.5, interval: 6, repetitions: 2, lastReviewedAt: now, learningStep: null };
+
+  assert.deepEqual(learning.schedule(item, 4, sm2, options, now), sm2.schedule(item, 4, options, now));
+});
+
+test('without learning steps a failed new item is left to the scheduler', () => {
+  const result = learning.schedule(newItem, 1, sm2, { learningSteps: [] }, now);
+
+  assert.deepEqual(result, sm2.schedule(newItem, 1, {}, now));
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sm2 = require('../../../src/services/schedulers/sm2');
+const { addDays } = require('../../../src/services/schedulers/utils');
+
+const now = new Date('2026-01-10T08:00:00Z');
+const newCard = { easeFactor: 2.5, interval: 0, repetitions: 0 };
+
+test('first successful reviews are due after 1 then 6 days', () => {
+  const first = sm2.schedule(newCard, 4, {}, now);
+  assert.equal(first.interval, 1);
+  assert.equal(first.repetitions, 1);
+  assert.equal(first.easeFactor, 2.5);
+  assert.deepEqual(first.dueDate, addDays(now, 1));
+  assert.deepEqual(first.lastReviewedAt, now);
+
+  const second = sm2.schedule(first, 4, {}, now);
+  assert.equal(second.interval, 6);
+  assert.equal(second.repetitions, 2);
+});
+
+test('later intervals grow by the ease factor', () => {
+  const result = sm2.schedule({ easeFactor: 2.5, interval: 6, repetitions: 2 }, 4, {}, now);
+
+  assert.equal(result.interval, 15);
+  assert.equal(result.repetitions, 3);
+  assert.deepEqual(result.dueDate, addDays(now, 15));
+});
+
+test('the grade moves the ease factor up or down', () => {
+  assert.equal(sm2.schedule(newCard, 5, {}, now).easeFactor, 2.6);
+  assert.equal(sm2.schedule(newCard, 3, {}, now).easeFactor, 2.36);
+});
+
+test('a failed review starts the card over', () => {
+  const result = sm2.schedule({ easeFactor: 2.5, interval: 40, repetitions: 6 }, 1, {}, now);
+
+  assert.equal(result.repetitions, 0);
+  assert.equal(result.interval, 1);
+  assert.equal(result.easeFactor, 1.96);
+});
+
+test('the ease factor never drops below 1.3', () => {
+  const result = sm2.schedule({ easeFactor: 1.4, interval: 10, repetitions: 3 }, 0, {}, now);
+
+  assert.equal(result.easeFactor, 1.3);
+});
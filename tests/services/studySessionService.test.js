@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stubDatabase } = require('../helpers/database');
+
+const prisma = stubDatabase();
+const CardService = require('../../src/services/cardService');
+const StudySessionService = require('../../src/services/studySessionService');
+
+// A session over cards a to d, where liveIds are the cards not in the trash
+const useFakeSession = (t, { position, liveIds }) => {
+  const session = { id: 'session', userId: 'user', status: 'active', queue: ['a', 'b:reverse', 'c', 'd'], position };
+
+  Object.assign(prisma, {
+    studySession: {
+      findFirst: async () => session,
+      update: async ({ data }) => Object.assign(session, data),
+    },
+    card: {
+      findMany: async ({ where }) => where.id.in.filter(id => liveIds.includes(id)).map(id => ({ id })),
+      findFirst: async ({ where }) => (liveIds.includes(where.id) ? { id: where.id, type: 'basic', variants: [{}] } : null),
+    },
+  });
+  t.after(() => ['studySession', 'card'].forEach(key => delete prisma[key]));
+  t.mock.method(CardService, 'toStudyItem', (card) => ({ id: card.id }));
+
+  return session;
+};
+
+test('answering skips the cards trashed since the session started', async (t) => {
+  const session = useFakeSession(t, { position: 0, liveIds: ['c', 'd'] });
+  const reviewCard = t.mock.method(CardService, 'reviewCard', async (cardId) => ({ id: cardId }));
+
+  const result = await StudySessionService.answerCard('session', 'user', { quality: 4 });
+
+  assert.equal(reviewCard.mock.calls[0].arguments[0], 'c');
+  assert.equal(session.position, 3);
+  assert.deepEqual(result.session.currentCard, { id: 'd' });
+});
+
+test('the session shows the next card that is still there', async (t) => {
+  useFakeSession(t, { position: 1, liveIds: ['a', 'd'] });
+
+  const session = await StudySessionService.getSessionById('session', 'user');
+
+  assert.deepEqual(session.currentCard, { id: 'd' });
+});
+
+test('with every remaining card trashed there is nothing left to answer', async (t) => {
+  useFakeSession(t, { position: 2, liveIds: ['a'] });
+
+  assert.equal((await StudySessionService.getSessionById('session', 'user')).currentCard, null);
+  await assert.rejects(StudySessionService.answerCard('session', 'user', { quality: 4 }), /Card is not part of this study session/);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCloze, renderCloze } = require('../../src/utils/cloze');
+
+test('parses cloze numbers, answers and hints', () => {
+  const { clozes, numbers, errors } = parseCloze('I {{c1::drink}} {{c3::coffee::drink}} and {{c1::eat}}');
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(numbers, [1, 3]);
+  assert.deepEqual(clozes[1], { number: 3, answer: 'coffee', hint: 'drink' });
+});
+
+test('reports empty, nested, malformed and missing markers', () => {
+  assert.deepEqual(parseCloze('{{c1:: }}').errors, ['Cloze c1 must not be empty']);
+  assert.deepEqual(parseCloze('{{c0::a}}').errors, ['Cloze numbers must start at 1']);
+  assert.ok(parseCloze('{{c1::a {{c2::b}}}}').errors.includes('Cloze markers cannot be nested'));
+  assert.deepEqual(parseCloze('{{c1:a}}').errors, ['Malformed cloze marker, expected {{c1::text}} or {{c1::text::hint}}']);
+  assert.deepEqual(parseCloze('no markers').errors, ['Cloze text must contain at least one {{c1::text}} marker']);
+});
+
+test('renders one cloze masked and the others revealed', () => {
+  const text = 'I {{c1::drink}} {{c2::coffee::drink}} and {{c1::eat}}';
+
+  assert.deepEqual(renderCloze(text, 1), {
+    number: 1,
+    prompt: 'I [...] coffee and [...]',
+    answer: 'drink, eat',
+    revealed: 'I drink coffee and eat',
+  });
+  assert.equal(renderCloze(text, 2).prompt, 'I drink [drink] and eat');
+});
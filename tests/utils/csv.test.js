@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { detectDelimiter, parseCsv, formatCsvRow } = require('../../src/utils/csv');
+
+const fixture = path.join(__dirname, '../fixtures/cards.csv');
+
+const parseAll = async (chunks, options) => {
+  const rows = [];
+  for await (const row of parseCsv(chunks, options)) {
+    rows.push(row);
+  }
+  return rows;
+};
+
+test('parses quoted fields, escaped quotes, line breaks and a last row without one', async () => {
+  const rows = await parseAll([fs.readFileSync(fixture, 'utf8')], { delimiter: ';' });
+
+  assert.deepEqual(rows, [
+    ['front', 'back', 'tags'],
+    ['apple; red', 'quả táo\r\n(fruit)', 'food, fruit'],
+    ['say "hi"', 'chào', ''],
+    ['last', 'no newline'],
+  ]);
+});
+
+test('rows and fields may be split across chunks anywhere', async () => {
+  const text = fs.readFileSync(fixture, 'utf8');
+  const expected = await parseAll([text], { delimiter: ';' });
+
+  for (const size of [1, 2, 3, 7]) {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += size) {
+      chunks.push(text.slice(i, i + size));
+    }
+    assert.deepEqual(await parseAll(chunks, { delimiter: ';' }), expected, `chunks of ${size}`);
+  }
+});
+
+test('accepts \\n, \\r\\n and \\r line endings', async () => {
+  assert.deepEqual(await parseAll(['a,b\nc,d\r\ne,f\rg,h']), [['a', 'b'], ['c', 'd'], ['e', 'f'], ['g', 'h']]);
+});
+
+test('an unclosed quote runs to the end of the file', async () => {
+  assert.deepEqual(await parseAll(['a,"b\nc']), [['a', 'b\nc']]);
+});
+
+test('detects the delimiter found consistently on every line', () => {
+  assert.equal(detectDelimiter(fs.readFileSync(fixture, 'utf8')), ';');
+  assert.equal(detectDelimiter('word\tmeaning\nhello\txin chào, chào\n'), '\t');
+  assert.equal(detectDelimiter('a|b\nc|d'), '|');
+  assert.equal(detectDelimiter('single column\nrows'), ',');
+});
+
+test('a line cut off at the end of the sample is ignored', () => {
+  assert.equal(detectDelimiter('a;b\nc;d\ne,f,g,h'), ';');
+});
+
+test('formatted rows parse back to the same values', async () => {
+  const values = ['plain', 'with, comma', 'with "quotes"', 'two\nlines', '', null, 3];
+  const line = formatCsvRow(values);
+
+  assert.equal(line, 'plain,"with, comma","with ""quotes""","two\nlines",,,3\r\n');
+  assert.deepEqual(await parseAll([line]), [['plain', 'with, comma', 'with "quotes"', 'two\nlines', '', '', '3']]);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectMediaType } = require('../../src/utils/fileType');
+
+const file = (...parts) => Buffer.concat(parts.map(part => Buffer.from(part)));
+
+test('tells each supported type from its first bytes', () => {
+  assert.equal(detectMediaType(file([0xff, 0xd8, 0xff, 0xe0])), 'image/jpeg');
+  assert.equal(detectMediaType(file([0x89], 'PNG\r\n', [0x1a, 0x0a, 0])), 'image/png');
+  assert.equal(detectMediaType(file('GIF89a')), 'image/gif');
+  assert.equal(detectMediaType(file('RIFF', [0, 0, 0, 0], 'WEBPVP8 ')), 'image/webp');
+  assert.equal(detectMediaType(file('RIFF', [0, 0, 0, 0], 'WAVEfmt ')), 'audio/wav');
+  assert.equal(detectMediaType(file('ID3', [4, 0])), 'audio/mpeg');
+  assert.equal(detectMediaType(file([0xff, 0xfb, 0x90])), 'audio/mpeg');
+  assert.equal(detectMediaType(file([0xff, 0xf1, 0x50])), 'audio/aac');
+  assert.equal(detectMediaType(file([0, 0, 0, 0x20], 'ftypM4A ')), 'audio/mp4');
+  assert.equal(detectMediaType(file('OggS', [0])), 'audio/ogg');
+  assert.equal(detectMediaType(file([0x1a, 0x45, 0xdf, 0xa3])), 'audio/webm');
+});
+
+test('anything else is not a media type', () => {
+  assert.equal(detectMediaType(file('<svg xmlns="http://www.w3.org/2000/svg">')), null);
+  assert.equal(detectMediaType(file('<html><script>alert(1)</script>')), null);
+  assert.equal(detectMediaType(file('RIFF', [0, 0, 0, 0], 'AVI ')), null);
+  assert.equal(detectMediaType(file([0xff])), null);
+  assert.equal(detectMediaType(Buffer.alloc(0)), null);
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { openSqlite, writeSqlite } = require('../../src/utils/sqlite');
+const { useTmpDir } = require('../helpers/tmp');
+
+const tmpPath = useTmpDir();
+const PAGE_SIZE = 4096;
+
+const NOTES_SQL = 'CREATE TABLE notes (id integer primary key, name text not null, score real, data blob)';
+
+const readAll = async (filePath, table) => {
+  const db = await openSqlite(filePath);
+  const rows = [];
+
+  try {
+    for await (const row of db.readRows(table)) {
+      rows.push(row);
+    }
+  } finally {
+    await db.close();
+  }
+
+  return rows;
+};
+
+const writeNotes = async (filePath, rows) => {
+  await writeSqlite(filePath, [{ name: 'notes', sql: NOTES_SQL, rows }]);
+  return fs.readFileSync(filePath);
+};
+
+const pageAt = (file, pageNumber) => file.subarray((pageNumber - 1) * PAGE_SIZE, pageNumber * PAGE_SIZE);
+
+test('rows written read back the same, across interior and overflow pages', async () => {
+  const filePath = tmpPath('roundtrip.db');
+  const rows = [];
+  for (let i = 1; i <= 5000; i++) {
+    rows.push([i, `note ${i} ✓`, i % 3 ? i / 4 : -i, i % 1000 === 0 ? Buffer.alloc(10000, i % 256) : null]);
+  }
+  rows.push([2 ** 40, 'large id', null, null]);
+
+  await writeNotes(filePath, rows);
+  const read = await readAll(filePath, 'notes');
+
+  assert.equal(read.length, rows.length);
+  rows.forEach(([id, name, score, data], i) => {
+    assert.deepEqual(read[i], { id, name, score, data });
+  });
+});
+
+test('reports the tables it holds', async () => {
+  const filePath = tmpPath('tables.db');
+  await writeSqlite(filePath, [
+    { name: 'a', sql: 'CREATE TABLE a (x integer)', rows: [[1]] },
+    { name: 'b', sql: 'CREATE TABLE b (y text)', rows: [] },
+  ]);
+
+  const db = await openSqlite(filePath);
+  assert.equal(db.hasTable('a'), true);
+  assert.equal(db.hasTable('c'), false);
+  await assert.rejects(db.readRows('c').next(), /no table c/);
+  await db.close();
+
+  assert.deepEqual(await readAll(filePath, 'a'), [{ x: 1 }]);
+  assert.deepEqual(await readAll(filePath, 'b'), []);
+});
+
+test('rejects files that are not SQLite databases', async () => {
+  const filePath = tmpPath('text.db');
+  fs.writeFileSync(filePath, 'not a database'.repeat(20));
+
+  await assert.rejects(openSqlite(filePath), /Invalid SQLite database: not a SQLite file/);
+});
+
+test('rejects page sizes SQLite does not allow', async () => {
+  const filePath = tmpPath('page-size.db');
+  const file = await writeNotes(filePath, [[1, 'a', null, null]]);
+
+  for (const [pageSize, reserved, message] of [
+    [0, 0, /page size 0 is not supported/],
+    [256, 0, /page size 256 is not supported/],
+    [3000, 0, /page size 3000 is not supported/],
+    [512, 40, /40 reserved bytes leave too little of a page/],
+    [4096, 255, null],
+  ]) {
+    const crafted = Buffer.from(file);
+    crafted.writeUInt16BE(pageSize, 16);
+    crafted[20] = reserved;
+    fs.writeFileSync(filePath, crafted);
+
+    if (message) {
+      await assert.rejects(openSqlite(filePath), message);
+    } else {
+      await (await openSqlite(filePath)).close();
+    }
+  }
+});
+
+test('rejects an interior page pointing back to itself', async () => {
+  const filePath = tmpPath('self-pointer.db');
+  const rows = Array.from({ length: 20000 }, (_, i) => [i + 1, `row ${i}`, i, null]);
+  const file = await writeNotes(filePath, rows);
+
+  // The table's root is the last page written; its right-most pointer is at offset 8
+  const rootPage = file.length / PAGE_SIZE;
+  assert.equal(pageAt(file, rootPage)[0], 0x05);
+  pageAt(file, rootPage).writeUInt32BE(rootPage, 8);
+  fs.writeFileSync(filePath, file);
+
+  await assert.rejects(readAll(filePath, 'notes'), /Invalid SQLite database: page \d+ is used twice/);
+});
+
+test('rejects an overflow chain that loops', async () => {
+  const filePath = tmpPath('overflow-loop.db');
+  const file = await writeNotes(filePath, [[1, 'big', 1, Buffer.alloc(20000, 0xab)]]);
+
+  // The first overflow page is the one pointing to another overflow page
+  let looped = false;
+  for (let pageNumber = 2; pageNumber <= file.length / PAGE_SIZE; pageNumber++) {
+    const page = pageAt(file, pageNumber);
+    if (page[4] === 0xab && page.readUInt32BE(0) !== 0 && !looped) {
+      page.writeUInt32BE(pageNumber, 0);
+      looped = true;
+    }
+  }
+  assert.ok(looped);
+  fs.writeFileSync(filePath, file);
+
+  await assert.rejects(readAll(filePath, 'notes'), /Invalid SQLite database: page \d+ is used twice/);
+});
+
+test('rejects a page number past the end of the file', async () => {
+  const filePath = tmpPath('out-of-range.db');
+  const rows = Array.from({ length: 2000 }, (_, i) => [i + 1, `row ${i}`, i, null]);
+  const file = await writeNotes(filePath, rows);
+
+  pageAt(file, file.length / PAGE_SIZE).writeUInt32BE(100000, 8);
+  fs.writeFileSync(filePath, file);
+
+  await assert.rejects(readAll(filePath, 'notes'), /Invalid SQLite database: page 100000 is out of range/);
+});
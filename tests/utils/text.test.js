@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  removeDiacritics,
+  normalizeText,
+  stripHtml,
+  toHtml,
+  splitAlternatives,
+  levenshtein,
+  diffChars,
+} = require('../../src/utils/text');
+
+test('removes Vietnamese diacritics, đ included', () => {
+  assert.equal(removeDiacritics('Xin chào Đà Nẵng, đi đâu'), 'Xin chao Da Nang, di dau');
+});
+
+test('normalizes case, accents and whitespace', () => {
+  assert.equal(normalizeText('  Quả   TÁO\n'), 'qua tao');
+});
+
+test('strips HTML to plain text lines', () => {
+  assert.equal(stripHtml('<b>big</b>&nbsp;&amp;<br>tall'), 'big &\ntall');
+  assert.equal(stripHtml('<div>one</div><div>  two  </div><script>x()</script>'), 'one\ntwo');
+  assert.equal(stripHtml('&#39;a&#x27; &lt;tag&gt; &bogus;'), '\'a\' <tag> &bogus;');
+});
+
+test('escaped text strips back to itself', () => {
+  const text = 'a < b & "c"\nnext line';
+
+  assert.equal(toHtml(text), 'a &lt; b &amp; &quot;c&quot;<br>next line');
+  assert.equal(stripHtml(toHtml(text)), text);
+});
+
+test('splits alternatives on semicolons and slashes', () => {
+  assert.deepEqual(splitAlternatives('to run; to jog /  to sprint'), ['to run', 'to jog', 'to sprint']);
+  assert.deepEqual(splitAlternatives(' ; / '), []);
+});
+
+test('levenshtein counts edits', () => {
+  assert.equal(levenshtein('kitten', 'sitting'), 3);
+  assert.equal(levenshtein('', 'abc'), 3);
+  assert.equal(levenshtein('same', 'same'), 0);
+});
+
+test('diffChars marks missing and extra characters', () => {
+  assert.deepEqual(diffChars('helo!', 'hello'), [
+    { type: 'equal', text: 'hel' },
+    { type: 'missing', text: 'l' },
+    { type: 'equal', text: 'o' },
+    { type: 'extra', text: '!' },
+  ]);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { Readable } = require('stream');
+const { readZipEntries, readZipEntry, extractZipEntry, writeZip } = require('../../src/utils/zip');
+const { useTmpDir } = require('../helpers/tmp');
+
+const tmpPath = useTmpDir();
+
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+
+const writeZipFile = async (filePath, entries) => {
+  const chunks = [];
+  for await (const chunk of writeZip(entries)) {
+    chunks.push(chunk);
+  }
+  fs.writeFileSync(filePath, Buffer.concat(chunks));
+  return readZipEntries(filePath);
+};
+
+// Overwrite a 32-bit field of the end record, or of the first entry of the central directory
+const patchEndRecord = (filePath, field, value) => {
+  const file = fs.readFileSync(filePath);
+  file.writeUInt32LE(value, file.length - 22 + field);
+  fs.writeFileSync(filePath, file);
+};
+
+const patchFirstEntry = (filePath, field, value) => {
+  const file = fs.readFileSync(filePath);
+  const centralDirectoryOffset = file.readUInt32LE(file.length - 22 + 16);
+  assert.equal(file.readUInt32LE(centralDirectoryOffset), CENTRAL_DIRECTORY_ENTRY);
+  file.writeUInt32LE(value, centralDirectoryOffset + field);
+  fs.writeFileSync(filePath, file);
+};
+
+test('entries written read back the same', async () => {
+  const filePath = tmpPath('roundtrip.zip');
+  const text = Buffer.from('xin chào '.repeat(1000));
+  const streamed = Buffer.alloc(300000, 7);
+
+  const entries = await writeZipFile(filePath, [
+    { name: 'text.txt', content: text },
+    { name: 'thư mục/streamed.bin', content: Readable.from([streamed.subarray(0, 1000), streamed.subarray(1000)]) },
+    { name: 'empty', content: Buffer.alloc(0) },
+  ]);
+
+  assert.deepEqual(entries.map(entry => [entry.name, entry.size]), [
+    ['text.txt', text.length],
+    ['thư mục/streamed.bin', streamed.length],
+    ['empty', 0],
+  ]);
+  assert.deepEqual(await readZipEntry(filePath, entries[0]), text);
+  assert.deepEqual(await readZipEntry(filePath, entries[2]), Buffer.alloc(0));
+
+  const destination = tmpPath('streamed.bin');
+  await extractZipEntry(filePath, entries[1], destination);
+  assert.deepEqual(fs.readFileSync(destination), streamed);
+});
+
+test('rejects files without a central directory', async () => {
+  const filePath = tmpPath('not-a.zip');
+  fs.writeFileSync(filePath, 'not a zip file');
+
+  await assert.rejects(readZipEntries(filePath), /Invalid zip file: end of central directory not found/);
+});
+
+test('rejects a central directory or entries reaching past the end of the file', async () => {
+  const filePath = tmpPath('crafted.zip');
+  const content = [{ name: 'collection.anki2', content: Buffer.from('collection') }];
+
+  await writeZipFile(filePath, content);
+  patchEndRecord(filePath, 12, 0xfffffff0);
+  await assert.rejects(readZipEntries(filePath), /Invalid zip file: central directory is outside the file/);
+
+  await writeZipFile(filePath, content);
+  patchFirstEntry(filePath, 20, 0xfffffff0);
+  await assert.rejects(readZipEntries(filePath), /Invalid zip file: entry collection.anki2 is outside the file/);
+
+  await writeZipFile(filePath, content);
+  patchFirstEntry(filePath, 42, 0x7ffffff0);
+  await assert.rejects(readZipEntries(filePath), /Invalid zip file: entry collection.anki2 is outside the file/);
+
+  const [entry] = await writeZipFile(filePath, content);
+  await assert.rejects(readZipEntry(filePath, { ...entry, compressedSize: 0x7ffffff0 }), /is outside the file/);
+});
+
+test('stops inflating an entry that grows past its declared size', async () => {
+  const filePath = tmpPath('bomb.zip');
+  await writeZipFile(filePath, [{ name: 'collection.anki2', content: Buffer.alloc(20 * 1024 * 1024) }]);
+  patchFirstEntry(filePath, 24, 1000);
+
+  const [entry] = await readZipEntries(filePath);
+  assert.equal(entry.size, 1000);
+  assert.ok(entry.compressedSize < 100000);
+
+  await assert.rejects(readZipEntry(filePath, entry), /Invalid zip file: collection.anki2 is larger than its declared size/);
+
+  const destination = tmpPath('bomb.out');
+  await assert.rejects(extractZipEntry(filePath, entry, destination), /larger than its declared size/);
+  assert.ok(fs.statSync(destination).size <= 1000);
+});
+
+test('rejects entries declared larger than the allowed size', async () => {
+  const filePath = tmpPath('large.zip');
+  const [entry] = await writeZipFile(filePath, [{ name: 'image.png', content: Buffer.alloc(5000) }]);
+
+  await assert.rejects(readZipEntry(filePath, entry, { maxSize: 4096 }), /Zip entry too large: image.png/);
+  assert.equal((await readZipEntry(filePath, entry, { maxSize: 5000 })).length, 5000);
+});